@@ -1,16 +1,60 @@
 import config from './src/pairtest/lib/config.js';
+import VenueProfiles from './src/pairtest/lib/config/VenueProfiles.js';
+import Currency from './src/pairtest/lib/money/Currency.js';
 
 console.log('\n🎬 Cinema Tickets Configuration\n');
 console.log('Current Settings:');
 console.log('─'.repeat(50));
 
 const cfg = config.toObject();
+const currency = Currency.fromConfig(cfg);
 
 console.log(`MAX_TICKETS:                ${cfg.maxTickets}`);
-console.log(`TICKET_PRICE_ADULT:         £${cfg.ticketPrices.ADULT}`);
-console.log(`TICKET_PRICE_CHILD:         £${cfg.ticketPrices.CHILD}`);
-console.log(`TICKET_PRICE_INFANT:        £${cfg.ticketPrices.INFANT}`);
+console.log(`TICKET_TYPES:               ${cfg.ticketTypes.join(', ')}`);
+console.log(`CURRENCY:                   ${cfg.currency}`);
+console.log(`LOCALE:                     ${cfg.locale}`);
+for (const ticketType of cfg.ticketTypes) {
+  console.log(`${`TICKET_PRICE_${ticketType}:`.padEnd(28)}${currency.format(cfg.ticketPrices[ticketType])}`);
+}
+for (const ticketType of cfg.ticketTypes) {
+  console.log(`${`TAX_RATE_${ticketType}:`.padEnd(28)}${cfg.taxRates[ticketType]}%`);
+}
 console.log(`ENFORCE_INFANT_ADULT_RATIO: ${cfg.enforceInfantAdultRatio}`);
+console.log(`RULES_FILE:                 ${cfg.rulesFile || '(built-in rules)'}`);
+console.log(`PRICE_TABLE_FILE:           ${cfg.priceTableFile || '(flat prices)'}`);
+console.log(`PROMO_CODES_FILE:           ${cfg.promoCodesFile || '(none)'}`);
+console.log(`SHOWINGS_FILE:              ${cfg.showingsFile || '(none)'}`);
+console.log(`SEAT_HOLD_TTL_SECONDS:      ${cfg.seatHoldTtlSeconds}`);
+console.log(`THIRD_PARTY_TIMEOUT_MS:     ${cfg.thirdPartyTimeoutMs}`);
+console.log(`THIRD_PARTY_RETRIES:        ${cfg.thirdPartyRetries}`);
+console.log(`THIRD_PARTY_RETRY_DELAY_MS: ${cfg.thirdPartyRetryDelayMs}`);
+console.log(`IDEMPOTENCY_KEY_TTL_SECONDS: ${cfg.idempotencyKeyTtlSeconds}`);
+console.log(`CANCELLATION_CUTOFF_MINUTES: ${cfg.cancellationCutoffMinutes}`);
+console.log(`ORDER_LEDGER_FILE:          ${cfg.orderLedgerFile || '(in memory)'}`);
+console.log(`GROUP_BOOKINGS_FILE:        ${cfg.groupBookingsFile || '(built-in group rules)'}`);
+console.log(`WAITLIST_OFFER_TTL_SECONDS: ${cfg.waitlistOfferTtlSeconds}`);
+console.log(`ACCOUNTS_FILE:              ${cfg.accountsFile || '(any account, unlimited credit)'}`);
+console.log(`VELOCITY_MAX_PURCHASES:     ${cfg.velocityMaxPurchases || '(no limit)'}`);
+console.log(`VELOCITY_MAX_AMOUNT:        ${cfg.velocityMaxAmount ? currency.format(cfg.velocityMaxAmount) : '(no limit)'}`);
+console.log(`VELOCITY_WINDOW_MINUTES:    ${cfg.velocityWindowMinutes}`);
+console.log(`MEMBERSHIPS_FILE:           ${cfg.membershipsFile || '(no members)'}`);
+console.log(`AUDIT_LOG:                  ${cfg.auditLog ? 'stdout' : 'off'}`);
+console.log(`AUDIT_REDACT_ACCOUNT_ID:    ${cfg.auditRedactAccountId}`);
+console.log(`HTTP_PORT:                  ${cfg.httpPort}`);
+console.log(`SIMULATION_FILE:            ${cfg.simulationFile || '(third-party stubs)'}`);
+console.log(`VENUES_FILE:                ${cfg.venuesFile || '(none)'}`);
+
+if (cfg.venuesFile) {
+  const venues = VenueProfiles.fromConfig(config);
+  for (const venueId of venues.ids()) {
+    const venue = venues.get(venueId);
+    const venueCurrency = Currency.fromConfig(venue);
+    const prices = Object.entries(venue.ticketPrices)
+      .map(([ticketType, price]) => `${ticketType} ${venueCurrency.format(price)}`)
+      .join(', ');
+    console.log(`  ${venueId}: MAX_TICKETS ${venue.maxTickets}; ${prices}`);
+  }
+}
 
 console.log('─'.repeat(50));
 console.log('\n✅ Config loaded successfully!\n');
\ No newline at end of file
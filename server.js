@@ -0,0 +1,15 @@
+import config from './src/pairtest/lib/config.js';
+import TicketService from './src/pairtest/TicketService.js';
+import TicketApi from './src/pairtest/http/TicketApi.js';
+import PurchaseMetrics from './src/pairtest/lib/observability/PurchaseMetrics.js';
+import SimulatedPaymentService from './src/pairtest/lib/simulation/SimulatedPaymentService.js';
+import SimulatedSeatReservationService from './src/pairtest/lib/simulation/SimulatedSeatReservationService.js';
+
+const metrics = new PurchaseMetrics();
+const paymentService = config.simulationFile ? SimulatedPaymentService.fromFile(config.simulationFile) : undefined;
+const seatReservationService = config.simulationFile ? SimulatedSeatReservationService.fromFile(config.simulationFile) : undefined;
+const api = new TicketApi({ ticketService: new TicketService(paymentService, seatReservationService, { metrics }), metrics });
+
+api.createServer().listen(config.httpPort, () => {
+  console.log(`🎬 Cinema Tickets API listening on http://localhost:${config.httpPort}`);
+});
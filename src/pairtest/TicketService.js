@@ -1,123 +1,1672 @@
+import { createHash, randomUUID } from 'crypto';
 import TicketTypeRequest from './lib/TicketTypeRequest.js';
 import InvalidPurchaseException from './lib/InvalidPurchaseException.js';
+import ErrorCode from './lib/ErrorCode.js';
+import ViolationCollector from './lib/ViolationCollector.js';
+import PurchaseFailedException from './lib/PurchaseFailedException.js';
+import PurchaseOutcome from './lib/PurchaseOutcome.js';
+import PurchaseOrder from './lib/PurchaseOrder.js';
 import TicketPaymentService from '../thirdparty/paymentgateway/TicketPaymentService.js';
 import SeatReservationService from '../thirdparty/seatbooking/SeatReservationService.js';
-import config from './lib/config.js';
+import defaultConfig from './lib/config.js';
+import defaultTicketTypes from './lib/ticketTypes.js';
+import TicketTypeRegistry from './lib/TicketTypeRegistry.js';
+import RuleEngine from './lib/rules/RuleEngine.js';
+import PriceTable from './lib/pricing/PriceTable.js';
+import TaxCalculator from './lib/pricing/TaxCalculator.js';
+import Currency from './lib/money/Currency.js';
+import PurchaseOptions from './lib/PurchaseOptions.js';
+import PromotionCatalogue from './lib/promotions/PromotionCatalogue.js';
+import ShowingCatalogue from './lib/showings/ShowingCatalogue.js';
+import SeatHoldService from './lib/holds/SeatHoldService.js';
+import ResiliencePolicy from './lib/resilience/ResiliencePolicy.js';
+import IdempotencyService from './lib/idempotency/IdempotencyService.js';
+import InMemoryOrderRepository from './lib/orders/InMemoryOrderRepository.js';
+import JsonLinesOrderRepository from './lib/orders/JsonLinesOrderRepository.js';
+import LedgerEntryType from './lib/orders/LedgerEntryType.js';
+import CancellationPolicy from './lib/orders/CancellationPolicy.js';
+import OrderStatus from './lib/orders/OrderStatus.js';
+import PurchaseEventBus from './lib/events/PurchaseEventBus.js';
+import PurchaseEventType from './lib/events/PurchaseEventType.js';
+import AuditLogger from './lib/observability/AuditLogger.js';
+import AccountService from './lib/accounts/AccountService.js';
+import MembershipScheme from './lib/loyalty/MembershipScheme.js';
+import GroupBookingService from './lib/groups/GroupBookingService.js';
+import WaitlistService from './lib/waitlist/WaitlistService.js';
+import PurchaseMetrics from './lib/observability/PurchaseMetrics.js';
 
 export default class TicketService {
 
-  #TICKET_PRICES;
+  #ticketTypes;
 
-  #MAX_TICKETS;
+  #rules;
 
-  #ENFORCE_INFANT_ADULT_RATIO;
+  #priceTable;
+
+  #currency;
+
+  #taxes;
+
+  #promotions;
+
+  #showings;
+
+  #seatHolds;
+
+  #resilience;
+
+  #idempotency;
+
+  #orders;
+
+  #cancellationPolicy;
+
+  #accounts;
+
+  #memberships;
+
+  #groupBookings;
+
+  #waitlist;
+
+  #events;
+
+  #audit;
+
+  #metrics;
 
   #paymentService;
   #seatReservationService;
 
-  constructor(paymentService, seatReservationService) {
+  #now;
+  #generateOrderId;
+  #generateCorrelationId;
+  #collectAllViolations;
+
+  /**
+   * @param {TicketPaymentService} [paymentService]
+   * @param {SeatReservationService} [seatReservationService]
+   * @param {object} [options]
+   * @param {import('./lib/config/Config.js').default} [options.config] - Settings the other defaults are built from, e.g. a venue profile
+   * @param {() => Date} [options.now] - Clock used to timestamp orders and price purchases with no showing time
+   * @param {() => string} [options.generateOrderId] - Order ID generator
+   * @param {() => string} [options.generateCorrelationId] - Correlation ID generator for purchases that are not given one
+   * @param {boolean} [options.collectAllViolations] - Report every rule violation instead of only the first
+   * @param {import('./lib/TicketTypeRegistry.js').default} [options.ticketTypes] - Ticket types to price and validate against
+   * @param {RuleEngine} [options.rules] - Business rules; defaults to the rules file or built-in rules from config
+   * @param {PriceTable} [options.priceTable] - Showing-dependent prices; defaults to the price table file from config
+   * @param {Currency} [options.currency] - Currency every amount is in, as minor units
+   * @param {TaxCalculator} [options.taxes] - VAT rate per ticket type
+   * @param {PromotionCatalogue} [options.promotions] - Promo codes; defaults to the promo codes file from config
+   * @param {ShowingCatalogue} [options.showings] - Bookable showings and seat maps; defaults to the showings file from config
+   * @param {SeatHoldService} [options.seatHolds] - Temporary seat holds for the same showings
+   * @param {ResiliencePolicy} [options.resilience] - Timeouts and retries for third-party calls made by purchaseTicketsAsync
+   * @param {IdempotencyService} [options.idempotency] - Remembers purchases made with an idempotency key
+   * @param {InMemoryOrderRepository} [options.orders] - Ledger of purchases, failures and refunds; file-backed when ORDER_LEDGER_FILE is set
+   * @param {CancellationPolicy} [options.cancellationPolicy] - When orders may still be refunded
+   * @param {AccountService} [options.accounts] - Account status, balance and velocity checks made before charging
+   * @param {MembershipScheme} [options.memberships] - Member prices, free tickets and loyalty points
+   * @param {GroupBookingService} [options.groupBookings] - Rules, rates and approval queue for group bookings
+   * @param {WaitlistService} [options.waitlist] - Accounts waiting for seats in sold-out showings
+   * @param {PurchaseEventBus} [options.events] - Lifecycle events and veto hooks for plug-ins
+   * @param {AuditLogger} [options.audit] - Structured log of each purchase; writes to stdout when AUDIT_LOG is on
+   * @param {PurchaseMetrics} [options.metrics] - Rejection, basket, revenue and third-party latency metrics
+   */
+  constructor(paymentService, seatReservationService, {
+    config = defaultConfig,
+    now = () => new Date(),
+    generateOrderId = randomUUID,
+    generateCorrelationId = randomUUID,
+    collectAllViolations = false,
+    ticketTypes = config === defaultConfig ? defaultTicketTypes : TicketTypeRegistry.fromConfig(config),
+    rules = RuleEngine.fromConfig(config),
+    priceTable = PriceTable.fromConfig(config),
+    currency = Currency.fromConfig(config),
+    taxes = TaxCalculator.fromConfig(config),
+    promotions = PromotionCatalogue.fromConfig(config),
+    showings = ShowingCatalogue.fromConfig(config),
+    seatHolds = new SeatHoldService({ showings, now, ttlSeconds: config.seatHoldTtlSeconds }),
+    resilience = new ResiliencePolicy({
+      timeoutMs: config.thirdPartyTimeoutMs,
+      retries: config.thirdPartyRetries,
+      baseDelayMs: config.thirdPartyRetryDelayMs,
+    }),
+    idempotency = new IdempotencyService({ now, ttlSeconds: config.idempotencyKeyTtlSeconds }),
+    orders = config.orderLedgerFile
+      ? new JsonLinesOrderRepository({ path: config.orderLedgerFile })
+      : new InMemoryOrderRepository(),
+    cancellationPolicy = CancellationPolicy.fromConfig(config),
+    accounts = AccountService.fromConfig(config),
+    memberships = MembershipScheme.fromConfig(config),
+    groupBookings = GroupBookingService.fromConfig(config),
+    waitlist = WaitlistService.fromConfig(config),
+    events = new PurchaseEventBus(),
+    audit = AuditLogger.fromConfig(config, { now }),
+    metrics = new PurchaseMetrics(),
+  } = {}) {
     this.#paymentService = paymentService || new TicketPaymentService();
     this.#seatReservationService = seatReservationService || new SeatReservationService();
-    
-    this.#TICKET_PRICES = config.ticketPrices;
-    this.#MAX_TICKETS = config.maxTickets;
-    this.#ENFORCE_INFANT_ADULT_RATIO = config.enforceInfantAdultRatio;
+    this.#now = now;
+    this.#generateOrderId = generateOrderId;
+    this.#generateCorrelationId = generateCorrelationId;
+    this.#collectAllViolations = collectAllViolations;
+    this.#ticketTypes = ticketTypes;
+    this.#rules = rules;
+    this.#priceTable = priceTable;
+    this.#currency = currency;
+    this.#taxes = taxes;
+    this.#promotions = promotions;
+    this.#showings = showings;
+    this.#seatHolds = seatHolds;
+    this.#resilience = resilience;
+    this.#idempotency = idempotency;
+    this.#orders = orders;
+    this.#cancellationPolicy = cancellationPolicy;
+    this.#accounts = accounts;
+    this.#memberships = memberships;
+    this.#groupBookings = groupBookings;
+    this.#waitlist = waitlist;
+    this.#events = events;
+    this.#audit = audit;
+    this.#metrics = metrics;
+  }
+
+  /**
+   * Hold seats in a showing while the customer pays. Confirm the hold by passing
+   * `new PurchaseOptions({ holdId })` to purchaseTickets.
+   * @param {number} accountId - The account ID the seats are held for
+   * @param {string} showingId - The showing to hold seats in
+   * @param {{count?: number, seats?: string[]}} selection - Number of seats to auto-allocate, or explicit seats
+   * @returns {{holdId: string, accountId: number, showingId: string, seats: string[], expiresAt: string}}
+   * @throws {InvalidPurchaseException} - If the seats cannot be held
+   */
+  holdSeats(accountId, showingId, selection) {
+    this.#releaseExpiredHolds();
+    return this.#seatHolds.hold(accountId, showingId, selection);
+  }
+
+  /**
+   * Cancel a seat hold and return its seats to sale, offering them to the showing's
+   * waitlist first. Releasing a waitlist offer declines it.
+   * @param {string} holdId
+   * @returns {boolean} - Whether there was an active hold to release
+   */
+  releaseHold(holdId) {
+    this.#releaseExpiredHolds();
+
+    const hold = this.#seatHolds.get(holdId);
+
+    if (!hold) {
+      return false;
+    }
+
+    this.#seatHolds.release(holdId);
+    this.#waitlist.decline(holdId, this.#now());
+    this.#offerSeats(hold.showingId);
+    return true;
+  }
+
+  /**
+   * Wait for seats in a sold-out showing. The tickets are checked against the same
+   * business rules as purchaseTickets. When seats come back they are held for the
+   * first entry they fit, for WAITLIST_OFFER_TTL_SECONDS; buy them by passing the
+   * offer's holdId to purchaseTickets.
+   * @param {number} accountId - The account ID waiting for seats
+   * @param {string} showingId - The sold-out showing
+   * @param {...TicketTypeRequest} ticketTypeRequests - The tickets wanted
+   * @returns {object} - The waitlist entry, WAITING
+   * @throws {InvalidPurchaseException} - If the tickets break the rules, the showing still has the seats, or the account is already waiting
+   */
+  joinWaitlist(accountId, showingId, ...ticketTypeRequests) {
+    this.#releaseExpiredHolds();
+
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+
+    this.#validateAccountId(accountId, violations);
+
+    this.#validateTicketRequestsExist(ticketTypeRequests, violations);
+
+    const ticketCounts = this.#countTicketsByType(ticketTypeRequests, violations);
+
+    const ruleContext = this.#buildRuleContext(accountId, ticketCounts);
+
+    const showing = this.#showings.get(showingId);
+
+    if (!showing) {
+      violations.add(ErrorCode.UNKNOWN_SHOWING, `Showing ${showingId} does not exist`, { showingId });
+    }
+
+    this.#rules.evaluate(ruleContext, violations);
+
+    violations.throwIfAny();
+
+    const totalSeats = this.#calculateTotalSeats(ticketCounts);
+
+    if (showing.findSeats(totalSeats) !== null) {
+      violations.add(ErrorCode.SEATS_AVAILABLE, `Showing ${showingId} has ${totalSeats} seats left; buy them instead`, {
+        showingId,
+        requested: totalSeats,
+        available: showing.countAvailable(),
+      });
+      violations.throwIfAny();
+    }
+
+    return this.#waitlist.join({
+      accountId,
+      showingId,
+      tickets: TicketService.#describeTickets(ticketTypeRequests),
+      totalSeats,
+      now: ruleContext.now,
+    });
+  }
+
+  /**
+   * Take an entry off the waitlist. Seats it has been offered go to the next entry.
+   * @param {string} entryId
+   * @returns {object} - The entry, LEFT
+   * @throws {InvalidPurchaseException} - If the entry does not exist or has already been closed
+   */
+  leaveWaitlist(entryId) {
+    this.#releaseExpiredHolds();
+
+    const { showingId, offer } = this.#waitlist.leave(entryId, this.#now());
+
+    if (offer) {
+      this.#seatHolds.release(offer.holdId);
+      this.#offerSeats(showingId);
+    }
+
+    return this.#waitlist.get(entryId);
+  }
+
+  /**
+   * @param {string} entryId
+   * @returns {?object} - The waitlist entry, or null if there is none
+   */
+  getWaitlistEntry(entryId) {
+    this.#releaseExpiredHolds();
+    return this.#waitlist.get(entryId);
+  }
+
+  /**
+   * @param {{showingId?: string, accountId?: number, status?: string}} [query]
+   * @returns {object[]} - Matching waitlist entries, in the order they joined
+   */
+  findWaitlistEntries(query) {
+    this.#releaseExpiredHolds();
+    return this.#waitlist.list(query);
+  }
+
+  /**
+   * Price a basket without charging the account or reserving seats. Quotes change
+   * nothing, so seats of expired holds not yet swept still count as taken.
+   * @param {number} accountId - The account ID the quote is for
+   * @param {...(TicketTypeRequest|PurchaseOptions)} ticketTypeRequests - Ticket type requests, optionally followed by PurchaseOptions
+   * @returns {{accountId: number, currency: string, lineItems: object[], discounts: object[], totalAmount: number, netAmount: number, taxAmount: number, taxes: object[], membershipTier: ?string, pointsEarned: number, pointsRedeemed: number, totalSeats: number, infantCount: number, showingId: ?string, seats: string[]}}
+   * @throws {InvalidPurchaseException} - If the purchase request is invalid
+   */
+  quote(accountId, ...ticketTypeRequests) {
+    return this.#prepare(accountId, ticketTypeRequests).quote;
   }
 
   /**
    * Purchase tickets for a given account
    * @param {number} accountId - The account ID making the purchase
-   * @param {...TicketTypeRequest} ticketTypeRequests - Variable number of ticket type requests
-   * @throws {InvalidPurchaseException} - If the purchase request is invalid
+   * @param {...(TicketTypeRequest|PurchaseOptions)} ticketTypeRequests - Ticket type requests, optionally followed by PurchaseOptions
+   * @returns {PurchaseOrder} - The completed order
+   * @throws {InvalidPurchaseException} - If the purchase request is invalid, the account cannot pay for it, or a hook vetoes it
+   * @throws {PurchaseFailedException} - If payment or seat reservation fails; `outcome` says whether a refund was made
    */
   purchaseTickets(accountId, ...ticketTypeRequests) {
- 
-    this.#validateAccountId(accountId);
+    return this.#audited(accountId, ticketTypeRequests, () => this.#idempotent(accountId, ticketTypeRequests, () => (
+      this.#pay(accountId, this.#begin(accountId, ticketTypeRequests))
+    )));
+  }
 
-    this.#validateTicketRequestsExist(ticketTypeRequests);
+  /**
+   * Purchase tickets through asynchronous payment and seat reservation adapters.
+   * Each third-party call is given a timeout, and transient failures are retried
+   * with backoff according to the service's ResiliencePolicy.
+   * @param {number} accountId - The account ID making the purchase
+   * @param {...(TicketTypeRequest|PurchaseOptions)} ticketTypeRequests - Ticket type requests, optionally followed by PurchaseOptions
+   * @returns {Promise<PurchaseOrder>} - The completed order
+   * @throws {InvalidPurchaseException} - If the purchase request is invalid, the account cannot pay for it, or a hook vetoes it
+   * @throws {PurchaseFailedException} - If payment or seat reservation fails; `outcome` says whether a refund was made
+   */
+  async purchaseTicketsAsync(accountId, ...ticketTypeRequests) {
+    return this.#audited(accountId, ticketTypeRequests, () => this.#idempotent(accountId, ticketTypeRequests, async () => (
+      this.#payAsync(accountId, await this.#beginAsync(accountId, ticketTypeRequests))
+    )));
+  }
 
-    const ticketCounts = this.#countTicketsByType(ticketTypeRequests);
+  /**
+   * Ask for a group booking, e.g. a school trip larger than MAX_TICKETS. The booking
+   * is checked against the group rules and priced with group rates, but nothing is
+   * charged or reserved until a manager approves it.
+   * @param {number} accountId - The account ID the booking is for
+   * @param {...(TicketTypeRequest|PurchaseOptions)} ticketTypeRequests - Ticket type requests, optionally followed by PurchaseOptions
+   * @returns {object} - The booking, PENDING_APPROVAL, with the quote it was priced at
+   * @throws {InvalidPurchaseException} - If the booking breaks the group rules or the account cannot pay for it
+   */
+  requestGroupBooking(accountId, ...ticketTypeRequests) {
+    this.#releaseExpiredHolds();
+    const prepared = this.#prepare(accountId, ticketTypeRequests, null, { group: true });
 
-    this.#validateBusinessRules(ticketCounts);
+    this.#checkAccount(prepared);
 
-    const totalAmount = this.#calculateTotalAmount(ticketCounts);
+    return this.#groupBookings.open({
+      bookingId: this.#groupBookings.nextId(),
+      accountId,
+      args: ticketTypeRequests,
+      tickets: TicketService.#describeTickets(this.#splitArguments(ticketTypeRequests).ticketTypeRequests),
+      quote: prepared.quote,
+      now: prepared.ruleContext.now,
+    });
+  }
 
-    const totalSeats = this.#calculateTotalSeats(ticketCounts);
+  /**
+   * Approve a pending group booking and buy it. The booking is validated and priced
+   * again, so it gets the seats and prices available now, then paid for and its
+   * seats reserved in batches.
+   * @param {string} bookingId
+   * @param {{approvedBy?: string}} [approval] - Who approved it, kept on the booking
+   * @returns {PurchaseOrder} - The completed order
+   * @throws {InvalidPurchaseException} - If the booking is not pending or can no longer be bought; it stays pending
+   * @throws {PurchaseFailedException} - If payment or seat reservation fails; the booking is marked FAILED
+   */
+  approveGroupBooking(bookingId, { approvedBy = null } = {}) {
+    const { booking, args } = this.#groupBookings.beginApproval(bookingId);
+    const { accountId } = booking;
 
-    this.#paymentService.makePayment(accountId, totalAmount);
+    try {
+      const order = this.#audited(accountId, args, () => this.#pay(accountId, this.#begin(accountId, args, bookingId)));
+      this.#groupBookings.approve(bookingId, { approvedBy, orderId: order.orderId, now: this.#now() });
+      return order;
+    } catch (error) {
+      this.#settleFailedApproval(bookingId, approvedBy, error);
+      throw error;
+    }
+  }
 
-    
-    this.#seatReservationService.reserveSeat(accountId, totalSeats);
+  /**
+   * approveGroupBooking() through the asynchronous payment and seat reservation adapters.
+   * @param {string} bookingId
+   * @param {{approvedBy?: string}} [approval]
+   * @returns {Promise<PurchaseOrder>}
+   */
+  async approveGroupBookingAsync(bookingId, { approvedBy = null } = {}) {
+    const { booking, args } = this.#groupBookings.beginApproval(bookingId);
+    const { accountId } = booking;
+
+    try {
+      const order = await this.#audited(accountId, args, async () => (
+        this.#payAsync(accountId, await this.#beginAsync(accountId, args, bookingId))
+      ));
+      this.#groupBookings.approve(bookingId, { approvedBy, orderId: order.orderId, now: this.#now() });
+      return order;
+    } catch (error) {
+      this.#settleFailedApproval(bookingId, approvedBy, error);
+      throw error;
+    }
   }
 
-  #validateAccountId(accountId) {
-    if (!Number.isInteger(accountId) || accountId <= 0) {
-      throw new InvalidPurchaseException('Account ID must be a positive integer');
+  /**
+   * Turn down a pending group booking
+   * @param {string} bookingId
+   * @param {{rejectedBy?: string, reason?: string}} [decision]
+   * @returns {object} - The rejected booking
+   * @throws {InvalidPurchaseException} - If the booking does not exist or is not pending
+   */
+  rejectGroupBooking(bookingId, { rejectedBy = null, reason = null } = {}) {
+    return this.#groupBookings.reject(bookingId, { rejectedBy, reason, now: this.#now() });
+  }
+
+  /**
+   * @param {string} bookingId
+   * @returns {?object} - The group booking, or null if there is none
+   */
+  getGroupBooking(bookingId) {
+    return this.#groupBookings.get(bookingId);
+  }
+
+  /**
+   * @param {{status?: string, accountId?: number}} [query] - e.g. `{ status: 'PENDING_APPROVAL' }` for a manager's queue
+   * @returns {object[]} - Matching group bookings, oldest first
+   */
+  findGroupBookings(query) {
+    return this.#groupBookings.list(query);
+  }
+
+  /**
+   * Look up a completed order
+   * @param {string} orderId
+   * @returns {?PurchaseOrder} - The latest version of the order, or null if there is none
+   */
+  getOrder(orderId) {
+    return this.#orders.getOrder(orderId);
+  }
+
+  /**
+   * Search the order ledger, e.g. for an audit or to find a customer's bookings
+   * @param {{accountId?: number, showingId?: string, orderId?: string, type?: string, from?: Date|string, to?: Date|string}} [query]
+   * @returns {object[]} - Matching ledger entries, oldest first
+   */
+  findLedgerEntries(query) {
+    return this.#orders.find(query);
+  }
+
+  /**
+   * Cancel an order: refund what is left of it and release its seats
+   * @param {string} orderId
+   * @returns {PurchaseOrder} - The cancelled order
+   * @throws {InvalidPurchaseException} - If the order does not exist, is already cancelled or may no longer be refunded
+   * @throws {PurchaseFailedException} - If the refund payment fails; the order is left unchanged
+   */
+  cancelOrder(orderId) {
+    return this.#refund(orderId, null);
+  }
+
+  /**
+   * Return some of the tickets on an order, e.g. one child ticket from a family booking.
+   * The tickets left must still satisfy the business rules.
+   * @param {string} orderId
+   * @param {...TicketTypeRequest} ticketTypeRequests - The tickets to return
+   * @returns {PurchaseOrder} - The order as it stands after the refund
+   * @throws {InvalidPurchaseException} - If the refund is invalid or would leave a booking that breaks the rules
+   * @throws {PurchaseFailedException} - If the refund payment fails; the order is left unchanged
+   */
+  refundTickets(orderId, ...ticketTypeRequests) {
+    return this.#refund(orderId, ticketTypeRequests);
+  }
+
+  /**
+   * Refunds the given tickets, or the whole order when ticketTypeRequests is null.
+   * Discounts are shared across tickets in proportion to their price, and the
+   * refund that empties an order returns whatever is left of its total.
+   */
+  #refund(orderId, ticketTypeRequests) {
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+
+    const order = this.#findOrder(orderId, violations);
+    violations.throwIfAny();
+
+    const held = this.#countOrderTickets(order);
+
+    const returned = ticketTypeRequests === null
+      ? held
+      : this.#countReturnedTickets(order, held, ticketTypeRequests, violations);
+
+    const remaining = Object.fromEntries(Object.entries(held)
+      .map(([ticketType, quantity]) => [ticketType, quantity - returned[ticketType]]));
+
+    const ruleContext = this.#buildRuleContext(order.accountId, remaining);
+
+    if (ruleContext.totals.tickets > 0) {
+      this.#rulesFor(order.groupBookingId).evaluateBooking(ruleContext, violations);
+    }
+
+    const showing = order.showingId ? this.#showings.get(order.showingId) : null;
+
+    this.#cancellationPolicy.check({
+      orderId,
+      startsAt: showing ? showing.getDetails().startsAt : null,
+      now: ruleContext.now,
+    }, violations);
+
+    violations.throwIfAny();
+
+    const amount = this.#calculateRefundAmount(order, returned, ruleContext.totals.tickets === 0);
+    const pointsReversed = this.#calculateRefundShare(order, returned, order.pointsEarned, ruleContext.totals.tickets === 0);
+    const pointsReturned = this.#calculateRefundShare(order, returned, order.pointsRedeemed, ruleContext.totals.tickets === 0);
+    const keptLineItems = order.lineItems
+      .filter(({ ticketType }) => remaining[ticketType] > 0)
+      .map((lineItem) => ({
+        ...lineItem,
+        quantity: remaining[lineItem.ticketType],
+        subtotal: remaining[lineItem.ticketType] * lineItem.unitPrice,
+      }));
+    const tax = TaxCalculator.breakdown(keptLineItems, order.totalAmount - amount);
+    const returnedSeats = this.#calculateTotalSeats(returned);
+    const keptSeats = order.seats.slice(0, Math.max(0, order.seats.length - returnedSeats));
+    const releasedSeats = order.seats.slice(keptSeats.length);
+    const returnedLineItems = order.lineItems
+      .filter(({ ticketType }) => returned[ticketType] > 0)
+      .map(({ ticketType }) => ({ ticketType, quantity: returned[ticketType] }));
+
+    const refundFailure = (message, cause) => this.#refundFailed(order, amount, returnedLineItems, ruleContext.now, message, cause);
+
+    if (returnedSeats > 0) {
+      try {
+        this.#metrics.timeCall('releaseSeat', () => this.#seatReservationService.releaseSeat(order.accountId, returnedSeats));
+      } catch (error) {
+        throw refundFailure('Seats could not be released; the order has not been changed', error);
+      }
+    }
+
+    if (amount > 0) {
+      try {
+        this.#metrics.timeCall('refundPayment', () => this.#paymentService.refundPayment(order.accountId, amount));
+      } catch (error) {
+        if (returnedSeats > 0) {
+          try {
+            this.#metrics.timeCall('reserveSeat', () => this.#seatReservationService.reserveSeat(order.accountId, returnedSeats));
+          } catch (reserveError) {
+            throw refundFailure('Refund failed and the released seats could not be reserved again', new AggregateError([error, reserveError]));
+          }
+        }
+
+        throw refundFailure('Refund failed; the order has not been changed', error);
+      }
     }
+
+    const refunded = new PurchaseOrder({
+      ...order.toJSON(),
+      lineItems: keptLineItems,
+      totalAmount: order.totalAmount - amount,
+      ...tax,
+      pointsEarned: order.pointsEarned - pointsReversed,
+      pointsRedeemed: order.pointsRedeemed - pointsReturned,
+      totalSeats: order.totalSeats - returnedSeats,
+      infantCount: ruleContext.totals.lapSeated,
+      seats: keptSeats,
+      status: ruleContext.totals.tickets === 0 ? OrderStatus.CANCELLED : OrderStatus.PARTIALLY_REFUNDED,
+      refunds: [...order.refunds, {
+        lineItems: returnedLineItems,
+        amount,
+        taxAmount: order.taxAmount - tax.taxAmount,
+        pointsReversed,
+        pointsReturned,
+        seats: releasedSeats,
+        timestamp: ruleContext.now.toISOString(),
+      }],
+    });
+
+    this.#orders.record({
+      type: refunded.status === OrderStatus.CANCELLED ? LedgerEntryType.CANCELLATION : LedgerEntryType.REFUND,
+      timestamp: ruleContext.now.toISOString(),
+      accountId: order.accountId,
+      orderId,
+      showingId: order.showingId,
+      amount,
+      order: refunded,
+      refund: refunded.refunds[refunded.refunds.length - 1],
+      failure: null,
+    });
+
+    const purchasedAt = new Date(order.timestamp);
+
+    this.#rulesFor(order.groupBookingId).recordRefund({ ...this.#buildRuleContext(order.accountId, returned), now: purchasedAt });
+
+    if (refunded.status === OrderStatus.CANCELLED) {
+      this.#promotions.releaseUsage(order.accountId, order.discounts);
+    }
+
+    this.#accounts.recordRefund({ accountId: order.accountId, amount });
+
+    this.#memberships.recordRefund({
+      accountId: order.accountId,
+      pointsReversed,
+      pointsReturned,
+      freeTickets: TicketService.#returnedFreeTickets(order.discounts, held, remaining),
+      purchasedAt,
+    });
+
+    showing?.release(releasedSeats);
+
+    this.#events.emit(PurchaseEventType.PURCHASE_REFUNDED, Object.freeze({
+      order: refunded,
+      refund: refunded.refunds[refunded.refunds.length - 1],
+    }));
+
+    if (showing && releasedSeats.length > 0) {
+      this.#offerSeats(order.showingId);
+    }
+
+    return refunded;
   }
 
-  #validateTicketRequestsExist(ticketTypeRequests) {
-    if (!ticketTypeRequests || ticketTypeRequests.length === 0) {
-      throw new InvalidPurchaseException('At least one ticket type request must be provided');
+  /**
+   * Records a refund whose third-party calls failed, leaving the order as it was.
+   */
+  #refundFailed(order, amount, returnedLineItems, now, message, cause) {
+    this.#orders.record({
+      type: LedgerEntryType.REFUND_FAILED,
+      timestamp: now.toISOString(),
+      accountId: order.accountId,
+      orderId: order.orderId,
+      showingId: order.showingId,
+      amount,
+      order,
+      refund: null,
+      failure: { outcome: PurchaseOutcome.REFUND_FAILED, message: cause.message, lineItems: returnedLineItems },
+    });
+
+    return new PurchaseFailedException(message, {
+      outcome: PurchaseOutcome.REFUND_FAILED,
+      accountId: order.accountId,
+      totalAmount: amount,
+      cause,
+    });
+  }
+
+  /**
+   * A booking whose purchase was rejected stays pending; one whose payment or
+   * seat reservation failed is marked FAILED, as money may have moved.
+   */
+  #settleFailedApproval(bookingId, approvedBy, error) {
+    if (error instanceof PurchaseFailedException) {
+      this.#groupBookings.fail(bookingId, { approvedBy, reason: error.message, now: this.#now() });
+    } else {
+      this.#groupBookings.abandonApproval(bookingId);
     }
   }
 
-  #countTicketsByType(ticketTypeRequests) {
-    const counts = {
-      INFANT: 0,
-      CHILD: 0,
-      ADULT: 0,
-    };
+  #findOrder(orderId, violations) {
+    const order = this.#orders.getOrder(orderId);
 
-    for (const request of ticketTypeRequests) {
-      if (!(request instanceof TicketTypeRequest)) {
-        throw new InvalidPurchaseException('Invalid ticket type request');
+    if (!order) {
+      violations.add(ErrorCode.ORDER_NOT_FOUND, `Order ${orderId} does not exist`, { orderId });
+      return null;
+    }
+
+    if (order.status === OrderStatus.CANCELLED) {
+      violations.add(ErrorCode.ORDER_CANCELLED, `Order ${orderId} has already been cancelled`, { orderId });
+      return null;
+    }
+
+    return order;
+  }
+
+  #countOrderTickets(order) {
+    const counts = Object.fromEntries(this.#ticketTypes.names().map((ticketType) => [ticketType, 0]));
+
+    for (const { ticketType, quantity } of order.lineItems) {
+      counts[ticketType] = quantity;
+    }
+
+    return counts;
+  }
+
+  #countReturnedTickets(order, held, ticketTypeRequests, violations) {
+    this.#validateTicketRequestsExist(ticketTypeRequests, violations);
+
+    const returned = this.#countTicketsByType(ticketTypeRequests, violations);
+
+    for (const [ticketType, quantity] of Object.entries(returned)) {
+      if (quantity > held[ticketType]) {
+        violations.add(ErrorCode.REFUND_EXCEEDS_ORDER, `Order ${order.orderId} has ${held[ticketType]} ${ticketType} tickets, cannot refund ${quantity}`, {
+          orderId: order.orderId,
+          ticketType,
+          requested: quantity,
+          held: held[ticketType],
+        });
       }
+    }
 
-      const ticketType = request.getTicketType();
-      const numberOfTickets = request.getNoOfTickets();
+    return returned;
+  }
 
-      if (numberOfTickets <= 0) {
-        throw new InvalidPurchaseException('Number of tickets must be greater than zero');
+  #calculateRefundAmount(order, returned, emptiesOrder) {
+    return this.#calculateRefundShare(order, returned, order.totalAmount, emptiesOrder);
+  }
+
+  /**
+   * Member free tickets given up by a refund. An order keeps its free tickets of a
+   * type while it still holds that many tickets of the type.
+   */
+  static #returnedFreeTickets(discounts, held, remaining) {
+    const returned = {};
+
+    for (const { type, tickets } of discounts) {
+      if (type !== 'memberFreeTickets') {
+        continue;
       }
 
-      counts[ticketType] += numberOfTickets;
+      for (const [ticketType, free] of Object.entries(tickets)) {
+        const given = Math.max(0, free - remaining[ticketType]) - Math.max(0, free - held[ticketType]);
+
+        if (given > 0) {
+          returned[ticketType] = given;
+        }
+      }
     }
 
-    return counts;
+    return returned;
+  }
+
+  /**
+   * The part of an order's `quantity` (an amount or points) that belongs to the
+   * returned tickets, in proportion to their price.
+   */
+  #calculateRefundShare(order, returned, quantity, emptiesOrder) {
+    if (emptiesOrder) {
+      return quantity;
+    }
+
+    const grossHeld = order.lineItems.reduce((total, { subtotal }) => total + subtotal, 0);
+    const grossReturned = order.lineItems
+      .reduce((total, { ticketType, unitPrice }) => total + returned[ticketType] * unitPrice, 0);
+
+    return grossHeld === 0 ? 0 : Math.floor((grossReturned * quantity) / grossHeld);
   }
 
-  #validateBusinessRules(ticketCounts) {
-    const totalTickets = ticketCounts.INFANT + ticketCounts.CHILD + ticketCounts.ADULT;
+  /**
+   * Writes audit log entries for a purchase under one correlation ID: its inputs,
+   * then either the order it produced or why it was rejected or failed. Rejections
+   * are counted by violation code.
+   */
+  #audited(accountId, args, purchase) {
+    const { ticketTypeRequests, options } = this.#splitArguments(args);
+    const correlationId = options.getCorrelationId() || this.#generateCorrelationId();
+
+    this.#audit.log('purchase.requested', correlationId, {
+      accountId,
+      tickets: TicketService.#describeTickets(ticketTypeRequests),
+      options: { ...options.toFingerprint(), idempotencyKey: options.getIdempotencyKey() },
+    });
+
+    let result;
+    try {
+      result = purchase();
+    } catch (error) {
+      this.#auditFailure(correlationId, accountId, error);
+      throw error;
+    }
 
-    if (totalTickets > this.#MAX_TICKETS) {
-      throw new InvalidPurchaseException(
-        `Cannot purchase more than ${this.#MAX_TICKETS} tickets at a time`
+    if (result instanceof Promise) {
+      return result.then(
+        (order) => {
+          this.#auditCompletion(correlationId, order);
+          return order;
+        },
+        (error) => {
+          this.#auditFailure(correlationId, accountId, error);
+          throw error;
+        },
       );
     }
 
-    if ((ticketCounts.CHILD > 0 || ticketCounts.INFANT > 0) && ticketCounts.ADULT === 0) {
-      throw new InvalidPurchaseException(
-        'Child and Infant tickets cannot be purchased without at least one Adult ticket'
+    this.#auditCompletion(correlationId, result);
+    return result;
+  }
+
+  #auditCompletion(correlationId, order) {
+    this.#audit.log('purchase.completed', correlationId, {
+      accountId: order.accountId,
+      orderId: order.orderId,
+      amountCharged: order.totalAmount,
+      currency: order.currency,
+      showingId: order.showingId,
+      seatsReserved: order.totalSeats,
+      seats: order.seats,
+    });
+  }
+
+  #auditFailure(correlationId, accountId, error) {
+    if (error instanceof InvalidPurchaseException) {
+      this.#metrics.recordRejection(error.violations);
+      this.#audit.log('purchase.rejected', correlationId, {
+        accountId,
+        code: error.code,
+        message: error.message,
+        violations: error.violations,
+      });
+      return;
+    }
+
+    const causes = error.cause instanceof AggregateError ? error.cause.errors : [error.cause].filter(Boolean);
+
+    this.#audit.log('purchase.failed', correlationId, {
+      accountId,
+      outcome: error.outcome || null,
+      amount: error.totalAmount ?? null,
+      message: error.message,
+      causes: causes.map((cause) => cause.message),
+    });
+  }
+
+  /**
+   * Runs a purchase at most once per idempotency key. A repeat of a successful
+   * request returns the original order; the purchase may be sync or async.
+   */
+  #idempotent(accountId, args, purchase) {
+    const { ticketTypeRequests, options } = this.#splitArguments(args);
+    const key = options.getIdempotencyKey();
+
+    if (key === null) {
+      return purchase();
+    }
+
+    const previous = this.#idempotency.begin(key, this.#fingerprint(accountId, ticketTypeRequests, options));
+
+    if (previous) {
+      return previous;
+    }
+
+    let result;
+    try {
+      result = purchase();
+    } catch (error) {
+      this.#failIdempotent(key, error);
+      throw error;
+    }
+
+    if (result instanceof Promise) {
+      return result.then(
+        (order) => {
+          this.#idempotency.complete(key, order);
+          return order;
+        },
+        (error) => {
+          this.#failIdempotent(key, error);
+          throw error;
+        },
       );
     }
 
-    if (this.#ENFORCE_INFANT_ADULT_RATIO && ticketCounts.INFANT > ticketCounts.ADULT) {
-      throw new InvalidPurchaseException(
-        'Number of Infant tickets cannot exceed the number of Adult tickets (Infants sit on Adult laps)'
+    this.#idempotency.complete(key, result);
+    return result;
+  }
+
+  /**
+   * Releases the key of a purchase that failed before payment. Any later failure
+   * may have charged the account, so it is kept and replayed instead.
+   */
+  #failIdempotent(key, error) {
+    if (error instanceof PurchaseFailedException && error.outcome !== PurchaseOutcome.FAILED_BEFORE_PAYMENT) {
+      this.#idempotency.fail(key, error);
+    } else {
+      this.#idempotency.abandon(key);
+    }
+  }
+
+  #fingerprint(accountId, ticketTypeRequests, options) {
+    const payload = JSON.stringify({
+      accountId,
+      requests: ticketTypeRequests.map((request) => (request instanceof TicketTypeRequest
+        ? [request.getTicketType(), request.getNoOfTickets()]
+        : null)),
+      options: options.toFingerprint(),
+    });
+
+    return createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Validates and prices a purchase and checks the account can pay for it,
+   * giving before hooks the chance to veto it as it is requested and once it is priced.
+   */
+  #begin(accountId, args, groupBookingId = null) {
+    let prepared = null;
+
+    try {
+      this.#vet(PurchaseEventType.PURCHASE_REQUESTED, this.#requestedPayload(accountId, args));
+      this.#releaseExpiredHolds();
+      prepared = this.#prepare(accountId, args, groupBookingId);
+      this.#checkAccount(prepared);
+      this.#vet(PurchaseEventType.PURCHASE_VALIDATED, Object.freeze({ accountId, quote: prepared.quote }));
+      return prepared;
+    } catch (error) {
+      this.#emitFailure(accountId, prepared?.quote, error);
+      throw error;
+    }
+  }
+
+  async #beginAsync(accountId, args, groupBookingId = null) {
+    let prepared = null;
+
+    try {
+      await this.#vetAsync(PurchaseEventType.PURCHASE_REQUESTED, this.#requestedPayload(accountId, args));
+      this.#releaseExpiredHolds();
+      prepared = this.#prepare(accountId, args, groupBookingId);
+      this.#checkAccount(prepared);
+      await this.#vetAsync(PurchaseEventType.PURCHASE_VALIDATED, Object.freeze({ accountId, quote: prepared.quote }));
+      return prepared;
+    } catch (error) {
+      this.#emitFailure(accountId, prepared?.quote, error);
+      throw error;
+    }
+  }
+
+  #checkAccount({ quote, ruleContext }) {
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+    this.#accounts.check({ accountId: quote.accountId, amount: quote.totalAmount, now: ruleContext.now }, violations);
+    violations.throwIfAny();
+  }
+
+  #vet(type, payload) {
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+    this.#events.check(type, payload, violations);
+    violations.throwIfAny();
+    this.#events.emit(type, payload);
+  }
+
+  async #vetAsync(type, payload) {
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+    await this.#events.checkAsync(type, payload, violations);
+    violations.throwIfAny();
+    this.#events.emit(type, payload);
+  }
+
+  #requestedPayload(accountId, args) {
+    const { ticketTypeRequests, options } = this.#splitArguments(args);
+
+    return Object.freeze({ accountId, tickets: TicketService.#describeTickets(ticketTypeRequests), options });
+  }
+
+  static #describeTickets(ticketTypeRequests) {
+    return Object.freeze(ticketTypeRequests
+      .filter((request) => request instanceof TicketTypeRequest)
+      .map((request) => Object.freeze({ ticketType: request.getTicketType(), quantity: request.getNoOfTickets() })));
+  }
+
+  #emitFailure(accountId, quote, error) {
+    this.#events.emit(PurchaseEventType.PURCHASE_FAILED, Object.freeze({ accountId, quote: quote || null, error }));
+  }
+
+  /**
+   * Validates a purchase request and prices it. Shared by quote() and purchaseTickets().
+   * A group booking is checked against the group rules and gets the group rate;
+   * `group` marks one that is being requested and has no ID yet.
+   */
+  #prepare(accountId, args, groupBookingId = null, { group = groupBookingId !== null } = {}) {
+    const violations = new ViolationCollector({ failFast: !this.#collectAllViolations });
+
+    const { ticketTypeRequests, options } = this.#splitArguments(args);
+
+    this.#validateAccountId(accountId, violations);
+
+    this.#validateTicketRequestsExist(ticketTypeRequests, violations);
+
+    const ticketCounts = this.#countTicketsByType(ticketTypeRequests, violations);
+
+    const ruleContext = this.#buildRuleContext(accountId, ticketCounts);
+
+    const hold = this.#findHold(options.getHoldId(), accountId, violations);
+
+    const bookedShowing = this.#findBookedShowing(hold ? hold.showingId : options.getShowingId(), violations);
+
+    const showing = bookedShowing
+      ? bookedShowing.getDetails()
+      : this.#resolveShowing(options.getShowing(), ruleContext.now, violations);
+
+    this.#rulesFor(group).evaluate(ruleContext, violations);
+
+    const totalSeats = this.#calculateTotalSeats(ticketCounts);
+
+    const seats = hold
+      ? this.#checkHeldSeats(hold, totalSeats, violations)
+      : bookedShowing ? this.#chooseSeats(bookedShowing, options.getSeats(), totalSeats, violations) : [];
+
+    const prices = showing && this.#memberships.pricesFor(accountId, this.#priceTable.pricesFor(this.#ticketTypes, showing));
+    const lineItems = prices ? this.#buildLineItems(ticketCounts, prices) : [];
+
+    const freeTickets = this.#memberships.freeTickets({ accountId, lineItems, now: ruleContext.now });
+
+    const groupRate = group
+      ? this.#groupBookings.discountFor(lineItems, this.#calculateTotalAmount(lineItems, freeTickets))
+      : [];
+
+    const promotions = this.#promotions.apply({
+      accountId,
+      codes: options.getPromoCodes(),
+      lineItems,
+      now: ruleContext.now,
+      payable: this.#calculateTotalAmount(lineItems, [...freeTickets, ...groupRate]),
+    }, violations);
+
+    const points = this.#memberships.redeem({
+      accountId,
+      points: options.getRedeemPoints(),
+      payable: this.#calculateTotalAmount(lineItems, [...freeTickets, ...groupRate, ...promotions]),
+    }, violations);
+
+    violations.throwIfAny();
+
+    const discounts = [...freeTickets, ...groupRate, ...promotions, ...points];
+    const totalAmount = this.#calculateTotalAmount(lineItems, discounts);
+
+    const quote = Object.freeze({
+      accountId,
+      currency: this.#currency.code,
+      lineItems: Object.freeze(lineItems.map(Object.freeze)),
+      discounts: Object.freeze(discounts),
+      totalAmount,
+      ...TaxCalculator.breakdown(lineItems, totalAmount),
+      membershipTier: this.#memberships.tierFor(accountId)?.id ?? null,
+      pointsEarned: this.#memberships.pointsFor(accountId, totalAmount),
+      pointsRedeemed: points.reduce((total, discount) => total + discount.points, 0),
+      totalSeats,
+      infantCount: ruleContext.totals.lapSeated,
+      showingId: bookedShowing ? bookedShowing.getId() : null,
+      seats: Object.freeze(seats),
+    });
+
+    return { quote, ruleContext, bookedShowing, hold, groupBookingId };
+  }
+
+  #rulesFor(groupBookingId) {
+    return groupBookingId ? this.#groupBookings.getRules() : this.#rules;
+  }
+
+  #splitArguments(args) {
+    const last = args[args.length - 1];
+
+    if (last instanceof PurchaseOptions) {
+      return { ticketTypeRequests: args.slice(0, -1), options: last };
+    }
+
+    return { ticketTypeRequests: args, options: new PurchaseOptions() };
+  }
+
+  /**
+   * The showing used for pricing; a purchase with no showing time is priced as of now.
+   * A showing time must be an ISO date string or a Date.
+   */
+  #resolveShowing(showing, now, violations) {
+    const given = showing?.startsAt;
+    const startsAt = given === undefined ? now : new Date(typeof given === 'string' || given instanceof Date ? given : NaN);
+
+    if (Number.isNaN(startsAt.getTime())) {
+      violations.add(ErrorCode.INVALID_SHOWING, 'Showing start time must be a valid date', {
+        startsAt: showing.startsAt,
+      });
+      return null;
+    }
+
+    return { ...showing, startsAt };
+  }
+
+  /**
+   * Releases expired holds and waitlist offers, and offers their seats to the waitlist.
+   */
+  #releaseExpiredHolds() {
+    const released = this.#seatHolds.releaseExpired();
+    const expired = this.#waitlist.expireOffers(this.#now());
+
+    for (const showingId of new Set([...released, ...expired].map((item) => item.showingId))) {
+      this.#offerSeats(showingId);
+    }
+  }
+
+  /**
+   * Holds free seats for a showing's waitlist, in the order entries joined. Entries
+   * whose tickets no longer fit, in the seats left or under the business rules, are
+   * skipped and keep their place.
+   */
+  #offerSeats(showingId) {
+    const showing = this.#showings.get(showingId);
+
+    if (!showing) {
+      return;
+    }
+
+    for (const entry of this.#waitlist.waiting(showingId)) {
+      if (showing.findSeats(entry.totalSeats) === null || !this.#isStillAllowed(entry)) {
+        continue;
+      }
+
+      const hold = this.#seatHolds.hold(entry.accountId, showingId, { count: entry.totalSeats }, {
+        ttlSeconds: this.#waitlist.getOfferTtlSeconds(),
+      });
+      const offered = this.#waitlist.offer(entry.entryId, hold, this.#now());
+
+      this.#events.emit(PurchaseEventType.WAITLIST_OFFERED, Object.freeze({ entry: offered }));
+    }
+  }
+
+  #isStillAllowed({ accountId, tickets }) {
+    if (!tickets.every(({ ticketType }) => this.#ticketTypes.has(ticketType))) {
+      return false;
+    }
+
+    const ticketCounts = Object.fromEntries(this.#ticketTypes.names().map((ticketType) => [ticketType, 0]));
+
+    for (const { ticketType, quantity } of tickets) {
+      ticketCounts[ticketType] += quantity;
+    }
+
+    const violations = new ViolationCollector({ failFast: false });
+    this.#rules.evaluate(this.#buildRuleContext(accountId, ticketCounts), violations);
+    return !violations.hasViolations();
+  }
+
+  #findHold(holdId, accountId, violations) {
+    if (holdId === null) {
+      return null;
+    }
+
+    const hold = this.#seatHolds.peek(holdId);
+
+    if (!hold) {
+      violations.add(ErrorCode.HOLD_NOT_FOUND, `Seat hold ${holdId} does not exist or has expired`, { holdId });
+      return null;
+    }
+
+    if (hold.accountId !== accountId) {
+      violations.add(ErrorCode.HOLD_ACCOUNT_MISMATCH, `Seat hold ${holdId} belongs to another account`, { holdId });
+      return null;
+    }
+
+    return hold;
+  }
+
+  #checkHeldSeats(hold, totalSeats, violations) {
+    if (hold.seats.length !== totalSeats) {
+      violations.add(ErrorCode.SEAT_COUNT_MISMATCH, `Seat hold ${hold.holdId} is for ${hold.seats.length} seats, not ${totalSeats}`, {
+        showingId: hold.showingId,
+        requested: totalSeats,
+        selected: hold.seats.length,
+      });
+    }
+
+    return [...hold.seats];
+  }
+
+  #findBookedShowing(showingId, violations) {
+    if (showingId === null) {
+      return null;
+    }
+
+    const showing = this.#showings.get(showingId);
+
+    if (!showing) {
+      violations.add(ErrorCode.UNKNOWN_SHOWING, `Showing ${showingId} does not exist`, { showingId });
+    }
+
+    return showing || null;
+  }
+
+  /**
+   * Checks an explicit seat selection, or auto-allocates seats, without taking them.
+   */
+  #chooseSeats(showing, selectedSeats, totalSeats, violations) {
+    const showingId = showing.getId();
+
+    if (selectedSeats === null) {
+      const seats = showing.findSeats(totalSeats);
+
+      if (seats === null) {
+        violations.add(ErrorCode.SHOWING_SOLD_OUT, `Not enough seats left for showing ${showingId}`, {
+          showingId,
+          requested: totalSeats,
+          available: showing.countAvailable(),
+        });
+        return [];
+      }
+
+      return seats;
+    }
+
+    if (selectedSeats.length !== totalSeats || new Set(selectedSeats).size !== selectedSeats.length) {
+      violations.add(ErrorCode.SEAT_COUNT_MISMATCH, `Select ${totalSeats} different seats for these tickets`, {
+        showingId,
+        requested: totalSeats,
+        selected: selectedSeats.length,
+      });
+    }
+
+    const auditorium = showing.getAuditorium();
+    const unknown = selectedSeats.filter((seatId) => !auditorium.hasSeat(seatId));
+    const unavailable = selectedSeats.filter((seatId) => auditorium.hasSeat(seatId) && !showing.isAvailable(seatId));
+
+    if (unknown.length > 0) {
+      violations.add(ErrorCode.INVALID_SEAT, `Seats ${unknown.join(', ')} do not exist`, { showingId, seats: unknown });
+    }
+
+    if (unavailable.length > 0) {
+      violations.add(ErrorCode.SEAT_UNAVAILABLE, `Seats ${unavailable.join(', ')} are not available`, {
+        showingId,
+        seats: unavailable,
+      });
+    }
+
+    return [...selectedSeats];
+  }
+
+  /**
+   * Charges for a prepared purchase, reserves its seats and records the order.
+   */
+  #pay(accountId, prepared) {
+    const { totalAmount } = prepared.quote;
+
+    try {
+      this.#takePayment(accountId, totalAmount);
+
+      this.#reserveSeatsOrRefund(accountId, totalAmount, this.#seatBatches(prepared), () => this.#claimSeats(prepared));
+    } catch (error) {
+      this.#recordPurchaseFailure(prepared, error);
+      throw error;
+    }
+
+    return this.#completePurchase(accountId, prepared);
+  }
+
+  async #payAsync(accountId, prepared) {
+    const { totalAmount } = prepared.quote;
+
+    try {
+      await this.#takePaymentAsync(accountId, totalAmount);
+
+      await this.#reserveSeatsOrRefundAsync(accountId, totalAmount, this.#seatBatches(prepared), () => this.#claimSeats(prepared));
+    } catch (error) {
+      this.#recordPurchaseFailure(prepared, error);
+      throw error;
+    }
+
+    return this.#completePurchase(accountId, prepared);
+  }
+
+  /**
+   * Seats to reserve in each reserveSeat call: all at once, or in batches for a group booking.
+   */
+  #seatBatches({ quote, groupBookingId }) {
+    return groupBookingId ? this.#groupBookings.seatBatches(quote.totalSeats) : [quote.totalSeats];
+  }
+
+  #takePayment(accountId, totalAmount) {
+    try {
+      this.#metrics.timeCall('makePayment', () => this.#paymentService.makePayment(accountId, totalAmount));
+    } catch (error) {
+      throw this.#paymentFailure(accountId, totalAmount, error);
+    }
+
+    this.#emitPaymentCompleted(accountId, totalAmount);
+  }
+
+  async #takePaymentAsync(accountId, totalAmount) {
+    try {
+      await this.#resilience.execute(
+        () => this.#metrics.timeCall('makePayment', () => this.#paymentService.makePayment(accountId, totalAmount)),
+        'makePayment',
+        { idempotent: false },
       );
+    } catch (error) {
+      throw this.#paymentFailure(accountId, totalAmount, error);
+    }
+
+    this.#emitPaymentCompleted(accountId, totalAmount);
+  }
+
+  #emitPaymentCompleted(accountId, amount) {
+    this.#events.emit(PurchaseEventType.PAYMENT_COMPLETED, Object.freeze({
+      accountId,
+      amount,
+      currency: this.#currency.code,
+    }));
+  }
+
+  /**
+   * Reserves seats for a purchase that has already been paid for. If the reservation
+   * fails the payment is refunded so the customer is never charged without seats.
+   */
+  #reserveSeatsOrRefund(accountId, totalAmount, seatBatches, claimSeats) {
+    try {
+      this.#reserveSeats(accountId, seatBatches);
+      this.#claimSeatsOrRelease(accountId, seatBatches, claimSeats);
+    } catch (reservationError) {
+      try {
+        this.#metrics.timeCall('refundPayment', () => this.#paymentService.refundPayment(accountId, totalAmount));
+      } catch (refundError) {
+        throw this.#refundFailure(accountId, totalAmount, reservationError, refundError);
+      }
+
+      throw this.#reservationFailure(accountId, totalAmount, reservationError);
+    }
+  }
+
+  async #reserveSeatsOrRefundAsync(accountId, totalAmount, seatBatches, claimSeats) {
+    try {
+      await this.#reserveSeatsAsync(accountId, seatBatches);
+      await this.#claimSeatsOrReleaseAsync(accountId, seatBatches, claimSeats);
+    } catch (reservationError) {
+      try {
+        await this.#resilience.execute(
+          () => this.#metrics.timeCall('refundPayment', () => this.#paymentService.refundPayment(accountId, totalAmount)),
+          'refundPayment',
+          { idempotent: false },
+        );
+      } catch (refundError) {
+        throw this.#refundFailure(accountId, totalAmount, reservationError, refundError);
+      }
+
+      throw this.#reservationFailure(accountId, totalAmount, reservationError);
+    }
+  }
+
+  /**
+   * Makes one reserveSeat call per batch. If a call fails, the seats reserved by
+   * the calls before it are released before the failure is passed on.
+   */
+  #reserveSeats(accountId, seatBatches) {
+    let reserved = 0;
+
+    try {
+      for (const seats of seatBatches) {
+        this.#metrics.timeCall('reserveSeat', () => this.#seatReservationService.reserveSeat(accountId, seats));
+        reserved += seats;
+      }
+    } catch (reservationError) {
+      if (reserved > 0) {
+        try {
+          this.#metrics.timeCall('releaseSeat', () => this.#seatReservationService.releaseSeat(accountId, reserved));
+        } catch (releaseError) {
+          throw TicketService.#releaseFailure(reservationError, releaseError);
+        }
+      }
+
+      throw reservationError;
     }
   }
 
-  #calculateTotalAmount(ticketCounts) {
-    return (
-      ticketCounts.INFANT * this.#TICKET_PRICES.INFANT +
-      ticketCounts.CHILD * this.#TICKET_PRICES.CHILD +
-      ticketCounts.ADULT * this.#TICKET_PRICES.ADULT
+  async #reserveSeatsAsync(accountId, seatBatches) {
+    let reserved = 0;
+
+    try {
+      for (const seats of seatBatches) {
+        await this.#resilience.execute(
+          () => this.#metrics.timeCall('reserveSeat', () => this.#seatReservationService.reserveSeat(accountId, seats)),
+          'reserveSeat',
+          { idempotent: false },
+        );
+        reserved += seats;
+      }
+    } catch (reservationError) {
+      if (reserved > 0) {
+        try {
+          await this.#resilience.execute(
+            () => this.#metrics.timeCall('releaseSeat', () => this.#seatReservationService.releaseSeat(accountId, reserved)),
+            'releaseSeat',
+            { idempotent: false },
+          );
+        } catch (releaseError) {
+          throw TicketService.#releaseFailure(reservationError, releaseError);
+        }
+      }
+
+      throw reservationError;
+    }
+  }
+
+  /**
+   * Takes the reserved seats in the showing's seat map. If they have gone in the
+   * meantime, the seats reserved with the seat reservation service are released
+   * before the failure is passed on.
+   */
+  #claimSeatsOrRelease(accountId, seatBatches, claimSeats) {
+    try {
+      claimSeats();
+    } catch (claimError) {
+      const reserved = seatBatches.reduce((total, seats) => total + seats, 0);
+
+      try {
+        this.#metrics.timeCall('releaseSeat', () => this.#seatReservationService.releaseSeat(accountId, reserved));
+      } catch (releaseError) {
+        throw TicketService.#releaseFailure(claimError, releaseError);
+      }
+
+      throw claimError;
+    }
+  }
+
+  async #claimSeatsOrReleaseAsync(accountId, seatBatches, claimSeats) {
+    try {
+      claimSeats();
+    } catch (claimError) {
+      const reserved = seatBatches.reduce((total, seats) => total + seats, 0);
+
+      try {
+        await this.#resilience.execute(
+          () => this.#metrics.timeCall('releaseSeat', () => this.#seatReservationService.releaseSeat(accountId, reserved)),
+          'releaseSeat',
+          { idempotent: false },
+        );
+      } catch (releaseError) {
+        throw TicketService.#releaseFailure(claimError, releaseError);
+      }
+
+      throw claimError;
+    }
+  }
+
+  static #releaseFailure(reservationError, releaseError) {
+    return new AggregateError(
+      [reservationError, releaseError],
+      'Seat reservation failed part way and the seats already reserved could not be released',
     );
   }
 
+  /**
+   * A payment that timed out may have gone through, so it is reported as unconfirmed
+   * rather than failed.
+   */
+  #paymentFailure(accountId, totalAmount, error) {
+    if (ResiliencePolicy.isTimeout(error)) {
+      return new PurchaseFailedException('Payment timed out; the account may have been charged', {
+        outcome: PurchaseOutcome.PAYMENT_UNCONFIRMED,
+        accountId,
+        totalAmount,
+        cause: error,
+      });
+    }
+
+    return new PurchaseFailedException('Payment failed', {
+      outcome: PurchaseOutcome.FAILED_BEFORE_PAYMENT,
+      accountId,
+      totalAmount,
+      cause: error,
+    });
+  }
+
+  #reservationFailure(accountId, totalAmount, reservationError) {
+    return new PurchaseFailedException('Seat reservation failed; payment has been refunded', {
+      outcome: PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE,
+      accountId,
+      totalAmount,
+      cause: reservationError,
+    });
+  }
+
+  #refundFailure(accountId, totalAmount, reservationError, refundError) {
+    return new PurchaseFailedException('Seat reservation failed and the payment could not be refunded', {
+      outcome: PurchaseOutcome.REFUND_FAILED,
+      accountId,
+      totalAmount,
+      cause: new AggregateError([reservationError, refundError]),
+    });
+  }
+
+  /**
+   * Takes the purchased seats in the showing's seat map, or ends the hold that already has them,
+   * once the seat reservation service has reserved them. A hold may have expired while an
+   * asynchronous purchase waited for payment, and its seats been sold to someone else.
+   */
+  #claimSeats({ quote, bookedShowing, hold }) {
+    if (hold) {
+      if (this.#seatHolds.peek(hold.holdId)?.accountId !== quote.accountId) {
+        throw new Error(`Seat hold ${hold.holdId} expired before the purchase completed`);
+      }
+
+      this.#seatHolds.complete(hold.holdId);
+    } else {
+      bookedShowing?.take(quote.seats);
+    }
+
+    this.#events.emit(PurchaseEventType.SEATS_RESERVED, Object.freeze({
+      accountId: quote.accountId,
+      totalSeats: quote.totalSeats,
+      showingId: quote.showingId,
+      seats: quote.seats,
+    }));
+  }
+
+  #completePurchase(accountId, { quote, ruleContext, hold, groupBookingId }) {
+    const {
+      currency, lineItems, discounts, totalAmount, netAmount, taxAmount, taxes,
+      membershipTier, pointsEarned, pointsRedeemed, totalSeats, infantCount, showingId, seats,
+    } = quote;
+
+    this.#rulesFor(groupBookingId).recordPurchase(ruleContext);
+
+    this.#promotions.recordUsage(accountId, discounts);
+
+    this.#accounts.recordPurchase({ accountId, amount: totalAmount, now: ruleContext.now });
+
+    this.#memberships.recordPurchase({ accountId, discounts, pointsEarned, pointsRedeemed, now: ruleContext.now });
+
+    const order = new PurchaseOrder({
+      orderId: this.#generateOrderId(),
+      accountId,
+      currency,
+      lineItems,
+      discounts,
+      totalAmount,
+      netAmount,
+      taxAmount,
+      taxes,
+      membershipTier,
+      pointsEarned,
+      pointsRedeemed,
+      totalSeats,
+      infantCount,
+      showingId,
+      seats,
+      groupBookingId,
+      timestamp: ruleContext.now.toISOString(),
+      outcome: PurchaseOutcome.SUCCEEDED,
+    });
+
+    if (hold) {
+      this.#waitlist.recordPurchase(hold.holdId, { orderId: order.orderId, now: ruleContext.now });
+    }
+
+    this.#orders.record({
+      type: LedgerEntryType.PURCHASE,
+      timestamp: order.timestamp,
+      accountId,
+      orderId: order.orderId,
+      showingId,
+      amount: totalAmount,
+      order,
+      refund: null,
+      failure: null,
+    });
+
+    this.#metrics.recordPurchase(order);
+
+    this.#events.emit(PurchaseEventType.PURCHASE_COMPLETED, Object.freeze({ order }));
+
+    return order;
+  }
+
+  /**
+   * Records a purchase that passed validation but failed at the payment or
+   * seat reservation step, with the quote that was being paid for.
+   */
+  #recordPurchaseFailure({ quote, ruleContext }, error) {
+    this.#orders.record({
+      type: LedgerEntryType.PURCHASE_FAILED,
+      timestamp: ruleContext.now.toISOString(),
+      accountId: quote.accountId,
+      orderId: null,
+      showingId: quote.showingId,
+      amount: quote.totalAmount,
+      order: null,
+      refund: null,
+      failure: { outcome: error.outcome, message: error.message, quote },
+    });
+
+    this.#metrics.recordFailure(error.outcome);
+
+    this.#emitFailure(quote.accountId, quote, error);
+  }
+
+  #validateAccountId(accountId, violations) {
+    if (!Number.isInteger(accountId) || accountId <= 0) {
+      violations.add(ErrorCode.INVALID_ACCOUNT, 'Account ID must be a positive integer', { accountId });
+    }
+  }
+
+  #validateTicketRequestsExist(ticketTypeRequests, violations) {
+    if (!ticketTypeRequests || ticketTypeRequests.length === 0) {
+      violations.add(ErrorCode.NO_REQUESTS, 'At least one ticket type request must be provided');
+    }
+  }
+
+  #countTicketsByType(ticketTypeRequests, violations) {
+    const counts = Object.fromEntries(this.#ticketTypes.names().map((ticketType) => [ticketType, 0]));
+
+    ticketTypeRequests.forEach((request, index) => {
+      if (!(request instanceof TicketTypeRequest)) {
+        violations.add(ErrorCode.INVALID_REQUEST, 'Invalid ticket type request', { index });
+        return;
+      }
+
+      const ticketType = request.getTicketType();
+      const numberOfTickets = request.getNoOfTickets();
+
+      if (!this.#ticketTypes.has(ticketType)) {
+        violations.add(ErrorCode.UNKNOWN_TICKET_TYPE, `Ticket type ${ticketType} is not available`, {
+          index,
+          ticketType,
+        });
+        return;
+      }
+
+      if (numberOfTickets <= 0) {
+        violations.add(ErrorCode.INVALID_TICKET_COUNT, 'Number of tickets must be greater than zero', {
+          index,
+          ticketType,
+          requested: numberOfTickets,
+        });
+        return;
+      }
+
+      counts[ticketType] += numberOfTickets;
+    });
+
+    return counts;
+  }
+
+  #buildRuleContext(accountId, ticketCounts) {
+    return Object.freeze({
+      accountId,
+      ticketCounts: Object.freeze({ ...ticketCounts }),
+      ticketTypes: this.#ticketTypes,
+      now: this.#now(),
+      totals: Object.freeze({
+        tickets: this.#sumWhere(ticketCounts, () => true),
+        supervisors: this.#sumWhere(ticketCounts, (type) => type.countsAsAdult),
+        supervised: this.#sumWhere(ticketCounts, (type) => type.requiresAdult),
+        lapSeated: this.#sumWhere(ticketCounts, (type) => type.sitsOnLap),
+      }),
+    });
+  }
+
+  #calculateTotalAmount(lineItems, discounts) {
+    const subtotal = lineItems.reduce((total, { subtotal: lineSubtotal }) => total + lineSubtotal, 0);
+    return subtotal - discounts.reduce((total, { amount }) => total + amount, 0);
+  }
+
+  #buildLineItems(ticketCounts, prices) {
+    return this.#ticketTypes.names()
+      .filter((ticketType) => ticketCounts[ticketType] > 0)
+      .map((ticketType) => ({
+        ticketType,
+        quantity: ticketCounts[ticketType],
+        unitPrice: prices[ticketType].unitPrice,
+        subtotal: ticketCounts[ticketType] * prices[ticketType].unitPrice,
+        taxRate: this.#taxes.rateFor(ticketType),
+      }));
+  }
+
   #calculateTotalSeats(ticketCounts) {
-    return ticketCounts.CHILD + ticketCounts.ADULT;
+    return this.#sumWhere(ticketCounts, (type) => type.occupiesSeat);
+  }
+
+  #sumWhere(ticketCounts, predicate) {
+    return this.#ticketTypes.all()
+      .filter(predicate)
+      .reduce((total, { name }) => total + (ticketCounts[name] || 0), 0);
   }
-}
\ No newline at end of file
+}
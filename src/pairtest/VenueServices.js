@@ -0,0 +1,262 @@
+import { unwatchFile, watchFile } from 'fs';
+import TicketService from './TicketService.js';
+import defaultConfig from './lib/config.js';
+import VenueProfiles from './lib/config/VenueProfiles.js';
+import RuleEngine from './lib/rules/RuleEngine.js';
+import PromotionCatalogue from './lib/promotions/PromotionCatalogue.js';
+import ShowingCatalogue from './lib/showings/ShowingCatalogue.js';
+import SeatHoldService from './lib/holds/SeatHoldService.js';
+import IdempotencyService from './lib/idempotency/IdempotencyService.js';
+import InMemoryOrderRepository from './lib/orders/InMemoryOrderRepository.js';
+import JsonLinesOrderRepository from './lib/orders/JsonLinesOrderRepository.js';
+import AuditLogger from './lib/observability/AuditLogger.js';
+import AccountService from './lib/accounts/AccountService.js';
+import MembershipScheme from './lib/loyalty/MembershipScheme.js';
+import GroupBookingService from './lib/groups/GroupBookingService.js';
+import WaitlistService from './lib/waitlist/WaitlistService.js';
+import PurchaseMetrics from './lib/observability/PurchaseMetrics.js';
+
+/**
+ * A TicketService per venue, built from the venue profiles in the venues file
+ * and rebuilt when that file changes.
+ *
+ * A reload validates the whole file and builds every service before swapping
+ * them in, so a bad edit leaves the running configuration untouched. Calls
+ * already in progress keep the service they started with; look services up
+ * with get() for each request rather than holding on to them.
+ *
+ * Components that hold state (seat maps, holds, waitlists, idempotency keys, the
+ * order ledger, rule and promo code counters) carry over to the new service unless
+ * the settings they are built from changed.
+ */
+export default class VenueServices {
+  #venuesFile;
+
+  #baseConfig;
+
+  #paymentService;
+
+  #seatReservationService;
+
+  #now;
+
+  #events;
+
+  #accounts;
+
+  #memberships;
+
+  #audit;
+
+  #metrics;
+
+  #watchFile;
+
+  #unwatchFile;
+
+  #onReload;
+
+  #onError;
+
+  #listener = null;
+
+  #venues = new Map();
+
+  #ledgers = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.venuesFile] - Defaults to VENUES_FILE
+   * @param {import('./lib/config/Config.js').default} [options.baseConfig] - Settings venues override
+   * @param {object} [options.paymentService] - Shared by every venue
+   * @param {object} [options.seatReservationService] - Shared by every venue
+   * @param {() => Date} [options.now]
+   * @param {import('./lib/events/PurchaseEventBus.js').default} [options.events] - Purchase events of every venue
+   * @param {AccountService} [options.accounts] - Customer accounts, shared by every venue; built from the base config by default
+   * @param {MembershipScheme} [options.memberships] - Members and their points, shared by every venue; built from the base config by default
+   * @param {AuditLogger} [options.audit] - Audit log of every venue; built from the base config by default
+   * @param {PurchaseMetrics} [options.metrics] - Metrics of every venue, counted together
+   * @param {(venueIds: string[]) => void} [options.onReload] - Called after a successful reload
+   * @param {(error: Error) => void} [options.onError] - Called when a reload is rejected
+   * @throws {import('./lib/config/ConfigValidationError.js').default} - If the venues file is invalid at start-up
+   */
+  constructor({
+    venuesFile = defaultConfig.venuesFile,
+    baseConfig = defaultConfig,
+    paymentService,
+    seatReservationService,
+    now = () => new Date(),
+    events,
+    accounts = AccountService.fromConfig(baseConfig),
+    memberships = MembershipScheme.fromConfig(baseConfig),
+    audit = AuditLogger.fromConfig(baseConfig, { now }),
+    metrics = new PurchaseMetrics(),
+    watchFile: watch = watchFile,
+    unwatchFile: unwatch = unwatchFile,
+    onReload = () => {},
+    onError = () => {},
+  } = {}) {
+    if (typeof venuesFile !== 'string' || venuesFile === '') {
+      throw new TypeError('venuesFile must be set');
+    }
+
+    this.#venuesFile = venuesFile;
+    this.#baseConfig = baseConfig;
+    this.#paymentService = paymentService;
+    this.#seatReservationService = seatReservationService;
+    this.#now = now;
+    this.#events = events;
+    this.#accounts = accounts;
+    this.#memberships = memberships;
+    this.#audit = audit;
+    this.#metrics = metrics;
+    this.#watchFile = watch;
+    this.#unwatchFile = unwatch;
+    this.#onReload = onReload;
+    this.#onError = onError;
+    this.#venues = this.#load();
+  }
+
+  /**
+   * @param {string} venueId
+   * @returns {?TicketService} - The venue's current service
+   */
+  get(venueId) {
+    return this.#venues.get(venueId)?.service || null;
+  }
+
+  /**
+   * @param {string} venueId
+   * @returns {?import('./lib/config/Config.js').default} - The venue's current settings
+   */
+  getConfig(venueId) {
+    return this.#venues.get(venueId)?.config || null;
+  }
+
+  /**
+   * @returns {PurchaseMetrics} - The metrics shared by every venue
+   */
+  getMetrics() {
+    return this.#metrics;
+  }
+
+  venueIds() {
+    return [...this.#venues.keys()];
+  }
+
+  /**
+   * Re-read the venues file and swap in the new services if it is valid.
+   * @returns {boolean} - Whether the new configuration was applied
+   */
+  reload() {
+    try {
+      this.#venues = this.#load();
+    } catch (error) {
+      this.#onError(error);
+      return false;
+    }
+
+    this.#onReload(this.venueIds());
+    return true;
+  }
+
+  /**
+   * Reload whenever the venues file changes.
+   * @param {{intervalMs?: number}} [options] - How often to check the file
+   */
+  watch({ intervalMs = 1000 } = {}) {
+    if (this.#listener) {
+      return;
+    }
+
+    this.#listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    };
+
+    this.#watchFile(this.#venuesFile, { interval: intervalMs, persistent: false }, this.#listener);
+  }
+
+  close() {
+    if (this.#listener) {
+      this.#unwatchFile(this.#venuesFile, this.#listener);
+      this.#listener = null;
+    }
+  }
+
+  #load() {
+    const profiles = VenueProfiles.fromFile(this.#venuesFile, this.#baseConfig);
+
+    return new Map(profiles.ids().map((venueId) => [
+      venueId,
+      this.#buildVenue(profiles.get(venueId), this.#venues.get(venueId)),
+    ]));
+  }
+
+  #buildVenue(config, previous) {
+    if (previous && JSON.stringify(previous.config.toObject()) === JSON.stringify(config.toObject())) {
+      return previous;
+    }
+
+    const components = this.#buildComponents(config, previous);
+    const service = new TicketService(this.#paymentService, this.#seatReservationService, {
+      config,
+      now: this.#now,
+      events: this.#events,
+      accounts: this.#accounts,
+      memberships: this.#memberships,
+      audit: this.#audit,
+      metrics: this.#metrics,
+      ...components,
+    });
+
+    return { config, components, service };
+  }
+
+  /**
+   * Stateful components, reused from the previous service when their settings are unchanged.
+   */
+  #buildComponents(config, previous) {
+    const keep = (name, keys, build) => {
+      const unchanged = previous
+        && keys.every((key) => JSON.stringify(previous.config[key]) === JSON.stringify(config[key]));
+      return unchanged ? previous.components[name] : build();
+    };
+
+    const showings = keep('showings', ['showingsFile'], () => ShowingCatalogue.fromConfig(config));
+
+    return {
+      showings,
+      seatHolds: keep('seatHolds', ['showingsFile', 'seatHoldTtlSeconds'], () => new SeatHoldService({
+        showings,
+        now: this.#now,
+        ttlSeconds: config.seatHoldTtlSeconds,
+      })),
+      idempotency: keep('idempotency', ['idempotencyKeyTtlSeconds'], () => new IdempotencyService({
+        now: this.#now,
+        ttlSeconds: config.idempotencyKeyTtlSeconds,
+      })),
+      orders: keep('orders', ['orderLedgerFile'], () => this.#ledger(config.orderLedgerFile)),
+      rules: keep('rules', ['rulesFile', 'maxTickets', 'enforceInfantAdultRatio'], () => RuleEngine.fromConfig(config)),
+      promotions: keep('promotions', ['promoCodesFile', 'currency', 'locale'], () => PromotionCatalogue.fromConfig(config)),
+      groupBookings: keep('groupBookings', ['groupBookingsFile', 'enforceInfantAdultRatio'], () => GroupBookingService.fromConfig(config)),
+      waitlist: keep('waitlist', ['showingsFile', 'waitlistOfferTtlSeconds'], () => WaitlistService.fromConfig(config)),
+    };
+  }
+
+  /**
+   * Venues that name the same ledger file share one repository.
+   */
+  #ledger(path) {
+    if (!path) {
+      return new InMemoryOrderRepository();
+    }
+
+    if (!this.#ledgers.has(path)) {
+      this.#ledgers.set(path, new JsonLinesOrderRepository({ path }));
+    }
+
+    return this.#ledgers.get(path);
+  }
+}
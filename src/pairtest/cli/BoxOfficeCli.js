@@ -0,0 +1,378 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import InvalidPurchaseException from '../lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../lib/PurchaseFailedException.js';
+import PurchaseRequestParser from '../lib/PurchaseRequestParser.js';
+import OrderSerializer from '../lib/OrderSerializer.js';
+import Currency from '../lib/money/Currency.js';
+import defaultConfig from '../lib/config.js';
+import defaultTicketTypes from '../lib/ticketTypes.js';
+
+const EXIT_OK = 0;
+const EXIT_REJECTED = 1;
+const EXIT_USAGE = 2;
+
+const CSV_OPTION_COLUMNS = ['showingId', 'holdId', 'idempotencyKey'];
+const CSV_LIST_COLUMNS = ['seats', 'promoCodes'];
+
+/**
+ * Box-office command line: quote, validate and buy baskets, and replay batches
+ * of purchases from a file. run() returns the process exit code: 0 on success,
+ * 1 when a purchase is rejected or fails, or an unexpected error occurs, 2 for
+ * usage errors.
+ */
+export default class BoxOfficeCli {
+  #ticketService;
+
+  #ticketTypes;
+
+  #currency;
+
+  #stdout;
+
+  #stderr;
+
+  #readFile;
+
+  /**
+   * @param {object} options
+   * @param {import('../TicketService.js').default} options.ticketService
+   * @param {import('../lib/TicketTypeRegistry.js').default} [options.ticketTypes] - Types offered as --<type> flags
+   * @param {Currency} [options.currency] - How amounts are printed
+   * @param {{write: (text: string) => void}} [options.stdout]
+   * @param {{write: (text: string) => void}} [options.stderr]
+   * @param {(path: string) => string} [options.readFile] - Reads batch files for replay
+   */
+  constructor({
+    ticketService,
+    ticketTypes = defaultTicketTypes,
+    currency = Currency.fromConfig(defaultConfig),
+    stdout = process.stdout,
+    stderr = process.stderr,
+    readFile = (path) => readFileSync(path, 'utf8'),
+  }) {
+    this.#ticketService = ticketService;
+    this.#ticketTypes = ticketTypes;
+    this.#currency = currency;
+    this.#stdout = stdout;
+    this.#stderr = stderr;
+    this.#readFile = readFile;
+  }
+
+  /**
+   * @param {string[]} argv - Arguments after the program name
+   * @returns {number} - Exit code
+   */
+  run(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: this.#optionDefinitions(), allowPositionals: true });
+    } catch (error) {
+      return this.#usageError(error.message);
+    }
+
+    const { values, positionals: [command, ...operands] } = parsed;
+
+    if (values.help || command === undefined || command === 'help') {
+      this.#print(this.#usage());
+      return EXIT_OK;
+    }
+
+    switch (command) {
+      case 'quote':
+        return this.#quote(values);
+      case 'validate':
+        return this.#validate(values);
+      case 'buy':
+        return this.#buy(values);
+      case 'replay':
+        return operands.length === 1 ? this.#replay(operands[0], values) : this.#usageError('replay needs one file');
+      default:
+        return this.#usageError(`Unknown command: ${command}`);
+    }
+  }
+
+  #quote(values) {
+    return this.#attempt(values, () => {
+      const quote = this.#ticketService.quote(...this.#basketArguments(values));
+
+      this.#print(values.json ? JSON.stringify(quote, null, 2) : this.#formatQuote(quote));
+    });
+  }
+
+  #validate(values) {
+    return this.#attempt(values, () => {
+      this.#ticketService.quote(...this.#basketArguments(values));
+
+      this.#print(values.json ? JSON.stringify({ valid: true }) : '✅ Basket is valid');
+    });
+  }
+
+  #buy(values) {
+    return this.#attempt(values, () => {
+      const order = this.#ticketService.purchaseTickets(...this.#basketArguments(values));
+
+      this.#print(values.json ? JSON.stringify(order, null, 2) : OrderSerializer.toReceipt(order, { locale: this.#currency.locale }));
+    });
+  }
+
+  #replay(path, values) {
+    let baskets;
+    try {
+      baskets = this.#readBatch(path);
+    } catch (error) {
+      return this.#usageError(`Cannot read ${path}: ${error.message}`);
+    }
+
+    const results = baskets.map((basket, index) => this.#replayOne(basket, index + 1));
+    const summary = BoxOfficeCli.#summarise(results);
+
+    if (values.json) {
+      this.#print(JSON.stringify({ summary, results }, null, 2));
+    } else {
+      results.forEach((result) => this.#print(this.#formatResult(result)));
+      this.#print(BoxOfficeCli.#formatSummary(summary));
+    }
+
+    return summary.succeeded === summary.total ? EXIT_OK : EXIT_REJECTED;
+  }
+
+  #replayOne(basket, row) {
+    try {
+      const { accountId, ticketTypeRequests, options } = PurchaseRequestParser.parse(basket);
+      const order = this.#ticketService.purchaseTickets(accountId, ...ticketTypeRequests, options);
+
+      return { row, status: 'SUCCEEDED', accountId, orderId: order.orderId, totalAmount: order.totalAmount };
+    } catch (error) {
+      if (error instanceof InvalidPurchaseException) {
+        return { row, status: 'REJECTED', accountId: basket?.accountId, code: error.code, message: error.message };
+      }
+
+      if (error instanceof PurchaseFailedException) {
+        return { row, status: 'FAILED', accountId: basket?.accountId, code: error.outcome, message: error.message };
+      }
+
+      return { row, status: 'FAILED', accountId: basket?.accountId, code: 'INTERNAL_ERROR', message: error.message };
+    }
+  }
+
+  /**
+   * Runs a single-basket command, reporting rejections, third-party failures and
+   * unexpected errors.
+   */
+  #attempt(values, command) {
+    try {
+      command();
+      return EXIT_OK;
+    } catch (error) {
+      if (error instanceof InvalidPurchaseException) {
+        const { code, message, details, violations } = error;
+        this.#reportError(values, { code, message, details, violations }, violations
+          .map((violation) => `❌ ${violation.code}: ${violation.message}`));
+        return EXIT_REJECTED;
+      }
+
+      if (error instanceof PurchaseFailedException) {
+        const { message, outcome } = error;
+        this.#reportError(values, { code: 'PURCHASE_FAILED', message, outcome }, [`❌ ${outcome}: ${message}`]);
+        return EXIT_REJECTED;
+      }
+
+      this.#reportError(values, { code: 'INTERNAL_ERROR', message: error.message }, [`❌ INTERNAL_ERROR: ${error.message}`]);
+      return EXIT_REJECTED;
+    }
+  }
+
+  #reportError(values, error, lines) {
+    if (values.json) {
+      this.#print(JSON.stringify({ error }, null, 2));
+    } else {
+      lines.forEach((line) => this.#stderr.write(`${line}\n`));
+    }
+  }
+
+  /**
+   * The quote()/purchaseTickets() arguments described by the basket flags.
+   */
+  #basketArguments(values) {
+    const tickets = this.#ticketTypes.names()
+      .filter((ticketType) => values[ticketType.toLowerCase()] !== undefined)
+      .map((ticketType) => ({ type: ticketType, quantity: Number(values[ticketType.toLowerCase()]) }));
+
+    const options = {};
+    if (values.showing !== undefined) options.showingId = values.showing;
+    if (values.seats !== undefined) options.seats = BoxOfficeCli.#splitList(values.seats, ',');
+    if (values.promo !== undefined) options.promoCodes = values.promo;
+    if (values.hold !== undefined) options.holdId = values.hold;
+    if (values.points !== undefined) options.redeemPoints = Number(values.points);
+
+    const accountId = values.account === undefined ? undefined : Number(values.account);
+    const { ticketTypeRequests, options: purchaseOptions } = PurchaseRequestParser.parse({ accountId, tickets, options });
+
+    return [accountId, ...ticketTypeRequests, purchaseOptions];
+  }
+
+  /**
+   * Baskets from a JSON file shaped `{ "purchases": [...] }` or a CSV file with a header row.
+   */
+  #readBatch(path) {
+    const text = this.#readFile(path);
+
+    if (extname(path).toLowerCase() === '.csv') {
+      return this.#parseCsv(text);
+    }
+
+    const { purchases } = JSON.parse(text);
+    if (!Array.isArray(purchases)) {
+      throw new Error('expected { "purchases": [...] }');
+    }
+
+    return purchases;
+  }
+
+  /**
+   * CSV columns: accountId, one column per ticket type, and optionally showingId,
+   * holdId, idempotencyKey, and space-separated seats and promoCodes. Cells may
+   * not contain commas.
+   */
+  #parseCsv(text) {
+    const [header, ...rows] = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+    const columns = header.split(',').map((column) => column.trim());
+    const ticketColumns = new Map(this.#ticketTypes.names().map((ticketType) => [ticketType.toLowerCase(), ticketType]));
+
+    const unknown = columns.filter((column) => column !== 'accountId'
+      && !ticketColumns.has(column.toLowerCase())
+      && !CSV_OPTION_COLUMNS.includes(column)
+      && !CSV_LIST_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`unknown CSV columns: ${unknown.join(', ')}`);
+    }
+
+    return rows.map((line) => {
+      const cells = line.split(',').map((cell) => cell.trim());
+      const basket = { tickets: [], options: {} };
+
+      columns.forEach((column, index) => {
+        const cell = cells[index];
+        if (cell === undefined || cell === '') {
+          return;
+        }
+
+        if (column === 'accountId') {
+          basket.accountId = Number(cell);
+        } else if (ticketColumns.has(column.toLowerCase())) {
+          basket.tickets.push({ type: ticketColumns.get(column.toLowerCase()), quantity: Number(cell) });
+        } else if (CSV_LIST_COLUMNS.includes(column)) {
+          basket.options[column] = BoxOfficeCli.#splitList(cell, ' ');
+        } else {
+          basket.options[column] = cell;
+        }
+      });
+
+      return basket;
+    });
+  }
+
+  #optionDefinitions() {
+    const ticketOptions = this.#ticketTypes.names()
+      .map((ticketType) => [ticketType.toLowerCase(), { type: 'string' }]);
+
+    return {
+      ...Object.fromEntries(ticketOptions),
+      account: { type: 'string' },
+      showing: { type: 'string' },
+      seats: { type: 'string' },
+      promo: { type: 'string', multiple: true },
+      hold: { type: 'string' },
+      points: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    };
+  }
+
+  #formatQuote(quote) {
+    const money = (amount) => this.#currency.format(amount);
+    const lines = quote.lineItems.map(({ ticketType, quantity, unitPrice, subtotal }) => `${ticketType} ${quantity} x ${money(unitPrice)} = ${money(subtotal)}`);
+
+    quote.discounts.forEach(({ code, description, amount }) => lines.push(`${code} ${description} -${money(amount)}`));
+
+    lines.push(`TOTAL ${money(quote.totalAmount)} (VAT ${money(quote.taxAmount)})`, `Seats: ${quote.totalSeats}`);
+
+    if (quote.showingId) {
+      lines.push(`Showing: ${quote.showingId} (${quote.seats.join(', ')})`);
+    }
+
+    return lines.join('\n');
+  }
+
+  #formatResult({ row, status, orderId, totalAmount, code, message }) {
+    return status === 'SUCCEEDED'
+      ? `Row ${row}: ✅ ${orderId} ${this.#currency.format(totalAmount)}`
+      : `Row ${row}: ❌ ${code}: ${message}`;
+  }
+
+  static #formatSummary({ total, succeeded, rejected, failed, reasons }) {
+    const lines = [`\n${succeeded}/${total} purchases succeeded, ${rejected} rejected, ${failed} failed`];
+
+    Object.entries(reasons).forEach(([code, count]) => lines.push(`  ${code}: ${count}`));
+
+    return lines.join('\n');
+  }
+
+  static #summarise(results) {
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const reasons = {};
+
+    results.filter(({ status }) => status !== 'SUCCEEDED').forEach(({ code }) => {
+      reasons[code] = (reasons[code] || 0) + 1;
+    });
+
+    return {
+      total: results.length,
+      succeeded: count('SUCCEEDED'),
+      rejected: count('REJECTED'),
+      failed: count('FAILED'),
+      reasons,
+    };
+  }
+
+  static #splitList(value, separator) {
+    return value.split(separator).map((item) => item.trim()).filter((item) => item !== '');
+  }
+
+  #usage() {
+    const ticketFlags = this.#ticketTypes.names().map((ticketType) => `--${ticketType.toLowerCase()} <n>`).join(' ');
+
+    return [
+      'Usage: tickets <command> [options]',
+      '',
+      'Commands:',
+      '  quote           Price a basket',
+      '  validate        Check a basket against the business rules',
+      '  buy             Purchase a basket and print the receipt',
+      '  replay <file>   Purchase every basket in a .json or .csv file and summarise the results',
+      '',
+      'Basket options:',
+      '  --account <id>  Account making the purchase',
+      `  ${ticketFlags}`,
+      '  --showing <id>  Showing to book',
+      '  --seats <A1,A2> Seats to book in the showing',
+      '  --promo <code>  Promo code to apply; may be repeated',
+      '  --hold <id>     Seat hold to confirm',
+      '  --points <n>    Loyalty points to redeem',
+      '',
+      'Output:',
+      '  --json          Machine-readable JSON instead of text',
+    ].join('\n');
+  }
+
+  #usageError(message) {
+    this.#stderr.write(`${message}\n\n${this.#usage()}\n`);
+    return EXIT_USAGE;
+  }
+
+  #print(text) {
+    this.#stdout.write(`${text}\n`);
+  }
+}
@@ -0,0 +1,435 @@
+import { randomUUID } from 'crypto';
+import { createServer } from 'http';
+import PurchaseRequestParser from '../lib/PurchaseRequestParser.js';
+import InvalidPurchaseException from '../lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../lib/PurchaseFailedException.js';
+import ErrorCode from '../lib/ErrorCode.js';
+import defaultConfig from '../lib/config.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP status for each InvalidPurchaseException code; anything not listed is 422.
+ */
+const STATUS_BY_CODE = new Map([
+  [ErrorCode.INVALID_ACCOUNT, 400],
+  [ErrorCode.NO_REQUESTS, 400],
+  [ErrorCode.INVALID_REQUEST, 400],
+  [ErrorCode.UNKNOWN_TICKET_TYPE, 400],
+  [ErrorCode.INVALID_TICKET_COUNT, 400],
+  [ErrorCode.UNKNOWN_SHOWING, 404],
+  [ErrorCode.HOLD_NOT_FOUND, 404],
+  [ErrorCode.ORDER_NOT_FOUND, 404],
+  [ErrorCode.GROUP_BOOKING_NOT_FOUND, 404],
+  [ErrorCode.WAITLIST_ENTRY_NOT_FOUND, 404],
+  [ErrorCode.ACCOUNT_NOT_FOUND, 404],
+  [ErrorCode.INSUFFICIENT_FUNDS, 402],
+  [ErrorCode.ACCOUNT_SUSPENDED, 403],
+  [ErrorCode.NOT_A_MEMBER, 403],
+  [ErrorCode.SHOWING_SOLD_OUT, 409],
+  [ErrorCode.SEAT_UNAVAILABLE, 409],
+  [ErrorCode.ORDER_CANCELLED, 409],
+  [ErrorCode.IDEMPOTENCY_KEY_CONFLICT, 409],
+  [ErrorCode.IDEMPOTENCY_KEY_IN_USE, 409],
+  [ErrorCode.GROUP_BOOKING_NOT_PENDING, 409],
+  [ErrorCode.SEATS_AVAILABLE, 409],
+  [ErrorCode.ALREADY_ON_WAITLIST, 409],
+  [ErrorCode.WAITLIST_ENTRY_CLOSED, 409],
+  [ErrorCode.PURCHASE_RATE_EXCEEDED, 429],
+  [ErrorCode.SPENDING_RATE_EXCEEDED, 429],
+]);
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const LEDGER_QUERY_FIELDS = ['showingId', 'orderId', 'type', 'from', 'to'];
+
+const WAITLIST_QUERY_FIELDS = ['showingId', 'status'];
+
+const GROUP_BOOKING_DECISION_FIELDS = { approve: ['approvedBy'], reject: ['rejectedBy', 'reason'] };
+
+/**
+ * JSON-over-HTTP front end for a TicketService.
+ *
+ * handle() maps a parsed request to a response and can be called directly;
+ * createServer() wraps it in a Node HTTP server.
+ *
+ *   GET  /health            liveness check
+ *   GET  /config            the loaded configuration
+ *   POST /quotes            price a basket
+ *   POST /purchases         buy tickets; honours the Idempotency-Key header
+ *   GET  /orders/:orderId   the latest version of an order
+ *   GET  /ledger            order ledger entries, filtered by query parameters
+ *   POST /group-bookings    ask for a group booking; it waits for approval
+ *   GET  /group-bookings    group bookings, filtered by `status` and `accountId`
+ *   GET  /group-bookings/:bookingId
+ *   POST /group-bookings/:bookingId/approve   buy the booking; body `{ approvedBy? }`
+ *   POST /group-bookings/:bookingId/reject    body `{ rejectedBy?, reason? }`
+ *   POST /waitlist          wait for seats in the sold-out showing named by `options.showingId`
+ *   GET  /waitlist          waitlist entries, filtered by `showingId`, `accountId` and `status`
+ *   GET  /waitlist/:entryId
+ *   POST /waitlist/:entryId/leave
+ *   GET  /metrics           purchase metrics in the Prometheus text format, when given `metrics`
+ *
+ * Quote, purchase, group booking and waitlist bodies are `{ accountId, tickets: [{ type, quantity }], options? }`
+ * where options are passed to PurchaseOptions.
+ *
+ * A purchase is audited under the request's X-Correlation-ID header, or a new
+ * ID when there is none; either way the response carries it back in that header.
+ */
+export default class TicketApi {
+  #ticketService;
+
+  #config;
+
+  #metrics;
+
+  #generateCorrelationId;
+
+  #onError;
+
+  #routes;
+
+  /**
+   * @param {object} options
+   * @param {import('../TicketService.js').default} options.ticketService
+   * @param {{toObject: () => object}} [options.config] - Configuration shown by GET /config
+   * @param {{toPrometheus: () => string}} [options.metrics] - The service's PurchaseMetrics, served by GET /metrics
+   * @param {() => string} [options.generateCorrelationId] - For purchases without an X-Correlation-ID header
+   * @param {(error: Error) => void} [options.onError] - Told about unexpected errors answered with a 500
+   */
+  constructor({
+    ticketService,
+    config = defaultConfig,
+    metrics = null,
+    generateCorrelationId = randomUUID,
+    onError = (error) => console.error(error),
+  }) {
+    this.#ticketService = ticketService;
+    this.#config = config;
+    this.#metrics = metrics;
+    this.#generateCorrelationId = generateCorrelationId;
+    this.#onError = onError;
+    this.#routes = [
+      { method: 'GET', pattern: /^\/health$/, handler: () => ({ status: 200, body: { status: 'ok' } }) },
+      { method: 'GET', pattern: /^\/config$/, handler: () => ({ status: 200, body: this.#config.toObject() }) },
+      { method: 'POST', pattern: /^\/quotes$/, handler: (request) => this.#quote(request) },
+      { method: 'POST', pattern: /^\/purchases$/, correlated: true, handler: (request) => this.#purchase(request) },
+      { method: 'GET', pattern: /^\/orders\/([^/]+)$/, handler: (request, orderId) => this.#getOrder(orderId) },
+      { method: 'GET', pattern: /^\/ledger$/, handler: (request) => this.#findLedgerEntries(request) },
+      { method: 'POST', pattern: /^\/group-bookings$/, handler: (request) => this.#requestGroupBooking(request) },
+      { method: 'GET', pattern: /^\/group-bookings$/, handler: (request) => this.#findGroupBookings(request) },
+      { method: 'GET', pattern: /^\/group-bookings\/([^/]+)$/, handler: (request, bookingId) => this.#getGroupBooking(bookingId) },
+      {
+        method: 'POST',
+        pattern: /^\/group-bookings\/([^/]+)\/(approve|reject)$/,
+        handler: (request, bookingId, decision) => this.#decideGroupBooking(request, bookingId, decision),
+      },
+      { method: 'POST', pattern: /^\/waitlist$/, handler: (request) => this.#joinWaitlist(request) },
+      { method: 'GET', pattern: /^\/waitlist$/, handler: (request) => this.#findWaitlistEntries(request) },
+      { method: 'GET', pattern: /^\/waitlist\/([^/]+)$/, handler: (request, entryId) => this.#getWaitlistEntry(entryId) },
+      { method: 'POST', pattern: /^\/waitlist\/([^/]+)\/leave$/, handler: (request, entryId) => this.#leaveWaitlist(entryId) },
+      ...(metrics ? [{ method: 'GET', pattern: /^\/metrics$/, handler: () => this.#getMetrics() }] : []),
+    ];
+  }
+
+  /**
+   * @param {object} request
+   * @param {string} request.method
+   * @param {string} request.path
+   * @param {URLSearchParams} [request.query]
+   * @param {object} [request.headers] - Lower-case header names
+   * @param {*} [request.body] - Parsed JSON body
+   * @returns {Promise<{status: number, body: (object|string), contentType?: string, headers?: object}>} - `body` is
+   *   text when `contentType` is set, and JSON otherwise
+   */
+  async handle({ method, path, query = new URLSearchParams(), headers = {}, body = null }) {
+    const matches = this.#routes
+      .map((route) => ({ route, match: route.pattern.exec(path) }))
+      .filter(({ match }) => match);
+
+    if (matches.length === 0) {
+      return TicketApi.#error(404, 'NOT_FOUND', `No route for ${path}`);
+    }
+
+    const found = matches.find(({ route }) => route.method === method);
+
+    if (!found) {
+      return TicketApi.#error(405, 'METHOD_NOT_ALLOWED', `${method} is not supported for ${path}`);
+    }
+
+    if (!found.route.correlated) {
+      return this.#dispatch(found, { query, headers, body });
+    }
+
+    const correlationId = headers['x-correlation-id'] || this.#generateCorrelationId();
+    const response = await this.#dispatch(found, { query, headers, body, correlationId });
+
+    return { ...response, headers: { 'X-Correlation-ID': correlationId } };
+  }
+
+  /**
+   * A Node HTTP server that parses JSON bodies and serves handle().
+   * @returns {import('http').Server}
+   */
+  createServer() {
+    return createServer(async (req, res) => {
+      let response;
+
+      try {
+        const url = new URL(req.url, 'http://localhost');
+        const { body, error } = await TicketApi.#readBody(req);
+
+        response = error || await this.handle({
+          method: req.method,
+          path: url.pathname,
+          query: url.searchParams,
+          headers: req.headers,
+          body,
+        });
+      } catch (error) {
+        this.#onError(error);
+        response = TicketApi.#error(500, 'INTERNAL_ERROR', 'Internal server error');
+      }
+
+      res.writeHead(response.status, { 'Content-Type': response.contentType || 'application/json', ...response.headers });
+      res.end(response.contentType ? response.body : JSON.stringify(response.body));
+    });
+  }
+
+  async #dispatch({ route, match }, request) {
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch {
+      return TicketApi.#error(400, 'BAD_REQUEST', 'Request path is not correctly encoded');
+    }
+
+    try {
+      return await route.handler(request, ...params);
+    } catch (error) {
+      const response = TicketApi.#errorResponse(error);
+
+      if (response.status === 500) {
+        this.#onError(error);
+      }
+
+      return response;
+    }
+  }
+
+  #quote({ body }) {
+    const { accountId, ticketTypeRequests, options } = PurchaseRequestParser.parse(body);
+
+    return { status: 200, body: this.#ticketService.quote(accountId, ...ticketTypeRequests, options) };
+  }
+
+  async #purchase({ body, headers, correlationId }) {
+    const idempotencyKey = headers['idempotency-key'];
+    const { accountId, ticketTypeRequests, options } = PurchaseRequestParser.parse(body, {
+      ...(idempotencyKey ? { idempotencyKey } : {}),
+      correlationId,
+    });
+
+    const order = await this.#ticketService.purchaseTicketsAsync(accountId, ...ticketTypeRequests, options);
+
+    return { status: 201, body: order.toJSON() };
+  }
+
+  #getMetrics() {
+    return { status: 200, contentType: PROMETHEUS_CONTENT_TYPE, body: this.#metrics.toPrometheus() };
+  }
+
+  #getOrder(orderId) {
+    const order = this.#ticketService.getOrder(orderId);
+
+    if (!order) {
+      throw new InvalidPurchaseException(`Order ${orderId} does not exist`, {
+        code: ErrorCode.ORDER_NOT_FOUND,
+        details: { orderId },
+      });
+    }
+
+    return { status: 200, body: order.toJSON() };
+  }
+
+  #findLedgerEntries({ query }) {
+    const criteria = Object.fromEntries(LEDGER_QUERY_FIELDS
+      .filter((field) => query.has(field))
+      .map((field) => [field, query.get(field)]));
+
+    if (query.has('accountId')) {
+      criteria.accountId = TicketApi.#parseAccountId(query.get('accountId'));
+    }
+
+    try {
+      return { status: 200, body: { entries: this.#ticketService.findLedgerEntries(criteria) } };
+    } catch (error) {
+      throw PurchaseRequestParser.invalid(error.message, { query: Object.fromEntries(query) });
+    }
+  }
+
+  #requestGroupBooking({ body }) {
+    const { accountId, ticketTypeRequests, options } = PurchaseRequestParser.parse(body);
+
+    return { status: 202, body: this.#ticketService.requestGroupBooking(accountId, ...ticketTypeRequests, options) };
+  }
+
+  #findGroupBookings({ query }) {
+    const criteria = {};
+
+    if (query.has('status')) {
+      criteria.status = query.get('status');
+    }
+
+    if (query.has('accountId')) {
+      criteria.accountId = TicketApi.#parseAccountId(query.get('accountId'));
+    }
+
+    return { status: 200, body: { bookings: this.#ticketService.findGroupBookings(criteria) } };
+  }
+
+  #getGroupBooking(bookingId) {
+    const booking = this.#ticketService.getGroupBooking(bookingId);
+
+    if (!booking) {
+      throw new InvalidPurchaseException(`Group booking ${bookingId} does not exist`, {
+        code: ErrorCode.GROUP_BOOKING_NOT_FOUND,
+        details: { bookingId },
+      });
+    }
+
+    return { status: 200, body: booking };
+  }
+
+  async #decideGroupBooking({ body }, bookingId, decision) {
+    const fields = TicketApi.#parseDecision(body, GROUP_BOOKING_DECISION_FIELDS[decision]);
+
+    if (decision === 'reject') {
+      return { status: 200, body: this.#ticketService.rejectGroupBooking(bookingId, fields) };
+    }
+
+    const order = await this.#ticketService.approveGroupBookingAsync(bookingId, fields);
+
+    return { status: 201, body: { booking: this.#ticketService.getGroupBooking(bookingId), order: order.toJSON() } };
+  }
+
+  #joinWaitlist({ body }) {
+    const { accountId, ticketTypeRequests, options } = PurchaseRequestParser.parse(body);
+
+    return { status: 201, body: this.#ticketService.joinWaitlist(accountId, options.getShowingId(), ...ticketTypeRequests) };
+  }
+
+  #findWaitlistEntries({ query }) {
+    const criteria = Object.fromEntries(WAITLIST_QUERY_FIELDS
+      .filter((field) => query.has(field))
+      .map((field) => [field, query.get(field)]));
+
+    if (query.has('accountId')) {
+      criteria.accountId = TicketApi.#parseAccountId(query.get('accountId'));
+    }
+
+    return { status: 200, body: { entries: this.#ticketService.findWaitlistEntries(criteria) } };
+  }
+
+  #getWaitlistEntry(entryId) {
+    const entry = this.#ticketService.getWaitlistEntry(entryId);
+
+    if (!entry) {
+      throw new InvalidPurchaseException(`Waitlist entry ${entryId} does not exist`, {
+        code: ErrorCode.WAITLIST_ENTRY_NOT_FOUND,
+        details: { entryId },
+      });
+    }
+
+    return { status: 200, body: entry };
+  }
+
+  #leaveWaitlist(entryId) {
+    return { status: 200, body: this.#ticketService.leaveWaitlist(entryId) };
+  }
+
+  /**
+   * The optional string fields of an approve or reject body.
+   */
+  static #parseDecision(body, names) {
+    if (body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+      throw PurchaseRequestParser.invalid('Request body must be a JSON object', {});
+    }
+
+    const fields = {};
+
+    for (const name of names) {
+      const value = body?.[name];
+
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        throw PurchaseRequestParser.invalid(`${name} must be a string`, { field: name });
+      }
+
+      if (value) {
+        fields[name] = value;
+      }
+    }
+
+    return fields;
+  }
+
+  static #parseAccountId(value) {
+    const accountId = Number(value);
+
+    if (!Number.isInteger(accountId)) {
+      throw PurchaseRequestParser.invalid('accountId must be an integer', { field: 'accountId' });
+    }
+
+    return accountId;
+  }
+
+  static #errorResponse(error) {
+    if (error instanceof InvalidPurchaseException) {
+      return {
+        status: STATUS_BY_CODE.get(error.code) || 422,
+        body: { error: { code: error.code, message: error.message, details: error.details, violations: error.violations } },
+      };
+    }
+
+    if (error instanceof PurchaseFailedException) {
+      return {
+        status: 502,
+        body: { error: { code: 'PURCHASE_FAILED', message: error.message, outcome: error.outcome } },
+      };
+    }
+
+    return TicketApi.#error(500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+
+  static #error(status, code, message) {
+    return { status, body: { error: { code, message } } };
+  }
+
+  /**
+   * Reads and parses a JSON request body; `error` is set to a response when it cannot be.
+   */
+  static async #readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        return { error: TicketApi.#error(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large') };
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+
+    if (text.trim() === '') {
+      return { body: null };
+    }
+
+    try {
+      return { body: JSON.parse(text) };
+    } catch {
+      return { error: TicketApi.#error(400, 'INVALID_JSON', 'Request body is not valid JSON') };
+    }
+  }
+}
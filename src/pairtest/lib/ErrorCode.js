@@ -0,0 +1,54 @@
+/**
+ * Stable, machine-readable codes carried by InvalidPurchaseException.
+ * Values are part of the public API: add new codes, never rename existing ones.
+ */
+
+const ErrorCode = Object.freeze({
+  INVALID_ACCOUNT: 'INVALID_ACCOUNT',
+  NO_REQUESTS: 'NO_REQUESTS',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNKNOWN_TICKET_TYPE: 'UNKNOWN_TICKET_TYPE',
+  INVALID_TICKET_COUNT: 'INVALID_TICKET_COUNT',
+  MAX_TICKETS_EXCEEDED: 'MAX_TICKETS_EXCEEDED',
+  ADULT_REQUIRED: 'ADULT_REQUIRED',
+  INFANT_RATIO: 'INFANT_RATIO',
+  PER_TYPE_MAX_EXCEEDED: 'PER_TYPE_MAX_EXCEEDED',
+  SUPERVISION_RATIO: 'SUPERVISION_RATIO',
+  DAILY_CAP_EXCEEDED: 'DAILY_CAP_EXCEEDED',
+  INVALID_SHOWING: 'INVALID_SHOWING',
+  INVALID_PROMO_CODE: 'INVALID_PROMO_CODE',
+  PROMO_CODE_EXPIRED: 'PROMO_CODE_EXPIRED',
+  PROMO_CODE_USAGE_LIMIT: 'PROMO_CODE_USAGE_LIMIT',
+  PROMO_CODE_NOT_STACKABLE: 'PROMO_CODE_NOT_STACKABLE',
+  UNKNOWN_SHOWING: 'UNKNOWN_SHOWING',
+  SHOWING_SOLD_OUT: 'SHOWING_SOLD_OUT',
+  SEAT_COUNT_MISMATCH: 'SEAT_COUNT_MISMATCH',
+  INVALID_SEAT: 'INVALID_SEAT',
+  SEAT_UNAVAILABLE: 'SEAT_UNAVAILABLE',
+  HOLD_NOT_FOUND: 'HOLD_NOT_FOUND',
+  HOLD_ACCOUNT_MISMATCH: 'HOLD_ACCOUNT_MISMATCH',
+  IDEMPOTENCY_KEY_CONFLICT: 'IDEMPOTENCY_KEY_CONFLICT',
+  IDEMPOTENCY_KEY_IN_USE: 'IDEMPOTENCY_KEY_IN_USE',
+  ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+  ORDER_CANCELLED: 'ORDER_CANCELLED',
+  REFUND_EXCEEDS_ORDER: 'REFUND_EXCEEDS_ORDER',
+  REFUND_NOT_ALLOWED: 'REFUND_NOT_ALLOWED',
+  PURCHASE_VETOED: 'PURCHASE_VETOED',
+  ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+  ACCOUNT_SUSPENDED: 'ACCOUNT_SUSPENDED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  PURCHASE_RATE_EXCEEDED: 'PURCHASE_RATE_EXCEEDED',
+  SPENDING_RATE_EXCEEDED: 'SPENDING_RATE_EXCEEDED',
+  NOT_A_MEMBER: 'NOT_A_MEMBER',
+  INSUFFICIENT_POINTS: 'INSUFFICIENT_POINTS',
+  POINTS_EXCEED_TOTAL: 'POINTS_EXCEED_TOTAL',
+  MIN_TICKETS_NOT_MET: 'MIN_TICKETS_NOT_MET',
+  GROUP_BOOKING_NOT_FOUND: 'GROUP_BOOKING_NOT_FOUND',
+  GROUP_BOOKING_NOT_PENDING: 'GROUP_BOOKING_NOT_PENDING',
+  SEATS_AVAILABLE: 'SEATS_AVAILABLE',
+  ALREADY_ON_WAITLIST: 'ALREADY_ON_WAITLIST',
+  WAITLIST_ENTRY_NOT_FOUND: 'WAITLIST_ENTRY_NOT_FOUND',
+  WAITLIST_ENTRY_CLOSED: 'WAITLIST_ENTRY_CLOSED',
+});
+
+export default ErrorCode;
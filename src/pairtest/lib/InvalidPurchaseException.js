@@ -1,3 +1,24 @@
+/**
+ * Raised when a purchase request breaks a validation or business rule.
+ * `code` and `details` describe the first violation; `violations` lists every
+ * violation found (only more than one when the service collects all violations).
+ */
+
 export default class InvalidPurchaseException extends Error {
+  constructor(message, { code, details = {}, violations } = {}) {
+    super(message);
+    this.name = 'InvalidPurchaseException';
+    this.code = code;
+    this.details = details;
+    this.violations = violations || [{ code, message, details }];
+  }
 
+  static fromViolations(violations) {
+    const [first] = violations;
+    return new InvalidPurchaseException(violations.map((violation) => violation.message).join('; '), {
+      code: first.code,
+      details: first.details,
+      violations,
+    });
+  }
 }
@@ -0,0 +1,81 @@
+import PurchaseOrder from './PurchaseOrder.js';
+import OrderStatus from './orders/OrderStatus.js';
+import Currency from './money/Currency.js';
+
+const RECEIPT_WIDTH = 40;
+
+/**
+ * Renders a PurchaseOrder for the web front end (JSON) and the box office till (text).
+ */
+export default class OrderSerializer {
+  static toJSON(order) {
+    if (!(order instanceof PurchaseOrder)) {
+      throw new TypeError('order must be a PurchaseOrder');
+    }
+
+    return JSON.stringify(order);
+  }
+
+  /**
+   * @param {PurchaseOrder} order
+   * @param {{locale?: string}} [options] - Locale the order's currency is formatted in
+   */
+  static toReceipt(order, { locale = 'en-GB' } = {}) {
+    if (!(order instanceof PurchaseOrder)) {
+      throw new TypeError('order must be a PurchaseOrder');
+    }
+
+    const money = (amount) => new Currency({ code: order.currency, locale }).format(amount);
+
+    const rule = '─'.repeat(RECEIPT_WIDTH);
+    const lines = [
+      'Cinema Tickets Receipt',
+      rule,
+      `Order:   ${order.orderId}`,
+      `Account: ${order.accountId}`,
+      `Date:    ${order.timestamp}`,
+    ];
+
+    if (order.status !== OrderStatus.CONFIRMED) {
+      lines.push(`Status:  ${order.status}`);
+    }
+
+    if (order.showingId) {
+      lines.push(`Showing: ${order.showingId}`, `Seats:   ${order.seats.join(', ')}`);
+    }
+
+    lines.push(rule);
+
+    for (const { ticketType, quantity, unitPrice, subtotal } of order.lineItems) {
+      lines.push(OrderSerializer.#columns(`${ticketType} ${quantity} x ${money(unitPrice)}`, money(subtotal)));
+    }
+
+    for (const { code, description, amount } of order.discounts) {
+      lines.push(OrderSerializer.#columns(`${code} ${description}`, `-${money(amount)}`));
+    }
+
+    lines.push(
+      rule,
+      OrderSerializer.#columns('TOTAL', money(order.totalAmount)),
+      OrderSerializer.#columns('Net', money(order.netAmount)),
+      ...order.taxes.map(({ rate, tax }) => OrderSerializer.#columns(`VAT ${rate}%`, money(tax))),
+      OrderSerializer.#columns('Seats allocated', `${order.totalSeats}`),
+      OrderSerializer.#columns('Infants (on adult lap)', `${order.infantCount}`),
+    );
+
+    if (order.membershipTier) {
+      lines.push(OrderSerializer.#columns(`Points earned (${order.membershipTier})`, `${order.pointsEarned}`));
+    }
+
+    for (const { lineItems, amount, timestamp } of order.refunds) {
+      const returned = lineItems.map(({ ticketType, quantity }) => `${quantity} ${ticketType}`).join(', ');
+      lines.push(OrderSerializer.#columns(`Refunded ${returned} ${timestamp.slice(0, 10)}`, money(amount)));
+    }
+
+    return lines.join('\n');
+  }
+
+  static #columns(left, right) {
+    return `${left}${' '.repeat(Math.max(1, RECEIPT_WIDTH - left.length - right.length))}${right}`;
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Raised when a valid purchase could not be completed by the third-party services.
+ * `outcome` is one of PurchaseOutcome and tells the caller whether the account was charged.
+ */
+
+export default class PurchaseFailedException extends Error {
+  constructor(message, { outcome, accountId, totalAmount, cause } = {}) {
+    super(message, { cause });
+    this.name = 'PurchaseFailedException';
+    this.outcome = outcome;
+    this.accountId = accountId;
+    this.totalAmount = totalAmount;
+  }
+}
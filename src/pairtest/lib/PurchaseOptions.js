@@ -0,0 +1,145 @@
+/**
+ * Immutable Object.
+ *
+ * Optional purchase context passed as the last argument to
+ * TicketService#quote and TicketService#purchaseTickets.
+ */
+
+export default class PurchaseOptions {
+  #showing;
+
+  #promoCodes;
+
+  #showingId;
+
+  #seats;
+
+  #holdId;
+
+  #idempotencyKey;
+
+  #correlationId;
+
+  #redeemPoints;
+
+  /**
+   * @param {object} [options]
+   * @param {{startsAt?: Date|string, format?: string, filmId?: string}} [options.showing] - Showing the tickets are for
+   * @param {string[]} [options.promoCodes] - Promo codes or vouchers to apply, in order
+   * @param {string} [options.showingId] - Showing from the ShowingCatalogue to book seats for
+   * @param {string[]} [options.seats] - Explicit seat selection; seats are auto-allocated when omitted
+   * @param {string} [options.holdId] - Seat hold to confirm; its showing and seats are booked
+   * @param {string} [options.idempotencyKey] - Client-chosen key; retrying with it returns the original order
+   * @param {string} [options.correlationId] - Ties the purchase's audit log entries to the caller's request; generated when omitted
+   * @param {number} [options.redeemPoints] - Loyalty points to pay part of the purchase with
+   */
+  constructor({
+    showing = null,
+    promoCodes = [],
+    showingId = null,
+    seats = null,
+    holdId = null,
+    idempotencyKey = null,
+    correlationId = null,
+    redeemPoints = 0,
+  } = {}) {
+    if (showing !== null && typeof showing !== 'object') {
+      throw new TypeError('showing must be an object');
+    }
+
+    if (showing !== null && showingId !== null) {
+      throw new TypeError('pass either showing or showingId, not both');
+    }
+
+    if (showingId !== null && (typeof showingId !== 'string' || showingId === '')) {
+      throw new TypeError('showingId must be a non-empty string');
+    }
+
+    if (seats !== null && (!Array.isArray(seats) || !seats.every((seat) => typeof seat === 'string'))) {
+      throw new TypeError('seats must be an array of seat IDs');
+    }
+
+    if (seats !== null && showingId === null) {
+      throw new TypeError('seats can only be selected for a showingId');
+    }
+
+    if (holdId !== null && (typeof holdId !== 'string' || holdId === '')) {
+      throw new TypeError('holdId must be a non-empty string');
+    }
+
+    if (holdId !== null && (showing !== null || showingId !== null)) {
+      throw new TypeError('a holdId already names its showing and seats');
+    }
+
+    if (!Array.isArray(promoCodes) || !promoCodes.every((code) => typeof code === 'string')) {
+      throw new TypeError('promoCodes must be an array of strings');
+    }
+
+    if (idempotencyKey !== null && (typeof idempotencyKey !== 'string' || idempotencyKey === '')) {
+      throw new TypeError('idempotencyKey must be a non-empty string');
+    }
+
+    if (correlationId !== null && (typeof correlationId !== 'string' || correlationId === '')) {
+      throw new TypeError('correlationId must be a non-empty string');
+    }
+
+    if (!Number.isInteger(redeemPoints) || redeemPoints < 0) {
+      throw new TypeError('redeemPoints must be a non-negative integer');
+    }
+
+    this.#showing = showing && Object.freeze({ ...showing });
+    this.#promoCodes = Object.freeze([...promoCodes]);
+    this.#showingId = showingId;
+    this.#seats = seats && Object.freeze([...seats]);
+    this.#holdId = holdId;
+    this.#idempotencyKey = idempotencyKey;
+    this.#correlationId = correlationId;
+    this.#redeemPoints = redeemPoints;
+  }
+
+  getShowing() {
+    return this.#showing;
+  }
+
+  getPromoCodes() {
+    return this.#promoCodes;
+  }
+
+  getShowingId() {
+    return this.#showingId;
+  }
+
+  getSeats() {
+    return this.#seats;
+  }
+
+  getHoldId() {
+    return this.#holdId;
+  }
+
+  getIdempotencyKey() {
+    return this.#idempotencyKey;
+  }
+
+  getCorrelationId() {
+    return this.#correlationId;
+  }
+
+  getRedeemPoints() {
+    return this.#redeemPoints;
+  }
+
+  /**
+   * Everything that affects the purchase except the idempotency key and correlation ID, for comparing retried requests.
+   */
+  toFingerprint() {
+    return {
+      showing: this.#showing,
+      promoCodes: this.#promoCodes,
+      showingId: this.#showingId,
+      seats: this.#seats,
+      holdId: this.#holdId,
+      redeemPoints: this.#redeemPoints,
+    };
+  }
+}
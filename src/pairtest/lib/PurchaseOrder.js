@@ -0,0 +1,71 @@
+import OrderStatus from './orders/OrderStatus.js';
+
+/**
+ * Immutable record of a completed purchase. Amounts are in minor units of
+ * `currency`; `taxes` splits the total into net and VAT per tax rate. After a
+ * refund the line items, totals and seats describe what the account still
+ * holds and has paid for, and `refunds` lists what was returned.
+ * `pointsEarned` and `pointsRedeemed` are the member's loyalty points still
+ * attached to the order. `groupBookingId` is set for an approved group booking.
+ */
+
+export default class PurchaseOrder {
+  constructor({ orderId, accountId, currency = 'GBP', lineItems, discounts = [], totalAmount, netAmount = totalAmount, taxAmount = 0, taxes = [], membershipTier = null, pointsEarned = 0, pointsRedeemed = 0, totalSeats, infantCount, showingId = null, seats = [], groupBookingId = null, timestamp, outcome, status = OrderStatus.CONFIRMED, refunds = [] }) {
+    this.orderId = orderId;
+    this.accountId = accountId;
+    this.currency = currency;
+    this.lineItems = Object.freeze(lineItems.map((lineItem) => Object.freeze({ ...lineItem })));
+    this.discounts = Object.freeze(discounts.map((discount) => Object.freeze({ ...discount })));
+    this.totalAmount = totalAmount;
+    this.netAmount = netAmount;
+    this.taxAmount = taxAmount;
+    this.taxes = Object.freeze(taxes.map((band) => Object.freeze({ ...band })));
+    this.membershipTier = membershipTier;
+    this.pointsEarned = pointsEarned;
+    this.pointsRedeemed = pointsRedeemed;
+    this.totalSeats = totalSeats;
+    this.infantCount = infantCount;
+    this.showingId = showingId;
+    this.seats = Object.freeze([...seats]);
+    this.groupBookingId = groupBookingId;
+    this.timestamp = timestamp;
+    this.outcome = outcome;
+    this.status = status;
+    this.refunds = Object.freeze(refunds.map((refund) => Object.freeze({
+      ...refund,
+      lineItems: Object.freeze(refund.lineItems.map((lineItem) => Object.freeze({ ...lineItem }))),
+      seats: Object.freeze([...refund.seats]),
+    })));
+    Object.freeze(this);
+  }
+
+  toJSON() {
+    return {
+      orderId: this.orderId,
+      accountId: this.accountId,
+      currency: this.currency,
+      lineItems: this.lineItems.map((lineItem) => ({ ...lineItem })),
+      discounts: this.discounts.map((discount) => ({ ...discount })),
+      totalAmount: this.totalAmount,
+      netAmount: this.netAmount,
+      taxAmount: this.taxAmount,
+      taxes: this.taxes.map((band) => ({ ...band })),
+      membershipTier: this.membershipTier,
+      pointsEarned: this.pointsEarned,
+      pointsRedeemed: this.pointsRedeemed,
+      totalSeats: this.totalSeats,
+      infantCount: this.infantCount,
+      showingId: this.showingId,
+      seats: [...this.seats],
+      groupBookingId: this.groupBookingId,
+      timestamp: this.timestamp,
+      outcome: this.outcome,
+      status: this.status,
+      refunds: this.refunds.map((refund) => ({
+        ...refund,
+        lineItems: refund.lineItems.map((lineItem) => ({ ...lineItem })),
+        seats: [...refund.seats],
+      })),
+    };
+  }
+}
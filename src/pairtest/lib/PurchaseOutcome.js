@@ -0,0 +1,13 @@
+/**
+ * Possible outcomes of a purchase attempt.
+ */
+
+const PurchaseOutcome = Object.freeze({
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED_BEFORE_PAYMENT: 'FAILED_BEFORE_PAYMENT',
+  PAYMENT_UNCONFIRMED: 'PAYMENT_UNCONFIRMED',
+  REFUNDED_AFTER_RESERVATION_FAILURE: 'REFUNDED_AFTER_RESERVATION_FAILURE',
+  REFUND_FAILED: 'REFUND_FAILED',
+});
+
+export default PurchaseOutcome;
@@ -0,0 +1,53 @@
+import TicketTypeRequest from './TicketTypeRequest.js';
+import PurchaseOptions from './PurchaseOptions.js';
+import InvalidPurchaseException from './InvalidPurchaseException.js';
+import ErrorCode from './ErrorCode.js';
+
+/**
+ * Turns a plain purchase description, as sent by the HTTP API or read from a
+ * batch file, into the arguments of TicketService.quote() and purchaseTickets():
+ *
+ *   { accountId, tickets: [{ type, quantity }], options? }
+ *
+ * Malformed input raises an InvalidPurchaseException with code INVALID_REQUEST.
+ */
+export default class PurchaseRequestParser {
+  /**
+   * @param {*} body
+   * @param {object} [extraOptions] - Merged over `options`, e.g. an idempotency key from a header
+   * @returns {{accountId: *, ticketTypeRequests: TicketTypeRequest[], options: PurchaseOptions}}
+   */
+  static parse(body, extraOptions = {}) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw PurchaseRequestParser.invalid('Request body must be a JSON object', {});
+    }
+
+    const { accountId, tickets, options = {} } = body;
+
+    if (!Array.isArray(tickets)) {
+      throw PurchaseRequestParser.invalid('tickets must be an array of { type, quantity }', { field: 'tickets' });
+    }
+
+    const ticketTypeRequests = tickets.map((ticket, index) => {
+      try {
+        return new TicketTypeRequest(ticket?.type, ticket?.quantity);
+      } catch (error) {
+        throw PurchaseRequestParser.invalid(`tickets[${index}]: ${error.message}`, { field: 'tickets', index });
+      }
+    });
+
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      throw PurchaseRequestParser.invalid('options must be an object', { field: 'options' });
+    }
+
+    try {
+      return { accountId, ticketTypeRequests, options: new PurchaseOptions({ ...options, ...extraOptions }) };
+    } catch (error) {
+      throw PurchaseRequestParser.invalid(`options: ${error.message}`, { field: 'options' });
+    }
+  }
+
+  static invalid(message, details) {
+    return new InvalidPurchaseException(message, { code: ErrorCode.INVALID_REQUEST, details });
+  }
+}
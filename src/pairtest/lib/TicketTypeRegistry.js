@@ -0,0 +1,83 @@
+/**
+ * Catalogue of purchasable ticket types. Each definition carries everything the
+ * service needs to price, seat and validate a ticket of that type:
+ *
+ * - price:         price per ticket
+ * - occupiesSeat:  whether a seat is reserved for the ticket
+ * - requiresAdult: whether the ticket needs an accompanying adult supervisor
+ * - countsAsAdult: whether the ticket holder can supervise others
+ * - sitsOnLap:     whether the holder sits on a supervisor's lap (one per supervisor)
+ */
+
+const BUILT_IN_TYPES = Object.freeze({
+  ADULT: { occupiesSeat: true, requiresAdult: false, countsAsAdult: true, sitsOnLap: false },
+  CHILD: { occupiesSeat: true, requiresAdult: true, countsAsAdult: false, sitsOnLap: false },
+  INFANT: { occupiesSeat: false, requiresAdult: true, countsAsAdult: false, sitsOnLap: true },
+  STUDENT: { occupiesSeat: true, requiresAdult: false, countsAsAdult: true, sitsOnLap: false },
+  SENIOR: { occupiesSeat: true, requiresAdult: false, countsAsAdult: true, sitsOnLap: false },
+  CARER: { occupiesSeat: true, requiresAdult: true, countsAsAdult: false, sitsOnLap: false },
+});
+
+export default class TicketTypeRegistry {
+  #types = new Map();
+
+  constructor(definitions = []) {
+    for (const definition of definitions) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * Build a registry from the enabled ticket types and prices in config.
+   * @param {{ticketTypes: string[], ticketPrices: Object<string, number>}} config
+   */
+  static fromConfig({ ticketTypes, ticketPrices }) {
+    return new TicketTypeRegistry(ticketTypes.map((name) => {
+      if (!(name in BUILT_IN_TYPES)) {
+        throw new Error(`Unknown ticket type ${name}; register custom types in code`);
+      }
+      return { name, price: ticketPrices[name], ...BUILT_IN_TYPES[name] };
+    }));
+  }
+
+  static get BUILT_IN_TYPES() {
+    return BUILT_IN_TYPES;
+  }
+
+  register({ name, price, occupiesSeat = true, requiresAdult = false, countsAsAdult = false, sitsOnLap = false }) {
+    if (typeof name !== 'string' || !/^[A-Z][A-Z_]*$/.test(name)) {
+      throw new TypeError('name must be an upper-case identifier');
+    }
+
+    if (!Number.isInteger(price) || price < 0) {
+      throw new TypeError(`price for ${name} must be a non-negative integer`);
+    }
+
+    this.#types.set(name, Object.freeze({
+      name,
+      price,
+      occupiesSeat: Boolean(occupiesSeat),
+      requiresAdult: Boolean(requiresAdult),
+      countsAsAdult: Boolean(countsAsAdult),
+      sitsOnLap: Boolean(sitsOnLap),
+    }));
+
+    return this;
+  }
+
+  has(name) {
+    return this.#types.has(name);
+  }
+
+  get(name) {
+    return this.#types.get(name);
+  }
+
+  names() {
+    return [...this.#types.keys()];
+  }
+
+  all() {
+    return [...this.#types.values()];
+  }
+}
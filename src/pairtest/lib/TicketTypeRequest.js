@@ -1,3 +1,5 @@
+import ticketTypes from './ticketTypes.js';
+
 /**
  * Immutable Object.
  */
@@ -8,8 +10,9 @@ export default class TicketTypeRequest {
   #noOfTickets;
 
   constructor(type, noOfTickets) {
-    if (!this.#Type.includes(type)) {
-      throw new TypeError(`type must be ${this.#Type.slice(0, -1).join(', ')}, or ${this.#Type.slice(-1)}`);
+    const types = ticketTypes.names();
+    if (!types.includes(type)) {
+      throw new TypeError(`type must be ${types.slice(0, -1).join(', ')}, or ${types.slice(-1)}`);
     }
 
     if (!Number.isInteger(noOfTickets)) {
@@ -27,6 +30,4 @@ export default class TicketTypeRequest {
   getTicketType() {
     return this.#type;
   }
-
-  #Type = ['ADULT', 'CHILD', 'INFANT'];
 }
@@ -0,0 +1,36 @@
+import InvalidPurchaseException from './InvalidPurchaseException.js';
+
+/**
+ * Gathers rule violations during validation. In fail-fast mode the first
+ * violation is thrown straight away; otherwise they are thrown together by
+ * throwIfAny().
+ */
+export default class ViolationCollector {
+  #failFast;
+
+  #violations = [];
+
+  constructor({ failFast = true } = {}) {
+    this.#failFast = failFast;
+  }
+
+  add(code, message, details = {}) {
+    const violation = Object.freeze({ code, message, details: Object.freeze(details) });
+
+    if (this.#failFast) {
+      throw InvalidPurchaseException.fromViolations([violation]);
+    }
+
+    this.#violations.push(violation);
+  }
+
+  hasViolations() {
+    return this.#violations.length > 0;
+  }
+
+  throwIfAny() {
+    if (this.hasViolations()) {
+      throw InvalidPurchaseException.fromViolations([...this.#violations]);
+    }
+  }
+}
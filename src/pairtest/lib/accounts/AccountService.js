@@ -0,0 +1,261 @@
+import ErrorCode from '../ErrorCode.js';
+import Currency from '../money/Currency.js';
+import AccountStatus from './AccountStatus.js';
+import InMemoryAccountStore from './InMemoryAccountStore.js';
+
+/**
+ * Decides whether an account may pay for a purchase, and keeps its balance
+ * up to date as purchases and refunds go through.
+ *
+ * An account must exist, must not be suspended, and must have enough balance
+ * plus credit to cover the purchase; a `creditLimit` of null means unlimited
+ * credit. When `requireAccount` is false, accounts missing from the store are
+ * treated as active with unlimited credit, which is how the service behaves
+ * when no ACCOUNTS_FILE is configured.
+ *
+ * Velocity limits cap the number of purchases and the amount spent per account
+ * within a sliding window; 0 turns a limit off. Purchases are counted in
+ * memory through recordPurchase(), and refunds do not give the allowance back.
+ */
+export default class AccountService {
+  #store;
+
+  #requireAccount;
+
+  #maxPurchases;
+
+  #maxAmount;
+
+  #windowMinutes;
+
+  #currency;
+
+  #recentPurchases = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {InMemoryAccountStore} [options.store] - Account records
+   * @param {boolean} [options.requireAccount] - Reject accounts that are not in the store
+   * @param {number} [options.maxPurchases] - Purchases allowed per account per window
+   * @param {number} [options.maxAmount] - Minor units an account may spend per window
+   * @param {number} [options.windowMinutes] - Length of the velocity window
+   * @param {Currency} [options.currency] - Used to describe amounts in rejections
+   */
+  constructor({
+    store = new InMemoryAccountStore(),
+    requireAccount = true,
+    maxPurchases = 0,
+    maxAmount = 0,
+    windowMinutes = 60,
+    currency = new Currency(),
+  } = {}) {
+    for (const [key, value] of Object.entries({ maxPurchases, maxAmount })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new TypeError(`${key} must be a non-negative integer`);
+      }
+    }
+
+    if (!Number.isInteger(windowMinutes) || windowMinutes <= 0) {
+      throw new TypeError('windowMinutes must be a positive integer');
+    }
+
+    for (const account of store.list()) {
+      store.save(AccountService.#normalise(account));
+    }
+
+    this.#store = store;
+    this.#requireAccount = requireAccount;
+    this.#maxPurchases = maxPurchases;
+    this.#maxAmount = maxAmount;
+    this.#windowMinutes = windowMinutes;
+    this.#currency = currency;
+  }
+
+  /**
+   * Accounts from the accounts file named in config, or any account when there is none.
+   */
+  static fromConfig(config) {
+    return new AccountService({
+      store: config.accountsFile ? InMemoryAccountStore.fromFile(config.accountsFile) : new InMemoryAccountStore(),
+      requireAccount: Boolean(config.accountsFile),
+      maxPurchases: config.velocityMaxPurchases,
+      maxAmount: config.velocityMaxAmount,
+      windowMinutes: config.velocityWindowMinutes,
+      currency: Currency.fromConfig(config),
+    });
+  }
+
+  /**
+   * @param {number} accountId
+   * @returns {?{accountId: number, status: string, balance: number, creditLimit: ?number, suspendedReason: ?string}}
+   */
+  getAccount(accountId) {
+    const account = this.#store.get(accountId);
+
+    if (account || this.#requireAccount) {
+      return account;
+    }
+
+    return Object.freeze({ accountId, status: AccountStatus.ACTIVE, balance: 0, creditLimit: null, suspendedReason: null });
+  }
+
+  /**
+   * Add an account, or replace one with the same ID.
+   * @param {{accountId: number, balance?: number, creditLimit?: ?number}} account
+   * @returns {object} - The stored account
+   */
+  openAccount({ accountId, balance = 0, creditLimit = 0 }) {
+    this.#store.save(AccountService.#normalise({ accountId, balance, creditLimit }));
+
+    return this.#store.get(accountId);
+  }
+
+  /**
+   * Stop an account from making purchases. Refunds to it still go through.
+   * @param {number} accountId
+   * @param {string} [reason] - Reported with rejected purchases
+   * @returns {object} - The updated account
+   */
+  suspend(accountId, reason = null) {
+    return this.#update(accountId, { status: AccountStatus.SUSPENDED, suspendedReason: reason });
+  }
+
+  reinstate(accountId) {
+    return this.#update(accountId, { status: AccountStatus.ACTIVE, suspendedReason: null });
+  }
+
+  /**
+   * @param {number} accountId
+   * @param {number} amount - Minor units to add to the balance
+   * @returns {object} - The updated account
+   */
+  deposit(accountId, amount) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new RangeError('amount must be a positive integer');
+    }
+
+    return this.#update(accountId, { balance: this.#require(accountId).balance + amount });
+  }
+
+  /**
+   * Check that the account may pay `amount` now.
+   * @param {{accountId: number, amount: number, now: Date}} purchase
+   * @param {import('../ViolationCollector.js').default} violations
+   */
+  check({ accountId, amount, now }, violations) {
+    const account = this.getAccount(accountId);
+
+    if (!account) {
+      violations.add(ErrorCode.ACCOUNT_NOT_FOUND, 'The account does not exist');
+      return;
+    }
+
+    if (account.status === AccountStatus.SUSPENDED) {
+      violations.add(ErrorCode.ACCOUNT_SUSPENDED, 'The account is suspended', { reason: account.suspendedReason });
+    }
+
+    if (account.creditLimit !== null && amount > account.balance + account.creditLimit) {
+      violations.add(ErrorCode.INSUFFICIENT_FUNDS, 'The account does not have enough balance or credit for this purchase', {
+        amount,
+        available: Math.max(0, account.balance + account.creditLimit),
+      });
+    }
+
+    const recent = this.#recent(accountId, now);
+    const recentAmount = recent.reduce((total, purchase) => total + purchase.amount, 0);
+
+    if (this.#maxPurchases > 0 && recent.length + 1 > this.#maxPurchases) {
+      violations.add(ErrorCode.PURCHASE_RATE_EXCEEDED, `Cannot make more than ${this.#maxPurchases} purchases per account in ${this.#windowMinutes} minutes`, {
+        limit: this.#maxPurchases,
+        windowMinutes: this.#windowMinutes,
+        recentPurchases: recent.length,
+      });
+    }
+
+    if (this.#maxAmount > 0 && recentAmount + amount > this.#maxAmount) {
+      violations.add(ErrorCode.SPENDING_RATE_EXCEEDED, `Cannot spend more than ${this.#currency.format(this.#maxAmount)} per account in ${this.#windowMinutes} minutes`, {
+        limit: this.#maxAmount,
+        windowMinutes: this.#windowMinutes,
+        amount,
+        recentAmount,
+      });
+    }
+  }
+
+  /**
+   * Charge a completed purchase to the account.
+   * @param {{accountId: number, amount: number, now: Date}} purchase
+   */
+  recordPurchase({ accountId, amount, now }) {
+    this.#recentPurchases.set(accountId, [...this.#recent(accountId, now), { amount, at: now.getTime() }]);
+
+    if (amount > 0 && this.#store.get(accountId)) {
+      this.#update(accountId, { balance: this.#store.get(accountId).balance - amount });
+    }
+  }
+
+  /**
+   * Credit a refund back to the account.
+   * @param {{accountId: number, amount: number}} refund
+   */
+  recordRefund({ accountId, amount }) {
+    if (amount > 0 && this.#store.get(accountId)) {
+      this.#update(accountId, { balance: this.#store.get(accountId).balance + amount });
+    }
+  }
+
+  /**
+   * Purchases inside the window ending at `now`; older ones are forgotten.
+   */
+  #recent(accountId, now) {
+    const since = now.getTime() - this.#windowMinutes * 60 * 1000;
+    const recent = (this.#recentPurchases.get(accountId) || []).filter(({ at }) => at > since);
+
+    if (recent.length === 0) {
+      this.#recentPurchases.delete(accountId);
+    }
+
+    return recent;
+  }
+
+  #update(accountId, changes) {
+    this.#store.save({ ...this.#require(accountId), ...changes });
+    return this.#store.get(accountId);
+  }
+
+  /**
+   * The account as stored, or as implied when requireAccount is off.
+   */
+  #require(accountId) {
+    const account = this.getAccount(accountId);
+
+    if (!account) {
+      throw new RangeError(`Account ${accountId} does not exist`);
+    }
+
+    return account;
+  }
+
+  /**
+   * Fills in the optional fields of an account record and validates it.
+   */
+  static #normalise({ accountId, status = AccountStatus.ACTIVE, balance, creditLimit = 0, suspendedReason = null }) {
+    if (!Number.isInteger(accountId) || accountId <= 0) {
+      throw new TypeError(`Account ${accountId}: accountId must be a positive integer`);
+    }
+
+    if (!Object.values(AccountStatus).includes(status)) {
+      throw new TypeError(`Account ${accountId}: unknown status ${status}`);
+    }
+
+    if (!Number.isInteger(balance)) {
+      throw new TypeError(`Account ${accountId}: balance must be an integer amount in minor units`);
+    }
+
+    if (creditLimit !== null && (!Number.isInteger(creditLimit) || creditLimit < 0)) {
+      throw new TypeError(`Account ${accountId}: creditLimit must be a non-negative integer or null for unlimited`);
+    }
+
+    return { accountId, status, balance, creditLimit, suspendedReason };
+  }
+}
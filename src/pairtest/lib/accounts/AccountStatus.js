@@ -0,0 +1,10 @@
+/**
+ * Whether an account may make purchases.
+ */
+
+const AccountStatus = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED',
+});
+
+export default AccountStatus;
@@ -0,0 +1,40 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Keeps account records in process memory, standing in for the customer
+ * account system.
+ *
+ * Records are `{ accountId, status, balance, creditLimit, suspendedReason }`
+ * with amounts in minor units. Any object with the same get/save/list methods
+ * can be passed to AccountService instead.
+ */
+export default class InMemoryAccountStore {
+  #accounts = new Map();
+
+  /**
+   * @param {object[]} [accounts] - Initial records
+   */
+  constructor(accounts = []) {
+    accounts.forEach((account) => this.save(account));
+  }
+
+  /**
+   * Load accounts from a JSON file shaped `{ "accounts": [...] }`.
+   * @param {string} path
+   */
+  static fromFile(path) {
+    return new InMemoryAccountStore(JSON.parse(readFileSync(path, 'utf8')).accounts);
+  }
+
+  get(accountId) {
+    return this.#accounts.get(accountId) || null;
+  }
+
+  save(account) {
+    this.#accounts.set(account.accountId, Object.freeze({ ...account }));
+  }
+
+  list() {
+    return [...this.#accounts.values()];
+  }
+}
@@ -0,0 +1,78 @@
+import ConfigSchema from './ConfigSchema.js';
+import ConfigValidationError from './ConfigValidationError.js';
+
+/**
+ * An immutable, validated set of settings. The process-wide instance is read
+ * from the environment (see ../config.js); venue profiles derive their own
+ * instances with withOverrides().
+ */
+export default class Config {
+  /**
+   * @param {object} values - Every setting in ConfigSchema.fields
+   * @throws {ConfigValidationError} - Listing every invalid setting
+   */
+  constructor(values) {
+    Config.#assignValidated(this, values, ConfigSchema.validate(values));
+  }
+
+  /**
+   * Settings from environment variables, with defaults for those not set.
+   * @param {Object<string, string>} env
+   * @returns {Config}
+   * @throws {ConfigValidationError}
+   */
+  static fromEnv(env) {
+    const { values, errors } = ConfigSchema.fromEnv(env);
+    const config = Object.create(Config.prototype);
+
+    Config.#assignValidated(config, values, [...errors, ...ConfigSchema.validate(values, { useEnvNames: true })]);
+
+    return config;
+  }
+
+  /**
+   * A copy with some settings replaced. Ticket prices and tax rates are merged per type.
+   * @param {object} overrides - Settings to replace, by key
+   * @param {string} [name] - Prefix for error messages, e.g. `venues.leeds`
+   * @returns {Config}
+   * @throws {ConfigValidationError}
+   */
+  withOverrides(overrides, name = '') {
+    const prefix = name ? `${name}.` : '';
+    const errors = ConfigSchema.fields
+      .filter((field) => field.processWide && field.key in overrides)
+      .map((field) => `${prefix}${field.key} applies to the whole process and cannot be overridden`);
+
+    const values = {
+      ...this.toObject(),
+      ...overrides,
+      ticketPrices: { ...this.ticketPrices, ...overrides.ticketPrices },
+      taxRates: { ...this.taxRates, ...overrides.taxRates },
+    };
+
+    const config = Object.create(Config.prototype);
+
+    Config.#assignValidated(config, values, [...errors, ...ConfigSchema.validate(values, { prefix })]);
+
+    return config;
+  }
+
+  toObject() {
+    return Object.fromEntries(ConfigSchema.fields.map(({ key }) => [key, this[key]]));
+  }
+
+  static #assignValidated(config, values, errors) {
+    if (errors.length > 0) {
+      throw new ConfigValidationError(errors);
+    }
+
+    for (const { key } of ConfigSchema.fields) {
+      const value = values[key];
+      config[key] = value !== null && typeof value === 'object'
+        ? Object.freeze(Array.isArray(value) ? [...value] : { ...value })
+        : value;
+    }
+
+    Object.freeze(config);
+  }
+}
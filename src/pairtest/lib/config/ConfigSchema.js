@@ -0,0 +1,315 @@
+import TicketTypeRegistry from '../TicketTypeRegistry.js';
+import Currency from '../money/Currency.js';
+
+/**
+ * Default prices in major units; like TICKET_PRICE_<TYPE> they are converted
+ * to minor units of the configured currency.
+ */
+const DEFAULT_TICKET_PRICES = Object.freeze({
+  INFANT: '0',
+  CHILD: '15',
+  ADULT: '25',
+  STUDENT: '20',
+  SENIOR: '18',
+  CARER: '0',
+});
+
+const DEFAULT_TAX_RATE = 20;
+
+/**
+ * Every setting, its environment variable, type, constraints and default.
+ * `processWide` settings apply to the whole process and cannot differ per venue.
+ * Ticket prices and other amounts are held in minor units of `currency`, e.g. pence.
+ */
+const FIELDS = Object.freeze([
+  { key: 'maxTickets', env: 'MAX_TICKETS', type: 'integer', min: 1, default: 25 },
+  { key: 'ticketTypes', env: 'TICKET_TYPES', type: 'ticketTypes', default: ['ADULT', 'CHILD', 'INFANT'] },
+  { key: 'currency', env: 'CURRENCY', type: 'currency', default: 'GBP' },
+  { key: 'locale', env: 'LOCALE', type: 'locale', default: 'en-GB' },
+  { key: 'ticketPrices', env: 'TICKET_PRICE_<TYPE>', type: 'ticketPrices' },
+  { key: 'taxRates', env: 'TAX_RATE_<TYPE>', type: 'taxRates' },
+  { key: 'enforceInfantAdultRatio', env: 'ENFORCE_INFANT_ADULT_RATIO', type: 'boolean', default: true },
+  { key: 'rulesFile', env: 'RULES_FILE', type: 'path', default: null },
+  { key: 'priceTableFile', env: 'PRICE_TABLE_FILE', type: 'path', default: null },
+  { key: 'promoCodesFile', env: 'PROMO_CODES_FILE', type: 'path', default: null },
+  { key: 'showingsFile', env: 'SHOWINGS_FILE', type: 'path', default: null },
+  { key: 'seatHoldTtlSeconds', env: 'SEAT_HOLD_TTL_SECONDS', type: 'integer', min: 1, default: 600 },
+  { key: 'thirdPartyTimeoutMs', env: 'THIRD_PARTY_TIMEOUT_MS', type: 'integer', min: 0, default: 5000 },
+  { key: 'thirdPartyRetries', env: 'THIRD_PARTY_RETRIES', type: 'integer', min: 0, default: 2 },
+  { key: 'thirdPartyRetryDelayMs', env: 'THIRD_PARTY_RETRY_DELAY_MS', type: 'integer', min: 0, default: 100 },
+  { key: 'idempotencyKeyTtlSeconds', env: 'IDEMPOTENCY_KEY_TTL_SECONDS', type: 'integer', min: 1, default: 86400 },
+  { key: 'cancellationCutoffMinutes', env: 'CANCELLATION_CUTOFF_MINUTES', type: 'integer', min: 0, default: 60 },
+  { key: 'orderLedgerFile', env: 'ORDER_LEDGER_FILE', type: 'path', default: null },
+  { key: 'groupBookingsFile', env: 'GROUP_BOOKINGS_FILE', type: 'path', default: null },
+  { key: 'waitlistOfferTtlSeconds', env: 'WAITLIST_OFFER_TTL_SECONDS', type: 'integer', min: 1, default: 900 },
+  { key: 'accountsFile', env: 'ACCOUNTS_FILE', type: 'path', default: null, processWide: true },
+  { key: 'velocityMaxPurchases', env: 'VELOCITY_MAX_PURCHASES', type: 'integer', min: 0, default: 0, processWide: true },
+  { key: 'velocityMaxAmount', env: 'VELOCITY_MAX_AMOUNT', type: 'amount', default: 0, processWide: true },
+  { key: 'velocityWindowMinutes', env: 'VELOCITY_WINDOW_MINUTES', type: 'integer', min: 1, default: 60, processWide: true },
+  { key: 'membershipsFile', env: 'MEMBERSHIPS_FILE', type: 'path', default: null, processWide: true },
+  { key: 'auditLog', env: 'AUDIT_LOG', type: 'boolean', default: false, processWide: true },
+  { key: 'auditRedactAccountId', env: 'AUDIT_REDACT_ACCOUNT_ID', type: 'boolean', default: true, processWide: true },
+  { key: 'simulationFile', env: 'SIMULATION_FILE', type: 'path', default: null, processWide: true },
+  { key: 'httpPort', env: 'HTTP_PORT', type: 'integer', min: 0, max: 65535, default: 3000, processWide: true },
+  { key: 'venuesFile', env: 'VENUES_FILE', type: 'path', default: null, processWide: true },
+  { key: 'nodeEnv', env: 'NODE_ENV', type: 'string', default: 'development', processWide: true },
+].map(Object.freeze));
+
+/**
+ * Reads settings from the environment and validates them. Validation reports
+ * every error at once; settings are named by environment variable when read
+ * from the environment, and by key path (e.g. `venues.leeds.maxTickets`) otherwise.
+ */
+export default class ConfigSchema {
+  static get fields() {
+    return FIELDS;
+  }
+
+  /**
+   * Prices and amounts are read in major units (`TICKET_PRICE_CHILD=12.50`) and tax rates
+   * as percentages; TAX_RATE sets the rate for every type without its own.
+   * @param {Object<string, string>} env
+   * @returns {{values: object, errors: string[]}}
+   */
+  static fromEnv(env) {
+    const errors = [];
+    const values = {};
+
+    for (const field of FIELDS) {
+      if (field.type === 'ticketPrices' || field.type === 'taxRates' || field.type === 'amount') {
+        continue;
+      }
+
+      const raw = env[field.env];
+      values[field.key] = raw === undefined || raw === ''
+        ? field.default
+        : ConfigSchema.#parseEnv(field, raw, errors);
+    }
+
+    const currency = new Currency({ code: Currency.isSupported(values.currency) ? values.currency : 'GBP' });
+    for (const field of FIELDS.filter(({ type }) => type === 'amount')) {
+      values[field.key] = ConfigSchema.#parseEnvAmount(field, env[field.env], currency, errors);
+    }
+
+    const defaultTaxRate = ConfigSchema.#parseEnvRate('TAX_RATE', env.TAX_RATE, DEFAULT_TAX_RATE, errors);
+    const pricedTypes = new Set(['INFANT', 'CHILD', 'ADULT', ...(values.ticketTypes || [])]);
+
+    values.ticketPrices = {};
+    values.taxRates = {};
+    for (const ticketType of pricedTypes) {
+      values.ticketPrices[ticketType] = ConfigSchema.#parseEnvPrice(ticketType, env, currency, errors);
+      values.taxRates[ticketType] = ConfigSchema.#parseEnvRate(`TAX_RATE_${ticketType}`, env[`TAX_RATE_${ticketType}`], defaultTaxRate, errors);
+    }
+
+    return { values, errors };
+  }
+
+  /**
+   * @param {object} values
+   * @param {object} [options]
+   * @param {boolean} [options.useEnvNames] - Name settings by environment variable
+   * @param {string} [options.prefix] - Prepended to key paths
+   * @returns {string[]} - Every problem found
+   */
+  static validate(values, { useEnvNames = false, prefix = '' } = {}) {
+    const errors = [];
+    const name = (field) => (useEnvNames ? field.env : `${prefix}${field.key}`);
+    const priceName = (ticketType) => (useEnvNames ? `TICKET_PRICE_${ticketType}` : `${prefix}ticketPrices.${ticketType}`);
+    const rateName = (ticketType) => (useEnvNames ? `TAX_RATE_${ticketType}` : `${prefix}taxRates.${ticketType}`);
+
+    const known = new Set(FIELDS.map((field) => field.key));
+    for (const key of Object.keys(values)) {
+      if (!known.has(key)) {
+        errors.push(`${prefix}${key} is not a known setting`);
+      }
+    }
+
+    for (const field of FIELDS) {
+      const value = values[field.key];
+
+      switch (field.type) {
+        case 'integer':
+          if (!Number.isInteger(value) || value < field.min || (field.max !== undefined && value > field.max)) {
+            errors.push(`${name(field)} must be ${ConfigSchema.#describeRange(field)}`);
+          }
+          break;
+        case 'boolean':
+          if (typeof value !== 'boolean') {
+            errors.push(`${name(field)} must be true or false`);
+          }
+          break;
+        case 'string':
+          if (typeof value !== 'string') {
+            errors.push(`${name(field)} must be a string`);
+          }
+          break;
+        case 'path':
+          if (value !== null && (typeof value !== 'string' || value === '')) {
+            errors.push(`${name(field)} must be a file path`);
+          }
+          break;
+        case 'amount':
+          if (!Number.isInteger(value) || value < 0) {
+            errors.push(`${name(field)} must be a non-negative amount in minor units`);
+          }
+          break;
+        case 'currency':
+          if (!Currency.isSupported(value)) {
+            errors.push(`${name(field)} must be an ISO 4217 currency code, e.g. GBP`);
+          }
+          break;
+        case 'locale':
+          if (!Currency.isSupportedLocale(value)) {
+            errors.push(`${name(field)} must be a supported locale, e.g. en-GB`);
+          }
+          break;
+        case 'ticketTypes':
+          errors.push(...ConfigSchema.#validateTicketTypes(value, name(field)));
+          break;
+        case 'ticketPrices':
+          errors.push(...ConfigSchema.#validateTicketPrices(value, values.ticketTypes, name(field), priceName));
+          break;
+        case 'taxRates':
+          errors.push(...ConfigSchema.#validateTaxRates(value, values.ticketTypes, name(field), rateName));
+          break;
+        default:
+          throw new Error(`Unknown setting type ${field.type}`);
+      }
+    }
+
+    return errors;
+  }
+
+  static #validateTicketTypes(ticketTypes, name) {
+    if (!Array.isArray(ticketTypes) || ticketTypes.some((ticketType) => typeof ticketType !== 'string')) {
+      return [`${name} must be a list of ticket types`];
+    }
+
+    const errors = ticketTypes
+      .filter((ticketType) => !(ticketType in TicketTypeRegistry.BUILT_IN_TYPES))
+      .map((ticketType) => `${name} contains unknown ticket type ${ticketType}`);
+
+    if (!ticketTypes.includes('ADULT')) {
+      errors.push(`${name} must include ADULT`);
+    }
+
+    return errors;
+  }
+
+  static #validateTicketPrices(ticketPrices, ticketTypes, name, priceName) {
+    if (ticketPrices === null || typeof ticketPrices !== 'object' || Array.isArray(ticketPrices)) {
+      return [`${name} must map ticket types to prices`];
+    }
+
+    const errors = [];
+    const enabled = Array.isArray(ticketTypes) ? ticketTypes : [];
+
+    for (const ticketType of new Set([...enabled, ...Object.keys(ticketPrices)])) {
+      const price = ticketPrices[ticketType];
+
+      if (price === undefined) {
+        errors.push(`${priceName(ticketType)} must be set for ticket type ${ticketType}`);
+      } else if (!Number.isInteger(price) || price < 0) {
+        errors.push(`${priceName(ticketType)} must be a non-negative integer`);
+      }
+    }
+
+    if (Number.isInteger(ticketPrices.ADULT) && ticketPrices.ADULT === 0) {
+      errors.push(`${priceName('ADULT')} must be greater than zero`);
+    }
+
+    return errors;
+  }
+
+  static #validateTaxRates(taxRates, ticketTypes, name, rateName) {
+    if (taxRates === null || typeof taxRates !== 'object' || Array.isArray(taxRates)) {
+      return [`${name} must map ticket types to percentages`];
+    }
+
+    const errors = [];
+    const enabled = Array.isArray(ticketTypes) ? ticketTypes : [];
+
+    for (const ticketType of new Set([...enabled, ...Object.keys(taxRates)])) {
+      const rate = taxRates[ticketType];
+
+      if (rate === undefined) {
+        errors.push(`${rateName(ticketType)} must be set for ticket type ${ticketType}`);
+      } else if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        errors.push(`${rateName(ticketType)} must be a percentage between 0 and 100`);
+      }
+    }
+
+    return errors;
+  }
+
+  static #parseEnvPrice(ticketType, env, currency, errors) {
+    const envName = `TICKET_PRICE_${ticketType}`;
+    const raw = env[envName];
+    const fallback = DEFAULT_TICKET_PRICES[ticketType];
+    const toMinorUnits = (amount) => (amount === undefined ? undefined : currency.toMinorUnits(amount));
+
+    if (raw === undefined || raw === '') {
+      return toMinorUnits(fallback);
+    }
+
+    try {
+      return currency.toMinorUnits(raw);
+    } catch {
+      errors.push(`Environment variable ${envName} must be an amount such as 12.50, got: ${raw}`);
+      return toMinorUnits(fallback);
+    }
+  }
+
+  static #parseEnvAmount(field, raw, currency, errors) {
+    if (raw === undefined || raw === '') {
+      return field.default;
+    }
+
+    try {
+      return currency.toMinorUnits(raw);
+    } catch {
+      errors.push(`Environment variable ${field.env} must be an amount such as 12.50, got: ${raw}`);
+      return field.default;
+    }
+  }
+
+  static #parseEnvRate(envName, raw, fallback, errors) {
+    if (raw === undefined || raw === '') {
+      return fallback;
+    }
+
+    const parsed = Number(raw);
+    if (Number.isNaN(parsed)) {
+      errors.push(`Environment variable ${envName} must be a percentage, got: ${raw}`);
+      return fallback;
+    }
+    return parsed;
+  }
+
+  static #parseEnv(field, raw, errors) {
+    switch (field.type) {
+      case 'integer': {
+        const parsed = parseInt(raw, 10);
+        if (Number.isNaN(parsed)) {
+          errors.push(`Environment variable ${field.env} must be a valid integer, got: ${raw}`);
+          return field.default;
+        }
+        return parsed;
+      }
+      case 'boolean':
+        return raw.toLowerCase() === 'true' || raw === '1';
+      case 'ticketTypes':
+        return raw.split(',').map((item) => item.trim().toUpperCase()).filter(Boolean);
+      default:
+        return raw;
+    }
+  }
+
+  static #describeRange({ min, max }) {
+    if (max !== undefined) {
+      return `an integer between ${min} and ${max}`;
+    }
+
+    return min > 0 ? 'a positive integer' : 'a non-negative integer';
+  }
+}
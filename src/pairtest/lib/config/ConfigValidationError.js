@@ -0,0 +1,12 @@
+/**
+ * Raised when configuration is invalid. `errors` lists every problem found,
+ * each naming the setting it is about.
+ */
+
+export default class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from 'fs';
+import ConfigValidationError from './ConfigValidationError.js';
+
+/**
+ * Per-venue settings for running several cinemas in one process. Each venue
+ * overrides some of the process-wide settings, e.g. its prices, limits and
+ * rules file; see venues.example.json.
+ */
+export default class VenueProfiles {
+  #profiles;
+
+  /**
+   * @param {Map<string, import('./Config.js').default>} profiles
+   */
+  constructor(profiles = new Map()) {
+    this.#profiles = new Map(profiles);
+  }
+
+  /**
+   * Build a Config for every venue, reporting the errors of all venues together.
+   * @param {Object<string, object>} definitions - Setting overrides by venue ID
+   * @param {import('./Config.js').default} base - The process-wide settings
+   * @throws {ConfigValidationError}
+   */
+  static fromDefinitions(definitions, base) {
+    if (definitions === null || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      throw new ConfigValidationError(['venues must map venue IDs to settings']);
+    }
+
+    const errors = [];
+    const profiles = new Map();
+
+    for (const [venueId, overrides] of Object.entries(definitions)) {
+      const name = `venues.${venueId}`;
+
+      if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push(`${name} must be an object of settings`);
+        continue;
+      }
+
+      const notEnabled = (overrides.ticketTypes || []).filter((ticketType) => !base.ticketTypes.includes(ticketType));
+      if (Array.isArray(overrides.ticketTypes) && notEnabled.length > 0) {
+        errors.push(`${name}.ticketTypes: ${notEnabled.join(', ')} must also be enabled in TICKET_TYPES`);
+      }
+
+      try {
+        profiles.set(venueId, base.withOverrides(overrides, name));
+      } catch (error) {
+        if (!(error instanceof ConfigValidationError)) {
+          throw error;
+        }
+        errors.push(...error.errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ConfigValidationError(errors);
+    }
+
+    return new VenueProfiles(profiles);
+  }
+
+  /**
+   * Load venue settings from a JSON file shaped `{ "venues": { "<id>": { ... } } }`.
+   * @param {string} path
+   * @param {import('./Config.js').default} base
+   */
+  static fromFile(path, base) {
+    return VenueProfiles.fromDefinitions(JSON.parse(readFileSync(path, 'utf8')).venues, base);
+  }
+
+  /**
+   * The venues file named in config, or no venues.
+   */
+  static fromConfig(config) {
+    return config.venuesFile ? VenueProfiles.fromFile(config.venuesFile, config) : new VenueProfiles();
+  }
+
+  /**
+   * @param {string} venueId
+   * @returns {?import('./Config.js').default}
+   */
+  get(venueId) {
+    return this.#profiles.get(venueId) || null;
+  }
+
+  ids() {
+    return [...this.#profiles.keys()];
+  }
+}
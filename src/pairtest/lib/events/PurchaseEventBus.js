@@ -0,0 +1,126 @@
+import ErrorCode from '../ErrorCode.js';
+import PurchaseEventType from './PurchaseEventType.js';
+
+const VETOABLE = new Set([PurchaseEventType.PURCHASE_REQUESTED, PurchaseEventType.PURCHASE_VALIDATED]);
+
+/**
+ * Lets analytics, confirmation emails and fraud checks follow purchases
+ * without changing TicketService.
+ *
+ * - on(type, listener) is told about an event after it happens. Listeners
+ *   cannot affect the purchase: errors they throw or reject with are passed to
+ *   `onListenerError`.
+ * - before(type, hook) runs before a vetoable event (purchase.requested and
+ *   purchase.validated) and may call `veto(reason, details)` to stop the
+ *   purchase with an InvalidPurchaseException coded PURCHASE_VETOED. Hooks run
+ *   in the order they were added; errors they throw stop the purchase.
+ *
+ * purchaseTickets needs synchronous hooks; purchaseTicketsAsync also awaits
+ * hooks that return a promise.
+ */
+export default class PurchaseEventBus {
+  #listeners = new Map();
+
+  #hooks = new Map();
+
+  #onListenerError;
+
+  /**
+   * @param {object} [options]
+   * @param {(error: Error, type: string) => void} [options.onListenerError]
+   */
+  constructor({ onListenerError = () => {} } = {}) {
+    this.#onListenerError = onListenerError;
+  }
+
+  /**
+   * @param {string} type - A PurchaseEventType
+   * @param {(payload: object) => (void|Promise<void>)} listener
+   * @returns {() => void} - Removes the listener
+   */
+  on(type, listener) {
+    return PurchaseEventBus.#add(this.#listeners, PurchaseEventBus.#checkType(type), listener);
+  }
+
+  /**
+   * @param {string} type - purchase.requested or purchase.validated
+   * @param {(payload: object, veto: (reason: string, details?: object) => void) => (void|Promise<void>)} hook
+   * @returns {() => void} - Removes the hook
+   */
+  before(type, hook) {
+    if (!VETOABLE.has(PurchaseEventBus.#checkType(type))) {
+      throw new TypeError(`${type} cannot be vetoed; add a listener with on() instead`);
+    }
+
+    return PurchaseEventBus.#add(this.#hooks, type, hook);
+  }
+
+  /**
+   * Run the before hooks for an event, adding a violation for each veto.
+   * @param {string} type
+   * @param {object} payload
+   * @param {import('../ViolationCollector.js').default} violations
+   * @throws {TypeError} - If a hook returns a promise
+   */
+  check(type, payload, violations) {
+    for (const hook of this.#hooks.get(type) || []) {
+      const result = hook(payload, this.#veto(type, violations));
+
+      if (typeof result?.then === 'function') {
+        // Its outcome is ignored, so a later rejection must not go unhandled
+        result.then(undefined, () => {});
+        throw new TypeError(`An asynchronous ${type} hook needs purchaseTicketsAsync`);
+      }
+    }
+  }
+
+  /**
+   * Like check(), awaiting each hook in turn.
+   */
+  async checkAsync(type, payload, violations) {
+    for (const hook of this.#hooks.get(type) || []) {
+      await hook(payload, this.#veto(type, violations));
+    }
+  }
+
+  /**
+   * Tell every listener about an event.
+   * @param {string} type
+   * @param {object} payload
+   */
+  emit(type, payload) {
+    for (const listener of this.#listeners.get(type) || []) {
+      try {
+        Promise.resolve(listener(payload)).catch((error) => this.#onListenerError(error, type));
+      } catch (error) {
+        this.#onListenerError(error, type);
+      }
+    }
+  }
+
+  #veto(type, violations) {
+    return (reason, details = {}) => {
+      violations.add(ErrorCode.PURCHASE_VETOED, reason, { event: type, ...details });
+    };
+  }
+
+  static #add(registry, type, callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('callback must be a function');
+    }
+
+    registry.set(type, [...(registry.get(type) || []), callback]);
+
+    return () => {
+      registry.set(type, registry.get(type).filter((registered) => registered !== callback));
+    };
+  }
+
+  static #checkType(type) {
+    if (!Object.values(PurchaseEventType).includes(type)) {
+      throw new TypeError(`Unknown purchase event ${type}`);
+    }
+
+    return type;
+  }
+}
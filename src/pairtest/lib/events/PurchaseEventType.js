@@ -0,0 +1,26 @@
+/**
+ * Events in the purchase lifecycle, in the order a successful purchase emits
+ * them. Payloads (all frozen):
+ *
+ * - purchase.requested  { accountId, tickets: [{ ticketType, quantity }], options }  before validation; vetoable
+ * - purchase.validated  { accountId, quote }                                          before payment; vetoable
+ * - payment.completed   { accountId, amount, currency }
+ * - seats.reserved      { accountId, totalSeats, showingId, seats }
+ * - purchase.completed  { order }
+ * - purchase.failed     { accountId, quote, error }   quote is null if validation failed
+ * - purchase.refunded   { order, refund }             for refunds and cancellations
+ * - waitlist.offered    { entry }                     released seats held for the next waitlist entry
+ */
+
+const PurchaseEventType = Object.freeze({
+  PURCHASE_REQUESTED: 'purchase.requested',
+  PURCHASE_VALIDATED: 'purchase.validated',
+  PAYMENT_COMPLETED: 'payment.completed',
+  SEATS_RESERVED: 'seats.reserved',
+  PURCHASE_COMPLETED: 'purchase.completed',
+  PURCHASE_FAILED: 'purchase.failed',
+  PURCHASE_REFUNDED: 'purchase.refunded',
+  WAITLIST_OFFERED: 'waitlist.offered',
+});
+
+export default PurchaseEventType;
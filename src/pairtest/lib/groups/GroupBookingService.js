@@ -0,0 +1,288 @@
+import { readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import ErrorCode from '../ErrorCode.js';
+import InvalidPurchaseException from '../InvalidPurchaseException.js';
+import RuleEngine from '../rules/RuleEngine.js';
+import GroupBookingStatus from './GroupBookingStatus.js';
+
+/**
+ * Group and corporate bookings: larger purchases that are checked against their
+ * own business rules, priced with group rates, and wait for a manager to approve
+ * them before anyone is charged.
+ *
+ * Group rates are `{ minTickets, discountPercent }` tiers; the tier with the
+ * highest `minTickets` the booking reaches applies. Seats are reserved in calls of
+ * at most `seatsPerReservation` seats each.
+ *
+ * Bookings are kept in memory. A booking is PENDING_APPROVAL until it is
+ * approved (and paid for), rejected, or its purchase fails.
+ */
+export default class GroupBookingService {
+  #rules;
+
+  #pricingTiers;
+
+  #seatsPerReservation;
+
+  #generateBookingId;
+
+  #bookings = new Map();
+
+  #approving = new Set();
+
+  /**
+   * @param {object} [options]
+   * @param {RuleEngine} [options.rules] - Business rules for group bookings, used instead of the usual ones
+   * @param {{minTickets: number, discountPercent: number}[]} [options.pricingTiers] - Group rates
+   * @param {number} [options.seatsPerReservation] - Most seats reserved in one reserveSeat call
+   * @param {() => string} [options.generateBookingId]
+   */
+  constructor({
+    rules = GroupBookingService.defaultRules(),
+    pricingTiers = [],
+    seatsPerReservation = 50,
+    generateBookingId = randomUUID,
+  } = {}) {
+    if (!Number.isInteger(seatsPerReservation) || seatsPerReservation <= 0) {
+      throw new TypeError('seatsPerReservation must be a positive integer');
+    }
+
+    this.#rules = rules;
+    this.#pricingTiers = pricingTiers.map(GroupBookingService.#checkTier).sort((a, b) => b.minTickets - a.minTickets);
+    this.#seatsPerReservation = seatsPerReservation;
+    this.#generateBookingId = generateBookingId;
+  }
+
+  /**
+   * The rules group bookings are checked against when no others are given:
+   * 10 to 300 tickets, with at least one adult per 10 children.
+   * @param {{enforceInfantAdultRatio?: boolean}} [config]
+   */
+  static defaultRules({ enforceInfantAdultRatio = true } = {}) {
+    return RuleEngine.fromDefinitions([
+      { type: 'minTickets', limit: 10 },
+      { type: 'maxTickets', limit: 300 },
+      { type: 'adultRequired' },
+      { type: 'infantRatio', enabled: enforceInfantAdultRatio },
+      { type: 'supervisionRatio', ticketType: 'CHILD', perSupervisor: 10 },
+    ]);
+  }
+
+  /**
+   * Load a policy from a JSON file shaped
+   * `{ "rules": [...], "pricingTiers": [...], "seatsPerReservation": 50 }`; every key is optional.
+   * @param {string} path
+   * @param {{enforceInfantAdultRatio?: boolean}} [config] - Used for the default rules
+   */
+  static fromFile(path, config) {
+    const { rules, pricingTiers, seatsPerReservation } = JSON.parse(readFileSync(path, 'utf8'));
+
+    return new GroupBookingService({
+      rules: rules ? RuleEngine.fromDefinitions(rules) : GroupBookingService.defaultRules(config),
+      pricingTiers,
+      seatsPerReservation,
+    });
+  }
+
+  /**
+   * The group bookings file named in config, or the default policy.
+   */
+  static fromConfig(config) {
+    return config.groupBookingsFile
+      ? GroupBookingService.fromFile(config.groupBookingsFile, config)
+      : new GroupBookingService({ rules: GroupBookingService.defaultRules(config) });
+  }
+
+  getRules() {
+    return this.#rules;
+  }
+
+  /**
+   * The group rate for a booking, as a discount off the amount left to pay.
+   * @param {object[]} lineItems
+   * @param {number} payable - Minor units left after earlier discounts
+   * @returns {object[]} - No discount, or one of type `groupRate`
+   */
+  discountFor(lineItems, payable) {
+    const tickets = lineItems.reduce((total, { quantity }) => total + quantity, 0);
+    const tier = this.#pricingTiers.find(({ minTickets }) => tickets >= minTickets);
+    const amount = tier ? Math.round((payable * tier.discountPercent) / 100) : 0;
+
+    if (amount === 0) {
+      return [];
+    }
+
+    return [Object.freeze({
+      code: 'GROUP',
+      type: 'groupRate',
+      description: `Group rate for ${tier.minTickets}+ tickets: ${tier.discountPercent}% off`,
+      amount,
+    })];
+  }
+
+  /**
+   * Split a booking's seats into reserveSeat calls.
+   * @param {number} totalSeats
+   * @returns {number[]} - Seats to reserve in each call
+   */
+  seatBatches(totalSeats) {
+    const batches = [];
+
+    for (let remaining = totalSeats; remaining > 0; remaining -= this.#seatsPerReservation) {
+      batches.push(Math.min(remaining, this.#seatsPerReservation));
+    }
+
+    return batches;
+  }
+
+  /**
+   * A new ID for a booking about to be requested.
+   */
+  nextId() {
+    return this.#generateBookingId();
+  }
+
+  /**
+   * Record a validated booking as waiting for approval.
+   * @param {{bookingId: string, accountId: number, args: Array, tickets: object[], quote: object, now: Date}} request -
+   *   `args` are the purchase arguments the booking will be bought with
+   * @returns {object} - The booking
+   */
+  open({ bookingId, accountId, args, tickets, quote, now }) {
+    const booking = Object.freeze({
+      bookingId,
+      accountId,
+      status: GroupBookingStatus.PENDING_APPROVAL,
+      tickets,
+      quote,
+      requestedAt: now.toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      orderId: null,
+    });
+
+    this.#bookings.set(bookingId, { booking, args: [...args] });
+
+    return booking;
+  }
+
+  /**
+   * @param {string} bookingId
+   * @returns {?object}
+   */
+  get(bookingId) {
+    return this.#bookings.get(bookingId)?.booking || null;
+  }
+
+  /**
+   * @param {{status?: string, accountId?: number}} [query]
+   * @returns {object[]} - Matching bookings, oldest first
+   */
+  list({ status, accountId } = {}) {
+    return [...this.#bookings.values()]
+      .map(({ booking }) => booking)
+      .filter((booking) => (status === undefined || booking.status === status)
+        && (accountId === undefined || booking.accountId === accountId));
+  }
+
+  /**
+   * Claim a pending booking for approval, so it cannot be approved twice at once.
+   * @param {string} bookingId
+   * @returns {{booking: object, args: Array}} - The booking and the arguments to buy it with
+   * @throws {InvalidPurchaseException} - If the booking does not exist, has been decided or is being approved
+   */
+  beginApproval(bookingId) {
+    const { booking, args } = this.#pending(bookingId);
+
+    this.#approving.add(bookingId);
+
+    return { booking, args };
+  }
+
+  /**
+   * Mark a booking approved once its purchase has succeeded.
+   */
+  approve(bookingId, { approvedBy = null, orderId, now }) {
+    this.#approving.delete(bookingId);
+    return this.#decide(bookingId, { status: GroupBookingStatus.APPROVED, decidedBy: approvedBy, orderId, now });
+  }
+
+  /**
+   * Leave a booking pending after its purchase was rejected, e.g. because the seats
+   * have been sold; it can be approved again or rejected.
+   */
+  abandonApproval(bookingId) {
+    this.#approving.delete(bookingId);
+  }
+
+  /**
+   * Mark a booking failed after an approved purchase failed at payment or seat reservation.
+   */
+  fail(bookingId, { approvedBy = null, reason, now }) {
+    this.#approving.delete(bookingId);
+    return this.#decide(bookingId, { status: GroupBookingStatus.FAILED, decidedBy: approvedBy, reason, now });
+  }
+
+  /**
+   * @param {string} bookingId
+   * @param {{rejectedBy?: string, reason?: string, now: Date}} decision
+   * @returns {object} - The rejected booking
+   * @throws {InvalidPurchaseException} - If the booking is not pending
+   */
+  reject(bookingId, { rejectedBy = null, reason = null, now }) {
+    this.#pending(bookingId);
+    return this.#decide(bookingId, { status: GroupBookingStatus.REJECTED, decidedBy: rejectedBy, reason, now });
+  }
+
+  #pending(bookingId) {
+    const entry = this.#bookings.get(bookingId);
+
+    if (!entry) {
+      throw new InvalidPurchaseException(`Group booking ${bookingId} does not exist`, {
+        code: ErrorCode.GROUP_BOOKING_NOT_FOUND,
+        details: { bookingId },
+      });
+    }
+
+    const { status } = entry.booking;
+
+    if (status !== GroupBookingStatus.PENDING_APPROVAL || this.#approving.has(bookingId)) {
+      throw new InvalidPurchaseException(`Group booking ${bookingId} is not waiting for approval`, {
+        code: ErrorCode.GROUP_BOOKING_NOT_PENDING,
+        details: { bookingId, status: this.#approving.has(bookingId) ? 'APPROVING' : status },
+      });
+    }
+
+    return entry;
+  }
+
+  #decide(bookingId, { status, decidedBy, reason = null, orderId = null, now }) {
+    const entry = this.#bookings.get(bookingId);
+
+    entry.booking = Object.freeze({
+      ...entry.booking,
+      status,
+      decidedAt: now.toISOString(),
+      decidedBy,
+      reason,
+      orderId,
+    });
+
+    return entry.booking;
+  }
+
+  static #checkTier(tier) {
+    const { minTickets, discountPercent } = tier || {};
+
+    if (!Number.isInteger(minTickets) || minTickets <= 0) {
+      throw new TypeError('Every group pricing tier needs a positive integer minTickets');
+    }
+
+    if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+      throw new TypeError(`Group pricing tier for ${minTickets}+ tickets: discountPercent must be between 0 and 100`);
+    }
+
+    return Object.freeze({ minTickets, discountPercent });
+  }
+}
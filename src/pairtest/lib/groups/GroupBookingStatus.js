@@ -0,0 +1,12 @@
+/**
+ * Lifecycle of a group booking request.
+ */
+
+const GroupBookingStatus = Object.freeze({
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  FAILED: 'FAILED',
+});
+
+export default GroupBookingStatus;
@@ -0,0 +1,25 @@
+/**
+ * Keeps seat holds in process memory.
+ *
+ * Any object with the same save/get/delete/list methods can be passed to
+ * SeatHoldService instead, e.g. one backed by a shared cache.
+ */
+export default class InMemoryHoldStore {
+  #holds = new Map();
+
+  save(hold) {
+    this.#holds.set(hold.holdId, hold);
+  }
+
+  get(holdId) {
+    return this.#holds.get(holdId) || null;
+  }
+
+  delete(holdId) {
+    this.#holds.delete(holdId);
+  }
+
+  list() {
+    return [...this.#holds.values()];
+  }
+}
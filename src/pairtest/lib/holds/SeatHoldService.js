@@ -0,0 +1,165 @@
+import { randomUUID } from 'crypto';
+import ErrorCode from '../ErrorCode.js';
+import ViolationCollector from '../ViolationCollector.js';
+import InMemoryHoldStore from './InMemoryHoldStore.js';
+
+/**
+ * Temporarily holds seats in a showing for one account while they pay.
+ *
+ * Held seats are taken in the showing's seat map so nobody else can book them.
+ * A hold is confirmed by passing its ID to TicketService#purchaseTickets, or
+ * ends when it is released or expires. Expired holds are swept lazily on every
+ * call, so behaviour depends only on the injected clock.
+ */
+export default class SeatHoldService {
+  #showings;
+
+  #store;
+
+  #ttlSeconds;
+
+  #now;
+
+  #generateHoldId;
+
+  /**
+   * @param {object} options
+   * @param {import('../showings/ShowingCatalogue.js').default} options.showings
+   * @param {InMemoryHoldStore} [options.store] - Where holds are kept
+   * @param {number} [options.ttlSeconds] - How long a hold lasts
+   * @param {() => Date} [options.now] - Clock used for expiry
+   * @param {() => string} [options.generateHoldId] - Hold ID generator
+   */
+  constructor({ showings, store = new InMemoryHoldStore(), ttlSeconds = 600, now = () => new Date(), generateHoldId = randomUUID }) {
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+      throw new TypeError('ttlSeconds must be a positive integer');
+    }
+
+    this.#showings = showings;
+    this.#store = store;
+    this.#ttlSeconds = ttlSeconds;
+    this.#now = now;
+    this.#generateHoldId = generateHoldId;
+  }
+
+  /**
+   * Hold seats for an account: `count` auto-allocated seats, or the given `seats`.
+   * @param {number} accountId
+   * @param {string} showingId
+   * @param {{count?: number, seats?: string[]}} selection
+   * @param {{ttlSeconds?: number}} [options] - How long this hold lasts, if not the usual time
+   * @returns {{holdId: string, accountId: number, showingId: string, seats: string[], expiresAt: string}}
+   * @throws {InvalidPurchaseException} - If the showing or seats are not available
+   */
+  hold(accountId, showingId, { count, seats } = {}, { ttlSeconds = this.#ttlSeconds } = {}) {
+    this.releaseExpired();
+
+    // Fail fast: each check below relies on the ones before it having passed
+    const violations = new ViolationCollector();
+
+    if (!Number.isInteger(accountId) || accountId <= 0) {
+      violations.add(ErrorCode.INVALID_ACCOUNT, 'Account ID must be a positive integer', { accountId });
+    }
+
+    const showing = this.#showings.get(showingId);
+    if (!showing) {
+      violations.add(ErrorCode.UNKNOWN_SHOWING, `Showing ${showingId} does not exist`, { showingId });
+    }
+
+    const requested = seats ? seats.length : count;
+    if (!Number.isInteger(requested) || requested <= 0) {
+      violations.add(ErrorCode.INVALID_TICKET_COUNT, 'Number of seats to hold must be greater than zero', { requested });
+    }
+
+    const seatIds = seats ? [...seats] : showing.findSeats(count);
+
+    if (seatIds === null) {
+      violations.add(ErrorCode.SHOWING_SOLD_OUT, `Not enough seats left for showing ${showingId}`, {
+        showingId,
+        requested: count,
+        available: showing.countAvailable(),
+      });
+    }
+
+    const unavailable = seatIds.filter((seatId, index) => !showing.isAvailable(seatId) || seatIds.indexOf(seatId) !== index);
+    if (unavailable.length > 0) {
+      violations.add(ErrorCode.SEAT_UNAVAILABLE, `Seats ${unavailable.join(', ')} are not available`, {
+        showingId,
+        seats: unavailable,
+      });
+    }
+
+    showing.take(seatIds);
+
+    const hold = Object.freeze({
+      holdId: this.#generateHoldId(),
+      accountId,
+      showingId,
+      seats: Object.freeze(seatIds),
+      expiresAt: new Date(this.#now().getTime() + ttlSeconds * 1000).toISOString(),
+    });
+
+    this.#store.save(hold);
+
+    return hold;
+  }
+
+  /**
+   * The hold, or null if it does not exist or has expired.
+   * @param {string} holdId
+   */
+  get(holdId) {
+    this.releaseExpired();
+    return this.#store.get(holdId);
+  }
+
+  /**
+   * The hold, or null if it does not exist or has expired, without sweeping expired holds.
+   * @param {string} holdId
+   */
+  peek(holdId) {
+    const hold = this.#store.get(holdId);
+    return hold && new Date(hold.expiresAt).getTime() > this.#now().getTime() ? hold : null;
+  }
+
+  /**
+   * Cancel a hold and return its seats to sale.
+   * @param {string} holdId
+   * @returns {boolean} - Whether there was an active hold to release
+   */
+  release(holdId) {
+    const hold = this.get(holdId);
+
+    if (!hold) {
+      return false;
+    }
+
+    this.#showings.get(hold.showingId)?.release(hold.seats);
+    this.#store.delete(holdId);
+    return true;
+  }
+
+  /**
+   * Release every hold that has expired.
+   * @returns {object[]} - The holds that were released
+   */
+  releaseExpired() {
+    const now = this.#now().getTime();
+    const expired = this.#store.list().filter((hold) => new Date(hold.expiresAt).getTime() <= now);
+
+    for (const hold of expired) {
+      this.#showings.get(hold.showingId)?.release(hold.seats);
+      this.#store.delete(hold.holdId);
+    }
+
+    return expired;
+  }
+
+  /**
+   * End a hold whose seats have been bought; the seats stay taken.
+   * @param {string} holdId
+   */
+  complete(holdId) {
+    this.#store.delete(holdId);
+  }
+}
@@ -0,0 +1,120 @@
+import ErrorCode from '../ErrorCode.js';
+import InvalidPurchaseException from '../InvalidPurchaseException.js';
+import InMemoryIdempotencyStore from './InMemoryIdempotencyStore.js';
+
+/**
+ * Remembers the result of each purchase made with an idempotency key so that a
+ * retried request returns the original order instead of charging again.
+ *
+ * A key is PENDING while its purchase is in flight and COMPLETED once it has
+ * succeeded. A purchase that failed before anything was charged releases its key
+ * so the caller can try again; one that failed after the payment is FAILED, and
+ * a retry gets the original failure. Records expire `ttlSeconds` after they were
+ * last written.
+ */
+export default class IdempotencyService {
+  #store;
+
+  #ttlSeconds;
+
+  #now;
+
+  /**
+   * @param {object} [options]
+   * @param {InMemoryIdempotencyStore} [options.store] - Where records are kept
+   * @param {number} [options.ttlSeconds] - How long a key is remembered
+   * @param {() => Date} [options.now] - Clock used for expiry
+   */
+  constructor({ store = new InMemoryIdempotencyStore(), ttlSeconds = 86400, now = () => new Date() } = {}) {
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+      throw new TypeError('ttlSeconds must be a positive integer');
+    }
+
+    this.#store = store;
+    this.#ttlSeconds = ttlSeconds;
+    this.#now = now;
+  }
+
+  /**
+   * Claim a key for a purchase.
+   * @param {string} key
+   * @param {string} fingerprint - Identifies the request payload
+   * @returns {?object} - The original result if this request has already succeeded, otherwise null
+   * @throws {InvalidPurchaseException} - If the key was used for a different payload or is still in flight
+   * @throws {Error} - The original failure if this request has already failed after payment
+   */
+  begin(key, fingerprint) {
+    this.deleteExpired();
+
+    const record = this.#store.get(key);
+
+    if (record && record.fingerprint !== fingerprint) {
+      throw new InvalidPurchaseException(`Idempotency key ${key} was already used for a different purchase`, {
+        code: ErrorCode.IDEMPOTENCY_KEY_CONFLICT,
+        details: { idempotencyKey: key },
+      });
+    }
+
+    if (record && record.status === 'PENDING') {
+      throw new InvalidPurchaseException(`A purchase with idempotency key ${key} is already in progress`, {
+        code: ErrorCode.IDEMPOTENCY_KEY_IN_USE,
+        details: { idempotencyKey: key },
+      });
+    }
+
+    if (record && record.status === 'FAILED') {
+      throw record.result;
+    }
+
+    if (record) {
+      return record.result;
+    }
+
+    this.#store.save(this.#record(key, fingerprint, 'PENDING', null));
+    return null;
+  }
+
+  /**
+   * Store the result of a successful purchase against its key.
+   */
+  complete(key, result) {
+    const record = this.#store.get(key);
+    this.#store.save(this.#record(key, record.fingerprint, 'COMPLETED', result));
+  }
+
+  /**
+   * Store the failure of a purchase that may have charged the account, so a retry
+   * does not charge it again.
+   */
+  fail(key, error) {
+    const record = this.#store.get(key);
+    this.#store.save(this.#record(key, record.fingerprint, 'FAILED', error));
+  }
+
+  /**
+   * Release a key whose purchase failed before anything was charged.
+   */
+  abandon(key) {
+    this.#store.delete(key);
+  }
+
+  deleteExpired() {
+    const now = this.#now().getTime();
+
+    for (const record of this.#store.list()) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        this.#store.delete(record.key);
+      }
+    }
+  }
+
+  #record(key, fingerprint, status, result) {
+    return Object.freeze({
+      key,
+      fingerprint,
+      status,
+      result,
+      expiresAt: new Date(this.#now().getTime() + this.#ttlSeconds * 1000).toISOString(),
+    });
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Keeps idempotency records in process memory.
+ *
+ * Any object with the same save/get/delete/list methods can be passed to
+ * IdempotencyService instead, e.g. one shared between server instances.
+ */
+export default class InMemoryIdempotencyStore {
+  #records = new Map();
+
+  save(record) {
+    this.#records.set(record.key, record);
+  }
+
+  get(key) {
+    return this.#records.get(key) || null;
+  }
+
+  delete(key) {
+    this.#records.delete(key);
+  }
+
+  list() {
+    return [...this.#records.values()];
+  }
+}
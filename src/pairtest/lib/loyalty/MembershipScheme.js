@@ -0,0 +1,299 @@
+import { readFileSync } from 'fs';
+import ErrorCode from '../ErrorCode.js';
+import Currency from '../money/Currency.js';
+
+/**
+ * Member tiers, the accounts that belong to them and their loyalty points.
+ *
+ * A tier is `{ id, prices?, discountPercent?, freeTicketsPerMonth?, pointsPerUnit? }`:
+ * - `prices` caps the price of the ticket types it names, in minor units, so a
+ *   member never pays more than a non-member; `discountPercent` takes a
+ *   percentage off the price of every other type.
+ * - `freeTicketsPerMonth` gives a number of free tickets per type each calendar
+ *   month (UTC), taken from the first tickets of that type bought in the month.
+ * - `pointsPerUnit` is the points earned per major unit (e.g. £1) paid.
+ *
+ * Members are `{ accountId, tier, points? }`. A point is worth `pointValue`
+ * minor units when redeemed. Points and free ticket allowances are kept in memory.
+ */
+export default class MembershipScheme {
+  #tiers = new Map();
+
+  #members = new Map();
+
+  #freeTicketsUsed = new Map();
+
+  #pointValue;
+
+  #currency;
+
+  /**
+   * @param {{tiers?: object[], members?: object[], pointValue?: number}} [definitions]
+   * @param {object} [options]
+   * @param {Currency} [options.currency] - Currency of tier prices and points earned
+   */
+  constructor({ tiers = [], members = [], pointValue = 1 } = {}, { currency = new Currency() } = {}) {
+    if (!Number.isInteger(pointValue) || pointValue <= 0) {
+      throw new TypeError('pointValue must be a positive integer amount in minor units');
+    }
+
+    for (const tier of tiers) {
+      this.#tiers.set(tier.id, MembershipScheme.#checkTier(tier));
+    }
+
+    this.#pointValue = pointValue;
+    this.#currency = currency;
+
+    for (const { accountId, tier, points = 0 } of members) {
+      this.enrol(accountId, tier, { points });
+    }
+  }
+
+  /**
+   * Load a scheme from a JSON file shaped `{ "pointValue": 1, "tiers": [...], "members": [...] }`.
+   * @param {string} path
+   * @param {{currency?: Currency}} [options]
+   */
+  static fromFile(path, options) {
+    return new MembershipScheme(JSON.parse(readFileSync(path, 'utf8')), options);
+  }
+
+  /**
+   * The memberships file named in config, or a scheme with no members.
+   */
+  static fromConfig(config) {
+    const options = { currency: Currency.fromConfig(config) };
+    return config.membershipsFile
+      ? MembershipScheme.fromFile(config.membershipsFile, options)
+      : new MembershipScheme({}, options);
+  }
+
+  /**
+   * Add an account to a tier, or move it to another one.
+   * @param {number} accountId
+   * @param {string} tierId
+   * @param {{points?: number}} [options] - Opening points balance for a new member
+   */
+  enrol(accountId, tierId, { points = 0 } = {}) {
+    if (!Number.isInteger(accountId) || accountId <= 0) {
+      throw new TypeError(`Member ${accountId}: accountId must be a positive integer`);
+    }
+
+    if (!this.#tiers.has(tierId)) {
+      throw new TypeError(`Member ${accountId}: unknown tier ${tierId}`);
+    }
+
+    if (!Number.isInteger(points) || points < 0) {
+      throw new TypeError(`Member ${accountId}: points must be a non-negative integer`);
+    }
+
+    const existing = this.#members.get(accountId);
+    this.#members.set(accountId, { tierId, points: existing ? existing.points : points });
+  }
+
+  /**
+   * @param {number} accountId
+   * @returns {?object} - The member's tier, or null for a non-member
+   */
+  tierFor(accountId) {
+    const member = this.#members.get(accountId);
+    return member ? this.#tiers.get(member.tierId) : null;
+  }
+
+  /**
+   * @param {number} accountId
+   * @returns {number} - Points available to redeem; 0 for a non-member
+   */
+  pointsBalance(accountId) {
+    return this.#members.get(accountId)?.points || 0;
+  }
+
+  /**
+   * The prices a member pays, with the tier added to the adjustments of every price it changes.
+   * @param {number} accountId
+   * @param {Object<string, {unitPrice: number, adjustments: string[]}>} prices - From PriceTable.pricesFor()
+   * @returns {Object<string, {unitPrice: number, adjustments: string[]}>}
+   */
+  pricesFor(accountId, prices) {
+    const tier = this.tierFor(accountId);
+
+    if (!tier) {
+      return prices;
+    }
+
+    return Object.fromEntries(Object.entries(prices).map(([ticketType, price]) => {
+      const unitPrice = tier.prices[ticketType] !== undefined
+        ? Math.min(price.unitPrice, tier.prices[ticketType])
+        : Math.round((price.unitPrice * (100 - tier.discountPercent)) / 100);
+
+      return [ticketType, unitPrice === price.unitPrice ? price : { unitPrice, adjustments: [...price.adjustments, tier.id] }];
+    }));
+  }
+
+  /**
+   * The member's free tickets left this month, as a discount.
+   * @returns {object[]} - No discount, or one of type `memberFreeTickets` with the `tickets` it covers
+   */
+  freeTickets({ accountId, lineItems, now }) {
+    const tier = this.tierFor(accountId);
+
+    if (!tier) {
+      return [];
+    }
+
+    const tickets = {};
+    let amount = 0;
+
+    for (const { ticketType, quantity, unitPrice } of lineItems) {
+      const allowance = tier.freeTicketsPerMonth[ticketType] || 0;
+      const used = this.#freeTicketsUsed.get(MembershipScheme.#monthKey(accountId, ticketType, now)) || 0;
+      const free = Math.min(quantity, Math.max(0, allowance - used));
+
+      if (free > 0 && unitPrice > 0) {
+        tickets[ticketType] = free;
+        amount += free * unitPrice;
+      }
+    }
+
+    if (amount === 0) {
+      return [];
+    }
+
+    const contents = Object.entries(tickets).map(([ticketType, quantity]) => `${quantity} ${ticketType}`).join(' + ');
+
+    return [Object.freeze({
+      code: tier.id,
+      type: 'memberFreeTickets',
+      description: `${contents} free this month`,
+      amount,
+      tickets: Object.freeze(tickets),
+    })];
+  }
+
+  /**
+   * Pay for part of a purchase with points, as a discount.
+   * @param {{accountId: number, points: number, payable: number}} redemption - `payable` is the amount left to pay
+   * @param {import('../ViolationCollector.js').default} violations
+   * @returns {object[]} - No discount, or one of type `loyaltyPoints` with the `points` redeemed
+   */
+  redeem({ accountId, points, payable }, violations) {
+    if (points === 0) {
+      return [];
+    }
+
+    if (!this.tierFor(accountId)) {
+      violations.add(ErrorCode.NOT_A_MEMBER, 'Only members can redeem loyalty points', { points });
+      return [];
+    }
+
+    const balance = this.pointsBalance(accountId);
+
+    if (points > balance) {
+      violations.add(ErrorCode.INSUFFICIENT_POINTS, `Cannot redeem ${points} points with a balance of ${balance}`, { points, balance });
+      return [];
+    }
+
+    const amount = points * this.#pointValue;
+
+    if (amount > payable) {
+      violations.add(ErrorCode.POINTS_EXCEED_TOTAL, `${points} points are worth more than the ${this.#currency.format(payable)} left to pay`, {
+        points,
+        maxPoints: Math.floor(payable / this.#pointValue),
+      });
+      return [];
+    }
+
+    return [Object.freeze({ code: 'POINTS', type: 'loyaltyPoints', description: `${points} points`, amount, points })];
+  }
+
+  /**
+   * @param {number} accountId
+   * @param {number} amount - Minor units paid
+   * @returns {number} - Points a payment of `amount` earns
+   */
+  pointsFor(accountId, amount) {
+    const tier = this.tierFor(accountId);
+    return tier ? Math.floor((amount * tier.pointsPerUnit) / 10 ** this.#currency.minorUnitDigits) : 0;
+  }
+
+  /**
+   * Use the free tickets and points of a completed purchase, and award the points it earned.
+   * @param {{accountId: number, discounts: object[], pointsEarned: number, pointsRedeemed: number, now: Date}} purchase
+   */
+  recordPurchase({ accountId, discounts, pointsEarned, pointsRedeemed, now }) {
+    for (const { type, tickets } of discounts) {
+      if (type !== 'memberFreeTickets') {
+        continue;
+      }
+
+      for (const [ticketType, quantity] of Object.entries(tickets)) {
+        const key = MembershipScheme.#monthKey(accountId, ticketType, now);
+        this.#freeTicketsUsed.set(key, (this.#freeTicketsUsed.get(key) || 0) + quantity);
+      }
+    }
+
+    this.#adjustPoints(accountId, pointsEarned - pointsRedeemed);
+  }
+
+  /**
+   * Take back points earned on refunded tickets and return points that paid for them,
+   * and give back the free tickets returned to the allowance of the month they were bought in.
+   * The balance may go below zero if the earned points have already been spent.
+   * @param {{accountId: number, pointsReversed: number, pointsReturned: number,
+   *   freeTickets?: Object<string, number>, purchasedAt?: Date}} refund
+   */
+  recordRefund({ accountId, pointsReversed, pointsReturned, freeTickets = {}, purchasedAt }) {
+    for (const [ticketType, quantity] of Object.entries(freeTickets)) {
+      const key = MembershipScheme.#monthKey(accountId, ticketType, purchasedAt);
+      this.#freeTicketsUsed.set(key, Math.max(0, (this.#freeTicketsUsed.get(key) || 0) - quantity));
+    }
+
+    this.#adjustPoints(accountId, pointsReturned - pointsReversed);
+  }
+
+  #adjustPoints(accountId, change) {
+    const member = this.#members.get(accountId);
+
+    if (member && change !== 0) {
+      member.points += change;
+    }
+  }
+
+  static #checkTier(tier) {
+    const { id, prices = {}, discountPercent = 0, freeTicketsPerMonth = {}, pointsPerUnit = 0 } = tier;
+
+    if (typeof id !== 'string' || id === '') {
+      throw new TypeError('Every membership tier needs an id');
+    }
+
+    const isCountMap = (map, check) => map !== null && typeof map === 'object' && Object.values(map).every(check);
+
+    if (!isCountMap(prices, (price) => Number.isInteger(price) && price >= 0)) {
+      throw new TypeError(`Tier ${id}: prices must map ticket types to non-negative amounts in minor units`);
+    }
+
+    if (!Number.isFinite(discountPercent) || discountPercent < 0 || discountPercent > 100) {
+      throw new TypeError(`Tier ${id}: discountPercent must be between 0 and 100`);
+    }
+
+    if (!isCountMap(freeTicketsPerMonth, (count) => Number.isInteger(count) && count >= 0)) {
+      throw new TypeError(`Tier ${id}: freeTicketsPerMonth must map ticket types to non-negative integers`);
+    }
+
+    if (!Number.isFinite(pointsPerUnit) || pointsPerUnit < 0) {
+      throw new TypeError(`Tier ${id}: pointsPerUnit must be a non-negative number`);
+    }
+
+    return Object.freeze({
+      id,
+      prices: Object.freeze({ ...prices }),
+      discountPercent,
+      freeTicketsPerMonth: Object.freeze({ ...freeTicketsPerMonth }),
+      pointsPerUnit,
+    });
+  }
+
+  static #monthKey(accountId, ticketType, now) {
+    return `${accountId}:${ticketType}:${now.toISOString().slice(0, 7)}`;
+  }
+}
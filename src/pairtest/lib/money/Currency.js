@@ -0,0 +1,97 @@
+/**
+ * A currency and the locale its amounts are shown in.
+ *
+ * Amounts are always integers in the currency's minor unit (pence for GBP),
+ * so arithmetic on them is exact. Only `toMinorUnits` and `format` deal in
+ * major units such as `12.50`.
+ */
+export default class Currency {
+  #code;
+
+  #locale;
+
+  #minorUnitDigits;
+
+  #formatter;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.code] - ISO 4217 currency code
+   * @param {string} [options.locale] - BCP 47 locale used to format amounts
+   */
+  constructor({ code = 'GBP', locale = 'en-GB' } = {}) {
+    if (!Currency.isSupported(code)) {
+      throw new RangeError(`Unsupported currency ${code}`);
+    }
+
+    if (!Currency.isSupportedLocale(locale)) {
+      throw new RangeError(`Unsupported locale ${locale}`);
+    }
+
+    this.#code = code;
+    this.#locale = locale;
+    this.#formatter = new Intl.NumberFormat(locale, { style: 'currency', currency: code });
+    this.#minorUnitDigits = this.#formatter.resolvedOptions().maximumFractionDigits;
+  }
+
+  /**
+   * The currency and locale named in config.
+   */
+  static fromConfig({ currency, locale }) {
+    return new Currency({ code: currency, locale });
+  }
+
+  static isSupported(code) {
+    return typeof code === 'string' && Intl.supportedValuesOf('currency').includes(code);
+  }
+
+  static isSupportedLocale(locale) {
+    try {
+      return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  get code() {
+    return this.#code;
+  }
+
+  get locale() {
+    return this.#locale;
+  }
+
+  /**
+   * Number of decimal places in a major unit, e.g. 2 for GBP and 0 for JPY
+   */
+  get minorUnitDigits() {
+    return this.#minorUnitDigits;
+  }
+
+  /**
+   * Parse an amount written in major units, e.g. `'12.50'` is 1250 pence.
+   * @param {string|number} amount
+   * @returns {number} - The amount in minor units
+   * @throws {RangeError} - If the amount is not a non-negative number with at most minorUnitDigits decimals
+   */
+  toMinorUnits(amount) {
+    const text = String(amount).trim();
+    const decimals = this.#minorUnitDigits > 0 ? `(?:\\.(\\d{1,${this.#minorUnitDigits}}))?` : '';
+    const match = new RegExp(`^(\\d+)${decimals}$`).exec(text);
+
+    if (!match) {
+      throw new RangeError(`${text} is not a valid ${this.#code} amount`);
+    }
+
+    const [, whole, fraction = ''] = match;
+    return Number(whole + fraction.padEnd(this.#minorUnitDigits, '0'));
+  }
+
+  /**
+   * Format an amount in minor units for display, e.g. 1250 as `£12.50`.
+   * @param {number} amount
+   */
+  format(amount) {
+    return this.#formatter.format(amount / 10 ** this.#minorUnitDigits);
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Writes one JSON object per line for each step of a purchase, so a failed
+ * purchase can be traced from its inputs to the rule that rejected it or the
+ * call that failed. Every entry has a `timestamp`, an `event` and the
+ * `correlationId` shared by the entries of one purchaseTickets call.
+ *
+ * Account IDs are masked down to their last two digits, or entirely when
+ * they are four characters or fewer, unless `redactAccountId` is false.
+ */
+export default class AuditLogger {
+  #write;
+
+  #now;
+
+  #redactAccountId;
+
+  /**
+   * @param {object} [options]
+   * @param {(line: string) => void} [options.write] - Receives each entry as a line of JSON, without a newline
+   * @param {() => Date} [options.now]
+   * @param {boolean} [options.redactAccountId]
+   */
+  constructor({ write = (line) => process.stdout.write(`${line}\n`), now = () => new Date(), redactAccountId = true } = {}) {
+    this.#write = write;
+    this.#now = now;
+    this.#redactAccountId = redactAccountId;
+  }
+
+  /**
+   * A logger that writes to stdout when AUDIT_LOG is on, and discards entries otherwise.
+   * @param {{auditLog: boolean, auditRedactAccountId: boolean}} config
+   * @param {object} [options] - Constructor options, e.g. `now`
+   * @returns {AuditLogger}
+   */
+  static fromConfig({ auditLog, auditRedactAccountId }, options = {}) {
+    return new AuditLogger({
+      ...(auditLog ? {} : { write: () => {} }),
+      redactAccountId: auditRedactAccountId,
+      ...options,
+    });
+  }
+
+  /**
+   * @param {string} event - e.g. purchase.rejected
+   * @param {string} correlationId
+   * @param {object} [fields] - Anything JSON can hold; `accountId` is redacted
+   */
+  log(event, correlationId, fields = {}) {
+    const entry = { timestamp: this.#now().toISOString(), event, correlationId, ...fields };
+
+    if ('accountId' in entry) {
+      entry.accountId = this.redact(entry.accountId);
+    }
+
+    this.#write(JSON.stringify(entry));
+  }
+
+  /**
+   * @param {*} accountId
+   * @returns {*} - e.g. `****42` for 123442, or the account ID unchanged when redaction is off
+   */
+  redact(accountId) {
+    if (!this.#redactAccountId || accountId === null || accountId === undefined) {
+      return accountId;
+    }
+
+    const text = String(accountId);
+
+    return text.length <= 4 ? '****' : `${'*'.repeat(text.length - 2)}${text.slice(-2)}`;
+  }
+}
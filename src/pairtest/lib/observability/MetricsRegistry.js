@@ -0,0 +1,202 @@
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * In-process counters and histograms, written out in the Prometheus text
+ * exposition format so a local Prometheus can scrape them.
+ *
+ *   const registry = new MetricsRegistry();
+ *   const sold = registry.counter('tickets_sold_total', 'Tickets sold', ['ticket_type']);
+ *   sold.inc({ ticket_type: 'ADULT' }, 2);
+ *   registry.toPrometheus();
+ *
+ * Every series is kept in memory for the life of the process, so label values
+ * should come from a small, fixed set such as ticket types or error codes.
+ */
+export default class MetricsRegistry {
+  #metrics = new Map();
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {{inc: (labels?: object, amount?: number) => void, get: (labels?: object) => number}}
+   */
+  counter(name, help, labelNames = []) {
+    return this.#register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {object} [options]
+   * @param {string[]} [options.labelNames]
+   * @param {number[]} [options.buckets] - Upper bounds, in increasing order; +Inf is added
+   * @returns {{observe: (labels: object, value: number) => void, get: (labels?: object) => {count: number, sum: number, buckets: number[]}}}
+   */
+  histogram(name, help, { labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] } = {}) {
+    return this.#register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * @returns {string} - Every metric in the Prometheus text format, ending with a newline
+   */
+  toPrometheus() {
+    return [...this.#metrics.values()].map((metric) => metric.toPrometheus()).join('');
+  }
+
+  #register(metric) {
+    if (this.#metrics.has(metric.name)) {
+      throw new TypeError(`Metric ${metric.name} is already registered`);
+    }
+
+    this.#metrics.set(metric.name, metric);
+    return metric;
+  }
+}
+
+class Metric {
+  #series = new Map();
+
+  constructor(name, help, labelNames, type) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new TypeError(`Invalid metric name ${name}`);
+    }
+
+    const invalid = labelNames.find((label) => !LABEL_PATTERN.test(label) || label === 'le');
+    if (invalid !== undefined) {
+      throw new TypeError(`Invalid label name ${invalid} for ${name}`);
+    }
+
+    this.name = name;
+    this.help = help;
+    this.labelNames = Object.freeze([...labelNames]);
+    this.type = type;
+  }
+
+  /**
+   * The series for a set of label values, created by `create` on first use.
+   */
+  series(labels, create) {
+    const values = this.labelNames.map((label) => {
+      if (labels[label] === undefined || labels[label] === null) {
+        throw new TypeError(`Metric ${this.name} needs a ${label} label`);
+      }
+
+      return String(labels[label]);
+    });
+    const key = JSON.stringify(values);
+
+    if (!this.#series.has(key)) {
+      this.#series.set(key, { values, data: create() });
+    }
+
+    return this.#series.get(key).data;
+  }
+
+  peek(labels) {
+    const key = JSON.stringify(this.labelNames.map((label) => String(labels[label])));
+    return this.#series.get(key)?.data;
+  }
+
+  toPrometheus() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+
+    for (const { values, data } of this.#series.values()) {
+      const labels = this.labelNames.map((label, index) => [label, values[index]]);
+      lines.push(...this.formatSeries(labels, data));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatSample(suffix, labels, value) {
+    const text = labels.map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`).join(',');
+
+    return `${this.name}${suffix}${text ? `{${text}}` : ''} ${formatNumber(value)}`;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames, 'counter');
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new RangeError(`Counter ${this.name} can only be increased`);
+    }
+
+    this.series(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  get(labels = {}) {
+    return this.peek(labels)?.value || 0;
+  }
+
+  formatSeries(labels, { value }) {
+    return [this.formatSample('', labels, value)];
+  }
+}
+
+class Histogram extends Metric {
+  #buckets;
+
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames, 'histogram');
+
+    if (buckets.length === 0 || buckets.some((bound, index) => !Number.isFinite(bound) || (index > 0 && bound <= buckets[index - 1]))) {
+      throw new TypeError(`Buckets for ${name} must be finite and increasing`);
+    }
+
+    this.#buckets = Object.freeze([...buckets]);
+  }
+
+  observe(labels, value) {
+    if (!Number.isFinite(value)) {
+      throw new RangeError(`Histogram ${this.name} needs a finite value`);
+    }
+
+    const data = this.series(labels, () => ({ count: 0, sum: 0, buckets: this.#buckets.map(() => 0) }));
+
+    data.count += 1;
+    data.sum += value;
+    this.#buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        data.buckets[index] += 1;
+      }
+    });
+  }
+
+  /**
+   * @returns {{count: number, sum: number, buckets: number[]}} - Cumulative count per bucket
+   */
+  get(labels = {}) {
+    const data = this.peek(labels);
+
+    return data
+      ? { count: data.count, sum: data.sum, buckets: [...data.buckets] }
+      : { count: 0, sum: 0, buckets: this.#buckets.map(() => 0) };
+  }
+
+  formatSeries(labels, { count, sum, buckets }) {
+    return [
+      ...this.#buckets.map((bound, index) => this.formatSample('_bucket', [...labels, ['le', formatNumber(bound)]], buckets[index])),
+      this.formatSample('_bucket', [...labels, ['le', '+Inf']], count),
+      this.formatSample('_sum', labels, sum),
+      this.formatSample('_count', labels, count),
+    ];
+  }
+}
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(15)));
+}
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabel(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
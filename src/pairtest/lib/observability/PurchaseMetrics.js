@@ -0,0 +1,147 @@
+import { performance } from 'perf_hooks';
+import MetricsRegistry from './MetricsRegistry.js';
+
+/**
+ * The metrics TicketService records:
+ *
+ *   cinema_purchase_rejections_total{code}                    rule violations that stopped a purchase
+ *   cinema_purchase_failures_total{outcome}                   purchases that failed at payment or seat reservation
+ *   cinema_basket_size_tickets                                tickets per completed purchase
+ *   cinema_revenue_minor_units_total{ticket_type,currency}    takings per ticket type, after discounts
+ *   cinema_third_party_call_duration_seconds{operation,outcome}  latency of each payment and seat reservation call
+ *
+ * Services that share a PurchaseMetrics, e.g. every venue, are counted together.
+ */
+export default class PurchaseMetrics {
+  #registry;
+
+  #clock;
+
+  #rejections;
+
+  #failures;
+
+  #basketSize;
+
+  #revenue;
+
+  #callDuration;
+
+  /**
+   * @param {object} [options]
+   * @param {MetricsRegistry} [options.registry] - Where the metrics are registered
+   * @param {() => number} [options.clock] - Milliseconds from an arbitrary start, for call latency
+   */
+  constructor({ registry = new MetricsRegistry(), clock = () => performance.now() } = {}) {
+    this.#registry = registry;
+    this.#clock = clock;
+    this.#rejections = registry.counter('cinema_purchase_rejections_total', 'Purchases rejected, by violation code', ['code']);
+    this.#failures = registry.counter('cinema_purchase_failures_total', 'Purchases that failed after validation, by outcome', ['outcome']);
+    this.#basketSize = registry.histogram('cinema_basket_size_tickets', 'Tickets per completed purchase', {
+      buckets: [1, 2, 3, 4, 5, 6, 8, 10, 15, 20, 25],
+    });
+    this.#revenue = registry.counter('cinema_revenue_minor_units_total', 'Takings in minor units after discounts, by ticket type', ['ticket_type', 'currency']);
+    this.#callDuration = registry.histogram('cinema_third_party_call_duration_seconds', 'Duration of each third-party call attempt', {
+      labelNames: ['operation', 'outcome'],
+    });
+  }
+
+  /**
+   * Counts each violation of a rejected purchase.
+   * @param {{code: string}[]} violations
+   */
+  recordRejection(violations) {
+    for (const { code } of violations) {
+      this.#rejections.inc({ code });
+    }
+  }
+
+  /**
+   * @param {string} outcome - A PurchaseOutcome
+   */
+  recordFailure(outcome) {
+    this.#failures.inc({ outcome });
+  }
+
+  /**
+   * @param {import('../PurchaseOrder.js').default} order
+   */
+  recordPurchase(order) {
+    this.#basketSize.observe({}, order.lineItems.reduce((total, { quantity }) => total + quantity, 0));
+
+    for (const [ticketType, amount] of Object.entries(PurchaseMetrics.#revenueByType(order))) {
+      this.#revenue.inc({ ticket_type: ticketType, currency: order.currency }, amount);
+    }
+  }
+
+  /**
+   * Time a third-party call, which may return a promise.
+   * @param {string} operation - e.g. makePayment
+   * @param {() => any} call
+   * @returns {any} - Whatever the call returns
+   */
+  timeCall(operation, call) {
+    const started = this.#clock();
+    const observe = (outcome) => this.#callDuration.observe({ operation, outcome }, (this.#clock() - started) / 1000);
+
+    let result;
+    try {
+      result = call();
+    } catch (error) {
+      observe('error');
+      throw error;
+    }
+
+    if (typeof result?.then !== 'function') {
+      observe('success');
+      return result;
+    }
+
+    return result.then(
+      (value) => {
+        observe('success');
+        return value;
+      },
+      (error) => {
+        observe('error');
+        throw error;
+      },
+    );
+  }
+
+  /**
+   * @returns {string} - The Prometheus text format
+   */
+  toPrometheus() {
+    return this.#registry.toPrometheus();
+  }
+
+  /**
+   * Shares the discounts across ticket types in proportion to their subtotals,
+   * giving the pennies lost to rounding to the largest subtotals first.
+   */
+  static #revenueByType({ lineItems, totalAmount }) {
+    const gross = lineItems.reduce((total, { subtotal }) => total + subtotal, 0);
+
+    if (gross === 0) {
+      return {};
+    }
+
+    const shares = lineItems.map(({ ticketType, subtotal }) => ({
+      ticketType,
+      subtotal,
+      amount: Math.floor((subtotal * totalAmount) / gross),
+    }));
+
+    let remainder = totalAmount - shares.reduce((total, { amount }) => total + amount, 0);
+    for (const share of [...shares].sort((a, b) => b.subtotal - a.subtotal)) {
+      if (remainder === 0) {
+        break;
+      }
+      share.amount += 1;
+      remainder -= 1;
+    }
+
+    return Object.fromEntries(shares.map(({ ticketType, amount }) => [ticketType, amount]));
+  }
+}
@@ -0,0 +1,47 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Decides whether an order may still be refunded. Refunds close `cutoffMinutes`
+ * before the booked showing starts; orders without a booked showing can always
+ * be refunded.
+ */
+export default class CancellationPolicy {
+  #cutoffMinutes;
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.cutoffMinutes] - Minutes before the showing after which refunds are refused
+   */
+  constructor({ cutoffMinutes = 60 } = {}) {
+    if (!Number.isInteger(cutoffMinutes) || cutoffMinutes < 0) {
+      throw new TypeError('cutoffMinutes must be a non-negative integer');
+    }
+
+    this.#cutoffMinutes = cutoffMinutes;
+  }
+
+  static fromConfig({ cancellationCutoffMinutes }) {
+    return new CancellationPolicy({ cutoffMinutes: cancellationCutoffMinutes });
+  }
+
+  /**
+   * @param {{orderId: string, startsAt: ?Date, now: Date}} refund
+   * @param {import('../ViolationCollector.js').default} violations
+   */
+  check({ orderId, startsAt, now }, violations) {
+    if (!startsAt) {
+      return;
+    }
+
+    const deadline = new Date(startsAt.getTime() - this.#cutoffMinutes * 60 * 1000);
+
+    if (now.getTime() >= deadline.getTime()) {
+      violations.add(ErrorCode.REFUND_NOT_ALLOWED, this.#cutoffMinutes > 0
+        ? `Orders cannot be refunded within ${this.#cutoffMinutes} minutes of the showing`
+        : 'Orders cannot be refunded once the showing has started', {
+        orderId,
+        deadline: deadline.toISOString(),
+      });
+    }
+  }
+}
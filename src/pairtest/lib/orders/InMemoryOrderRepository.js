@@ -0,0 +1,69 @@
+/**
+ * Append-only ledger of order events held in process memory.
+ *
+ * An order repository records entries shaped
+ * `{ type, timestamp, accountId, orderId, showingId, amount, order, refund, failure }`
+ * and numbers them with a `sequence`. `order` is the PurchaseOrder as it stood
+ * after the event, so the latest entry for an order gives its current state.
+ * Any object with the same record/getOrder/find methods can be used instead.
+ */
+export default class InMemoryOrderRepository {
+  #entries = [];
+
+  #orders = new Map();
+
+  /**
+   * @param {object} entry
+   * @returns {object} - The stored entry with its sequence number
+   */
+  record(entry) {
+    const stored = Object.freeze({ sequence: this.#entries.length + 1, ...entry });
+
+    this.#entries.push(stored);
+
+    if (stored.order) {
+      this.#orders.set(stored.order.orderId, stored.order);
+    }
+
+    return stored;
+  }
+
+  /**
+   * @param {string} orderId
+   * @returns {?import('../PurchaseOrder.js').default} - The latest version of the order
+   */
+  getOrder(orderId) {
+    return this.#orders.get(orderId) || null;
+  }
+
+  /**
+   * Entries matching every given criterion, oldest first.
+   * @param {object} [query]
+   * @param {number} [query.accountId]
+   * @param {string} [query.showingId]
+   * @param {string} [query.orderId]
+   * @param {string} [query.type] - One of LedgerEntryType
+   * @param {Date|string} [query.from] - Earliest timestamp, inclusive
+   * @param {Date|string} [query.to] - Latest timestamp, exclusive
+   * @returns {object[]}
+   */
+  find({ accountId, showingId, orderId, type, from, to } = {}) {
+    const fromTime = from === undefined ? -Infinity : new Date(from).getTime();
+    const toTime = to === undefined ? Infinity : new Date(to).getTime();
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw new TypeError('from and to must be valid dates');
+    }
+
+    return this.#entries.filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+
+      return (accountId === undefined || entry.accountId === accountId)
+        && (showingId === undefined || entry.showingId === showingId)
+        && (orderId === undefined || entry.orderId === orderId)
+        && (type === undefined || entry.type === type)
+        && time >= fromTime
+        && time < toTime;
+    });
+  }
+}
@@ -0,0 +1,60 @@
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import PurchaseOrder from '../PurchaseOrder.js';
+import InMemoryOrderRepository from './InMemoryOrderRepository.js';
+
+/**
+ * Order ledger persisted as a JSON-lines file, one entry per line; an entry's
+ * sequence is its line number.
+ * Existing entries are loaded when the repository is created; new entries are
+ * appended to the file before they are visible to queries.
+ */
+export default class JsonLinesOrderRepository {
+  #path;
+
+  #entries = new InMemoryOrderRepository();
+
+  /**
+   * @param {object} options
+   * @param {string} options.path - The ledger file; created on the first entry if missing
+   */
+  constructor({ path }) {
+    if (typeof path !== 'string' || path === '') {
+      throw new TypeError('path must be a non-empty string');
+    }
+
+    this.#path = path;
+
+    if (existsSync(path)) {
+      readFileSync(path, 'utf8')
+        .split('\n')
+        .forEach((line, index) => {
+          if (line.trim() === '') {
+            return;
+          }
+
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            throw new Error(`${path}:${index + 1}: invalid ledger entry`, { cause: error });
+          }
+
+          this.#entries.record({ ...entry, order: entry.order && new PurchaseOrder(entry.order) });
+        });
+    }
+  }
+
+  record(entry) {
+    appendFileSync(this.#path, `${JSON.stringify(entry)}\n`);
+
+    return this.#entries.record(entry);
+  }
+
+  getOrder(orderId) {
+    return this.#entries.getOrder(orderId);
+  }
+
+  find(query) {
+    return this.#entries.find(query);
+  }
+}
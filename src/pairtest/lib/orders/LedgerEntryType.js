@@ -0,0 +1,13 @@
+/**
+ * Kinds of event recorded in the order ledger.
+ */
+
+const LedgerEntryType = Object.freeze({
+  PURCHASE: 'PURCHASE',
+  PURCHASE_FAILED: 'PURCHASE_FAILED',
+  REFUND: 'REFUND',
+  REFUND_FAILED: 'REFUND_FAILED',
+  CANCELLATION: 'CANCELLATION',
+});
+
+export default LedgerEntryType;
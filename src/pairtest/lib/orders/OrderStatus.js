@@ -0,0 +1,11 @@
+/**
+ * Lifecycle of a completed order.
+ */
+
+const OrderStatus = Object.freeze({
+  CONFIRMED: 'CONFIRMED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  CANCELLED: 'CANCELLED',
+});
+
+export default OrderStatus;
@@ -0,0 +1,162 @@
+import { readFileSync } from 'fs';
+
+const DAYS_OF_WEEK = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Prices each ticket type for a showing.
+ *
+ * Starts from the base prices (the table's own, else the ticket type registry)
+ * and applies each matching adjustment in order. An adjustment has `when`
+ * conditions and any of three effects:
+ *
+ * - price:      replace the price
+ * - multiplier: multiply the price (rounded to the nearest whole unit)
+ * - surcharge:  add to the price
+ *
+ * An effect is either a map of ticket type to value, or a single number that
+ * applies to every ticket type whose base price is above zero (so free tickets
+ * such as INFANT stay free).
+ *
+ * Conditions (all optional, all must match):
+ * - daysOfWeek: ['MON', 'TUE', ...]
+ * - from / before: 'HH:MM' bounds on the showing's start time
+ * - formats: screen formats, e.g. ['IMAX', '3D']
+ * - films: film IDs
+ *
+ * Day and time are read in the table's `timeZone` (default Europe/London).
+ */
+export default class PriceTable {
+  #basePrices;
+
+  #adjustments;
+
+  #timeZone;
+
+  constructor({ basePrices = {}, adjustments = [], timeZone = 'Europe/London' } = {}) {
+    for (const [ticketType, price] of Object.entries(basePrices)) {
+      if (!Number.isInteger(price) || price < 0) {
+        throw new Error(`Price table: base price for ${ticketType} must be a non-negative integer`);
+      }
+    }
+
+    if (!Array.isArray(adjustments)) {
+      throw new Error('Price table: adjustments must be an array');
+    }
+
+    this.#basePrices = Object.freeze({ ...basePrices });
+    this.#adjustments = Object.freeze(adjustments.map((adjustment, index) => PriceTable.#validateAdjustment(adjustment, index)));
+    this.#timeZone = timeZone;
+
+    // Throws a RangeError for an unknown time zone
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+  }
+
+  /**
+   * Load a price table from a JSON file.
+   * @param {string} path
+   */
+  static fromFile(path) {
+    return new PriceTable(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * The price table file named in config, or a table with no adjustments.
+   */
+  static fromConfig({ priceTableFile }) {
+    return priceTableFile ? PriceTable.fromFile(priceTableFile) : new PriceTable();
+  }
+
+  /**
+   * @param {import('../TicketTypeRegistry.js').default} ticketTypes
+   * @param {{startsAt: Date, format?: string, filmId?: string}} showing
+   * @returns {Object<string, {unitPrice: number, adjustments: string[]}>}
+   */
+  pricesFor(ticketTypes, showing) {
+    const { dayOfWeek, time } = this.#localise(showing.startsAt);
+    const matching = this.#adjustments.filter(({ when }) => (
+      (!when.daysOfWeek || when.daysOfWeek.includes(dayOfWeek))
+      && (!when.from || time >= when.from)
+      && (!when.before || time < when.before)
+      && (!when.formats || when.formats.includes(showing.format))
+      && (!when.films || when.films.includes(showing.filmId))
+    ));
+
+    return Object.fromEntries(ticketTypes.all().map(({ name, price }) => {
+      const basePrice = this.#basePrices[name] ?? price;
+      let unitPrice = basePrice;
+      const applied = [];
+
+      for (const adjustment of matching) {
+        const adjusted = PriceTable.#apply(adjustment, name, basePrice, unitPrice);
+        if (adjusted !== unitPrice) {
+          applied.push(adjustment.name);
+        }
+        unitPrice = adjusted;
+      }
+
+      return [name, { unitPrice, adjustments: applied }];
+    }));
+  }
+
+  static #apply({ price, multiplier, surcharge }, ticketType, basePrice, unitPrice) {
+    const effect = (value) => (typeof value === 'number' ? (basePrice > 0 ? value : undefined) : value?.[ticketType]);
+    let adjusted = unitPrice;
+
+    if (effect(price) !== undefined) {
+      adjusted = effect(price);
+    }
+    if (effect(multiplier) !== undefined) {
+      adjusted = Math.round(adjusted * effect(multiplier));
+    }
+    if (effect(surcharge) !== undefined) {
+      adjusted += effect(surcharge);
+    }
+
+    return Math.max(0, adjusted);
+  }
+
+  #localise(startsAt) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.#timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(startsAt).map(({ type, value }) => [type, value]));
+
+    return { dayOfWeek: parts.weekday.toUpperCase(), time: `${parts.hour}:${parts.minute}` };
+  }
+
+  static #validateAdjustment({ name, when = {}, price, multiplier, surcharge }, index) {
+    const label = name || `adjustment ${index}`;
+
+    if (typeof name !== 'string' || name === '') {
+      throw new Error(`Price table: ${label} must have a name`);
+    }
+
+    if (price === undefined && multiplier === undefined && surcharge === undefined) {
+      throw new Error(`Price table: ${label} must set price, multiplier or surcharge`);
+    }
+
+    const isValid = { price: Number.isInteger, multiplier: Number.isFinite, surcharge: Number.isInteger };
+    for (const [key, value] of Object.entries({ price, multiplier, surcharge })) {
+      const values = typeof value === 'object' && value !== null ? Object.values(value) : [value];
+      if (value !== undefined && !values.every(isValid[key])) {
+        throw new Error(`Price table: ${label} ${key} must be a number or a map of ticket type to number`);
+      }
+    }
+
+    if (when.daysOfWeek && !when.daysOfWeek.every((day) => DAYS_OF_WEEK.includes(day))) {
+      throw new Error(`Price table: ${label} daysOfWeek must be drawn from ${DAYS_OF_WEEK.join(', ')}`);
+    }
+
+    for (const key of ['from', 'before']) {
+      if (when[key] !== undefined && !TIME_PATTERN.test(when[key])) {
+        throw new Error(`Price table: ${label} ${key} must be a HH:MM time`);
+      }
+    }
+
+    return Object.freeze({ name, when: Object.freeze({ ...when }), price, multiplier, surcharge });
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * VAT on ticket sales. Ticket prices include VAT, so the tax is worked out
+ * backwards from what the customer pays.
+ *
+ * Each ticket type has a rate (a percentage, e.g. 20). A basket is split into
+ * one band per rate; discounts are shared across the bands in proportion to
+ * their value, and the tax in each band is
+ *
+ *   round(gross * rate / (100 + rate))
+ *
+ * rounded half up to a whole minor unit. Net is gross minus tax, so net and
+ * tax always add up to exactly what was paid.
+ */
+export default class TaxCalculator {
+  #rates;
+
+  #defaultRate;
+
+  /**
+   * @param {object} [options]
+   * @param {Object<string, number>} [options.rates] - Rate per ticket type
+   * @param {number} [options.defaultRate] - Rate for ticket types not in `rates`
+   */
+  constructor({ rates = {}, defaultRate = 0 } = {}) {
+    for (const [ticketType, rate] of Object.entries({ ...rates, default: defaultRate })) {
+      if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw new RangeError(`Tax rate for ${ticketType} must be a percentage between 0 and 100`);
+      }
+    }
+
+    this.#rates = Object.freeze({ ...rates });
+    this.#defaultRate = defaultRate;
+  }
+
+  /**
+   * The tax rates named in config.
+   */
+  static fromConfig({ taxRates }) {
+    return new TaxCalculator({ rates: taxRates });
+  }
+
+  /**
+   * @param {string} ticketType
+   * @returns {number} - The rate as a percentage
+   */
+  rateFor(ticketType) {
+    return this.#rates[ticketType] ?? this.#defaultRate;
+  }
+
+  /**
+   * Split what was paid for some line items into net and tax. Each line item
+   * carries the `taxRate` it was sold at, so the breakdown of an order does not
+   * change if the rates do.
+   * @param {{subtotal: number, taxRate: number}[]} lineItems
+   * @param {number} totalAmount - Amount paid after discounts
+   * @returns {{netAmount: number, taxAmount: number, taxes: {rate: number, net: number, tax: number, gross: number}[]}}
+   */
+  static breakdown(lineItems, totalAmount) {
+    const bands = new Map();
+    for (const { subtotal, taxRate = 0 } of lineItems) {
+      bands.set(taxRate, (bands.get(taxRate) || 0) + subtotal);
+    }
+
+    const subtotals = [...bands.values()];
+    const discounts = TaxCalculator.#share(subtotals.reduce((total, gross) => total + gross, 0) - totalAmount, subtotals);
+
+    const taxes = [...bands.keys()].map((rate, index) => {
+      const gross = subtotals[index] - discounts[index];
+      const tax = Math.round((gross * rate) / (100 + rate));
+      return Object.freeze({ rate, net: gross - tax, tax, gross });
+    });
+
+    return {
+      netAmount: taxes.reduce((total, { net }) => total + net, 0),
+      taxAmount: taxes.reduce((total, { tax }) => total + tax, 0),
+      taxes: Object.freeze(taxes),
+    };
+  }
+
+  /**
+   * Shares an amount across weights in proportion, by largest remainder, so the
+   * shares are whole and add up to the amount.
+   */
+  static #share(amount, weights) {
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+
+    if (amount === 0 || totalWeight === 0) {
+      return weights.map(() => 0);
+    }
+
+    const exact = weights.map((weight) => (amount * weight) / totalWeight);
+    const shares = exact.map(Math.floor);
+    const byRemainder = exact
+      .map((value, index) => ({ index, remainder: value - shares[index] }))
+      .sort((a, b) => b.remainder - a.remainder);
+
+    for (let left = amount - shares.reduce((total, share) => total + share, 0), i = 0; left > 0; left -= 1, i += 1) {
+      shares[byRemainder[i].index] += 1;
+    }
+
+    return shares;
+  }
+}
@@ -0,0 +1,228 @@
+import { readFileSync } from 'fs';
+import ErrorCode from '../ErrorCode.js';
+import Currency from '../money/Currency.js';
+
+/**
+ * Discount calculators keyed by promo code type. Each receives the code
+ * definition, the priced line items, the amount still payable and the
+ * currency, and returns the discount amount and a human-readable description.
+ * Amounts in definitions are in minor units, like the prices.
+ */
+const DISCOUNT_TYPES = Object.freeze({
+  percentage: {
+    validate: ({ percent }) => Number.isFinite(percent) && percent > 0 && percent <= 100,
+    calculate: ({ percent }, lineItems, remaining) => ({
+      amount: Math.round((remaining * percent) / 100),
+      description: `${percent}% off`,
+    }),
+  },
+  fixedAmount: {
+    validate: ({ amount }) => Number.isInteger(amount) && amount > 0,
+    calculate: ({ amount }, lineItems, remaining, currency) => ({
+      amount,
+      description: `${currency.format(amount)} off`,
+    }),
+  },
+  buyNGetOneFree: {
+    validate: ({ ticketType, buy }) => typeof ticketType === 'string' && Number.isInteger(buy) && buy > 0,
+    calculate: ({ ticketType, buy }, lineItems) => {
+      const lineItem = lineItems.find((item) => item.ticketType === ticketType);
+      const free = lineItem ? Math.floor(lineItem.quantity / (buy + 1)) : 0;
+      return {
+        amount: lineItem ? free * lineItem.unitPrice : 0,
+        description: `Buy ${buy} ${ticketType} get 1 free (${free} free)`,
+      };
+    },
+  },
+  bundle: {
+    validate: ({ tickets, price }) => Number.isInteger(price) && price >= 0 && tickets && typeof tickets === 'object'
+      && Object.values(tickets).every((quantity) => Number.isInteger(quantity) && quantity > 0),
+    calculate: ({ tickets, price }, lineItems, remaining, currency) => {
+      const itemFor = (ticketType) => lineItems.find((item) => item.ticketType === ticketType);
+      const bundles = Math.min(...Object.entries(tickets).map(
+        ([ticketType, quantity]) => Math.floor((itemFor(ticketType)?.quantity || 0) / quantity),
+      ));
+      const fullPrice = Object.entries(tickets).reduce(
+        (total, [ticketType, quantity]) => total + quantity * (itemFor(ticketType)?.unitPrice || 0),
+        0,
+      );
+      const contents = Object.entries(tickets).map(([ticketType, quantity]) => `${quantity} ${ticketType}`).join(' + ');
+      return {
+        amount: bundles * Math.max(0, fullPrice - price),
+        description: `${contents} for ${currency.format(price)} (x${bundles})`,
+      };
+    },
+  },
+});
+
+/**
+ * Promo codes and vouchers that can be applied to a purchase.
+ *
+ * A code definition is `{ code, type, ...typeOptions }` plus optional
+ * `validFrom` / `validUntil` (ISO dates), `maxUsesPerAccount` and `stackable`.
+ * A code that is not stackable cannot be combined with any other code.
+ *
+ * Discounts apply in the order the codes are given, each against the amount
+ * still payable, and never take the total below zero.
+ */
+export default class PromotionCatalogue {
+  #codes = new Map();
+
+  #usesByAccount = new Map();
+
+  #currency;
+
+  /**
+   * @param {object[]} [definitions]
+   * @param {object} [options]
+   * @param {Currency} [options.currency] - Used to describe money-off discounts
+   */
+  constructor(definitions = [], { currency = new Currency() } = {}) {
+    this.#currency = currency;
+
+    for (const definition of definitions) {
+      const code = PromotionCatalogue.normalise(definition.code);
+      const discountType = DISCOUNT_TYPES[definition.type];
+
+      if (!discountType) {
+        throw new Error(`Promo code ${code}: unknown type ${definition.type}`);
+      }
+
+      if (!discountType.validate(definition)) {
+        throw new Error(`Promo code ${code}: invalid options for type ${definition.type}`);
+      }
+
+      this.#codes.set(code, Object.freeze({
+        ...definition,
+        code,
+        validFrom: definition.validFrom ? new Date(definition.validFrom) : null,
+        validUntil: definition.validUntil ? new Date(definition.validUntil) : null,
+        stackable: Boolean(definition.stackable),
+      }));
+    }
+  }
+
+  /**
+   * Load promo codes from a JSON file shaped `{ "promoCodes": [...] }`.
+   * @param {string} path
+   * @param {{currency?: Currency}} [options]
+   */
+  static fromFile(path, options) {
+    return new PromotionCatalogue(JSON.parse(readFileSync(path, 'utf8')).promoCodes, options);
+  }
+
+  /**
+   * The promo codes file named in config, or an empty catalogue.
+   */
+  static fromConfig(config) {
+    const options = { currency: Currency.fromConfig(config) };
+    return config.promoCodesFile
+      ? PromotionCatalogue.fromFile(config.promoCodesFile, options)
+      : new PromotionCatalogue([], options);
+  }
+
+  static normalise(code) {
+    if (typeof code !== 'string' || code.trim() === '') {
+      throw new TypeError('promo code must be a non-empty string');
+    }
+    return code.trim().toUpperCase();
+  }
+
+  /**
+   * Validate the codes for this purchase and work out the discounts.
+   * `payable` is the amount left after earlier discounts, e.g. a member's free tickets;
+   * it defaults to the line items' total.
+   * @returns {{code: string, type: string, description: string, amount: number}[]}
+   */
+  apply({ accountId, codes, lineItems, now, payable = PromotionCatalogue.#sum(lineItems) }, violations) {
+    const normalised = codes.map((code) => (code.trim() === '' ? null : PromotionCatalogue.normalise(code)));
+    const definitions = [];
+
+    normalised.forEach((code, index) => {
+      if (code === null) {
+        violations.add(ErrorCode.INVALID_PROMO_CODE, 'Promo code must not be blank', { code: codes[index], index });
+        return;
+      }
+
+      const definition = this.#codes.get(code);
+
+      if (!definition) {
+        violations.add(ErrorCode.INVALID_PROMO_CODE, `Promo code ${code} is not valid`, { code, index });
+        return;
+      }
+
+      if (normalised.indexOf(code) !== index) {
+        violations.add(ErrorCode.PROMO_CODE_NOT_STACKABLE, `Promo code ${code} can only be used once per purchase`, {
+          code,
+          index,
+        });
+        return;
+      }
+
+      if ((definition.validFrom && now < definition.validFrom) || (definition.validUntil && now > definition.validUntil)) {
+        violations.add(ErrorCode.PROMO_CODE_EXPIRED, `Promo code ${code} is not valid at this time`, {
+          code,
+          validFrom: definition.validFrom?.toISOString() ?? null,
+          validUntil: definition.validUntil?.toISOString() ?? null,
+        });
+        return;
+      }
+
+      const used = this.#usesByAccount.get(PromotionCatalogue.#key(accountId, code)) || 0;
+      if (definition.maxUsesPerAccount !== undefined && used >= definition.maxUsesPerAccount) {
+        violations.add(ErrorCode.PROMO_CODE_USAGE_LIMIT, `Promo code ${code} has already been used the maximum number of times`, {
+          code,
+          limit: definition.maxUsesPerAccount,
+          used,
+        });
+        return;
+      }
+
+      definitions.push(definition);
+    });
+
+    if (definitions.length > 1) {
+      for (const { code } of definitions.filter(({ stackable }) => !stackable)) {
+        violations.add(ErrorCode.PROMO_CODE_NOT_STACKABLE, `Promo code ${code} cannot be combined with other codes`, { code });
+      }
+    }
+
+    let remaining = payable;
+
+    return definitions.map((definition) => {
+      const { amount, description } = DISCOUNT_TYPES[definition.type].calculate(definition, lineItems, remaining, this.#currency);
+      const applied = Math.min(amount, remaining);
+      remaining -= applied;
+      return Object.freeze({ code: definition.code, type: definition.type, description, amount: applied });
+    });
+  }
+
+  /**
+   * Count a successful purchase against each code's per-account limit.
+   * Discounts that did not come from a promo code are ignored.
+   */
+  recordUsage(accountId, discounts) {
+    for (const { code } of discounts.filter(({ type }) => type in DISCOUNT_TYPES)) {
+      const key = PromotionCatalogue.#key(accountId, code);
+      this.#usesByAccount.set(key, (this.#usesByAccount.get(key) || 0) + 1);
+    }
+  }
+
+  /**
+   * Give back the uses recorded for a purchase that has been cancelled.
+   */
+  releaseUsage(accountId, discounts) {
+    for (const { code } of discounts.filter(({ type }) => type in DISCOUNT_TYPES)) {
+      const key = PromotionCatalogue.#key(accountId, code);
+      this.#usesByAccount.set(key, Math.max(0, (this.#usesByAccount.get(key) || 0) - 1));
+    }
+  }
+
+  static #sum(lineItems) {
+    return lineItems.reduce((total, { subtotal }) => total + subtotal, 0);
+  }
+
+  static #key(accountId, code) {
+    return `${accountId}:${code}`;
+  }
+}
@@ -0,0 +1,101 @@
+import TimeoutError from './TimeoutError.js';
+
+/**
+ * Runs a possibly asynchronous third-party call with a timeout on each attempt,
+ * retrying transient failures with exponential backoff. Permanent failures are
+ * rethrown straight away.
+ *
+ * A call that timed out may still have taken effect, so calls that are not
+ * idempotent, such as payments, are only retried after failures that mean the
+ * call was not made (e.g. the gateway was unavailable), never after a timeout.
+ */
+export default class ResiliencePolicy {
+  #timeoutMs;
+
+  #retries;
+
+  #baseDelayMs;
+
+  #maxDelayMs;
+
+  #sleep;
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Time allowed per attempt; 0 disables the timeout
+   * @param {number} [options.retries] - Extra attempts after a transient failure
+   * @param {number} [options.baseDelayMs] - Delay before the first retry; doubles for each retry after
+   * @param {number} [options.maxDelayMs] - Longest delay between retries
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between retries
+   */
+  constructor({
+    timeoutMs = 5000,
+    retries = 2,
+    baseDelayMs = 100,
+    maxDelayMs = 2000,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  } = {}) {
+    for (const [key, value] of Object.entries({ timeoutMs, retries, baseDelayMs, maxDelayMs })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new TypeError(`${key} must be a non-negative integer`);
+      }
+    }
+
+    this.#timeoutMs = timeoutMs;
+    this.#retries = retries;
+    this.#baseDelayMs = baseDelayMs;
+    this.#maxDelayMs = maxDelayMs;
+    this.#sleep = sleep;
+  }
+
+  static isTransient(error) {
+    return Boolean(error && error.transient === true);
+  }
+
+  /**
+   * A timed-out call may or may not have taken effect.
+   */
+  static isTimeout(error) {
+    return Boolean(error && error.timedOut === true);
+  }
+
+  /**
+   * @param {() => any} operation - The call to make; may return a value or a promise
+   * @param {string} [name] - Used in timeout messages
+   * @param {object} [options]
+   * @param {boolean} [options.idempotent] - Whether the call is safe to repeat after a timeout
+   * @returns {Promise<any>} - The operation's result
+   */
+  async execute(operation, name = 'operation', { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await this.#withTimeout(operation, name);
+      } catch (error) {
+        if (!ResiliencePolicy.isTransient(error) || attempt >= this.#retries
+          || (!idempotent && ResiliencePolicy.isTimeout(error))) {
+          throw error;
+        }
+
+        await this.#sleep(Math.min(this.#baseDelayMs * 2 ** attempt, this.#maxDelayMs));
+      }
+    }
+  }
+
+  #withTimeout(operation, name) {
+    const result = new Promise((resolve) => resolve(operation()));
+
+    if (this.#timeoutMs === 0) {
+      return result;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new TimeoutError(`${name} timed out after ${this.#timeoutMs}ms`, { timeoutMs: this.#timeoutMs })),
+        this.#timeoutMs,
+      );
+    });
+
+    return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+  }
+}
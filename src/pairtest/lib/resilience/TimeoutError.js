@@ -0,0 +1,15 @@
+import TransientError from './TransientError.js';
+
+/**
+ * A third-party call did not settle within its timeout. It may still have taken
+ * effect; adapters can flag their own errors the same way with `timedOut: true`.
+ */
+
+export default class TimeoutError extends TransientError {
+  constructor(message, { timeoutMs } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+    this.timedOut = true;
+  }
+}
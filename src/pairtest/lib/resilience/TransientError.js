@@ -0,0 +1,13 @@
+/**
+ * A third-party failure that may succeed if tried again, such as a timeout or a
+ * gateway that is briefly unavailable. Adapters throw (or reject with) this, or
+ * any error with `transient: true`; every other error is treated as permanent.
+ */
+
+export default class TransientError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TransientError';
+    this.transient = true;
+  }
+}
@@ -0,0 +1,48 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Caps the number of tickets one account may buy per calendar day (UTC).
+ * Purchases are counted in memory through recordPurchase(), and returned tickets
+ * are taken off the day they were bought by recordRefund().
+ * Options: { limit }
+ */
+export default class AccountDailyCapRule {
+  static type = 'accountDailyCap';
+
+  #purchasedByAccountAndDay = new Map();
+
+  constructor({ name = AccountDailyCapRule.type, limit }) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Rule ${name}: limit must be a positive integer`);
+    }
+
+    this.name = name;
+    this.limit = limit;
+  }
+
+  evaluate({ accountId, now, totals }, violations) {
+    const alreadyPurchased = this.#purchasedByAccountAndDay.get(AccountDailyCapRule.#key(accountId, now)) || 0;
+
+    if (alreadyPurchased + totals.tickets > this.limit) {
+      violations.add(
+        ErrorCode.DAILY_CAP_EXCEEDED,
+        `Cannot purchase more than ${this.limit} tickets per account per day`,
+        { rule: this.name, limit: this.limit, requested: totals.tickets, alreadyPurchased },
+      );
+    }
+  }
+
+  recordPurchase({ accountId, now, totals }) {
+    const key = AccountDailyCapRule.#key(accountId, now);
+    this.#purchasedByAccountAndDay.set(key, (this.#purchasedByAccountAndDay.get(key) || 0) + totals.tickets);
+  }
+
+  recordRefund({ accountId, now, totals }) {
+    const key = AccountDailyCapRule.#key(accountId, now);
+    this.#purchasedByAccountAndDay.set(key, Math.max(0, (this.#purchasedByAccountAndDay.get(key) || 0) - totals.tickets));
+  }
+
+  static #key(accountId, now) {
+    return `${accountId}:${now.toISOString().slice(0, 10)}`;
+  }
+}
@@ -0,0 +1,31 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Tickets that require an adult cannot be bought without at least one
+ * ticket that counts as an adult supervisor.
+ */
+export default class AdultRequiredRule {
+  static type = 'adultRequired';
+
+  constructor({ name = AdultRequiredRule.type } = {}) {
+    this.name = name;
+  }
+
+  evaluate({ ticketCounts, ticketTypes, totals }, violations) {
+    if (totals.supervised > 0 && totals.supervisors === 0) {
+      violations.add(
+        ErrorCode.ADULT_REQUIRED,
+        `${AdultRequiredRule.#describeSupervisedTypes(ticketTypes)} tickets cannot be purchased without at least one Adult ticket`,
+        { rule: this.name, counts: { ...ticketCounts } },
+      );
+    }
+  }
+
+  static #describeSupervisedTypes(ticketTypes) {
+    const labels = ticketTypes.all()
+      .filter((type) => type.requiresAdult)
+      .map(({ name }) => name.charAt(0) + name.slice(1).toLowerCase());
+
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels.slice(-1)}` : labels.join('');
+  }
+}
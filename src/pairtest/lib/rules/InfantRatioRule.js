@@ -0,0 +1,22 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Lap-seated tickets (infants) cannot outnumber adult supervisors.
+ */
+export default class InfantRatioRule {
+  static type = 'infantRatio';
+
+  constructor({ name = InfantRatioRule.type } = {}) {
+    this.name = name;
+  }
+
+  evaluate({ ticketCounts, totals }, violations) {
+    if (totals.lapSeated > totals.supervisors) {
+      violations.add(
+        ErrorCode.INFANT_RATIO,
+        'Number of Infant tickets cannot exceed the number of Adult tickets (Infants sit on Adult laps)',
+        { rule: this.name, limit: totals.supervisors, requested: totals.lapSeated, counts: { ...ticketCounts } },
+      );
+    }
+  }
+}
@@ -0,0 +1,33 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Caps the number of tickets of individual types in a single purchase.
+ * Options: { limits: { [ticketType]: number } }
+ */
+export default class MaxPerTypeRule {
+  static type = 'maxPerType';
+
+  constructor({ name = MaxPerTypeRule.type, limits }) {
+    if (!limits || typeof limits !== 'object'
+      || !Object.values(limits).every((limit) => Number.isInteger(limit) && limit >= 0)) {
+      throw new Error(`Rule ${name}: limits must map ticket types to non-negative integers`);
+    }
+
+    this.name = name;
+    this.limits = { ...limits };
+  }
+
+  evaluate({ ticketCounts }, violations) {
+    for (const [ticketType, limit] of Object.entries(this.limits)) {
+      const requested = ticketCounts[ticketType] || 0;
+
+      if (requested > limit) {
+        violations.add(
+          ErrorCode.PER_TYPE_MAX_EXCEEDED,
+          `Cannot purchase more than ${limit} ${ticketType} tickets at a time`,
+          { rule: this.name, ticketType, limit, requested },
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,28 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Caps the total number of tickets in a single purchase.
+ * Options: { limit }
+ */
+export default class MaxTicketsRule {
+  static type = 'maxTickets';
+
+  constructor({ name = MaxTicketsRule.type, limit }) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Rule ${name}: limit must be a positive integer`);
+    }
+
+    this.name = name;
+    this.limit = limit;
+  }
+
+  evaluate({ ticketCounts, totals }, violations) {
+    if (totals.tickets > this.limit) {
+      violations.add(
+        ErrorCode.MAX_TICKETS_EXCEEDED,
+        `Cannot purchase more than ${this.limit} tickets at a time`,
+        { rule: this.name, limit: this.limit, requested: totals.tickets, counts: { ...ticketCounts } },
+      );
+    }
+  }
+}
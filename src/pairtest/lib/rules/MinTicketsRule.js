@@ -0,0 +1,28 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Requires a minimum number of tickets in a single purchase, e.g. for group bookings.
+ * Options: { limit }
+ */
+export default class MinTicketsRule {
+  static type = 'minTickets';
+
+  constructor({ name = MinTicketsRule.type, limit }) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Rule ${name}: limit must be a positive integer`);
+    }
+
+    this.name = name;
+    this.limit = limit;
+  }
+
+  evaluate({ ticketCounts, totals }, violations) {
+    if (totals.tickets < this.limit) {
+      violations.add(
+        ErrorCode.MIN_TICKETS_NOT_MET,
+        `Cannot purchase fewer than ${this.limit} tickets at a time`,
+        { rule: this.name, limit: this.limit, requested: totals.tickets, counts: { ...ticketCounts } },
+      );
+    }
+  }
+}
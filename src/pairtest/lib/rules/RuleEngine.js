@@ -0,0 +1,124 @@
+import { readFileSync } from 'fs';
+import MaxTicketsRule from './MaxTicketsRule.js';
+import MinTicketsRule from './MinTicketsRule.js';
+import MaxPerTypeRule from './MaxPerTypeRule.js';
+import AdultRequiredRule from './AdultRequiredRule.js';
+import InfantRatioRule from './InfantRatioRule.js';
+import SupervisionRatioRule from './SupervisionRatioRule.js';
+import AccountDailyCapRule from './AccountDailyCapRule.js';
+
+const RULE_TYPES = new Map([
+  MaxTicketsRule,
+  MinTicketsRule,
+  MaxPerTypeRule,
+  AdultRequiredRule,
+  InfantRatioRule,
+  SupervisionRatioRule,
+  AccountDailyCapRule,
+].map((Rule) => [Rule.type, Rule]));
+
+/**
+ * Evaluates an ordered list of business rules against a purchase.
+ *
+ * A rule is any object with a `name` and an `evaluate(context, violations)` method
+ * that reports problems through the ViolationCollector. Rules that keep state
+ * between purchases may also implement `recordPurchase(context)`, and
+ * `recordRefund(context)` to take back returned tickets.
+ *
+ * Rule definitions are plain objects `{ type, name?, enabled?, ...options }`, so a
+ * site can switch rules on and off and tune their parameters from a JSON file.
+ */
+export default class RuleEngine {
+  #rules;
+
+  constructor(rules = []) {
+    this.#rules = [...rules];
+  }
+
+  /**
+   * Build an engine from rule definitions; disabled rules are left out.
+   * @param {object[]} definitions
+   */
+  static fromDefinitions(definitions) {
+    if (!Array.isArray(definitions)) {
+      throw new Error('Rule definitions must be an array');
+    }
+
+    return new RuleEngine(definitions
+      .filter(({ enabled = true }) => enabled)
+      .map(({ type, enabled, ...options }) => {
+        const Rule = RULE_TYPES.get(type);
+        if (!Rule) {
+          throw new Error(`Unknown rule type: ${type}`);
+        }
+        return new Rule(options);
+      }));
+  }
+
+  /**
+   * Load rule definitions from a JSON file shaped `{ "rules": [...] }`.
+   * @param {string} path
+   */
+  static fromFile(path) {
+    const { rules } = JSON.parse(readFileSync(path, 'utf8'));
+    return RuleEngine.fromDefinitions(rules);
+  }
+
+  /**
+   * The rules file named in config, or the built-in rules when there is none.
+   */
+  static fromConfig({ rulesFile, maxTickets, enforceInfantAdultRatio }) {
+    if (rulesFile) {
+      return RuleEngine.fromFile(rulesFile);
+    }
+
+    return RuleEngine.fromDefinitions([
+      { type: MaxTicketsRule.type, limit: maxTickets },
+      { type: AdultRequiredRule.type },
+      { type: InfantRatioRule.type, enabled: enforceInfantAdultRatio },
+    ]);
+  }
+
+  static get ruleTypes() {
+    return [...RULE_TYPES.keys()];
+  }
+
+  names() {
+    return this.#rules.map((rule) => rule.name);
+  }
+
+  evaluate(context, violations) {
+    for (const rule of this.#rules) {
+      rule.evaluate(context, violations);
+    }
+  }
+
+  /**
+   * Check the tickets left on an order after a refund. Rules that count purchases
+   * across orders (those with recordPurchase) have already counted this order and
+   * are skipped.
+   */
+  evaluateBooking(context, violations) {
+    for (const rule of this.#rules) {
+      if (!rule.recordPurchase) {
+        rule.evaluate(context, violations);
+      }
+    }
+  }
+
+  recordPurchase(context) {
+    for (const rule of this.#rules) {
+      rule.recordPurchase?.(context);
+    }
+  }
+
+  /**
+   * Take back returned tickets. The context describes the returned tickets, and
+   * its `now` is when the order was bought.
+   */
+  recordRefund(context) {
+    for (const rule of this.#rules) {
+      rule.recordRefund?.(context);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import ErrorCode from '../ErrorCode.js';
+
+/**
+ * Limits how many tickets of one type each adult supervisor may accompany,
+ * e.g. one adult per four children.
+ * Options: { ticketType, perSupervisor }
+ */
+export default class SupervisionRatioRule {
+  static type = 'supervisionRatio';
+
+  constructor({ name = SupervisionRatioRule.type, ticketType, perSupervisor }) {
+    if (typeof ticketType !== 'string' || ticketType === '') {
+      throw new Error(`Rule ${name}: ticketType must be a ticket type name`);
+    }
+
+    if (!Number.isInteger(perSupervisor) || perSupervisor <= 0) {
+      throw new Error(`Rule ${name}: perSupervisor must be a positive integer`);
+    }
+
+    this.name = name;
+    this.ticketType = ticketType;
+    this.perSupervisor = perSupervisor;
+  }
+
+  evaluate({ ticketCounts, totals }, violations) {
+    const requested = ticketCounts[this.ticketType] || 0;
+    const limit = totals.supervisors * this.perSupervisor;
+
+    if (requested > 0 && requested > limit) {
+      violations.add(
+        ErrorCode.SUPERVISION_RATIO,
+        `Each Adult ticket can accompany at most ${this.perSupervisor} ${this.ticketType} tickets`,
+        { rule: this.name, ticketType: this.ticketType, limit, requested, supervisors: totals.supervisors },
+      );
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Immutable Object.
+ *
+ * A screen's seat map. Rows are listed front to back; seats in a row are
+ * numbered from 1, and a seat's ID is its row label followed by its number
+ * (e.g. "C7"). Wheelchair spaces are never auto-allocated and blocked seats
+ * are never sold.
+ */
+
+export default class Auditorium {
+  #id;
+
+  #name;
+
+  #rows;
+
+  /**
+   * @param {object} definition
+   * @param {string} definition.id
+   * @param {string} [definition.name]
+   * @param {{row: string, seats: number, wheelchair?: number[], blocked?: number[]}[]} definition.rows
+   */
+  constructor({ id, name = id, rows }) {
+    if (typeof id !== 'string' || id === '') {
+      throw new TypeError('id must be a non-empty string');
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new TypeError(`Auditorium ${id}: rows must be a non-empty array`);
+    }
+
+    this.#id = id;
+    this.#name = name;
+    this.#rows = Object.freeze(rows.map(({ row, seats, wheelchair = [], blocked = [] }) => {
+      if (typeof row !== 'string' || !/^[A-Z]+$/.test(row)) {
+        throw new TypeError(`Auditorium ${id}: row labels must be upper-case letters`);
+      }
+
+      if (!Number.isInteger(seats) || seats <= 0) {
+        throw new TypeError(`Auditorium ${id}: row ${row} must have a positive number of seats`);
+      }
+
+      for (const number of [...wheelchair, ...blocked]) {
+        if (!Number.isInteger(number) || number < 1 || number > seats) {
+          throw new TypeError(`Auditorium ${id}: seat ${row}${number} does not exist`);
+        }
+      }
+
+      return Object.freeze({
+        row,
+        seatIds: Object.freeze(Array.from({ length: seats }, (_, index) => `${row}${index + 1}`)),
+        wheelchair: new Set(wheelchair.map((number) => `${row}${number}`)),
+        blocked: new Set(blocked.map((number) => `${row}${number}`)),
+      });
+    }));
+  }
+
+  getId() {
+    return this.#id;
+  }
+
+  getName() {
+    return this.#name;
+  }
+
+  /**
+   * Seat IDs row by row, front to back.
+   * @returns {string[][]}
+   */
+  getRows() {
+    return this.#rows.map(({ seatIds }) => [...seatIds]);
+  }
+
+  hasSeat(seatId) {
+    return this.#rows.some(({ seatIds }) => seatIds.includes(seatId));
+  }
+
+  isWheelchairSpace(seatId) {
+    return this.#rows.some(({ wheelchair }) => wheelchair.has(seatId));
+  }
+
+  isBlocked(seatId) {
+    return this.#rows.some(({ blocked }) => blocked.has(seatId));
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * A screening of a film in an auditorium, tracking which seats are taken.
+ */
+export default class Showing {
+  #id;
+
+  #filmId;
+
+  #auditorium;
+
+  #startsAt;
+
+  #format;
+
+  #taken = new Set();
+
+  /**
+   * @param {object} definition
+   * @param {string} definition.id
+   * @param {string} definition.filmId
+   * @param {import('./Auditorium.js').default} definition.auditorium
+   * @param {Date|string} definition.startsAt
+   * @param {string} [definition.format]
+   */
+  constructor({ id, filmId, auditorium, startsAt, format = 'STANDARD' }) {
+    if (typeof id !== 'string' || id === '') {
+      throw new TypeError('id must be a non-empty string');
+    }
+
+    const start = new Date(startsAt);
+    if (Number.isNaN(start.getTime())) {
+      throw new TypeError(`Showing ${id}: startsAt must be a valid date`);
+    }
+
+    this.#id = id;
+    this.#filmId = filmId;
+    this.#auditorium = auditorium;
+    this.#startsAt = start;
+    this.#format = format;
+  }
+
+  getId() {
+    return this.#id;
+  }
+
+  getAuditorium() {
+    return this.#auditorium;
+  }
+
+  /**
+   * The pricing context for this showing.
+   */
+  getDetails() {
+    return { showingId: this.#id, filmId: this.#filmId, startsAt: new Date(this.#startsAt), format: this.#format };
+  }
+
+  isAvailable(seatId) {
+    return this.#auditorium.hasSeat(seatId) && !this.#auditorium.isBlocked(seatId) && !this.#taken.has(seatId);
+  }
+
+  countAvailable() {
+    return this.#auditorium.getRows().flat().filter((seatId) => this.isAvailable(seatId)).length;
+  }
+
+  /**
+   * Choose seats for a party without taking them: a block of adjacent seats in
+   * the front-most row that has one, otherwise the first free seats front to
+   * back. Wheelchair spaces are left out. Returns null when there are not enough.
+   * @param {number} count
+   * @returns {string[]|null}
+   */
+  findSeats(count) {
+    const isOffered = (seatId) => this.isAvailable(seatId) && !this.#auditorium.isWheelchairSpace(seatId);
+    const rows = this.#auditorium.getRows();
+
+    for (const seatIds of rows) {
+      for (let start = 0; start + count <= seatIds.length; start += 1) {
+        const block = seatIds.slice(start, start + count);
+        if (block.every(isOffered)) {
+          return block;
+        }
+      }
+    }
+
+    const free = rows.flat().filter(isOffered);
+
+    return free.length >= count ? free.slice(0, count) : null;
+  }
+
+  /**
+   * Mark seats as taken. All seats must be available.
+   * @param {string[]} seatIds
+   */
+  take(seatIds) {
+    const unavailable = seatIds.filter((seatId) => !this.isAvailable(seatId));
+    if (unavailable.length > 0) {
+      throw new Error(`Seats ${unavailable.join(', ')} are not available for showing ${this.#id}`);
+    }
+
+    for (const seatId of seatIds) {
+      this.#taken.add(seatId);
+    }
+  }
+
+  /**
+   * Return seats to sale.
+   * @param {string[]} seatIds
+   */
+  release(seatIds) {
+    for (const seatId of seatIds) {
+      this.#taken.delete(seatId);
+    }
+  }
+}
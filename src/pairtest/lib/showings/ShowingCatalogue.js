@@ -0,0 +1,64 @@
+import { readFileSync } from 'fs';
+import Auditorium from './Auditorium.js';
+import Showing from './Showing.js';
+
+/**
+ * The showings that can be booked, keyed by showing ID.
+ */
+export default class ShowingCatalogue {
+  #showings = new Map();
+
+  constructor(showings = []) {
+    for (const showing of showings) {
+      this.add(showing);
+    }
+  }
+
+  /**
+   * Build a catalogue from plain definitions:
+   * `{ auditoriums: [{ id, rows }], showings: [{ id, filmId, auditoriumId, startsAt, format }] }`.
+   */
+  static fromDefinitions({ auditoriums = [], showings = [] }) {
+    const auditoriumsById = new Map(auditoriums.map((definition) => [definition.id, new Auditorium(definition)]));
+
+    return new ShowingCatalogue(showings.map(({ auditoriumId, ...definition }) => {
+      const auditorium = auditoriumsById.get(auditoriumId);
+      if (!auditorium) {
+        throw new Error(`Showing ${definition.id}: unknown auditorium ${auditoriumId}`);
+      }
+      return new Showing({ ...definition, auditorium });
+    }));
+  }
+
+  /**
+   * Load auditoriums and showings from a JSON file.
+   * @param {string} path
+   */
+  static fromFile(path) {
+    return ShowingCatalogue.fromDefinitions(JSON.parse(readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * The showings file named in config, or an empty catalogue.
+   */
+  static fromConfig({ showingsFile }) {
+    return showingsFile ? ShowingCatalogue.fromFile(showingsFile) : new ShowingCatalogue();
+  }
+
+  add(showing) {
+    if (!(showing instanceof Showing)) {
+      throw new TypeError('showing must be a Showing');
+    }
+
+    this.#showings.set(showing.getId(), showing);
+    return this;
+  }
+
+  get(showingId) {
+    return this.#showings.get(showingId);
+  }
+
+  all() {
+    return [...this.#showings.values()];
+  }
+}
@@ -0,0 +1,34 @@
+import SimulatedFault from './SimulatedFault.js';
+
+const TRANSIENT = new Set([SimulatedFault.UNAVAILABLE, SimulatedFault.TIMEOUT, SimulatedFault.LOST_RESPONSE]);
+
+const TIMED_OUT = new Set([SimulatedFault.TIMEOUT, SimulatedFault.LOST_RESPONSE]);
+
+const MESSAGES = Object.freeze({
+  [SimulatedFault.DECLINED]: 'declined',
+  [SimulatedFault.SOLD_OUT]: 'not enough seats left',
+  [SimulatedFault.UNAVAILABLE]: 'service unavailable',
+  [SimulatedFault.TIMEOUT]: 'timed out',
+  [SimulatedFault.LOST_RESPONSE]: 'timed out',
+  [SimulatedFault.ERROR]: 'failed unexpectedly',
+});
+
+/**
+ * The error a simulated third-party call fails with. `transient` and `timedOut`
+ * follow the conventions ResiliencePolicy retries on; a caller cannot tell a
+ * TIMEOUT from a LOST_RESPONSE.
+ */
+export default class SimulatedFailure extends Error {
+  /**
+   * @param {string} operation - e.g. makePayment
+   * @param {string} fault - A SimulatedFault other than NONE
+   */
+  constructor(operation, fault) {
+    super(`${operation} ${MESSAGES[fault]}`);
+    this.name = 'SimulatedFailure';
+    this.operation = operation;
+    this.fault = fault;
+    this.transient = TRANSIENT.has(fault);
+    this.timedOut = TIMED_OUT.has(fault);
+  }
+}
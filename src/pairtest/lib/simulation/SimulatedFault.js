@@ -0,0 +1,23 @@
+/**
+ * How a call to a simulated third-party service goes:
+ *
+ * - NONE           it succeeds; script it to let calls through between failures
+ * - DECLINED       the payment gateway refuses it; permanent
+ * - SOLD_OUT       there are not enough seats left; permanent
+ * - UNAVAILABLE    the service is briefly down and nothing happens; transient
+ * - TIMEOUT        no answer arrives and nothing happens; transient
+ * - LOST_RESPONSE  the call takes effect but its answer is lost, so it looks like a timeout; transient
+ * - ERROR          an unexpected failure; permanent
+ */
+
+const SimulatedFault = Object.freeze({
+  NONE: 'NONE',
+  DECLINED: 'DECLINED',
+  SOLD_OUT: 'SOLD_OUT',
+  UNAVAILABLE: 'UNAVAILABLE',
+  TIMEOUT: 'TIMEOUT',
+  LOST_RESPONSE: 'LOST_RESPONSE',
+  ERROR: 'ERROR',
+});
+
+export default SimulatedFault;
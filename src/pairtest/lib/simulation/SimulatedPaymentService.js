@@ -0,0 +1,87 @@
+import { readFileSync } from 'fs';
+import TicketPaymentService from '../../../thirdparty/paymentgateway/TicketPaymentService.js';
+import SimulatedFault from './SimulatedFault.js';
+import Simulation from './Simulation.js';
+
+/**
+ * A stand-in for the payment gateway that can decline, time out, lose responses
+ * and be slow, for testing TicketService offline. Arguments are checked as the
+ * real TicketPaymentService checks them.
+ *
+ * Every call is logged; `chargedTo(accountId)` is what the account has actually
+ * paid, so double charges and missing refunds show up. A refund of more than
+ * that is DECLINED.
+ */
+export default class SimulatedPaymentService {
+  #gateway = new TicketPaymentService();
+
+  #simulation;
+
+  #charged = new Map();
+
+  /**
+   * @param {object} [options] - Simulation options: `script`, `faultRate`, `seed`, `async`, `latencyMs`,
+   *   `jitterMs`, `hangMs`, `sleep` and `now`
+   * @param {string[]} [options.faults] - Faults to choose from at random
+   */
+  constructor({
+    faults = [SimulatedFault.UNAVAILABLE, SimulatedFault.TIMEOUT, SimulatedFault.DECLINED],
+    ...options
+  } = {}) {
+    this.#simulation = new Simulation({ ...options, faults, operations: ['makePayment', 'refundPayment'] });
+  }
+
+  /**
+   * Read the `payment` section of a simulation file (see simulation.example.json).
+   * @param {string} path
+   */
+  static fromFile(path) {
+    return new SimulatedPaymentService(JSON.parse(readFileSync(path, 'utf8')).payment);
+  }
+
+  makePayment(accountId, totalAmountToPay) {
+    this.#gateway.makePayment(accountId, totalAmountToPay);
+
+    return this.#simulation.run('makePayment', { accountId, amount: totalAmountToPay }, () => {
+      this.#charged.set(accountId, this.chargedTo(accountId) + totalAmountToPay);
+      return null;
+    });
+  }
+
+  refundPayment(accountId, totalAmountToRefund) {
+    this.#gateway.refundPayment(accountId, totalAmountToRefund);
+
+    return this.#simulation.run('refundPayment', { accountId, amount: totalAmountToRefund }, () => {
+      if (totalAmountToRefund > this.chargedTo(accountId)) {
+        return SimulatedFault.DECLINED;
+      }
+
+      this.#charged.set(accountId, this.chargedTo(accountId) - totalAmountToRefund);
+      return null;
+    });
+  }
+
+  /**
+   * @param {string} operation - makePayment or refundPayment
+   * @param {...string} faults - SimulatedFault values for its next calls
+   */
+  script(operation, ...faults) {
+    this.#simulation.script(operation, ...faults);
+  }
+
+  /**
+   * @param {number} accountId
+   * @returns {number} - Minor units charged and not refunded
+   */
+  chargedTo(accountId) {
+    return this.#charged.get(accountId) || 0;
+  }
+
+  /**
+   * @param {{operation?: string, accountId?: number}} [query]
+   * @returns {object[]} - Every call, oldest first: `{ sequence, operation, accountId, amount, fault, applied, latencyMs, timestamp }`
+   */
+  transactions(query) {
+    return this.#simulation.transactions(query);
+  }
+}
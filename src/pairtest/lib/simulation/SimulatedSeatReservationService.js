@@ -0,0 +1,106 @@
+import { readFileSync } from 'fs';
+import SeatReservationService from '../../../thirdparty/seatbooking/SeatReservationService.js';
+import SimulatedFault from './SimulatedFault.js';
+import Simulation from './Simulation.js';
+
+/**
+ * A stand-in for the seat booking system that can run out of seats, time out,
+ * lose responses and be slow, for testing TicketService offline. Arguments are
+ * checked as the real SeatReservationService checks them.
+ *
+ * With a `capacity`, reservations beyond the seats left fail SOLD_OUT until
+ * seats are released. Every call is logged.
+ */
+export default class SimulatedSeatReservationService {
+  #booking = new SeatReservationService();
+
+  #simulation;
+
+  #capacity;
+
+  #reserved = new Map();
+
+  /**
+   * @param {object} [options] - Simulation options: `script`, `faultRate`, `seed`, `async`, `latencyMs`,
+   *   `jitterMs`, `hangMs`, `sleep` and `now`
+   * @param {?number} [options.capacity] - Seats that can be reserved at once; unlimited when null
+   * @param {string[]} [options.faults] - Faults to choose from at random
+   */
+  constructor({
+    capacity = null,
+    faults = [SimulatedFault.UNAVAILABLE, SimulatedFault.TIMEOUT],
+    ...options
+  } = {}) {
+    if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+      throw new TypeError('capacity must be a non-negative integer');
+    }
+
+    this.#capacity = capacity;
+    this.#simulation = new Simulation({ ...options, faults, operations: ['reserveSeat', 'releaseSeat'] });
+  }
+
+  /**
+   * Read the `seatReservation` section of a simulation file (see simulation.example.json).
+   * @param {string} path
+   */
+  static fromFile(path) {
+    return new SimulatedSeatReservationService(JSON.parse(readFileSync(path, 'utf8')).seatReservation);
+  }
+
+  reserveSeat(accountId, totalSeatsToAllocate) {
+    this.#booking.reserveSeat(accountId, totalSeatsToAllocate);
+
+    return this.#simulation.run('reserveSeat', { accountId, seats: totalSeatsToAllocate }, () => {
+      if (this.#capacity !== null && totalSeatsToAllocate > this.available()) {
+        return SimulatedFault.SOLD_OUT;
+      }
+
+      this.#reserved.set(accountId, this.reservedFor(accountId) + totalSeatsToAllocate);
+      return null;
+    });
+  }
+
+  releaseSeat(accountId, totalSeatsToRelease) {
+    this.#booking.releaseSeat(accountId, totalSeatsToRelease);
+
+    return this.#simulation.run('releaseSeat', { accountId, seats: totalSeatsToRelease }, () => {
+      this.#reserved.set(accountId, Math.max(0, this.reservedFor(accountId) - totalSeatsToRelease));
+      return null;
+    });
+  }
+
+  /**
+   * @param {string} operation - reserveSeat or releaseSeat
+   * @param {...string} faults - SimulatedFault values for its next calls
+   */
+  script(operation, ...faults) {
+    this.#simulation.script(operation, ...faults);
+  }
+
+  /**
+   * @param {number} accountId
+   * @returns {number} - Seats the account has reserved and not released
+   */
+  reservedFor(accountId) {
+    return this.#reserved.get(accountId) || 0;
+  }
+
+  /**
+   * @returns {number} - Seats left to reserve; Infinity without a capacity
+   */
+  available() {
+    if (this.#capacity === null) {
+      return Infinity;
+    }
+
+    return this.#capacity - [...this.#reserved.values()].reduce((total, seats) => total + seats, 0);
+  }
+
+  /**
+   * @param {{operation?: string, accountId?: number}} [query]
+   * @returns {object[]} - Every call, oldest first: `{ sequence, operation, accountId, seats, fault, applied, latencyMs, timestamp }`
+   */
+  transactions(query) {
+    return this.#simulation.transactions(query);
+  }
+}
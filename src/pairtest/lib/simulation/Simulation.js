@@ -0,0 +1,203 @@
+import SimulatedFault from './SimulatedFault.js';
+import SimulatedFailure from './SimulatedFailure.js';
+
+const FAULTS = new Set(Object.values(SimulatedFault));
+
+/**
+ * Decides how each call to a simulated third-party service goes, and logs it.
+ *
+ * A call gets the next fault scripted for its operation. Once the script has run
+ * out it fails at random with probability `faultRate`, with one of `faults`.
+ * Random choices come from a generator seeded with `seed`, so a run can be repeated.
+ *
+ * With `async` every call returns a promise that settles after `latencyMs` plus
+ * up to `jitterMs`, and a TIMEOUT hangs for `hangMs` before failing. Otherwise
+ * calls are synchronous and a TIMEOUT fails straight away.
+ */
+export default class Simulation {
+  #operations;
+
+  #script = new Map();
+
+  #faultRate;
+
+  #faults;
+
+  #random;
+
+  #async;
+
+  #latencyMs;
+
+  #jitterMs;
+
+  #hangMs;
+
+  #sleep;
+
+  #now;
+
+  #transactions = [];
+
+  /**
+   * @param {object} options
+   * @param {string[]} options.operations - The service's operations, e.g. makePayment
+   * @param {string[]} options.faults - Faults to choose from at random
+   * @param {Object<string, string[]>} [options.script] - Faults for the next calls of each operation, in order
+   * @param {number} [options.faultRate] - Chance of a random fault once the script has run out, from 0 to 1
+   * @param {number} [options.seed] - Seed for random faults and latency
+   * @param {boolean} [options.async] - Return promises, with simulated latency
+   * @param {number} [options.latencyMs] - Time every asynchronous call takes
+   * @param {number} [options.jitterMs] - Most extra time added at random
+   * @param {number} [options.hangMs] - Time an asynchronous TIMEOUT takes to fail
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Waits out latency
+   * @param {() => Date} [options.now] - Clock for the transaction log
+   */
+  constructor({
+    operations,
+    faults,
+    script = {},
+    faultRate = 0,
+    seed = 1,
+    async = false,
+    latencyMs = 0,
+    jitterMs = 0,
+    hangMs = 30000,
+    sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms).unref(); }),
+    now = () => new Date(),
+  }) {
+    if (!Number.isFinite(faultRate) || faultRate < 0 || faultRate > 1) {
+      throw new TypeError('faultRate must be between 0 and 1');
+    }
+
+    for (const [key, value] of Object.entries({ seed, latencyMs, jitterMs, hangMs })) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new TypeError(`${key} must be a non-negative integer`);
+      }
+    }
+
+    if (!async && latencyMs + jitterMs > 0) {
+      throw new TypeError('latencyMs and jitterMs need async: true');
+    }
+
+    this.#operations = operations;
+    this.#faultRate = faultRate;
+    this.#faults = faults.map((fault) => this.#checkFault(fault));
+    this.#random = Simulation.#seededRandom(seed);
+    this.#async = async;
+    this.#latencyMs = latencyMs;
+    this.#jitterMs = jitterMs;
+    this.#hangMs = hangMs;
+    this.#sleep = sleep;
+    this.#now = now;
+
+    for (const [operation, scripted] of Object.entries(script)) {
+      this.script(operation, ...scripted);
+    }
+  }
+
+  /**
+   * Add faults for the next calls of an operation, after any already scripted.
+   * @param {string} operation
+   * @param {...string} faults - SimulatedFault values; NONE lets a call through
+   */
+  script(operation, ...faults) {
+    if (!this.#operations.includes(operation)) {
+      throw new TypeError(`Unknown operation ${operation}; expected one of ${this.#operations.join(', ')}`);
+    }
+
+    const queue = this.#script.get(operation) || [];
+    queue.push(...faults.map((fault) => this.#checkFault(fault)));
+    this.#script.set(operation, queue);
+  }
+
+  /**
+   * Make a call. `apply` makes its change to the simulated state, or returns the
+   * fault that stops it, e.g. SOLD_OUT; it is not called for a failure that happens
+   * before the call takes effect.
+   * @param {string} operation
+   * @param {object} details - Logged with the call, e.g. `{ accountId, amount }`
+   * @param {() => ?string} apply
+   * @returns {void|Promise<void>}
+   * @throws {SimulatedFailure}
+   */
+  run(operation, details, apply) {
+    const planned = this.#nextFault(operation);
+
+    if (!this.#async) {
+      return this.#settle(operation, details, planned, 0, apply);
+    }
+
+    const latencyMs = planned === SimulatedFault.TIMEOUT
+      ? this.#hangMs
+      : this.#latencyMs + Math.floor(this.#random() * (this.#jitterMs + 1));
+
+    return this.#sleep(latencyMs).then(() => this.#settle(operation, details, planned, latencyMs, apply));
+  }
+
+  /**
+   * @param {{operation?: string, accountId?: number}} [query]
+   * @returns {object[]} - Logged calls, oldest first
+   */
+  transactions({ operation, accountId } = {}) {
+    return this.#transactions.filter((transaction) => (operation === undefined || transaction.operation === operation)
+      && (accountId === undefined || transaction.accountId === accountId));
+  }
+
+  #settle(operation, details, planned, latencyMs, apply) {
+    const attempted = planned === SimulatedFault.NONE || planned === SimulatedFault.LOST_RESPONSE;
+    const refused = attempted ? apply() : null;
+    const fault = refused || planned;
+
+    this.#transactions.push(Object.freeze({
+      sequence: this.#transactions.length + 1,
+      operation,
+      ...details,
+      fault,
+      applied: attempted && !refused,
+      latencyMs,
+      timestamp: this.#now().toISOString(),
+    }));
+
+    if (fault !== SimulatedFault.NONE) {
+      throw new SimulatedFailure(operation, fault);
+    }
+  }
+
+  #nextFault(operation) {
+    const scripted = this.#script.get(operation);
+
+    if (scripted?.length > 0) {
+      return scripted.shift();
+    }
+
+    if (this.#faults.length > 0 && this.#random() < this.#faultRate) {
+      return this.#faults[Math.floor(this.#random() * this.#faults.length)];
+    }
+
+    return SimulatedFault.NONE;
+  }
+
+  #checkFault(fault) {
+    if (!FAULTS.has(fault)) {
+      throw new TypeError(`Unknown fault ${fault}; expected one of ${[...FAULTS].join(', ')}`);
+    }
+
+    return fault;
+  }
+
+  /**
+   * mulberry32: small, fast and good enough to spread faults evenly.
+   */
+  static #seededRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let value = state;
+      value = Math.imul(value ^ (value >>> 15), value | 1);
+      value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+      return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
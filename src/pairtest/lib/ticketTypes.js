@@ -0,0 +1,8 @@
+import TicketTypeRegistry from './TicketTypeRegistry.js';
+import config from './config.js';
+
+/**
+ * Shared registry of the ticket types enabled in config. TicketTypeRequest
+ * accepts any type registered here; custom types can be added with register().
+ */
+export default TicketTypeRegistry.fromConfig(config);
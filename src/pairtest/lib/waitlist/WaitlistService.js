@@ -0,0 +1,193 @@
+import { randomUUID } from 'crypto';
+import ErrorCode from '../ErrorCode.js';
+import InvalidPurchaseException from '../InvalidPurchaseException.js';
+import WaitlistStatus from './WaitlistStatus.js';
+
+const OPEN = new Set([WaitlistStatus.WAITING, WaitlistStatus.OFFERED]);
+
+/**
+ * Accounts waiting for seats in a sold-out showing, first come first served.
+ *
+ * When seats come back an entry is offered them as a seat hold that lasts
+ * `offerTtlSeconds`; buying with that hold's ID converts the offer. An offer
+ * ends PURCHASED, EXPIRED or DECLINED, and an entry that leaves the list is LEFT.
+ *
+ * Entries are kept in memory.
+ */
+export default class WaitlistService {
+  #offerTtlSeconds;
+
+  #generateEntryId;
+
+  #entries = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.offerTtlSeconds] - How long an offer holds its seats
+   * @param {() => string} [options.generateEntryId]
+   */
+  constructor({ offerTtlSeconds = 900, generateEntryId = randomUUID } = {}) {
+    if (!Number.isInteger(offerTtlSeconds) || offerTtlSeconds <= 0) {
+      throw new TypeError('offerTtlSeconds must be a positive integer');
+    }
+
+    this.#offerTtlSeconds = offerTtlSeconds;
+    this.#generateEntryId = generateEntryId;
+  }
+
+  /**
+   * A waitlist whose offers last WAITLIST_OFFER_TTL_SECONDS.
+   */
+  static fromConfig(config) {
+    return new WaitlistService({ offerTtlSeconds: config.waitlistOfferTtlSeconds });
+  }
+
+  getOfferTtlSeconds() {
+    return this.#offerTtlSeconds;
+  }
+
+  /**
+   * Add a validated ticket mix to the end of a showing's waitlist.
+   * @param {{accountId: number, showingId: string, tickets: object[], totalSeats: number, now: Date}} request
+   * @returns {object} - The entry, WAITING
+   * @throws {InvalidPurchaseException} - If the account is already waiting for the showing
+   */
+  join({ accountId, showingId, tickets, totalSeats, now }) {
+    const existing = this.list({ showingId, accountId }).find(({ status }) => OPEN.has(status));
+
+    if (existing) {
+      throw new InvalidPurchaseException(`Account ${accountId} is already on the waitlist for showing ${showingId}`, {
+        code: ErrorCode.ALREADY_ON_WAITLIST,
+        details: { showingId, entryId: existing.entryId },
+      });
+    }
+
+    const entry = Object.freeze({
+      entryId: this.#generateEntryId(),
+      accountId,
+      showingId,
+      tickets,
+      totalSeats,
+      status: WaitlistStatus.WAITING,
+      joinedAt: now.toISOString(),
+      offer: null,
+      closedAt: null,
+      orderId: null,
+    });
+
+    this.#entries.set(entry.entryId, entry);
+
+    return entry;
+  }
+
+  /**
+   * @param {string} entryId
+   * @returns {?object}
+   */
+  get(entryId) {
+    return this.#entries.get(entryId) || null;
+  }
+
+  /**
+   * @param {{showingId?: string, accountId?: number, status?: string}} [query]
+   * @returns {object[]} - Matching entries, in the order they joined
+   */
+  list({ showingId, accountId, status } = {}) {
+    return [...this.#entries.values()]
+      .filter((entry) => (showingId === undefined || entry.showingId === showingId)
+        && (accountId === undefined || entry.accountId === accountId)
+        && (status === undefined || entry.status === status));
+  }
+
+  /**
+   * Entries still waiting for an offer, first in line first.
+   * @param {string} showingId
+   */
+  waiting(showingId) {
+    return this.list({ showingId, status: WaitlistStatus.WAITING });
+  }
+
+  /**
+   * Record the seat hold an entry has been offered.
+   * @param {string} entryId
+   * @param {{holdId: string, seats: string[], expiresAt: string}} hold
+   * @param {Date} now
+   * @returns {object} - The entry, OFFERED
+   */
+  offer(entryId, { holdId, seats, expiresAt }, now) {
+    return this.#update(entryId, {
+      status: WaitlistStatus.OFFERED,
+      offer: Object.freeze({ holdId, seats, offeredAt: now.toISOString(), expiresAt }),
+    });
+  }
+
+  /**
+   * Mark the offer made with a seat hold as bought. Holds that are not offers are ignored.
+   * @param {string} holdId
+   * @param {{orderId: string, now: Date}} purchase
+   */
+  recordPurchase(holdId, { orderId, now }) {
+    return this.#closeOffer(holdId, { status: WaitlistStatus.PURCHASED, orderId, now });
+  }
+
+  /**
+   * Mark the offer made with a seat hold as turned down. Holds that are not offers are ignored.
+   * @param {string} holdId
+   * @param {Date} now
+   */
+  decline(holdId, now) {
+    return this.#closeOffer(holdId, { status: WaitlistStatus.DECLINED, now });
+  }
+
+  /**
+   * Mark every offer that has run out as EXPIRED.
+   * @param {Date} now
+   * @returns {object[]} - The entries that expired
+   */
+  expireOffers(now) {
+    return this.list({ status: WaitlistStatus.OFFERED })
+      .filter(({ offer }) => new Date(offer.expiresAt).getTime() <= now.getTime())
+      .map(({ offer }) => this.#closeOffer(offer.holdId, { status: WaitlistStatus.EXPIRED, now }));
+  }
+
+  /**
+   * Take an entry off the waitlist.
+   * @param {string} entryId
+   * @param {Date} now
+   * @returns {object} - The entry as it was, so an outstanding offer can be released
+   * @throws {InvalidPurchaseException} - If the entry does not exist or is no longer waiting or offered
+   */
+  leave(entryId, now) {
+    const entry = this.#entries.get(entryId);
+
+    if (!entry) {
+      throw new InvalidPurchaseException(`Waitlist entry ${entryId} does not exist`, {
+        code: ErrorCode.WAITLIST_ENTRY_NOT_FOUND,
+        details: { entryId },
+      });
+    }
+
+    if (!OPEN.has(entry.status)) {
+      throw new InvalidPurchaseException(`Waitlist entry ${entryId} has already been closed`, {
+        code: ErrorCode.WAITLIST_ENTRY_CLOSED,
+        details: { entryId, status: entry.status },
+      });
+    }
+
+    this.#update(entryId, { status: WaitlistStatus.LEFT, closedAt: now.toISOString() });
+
+    return entry;
+  }
+
+  #closeOffer(holdId, { status, orderId = null, now }) {
+    const entry = this.list({ status: WaitlistStatus.OFFERED }).find(({ offer }) => offer.holdId === holdId);
+
+    return entry ? this.#update(entry.entryId, { status, orderId, closedAt: now.toISOString() }) : null;
+  }
+
+  #update(entryId, changes) {
+    const entry = Object.freeze({ ...this.#entries.get(entryId), ...changes });
+    this.#entries.set(entryId, entry);
+    return entry;
+  }
+}
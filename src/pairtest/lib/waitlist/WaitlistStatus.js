@@ -0,0 +1,14 @@
+/**
+ * Lifecycle of a waitlist entry.
+ */
+
+const WaitlistStatus = Object.freeze({
+  WAITING: 'WAITING',
+  OFFERED: 'OFFERED',
+  PURCHASED: 'PURCHASED',
+  EXPIRED: 'EXPIRED',
+  DECLINED: 'DECLINED',
+  LEFT: 'LEFT',
+});
+
+export default WaitlistStatus;
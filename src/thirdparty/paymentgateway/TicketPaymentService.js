@@ -10,4 +10,14 @@ export default class TicketPaymentService {
       throw new TypeError('totalAmountToPay must be an integer');
     }
   }
+
+  refundPayment(accountId, totalAmountToRefund) {
+    if (!Number.isInteger(accountId)) {
+      throw new TypeError('accountId must be an integer');
+    }
+
+    if (!Number.isInteger(totalAmountToRefund)) {
+      throw new TypeError('totalAmountToRefund must be an integer');
+    }
+  }
 }
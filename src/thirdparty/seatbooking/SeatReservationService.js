@@ -10,4 +10,14 @@ export default class SeatReservationService {
       throw new TypeError('totalSeatsToAllocate must be an integer');
     }
   }
+
+  releaseSeat(accountId, totalSeatsToRelease) {
+    if (!Number.isInteger(accountId)) {
+      throw new TypeError('accountId must be an integer');
+    }
+
+    if (!Number.isInteger(totalSeatsToRelease)) {
+      throw new TypeError('totalSeatsToRelease must be an integer');
+    }
+  }
 }
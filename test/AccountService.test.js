@@ -0,0 +1,209 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import Config from '../src/pairtest/lib/config/Config.js';
+import AccountService from '../src/pairtest/lib/accounts/AccountService.js';
+import AccountStatus from '../src/pairtest/lib/accounts/AccountStatus.js';
+import InMemoryAccountStore from '../src/pairtest/lib/accounts/InMemoryAccountStore.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('AccountService', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let accounts;
+  let clock;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => new TicketService(mockPaymentService, mockSeatReservationService, {
+    accounts,
+    now: () => clock,
+    ...options,
+  });
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    clock = new Date('2026-03-13T12:00:00.000Z');
+    accounts = new AccountService({
+      store: new InMemoryAccountStore([
+        { accountId: 1, balance: 10000 },
+        { accountId: 2, balance: 1000, creditLimit: 2000 },
+      ]),
+    });
+    ticketService = createService();
+  });
+
+  describe('Account checks', () => {
+    test('should reject an account that does not exist', () => {
+      const error = captureError(() => ticketService.purchaseTickets(99, adults(1)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.ACCOUNT_NOT_FOUND);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should reject a suspended account with the reason', () => {
+      accounts.suspend(1, 'Chargeback under review');
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(error.code).toBe(ErrorCode.ACCOUNT_SUSPENDED);
+      expect(error.details).toEqual({ reason: 'Chargeback under review' });
+    });
+
+    test('should allow purchases again once reinstated', () => {
+      accounts.suspend(1);
+      accounts.reinstate(1);
+
+      expect(ticketService.purchaseTickets(1, adults(1)).totalAmount).toBe(2500);
+    });
+
+    test('should reject a purchase the balance and credit cannot cover', () => {
+      const error = captureError(() => ticketService.purchaseTickets(2, adults(2)));
+
+      expect(error.code).toBe(ErrorCode.INSUFFICIENT_FUNDS);
+      expect(error.details).toEqual({ amount: 5000, available: 3000 });
+    });
+
+    test('should let credit cover part of a purchase', () => {
+      ticketService.purchaseTickets(2, adults(1));
+
+      expect(accounts.getAccount(2).balance).toBe(-1500);
+    });
+
+    test('should debit purchases and credit refunds', () => {
+      const order = ticketService.purchaseTickets(1, adults(2));
+      expect(accounts.getAccount(1).balance).toBe(5000);
+
+      ticketService.refundTickets(order.orderId, adults(1));
+      expect(accounts.getAccount(1).balance).toBe(7500);
+    });
+
+    test('should report every account problem when collecting all violations', () => {
+      accounts.suspend(2);
+      ticketService = createService({ collectAllViolations: true });
+
+      const error = captureError(() => ticketService.purchaseTickets(2, adults(2)));
+
+      expect(error.violations.map(({ code }) => code)).toEqual([ErrorCode.ACCOUNT_SUSPENDED, ErrorCode.INSUFFICIENT_FUNDS]);
+    });
+
+    test('should not check the account for a quote', () => {
+      expect(ticketService.quote(99, adults(1)).totalAmount).toBe(2500);
+    });
+
+    test('should check the account before asynchronous purchases', async () => {
+      await expect(ticketService.purchaseTicketsAsync(99, adults(1))).rejects.toMatchObject({ code: ErrorCode.ACCOUNT_NOT_FOUND });
+    });
+  });
+
+  describe('Velocity limits', () => {
+    beforeEach(() => {
+      accounts = new AccountService({ requireAccount: false, maxPurchases: 2, maxAmount: 6000, windowMinutes: 60 });
+      ticketService = createService();
+    });
+
+    test('should cap the number of purchases per window', () => {
+      ticketService.purchaseTickets(1, adults(1));
+      ticketService.purchaseTickets(1, adults(1));
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(error.code).toBe(ErrorCode.PURCHASE_RATE_EXCEEDED);
+      expect(error.details).toEqual({ limit: 2, windowMinutes: 60, recentPurchases: 2 });
+      expect(ticketService.purchaseTickets(2, adults(1)).accountId).toBe(2);
+    });
+
+    test('should cap the amount spent per window', () => {
+      ticketService.purchaseTickets(1, adults(2));
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(error.code).toBe(ErrorCode.SPENDING_RATE_EXCEEDED);
+      expect(error.message).toBe('Cannot spend more than £60.00 per account in 60 minutes');
+      expect(error.details).toEqual({ limit: 6000, windowMinutes: 60, amount: 2500, recentAmount: 5000 });
+    });
+
+    test('should forget purchases once they leave the window', () => {
+      ticketService.purchaseTickets(1, adults(1));
+      ticketService.purchaseTickets(1, adults(1));
+
+      clock = new Date('2026-03-13T13:00:00.001Z');
+
+      expect(ticketService.purchaseTickets(1, adults(1)).totalAmount).toBe(2500);
+    });
+
+    test('should not count rejected or failed purchases', () => {
+      mockPaymentService.makePayment.mockImplementationOnce(() => { throw new Error('declined'); });
+
+      captureError(() => ticketService.purchaseTickets(1, adults(1)));
+      captureError(() => ticketService.purchaseTickets(1, adults(3)));
+      ticketService.purchaseTickets(1, adults(1));
+
+      expect(ticketService.purchaseTickets(1, adults(1)).totalAmount).toBe(2500);
+    });
+  });
+
+  describe('Accounts', () => {
+    test('should treat unknown accounts as active with unlimited credit when accounts are not required', () => {
+      accounts = new AccountService({ requireAccount: false });
+
+      expect(accounts.getAccount(7)).toEqual({
+        accountId: 7, status: AccountStatus.ACTIVE, balance: 0, creditLimit: null, suspendedReason: null,
+      });
+    });
+
+    test('should open accounts and take deposits', () => {
+      accounts.openAccount({ accountId: 3, balance: 100 });
+
+      expect(accounts.deposit(3, 400)).toMatchObject({ accountId: 3, balance: 500, creditLimit: 0 });
+      expect(() => accounts.deposit(3, -1)).toThrow(RangeError);
+      expect(() => accounts.deposit(42, 100)).toThrow('Account 42 does not exist');
+    });
+
+    test('should reject invalid account records', () => {
+      expect(() => new AccountService({ store: new InMemoryAccountStore([{ accountId: 1, balance: 1.5 }]) }))
+        .toThrow('Account 1: balance must be an integer amount in minor units');
+      expect(() => new AccountService({ store: new InMemoryAccountStore([{ accountId: 1, balance: 0, status: 'CLOSED' }]) }))
+        .toThrow('Account 1: unknown status CLOSED');
+      expect(() => accounts.openAccount({ accountId: 3, balance: 0, creditLimit: -1 })).toThrow(TypeError);
+    });
+
+    test('should load accounts and velocity limits from config', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'accounts-'));
+      const accountsFile = join(dir, 'accounts.json');
+      writeFileSync(accountsFile, JSON.stringify({ accounts: [{ accountId: 5, balance: 0, creditLimit: null }] }));
+
+      try {
+        const config = Config.fromEnv({ ACCOUNTS_FILE: accountsFile, VELOCITY_MAX_AMOUNT: '100.50' });
+        accounts = AccountService.fromConfig(config);
+
+        expect(config.velocityMaxAmount).toBe(10050);
+        expect(accounts.getAccount(5).creditLimit).toBeNull();
+        expect(accounts.getAccount(6)).toBeNull();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should reject a velocity amount that is not an amount', () => {
+      expect(() => Config.fromEnv({ VELOCITY_MAX_AMOUNT: 'lots' }))
+        .toThrow('Environment variable VELOCITY_MAX_AMOUNT must be an amount such as 12.50, got: lots');
+    });
+  });
+});
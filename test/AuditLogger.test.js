@@ -0,0 +1,164 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import AuditLogger from '../src/pairtest/lib/observability/AuditLogger.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('AuditLogger', () => {
+  let lines;
+  let audit;
+
+  const now = () => new Date('2026-03-13T12:00:00.000Z');
+
+  beforeEach(() => {
+    lines = [];
+    audit = new AuditLogger({ write: (line) => lines.push(line), now });
+  });
+
+  test('should write one JSON object per entry', () => {
+    audit.log('purchase.requested', 'request-1', { tickets: [] });
+
+    expect(lines).toEqual(['{"timestamp":"2026-03-13T12:00:00.000Z","event":"purchase.requested","correlationId":"request-1","tickets":[]}']);
+  });
+
+  test('should mask account IDs down to their last two digits', () => {
+    expect(audit.redact(1234567)).toBe('*****67');
+    expect(audit.redact(1234)).toBe('****');
+    expect(audit.redact(7)).toBe('****');
+    expect(audit.redact(null)).toBeNull();
+  });
+
+  test('should leave account IDs alone when redaction is off', () => {
+    audit = new AuditLogger({ write: (line) => lines.push(line), now, redactAccountId: false });
+
+    audit.log('purchase.requested', 'request-1', { accountId: 7 });
+
+    expect(JSON.parse(lines[0]).accountId).toBe(7);
+  });
+
+  test('should discard entries unless AUDIT_LOG is on', () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    try {
+      AuditLogger.fromConfig({ auditLog: false, auditRedactAccountId: true }).log('purchase.requested', 'request-1');
+      expect(write).not.toHaveBeenCalled();
+
+      AuditLogger.fromConfig({ auditLog: true, auditRedactAccountId: true }).log('purchase.requested', 'request-1');
+      expect(write).toHaveBeenCalledWith(expect.stringMatching(/"correlationId":"request-1"}\n$/));
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  describe('TicketService', () => {
+    let mockPaymentService;
+    let mockSeatReservationService;
+    let ticketService;
+
+    const entries = () => lines.map((line) => JSON.parse(line));
+
+    const captureError = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected function to throw');
+    };
+
+    beforeEach(() => {
+      let correlationCounter = 0;
+      mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+      mockSeatReservationService = { reserveSeat: jest.fn() };
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+        now,
+        audit,
+        generateOrderId: () => 'order-1',
+        generateCorrelationId: () => `correlation-${++correlationCounter}`,
+        resilience: { execute: (operation) => operation() },
+      });
+    });
+
+    test('should log the inputs and the amount charged for a purchase', () => {
+      ticketService.purchaseTickets(123456, new TicketTypeRequest('ADULT', 2), new PurchaseOptions({ idempotencyKey: 'key-1' }));
+
+      expect(entries()).toEqual([
+        {
+          timestamp: '2026-03-13T12:00:00.000Z',
+          event: 'purchase.requested',
+          correlationId: 'correlation-1',
+          accountId: '****56',
+          tickets: [{ ticketType: 'ADULT', quantity: 2 }],
+          options: { showing: null, promoCodes: [], showingId: null, seats: null, holdId: null, redeemPoints: 0, idempotencyKey: 'key-1' },
+        },
+        {
+          timestamp: '2026-03-13T12:00:00.000Z',
+          event: 'purchase.completed',
+          correlationId: 'correlation-1',
+          accountId: '****56',
+          orderId: 'order-1',
+          amountCharged: 5000,
+          currency: 'GBP',
+          showingId: null,
+          seatsReserved: 2,
+          seats: [],
+        },
+      ]);
+    });
+
+    test('should log the rule that rejected a purchase', () => {
+      captureError(() => ticketService.purchaseTickets(1, new TicketTypeRequest('CHILD', 1)));
+
+      expect(entries()[1]).toMatchObject({
+        event: 'purchase.rejected',
+        correlationId: 'correlation-1',
+        code: ErrorCode.ADULT_REQUIRED,
+        violations: [{ code: ErrorCode.ADULT_REQUIRED }],
+      });
+    });
+
+    test('should log the outcome and causes of a failed purchase', () => {
+      mockSeatReservationService.reserveSeat.mockImplementation(() => { throw new Error('booking system down'); });
+      mockPaymentService.refundPayment.mockImplementation(() => { throw new Error('gateway down'); });
+
+      captureError(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1)));
+
+      expect(entries()[1]).toEqual({
+        timestamp: '2026-03-13T12:00:00.000Z',
+        event: 'purchase.failed',
+        correlationId: 'correlation-1',
+        accountId: '****',
+        outcome: PurchaseOutcome.REFUND_FAILED,
+        amount: 2500,
+        message: 'Seat reservation failed and the payment could not be refunded',
+        causes: ['booking system down', 'gateway down'],
+      });
+    });
+
+    test('should use the correlation ID given with the purchase', async () => {
+      await ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ correlationId: 'request-42' }));
+
+      expect(entries().map(({ event, correlationId }) => [event, correlationId])).toEqual([
+        ['purchase.requested', 'request-42'],
+        ['purchase.completed', 'request-42'],
+      ]);
+    });
+
+    test('should give each purchase its own correlation ID', () => {
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+      captureError(() => ticketService.purchaseTickets(1));
+
+      expect(entries().map(({ correlationId }) => correlationId)).toEqual([
+        'correlation-1', 'correlation-1', 'correlation-2', 'correlation-2',
+      ]);
+    });
+
+    test('should not log quotes', () => {
+      ticketService.quote(1, new TicketTypeRequest('ADULT', 1));
+
+      expect(lines).toEqual([]);
+    });
+  });
+});
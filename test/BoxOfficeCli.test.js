@@ -0,0 +1,206 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import BoxOfficeCli from '../src/pairtest/cli/BoxOfficeCli.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('BoxOfficeCli', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let files;
+  let stdout;
+  let stderr;
+  let cli;
+
+  const output = () => stdout.join('');
+  const errors = () => stderr.join('');
+  const json = () => JSON.parse(output());
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    files = {};
+    stdout = [];
+    stderr = [];
+    let orderCounter = 0;
+    cli = new BoxOfficeCli({
+      ticketService: new TicketService(mockPaymentService, mockSeatReservationService, {
+        now: () => new Date('2026-03-13T12:00:00.000Z'),
+        generateOrderId: () => `order-${++orderCounter}`,
+      }),
+      stdout: { write: (text) => stdout.push(text) },
+      stderr: { write: (text) => stderr.push(text) },
+      readFile: (path) => {
+        if (!(path in files)) {
+          throw new Error('no such file');
+        }
+        return files[path];
+      },
+    });
+  });
+
+  describe('Single baskets', () => {
+    test('should buy tickets and print the receipt', () => {
+      expect(cli.run(['buy', '--account', '42', '--adult', '2', '--child', '1'])).toBe(0);
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(42, 6500);
+      expect(output()).toContain('Order:   order-1');
+      expect(output()).toMatch(/TOTAL +£65\.00/);
+    });
+
+    test('should print the order as JSON', () => {
+      cli.run(['buy', '--account', '42', '--adult', '1', '--json']);
+
+      expect(json()).toMatchObject({ orderId: 'order-1', accountId: 42, totalAmount: 2500 });
+    });
+
+    test('should quote without charging', () => {
+      expect(cli.run(['quote', '--account', '42', '--adult', '2', '--infant', '1'])).toBe(0);
+
+      expect(output()).toContain('ADULT 2 x £25.00 = £50.00');
+      expect(output()).toContain('TOTAL £50.00 (VAT £8.33)');
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should validate a basket', () => {
+      expect(cli.run(['validate', '--account', '42', '--adult', '1', '--json'])).toBe(0);
+      expect(json()).toEqual({ valid: true });
+    });
+
+    test('should report every violation of a rejected basket', () => {
+      expect(cli.run(['validate', '--account', '42', '--child', '1'])).toBe(1);
+
+      expect(errors()).toContain(`❌ ${ErrorCode.ADULT_REQUIRED}:`);
+    });
+
+    test('should report rejections as JSON', () => {
+      cli.run(['buy', '--account', '0', '--adult', '1', '--json']);
+
+      expect(json().error.code).toBe(ErrorCode.INVALID_ACCOUNT);
+    });
+
+    test('should report third-party failures', () => {
+      mockPaymentService.makePayment.mockImplementation(() => {
+        throw new Error('card declined');
+      });
+
+      expect(cli.run(['buy', '--account', '42', '--adult', '1'])).toBe(1);
+      expect(errors()).toContain(`❌ ${PurchaseOutcome.FAILED_BEFORE_PAYMENT}: Payment failed`);
+    });
+  });
+
+  describe('Unexpected errors', () => {
+    beforeEach(() => {
+      cli = new BoxOfficeCli({
+        ticketService: {
+          quote: () => { throw new Error('disk full'); },
+          purchaseTickets: (accountId) => {
+            if (accountId === 2) {
+              throw new Error('disk full');
+            }
+            return { orderId: `order-${accountId}`, totalAmount: 2500 };
+          },
+        },
+        stdout: { write: (text) => stdout.push(text) },
+        stderr: { write: (text) => stderr.push(text) },
+        readFile: (path) => files[path],
+      });
+    });
+
+    test('should report an unexpected error in a single command', () => {
+      expect(cli.run(['quote', '--account', '42', '--adult', '1'])).toBe(1);
+      expect(errors()).toBe('❌ INTERNAL_ERROR: disk full\n');
+    });
+
+    test('should count an unexpected error as a failed row and carry on replaying', () => {
+      files['batch.csv'] = 'accountId,ADULT\n1,1\n2,1\n3,1\n';
+
+      expect(cli.run(['replay', 'batch.csv', '--json'])).toBe(1);
+
+      expect(json()).toEqual({
+        summary: { total: 3, succeeded: 2, rejected: 0, failed: 1, reasons: { INTERNAL_ERROR: 1 } },
+        results: [
+          { row: 1, status: 'SUCCEEDED', accountId: 1, orderId: 'order-1', totalAmount: 2500 },
+          { row: 2, status: 'FAILED', accountId: 2, code: 'INTERNAL_ERROR', message: 'disk full' },
+          { row: 3, status: 'SUCCEEDED', accountId: 3, orderId: 'order-3', totalAmount: 2500 },
+        ],
+      });
+    });
+  });
+
+  describe('Replaying batches', () => {
+    test('should replay purchases from a JSON file with a summary', () => {
+      files['batch.json'] = JSON.stringify({
+        purchases: [
+          { accountId: 1, tickets: [{ type: 'ADULT', quantity: 2 }] },
+          { accountId: 2, tickets: [{ type: 'CHILD', quantity: 1 }] },
+          { accountId: 3, tickets: [{ type: 'INFANT', quantity: 1 }] },
+        ],
+      });
+
+      expect(cli.run(['replay', 'batch.json', '--json'])).toBe(1);
+
+      expect(json()).toEqual({
+        summary: { total: 3, succeeded: 1, rejected: 2, failed: 0, reasons: { [ErrorCode.ADULT_REQUIRED]: 2 } },
+        results: [
+          { row: 1, status: 'SUCCEEDED', accountId: 1, orderId: 'order-1', totalAmount: 5000 },
+          expect.objectContaining({ row: 2, status: 'REJECTED', accountId: 2, code: ErrorCode.ADULT_REQUIRED }),
+          expect.objectContaining({ row: 3, status: 'REJECTED', accountId: 3, code: ErrorCode.ADULT_REQUIRED }),
+        ],
+      });
+    });
+
+    test('should replay purchases from a CSV file', () => {
+      files['batch.csv'] = [
+        'accountId,ADULT,CHILD,infant,promoCodes',
+        '1,2,1,,',
+        '2,1,,1,',
+        '3,,x,,',
+      ].join('\n');
+
+      expect(cli.run(['replay', 'batch.csv'])).toBe(1);
+
+      expect(output()).toContain('Row 1: ✅ order-1 £65.00');
+      expect(output()).toContain('Row 2: ✅ order-2 £25.00');
+      expect(output()).toContain(`Row 3: ❌ ${ErrorCode.INVALID_REQUEST}`);
+      expect(output()).toContain('2/3 purchases succeeded, 1 rejected, 0 failed');
+      expect(output()).toContain(`  ${ErrorCode.INVALID_REQUEST}: 1`);
+    });
+
+    test('should exit 0 when every purchase succeeds', () => {
+      files['batch.csv'] = 'accountId,ADULT\n1,1\n2,3\n';
+
+      expect(cli.run(['replay', 'batch.csv'])).toBe(0);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+      ['a missing file', 'missing.json', 'Cannot read missing.json: no such file'],
+      ['unknown CSV columns', 'bad.csv', 'unknown CSV columns: colour'],
+      ['a JSON file without purchases', 'bad.json', 'expected { "purchases": [...] }'],
+    ])('should reject %s', (_, path, message) => {
+      files['bad.csv'] = 'accountId,colour\n1,red\n';
+      files['bad.json'] = '[]';
+
+      expect(cli.run(['replay', path])).toBe(2);
+      expect(errors()).toContain(message);
+    });
+  });
+
+  describe('Usage', () => {
+    test('should print usage for help', () => {
+      expect(cli.run(['--help'])).toBe(0);
+      expect(output()).toContain('Usage: tickets <command> [options]');
+      expect(output()).toContain('--adult <n> --child <n> --infant <n>');
+    });
+
+    test.each([
+      [['refund']],
+      [['buy', '--colour', 'red']],
+      [['replay']],
+    ])('should exit 2 for %j', (argv) => {
+      expect(cli.run(argv)).toBe(2);
+      expect(errors()).toContain('Usage:');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import Config from '../src/pairtest/lib/config/Config.js';
+import ConfigValidationError from '../src/pairtest/lib/config/ConfigValidationError.js';
+import VenueProfiles from '../src/pairtest/lib/config/VenueProfiles.js';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import { jest, describe, test, expect } from '@jest/globals';
+
+describe('Config', () => {
+  const base = Config.fromEnv({});
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  describe('Reading the environment', () => {
+    test('should use defaults for settings that are not set', () => {
+      expect(base.toObject()).toMatchObject({
+        maxTickets: 25,
+        ticketTypes: ['ADULT', 'CHILD', 'INFANT'],
+        currency: 'GBP',
+        locale: 'en-GB',
+        ticketPrices: { INFANT: 0, CHILD: 1500, ADULT: 2500 },
+        taxRates: { INFANT: 20, CHILD: 20, ADULT: 20 },
+        enforceInfantAdultRatio: true,
+        rulesFile: null,
+        venuesFile: null,
+        httpPort: 3000,
+        nodeEnv: 'development',
+      });
+    });
+
+    test('should parse environment variables', () => {
+      const config = Config.fromEnv({
+        MAX_TICKETS: '10',
+        TICKET_TYPES: 'adult, child, infant, student',
+        TICKET_PRICE_STUDENT: '12.50',
+        ENFORCE_INFANT_ADULT_RATIO: 'false',
+        RULES_FILE: './rules.json',
+      });
+
+      expect(config.maxTickets).toBe(10);
+      expect(config.ticketTypes).toEqual(['ADULT', 'CHILD', 'INFANT', 'STUDENT']);
+      expect(config.ticketPrices.STUDENT).toBe(1250);
+      expect(config.enforceInfantAdultRatio).toBe(false);
+      expect(config.rulesFile).toBe('./rules.json');
+    });
+
+    test('should report every invalid setting at once', () => {
+      const error = captureError(() => Config.fromEnv({
+        MAX_TICKETS: '0',
+        TICKET_TYPES: 'CHILD,VIP',
+        TICKET_PRICE_CHILD: '-1',
+        HTTP_PORT: 'eighty',
+        SEAT_HOLD_TTL_SECONDS: '0',
+      }));
+
+      expect(error).toBeInstanceOf(ConfigValidationError);
+      expect(error.errors).toEqual([
+        'Environment variable HTTP_PORT must be a valid integer, got: eighty',
+        'Environment variable TICKET_PRICE_CHILD must be an amount such as 12.50, got: -1',
+        'MAX_TICKETS must be a positive integer',
+        'TICKET_TYPES contains unknown ticket type VIP',
+        'TICKET_TYPES must include ADULT',
+        'TICKET_PRICE_VIP must be set for ticket type VIP',
+        'SEAT_HOLD_TTL_SECONDS must be a positive integer',
+      ]);
+      expect(error.message).toContain('  - MAX_TICKETS must be a positive integer\n');
+    });
+
+    test('should require a paid adult ticket', () => {
+      expect(() => Config.fromEnv({ TICKET_PRICE_ADULT: '0' })).toThrow('TICKET_PRICE_ADULT must be greater than zero');
+    });
+
+    test('should read prices in minor units of the currency and tax rates per ticket type', () => {
+      const config = Config.fromEnv({ CURRENCY: 'JPY', TICKET_PRICE_ADULT: '1800', TAX_RATE: '10', TAX_RATE_CHILD: '0' });
+
+      expect(config.ticketPrices.ADULT).toBe(1800);
+      expect(config.taxRates).toEqual({ INFANT: 10, CHILD: 0, ADULT: 10 });
+      expect(captureError(() => Config.fromEnv({ CURRENCY: 'JPY', TICKET_PRICE_ADULT: '18.50' })).errors)
+        .toEqual(['Environment variable TICKET_PRICE_ADULT must be an amount such as 12.50, got: 18.50']);
+    });
+
+    test('should reject unknown currencies, locales and tax rates out of range', () => {
+      expect(captureError(() => Config.fromEnv({ CURRENCY: 'XYZ', LOCALE: 'xx-YY', TAX_RATE_ADULT: '120' })).errors).toEqual([
+        'CURRENCY must be an ISO 4217 currency code, e.g. GBP',
+        'LOCALE must be a supported locale, e.g. en-GB',
+        'TAX_RATE_ADULT must be a percentage between 0 and 100',
+      ]);
+    });
+
+    test('should be immutable', () => {
+      expect(Object.isFrozen(base)).toBe(true);
+      expect(Object.isFrozen(base.ticketPrices)).toBe(true);
+    });
+  });
+
+  describe('Overrides', () => {
+    test('should replace settings and merge ticket prices', () => {
+      const config = base.withOverrides({ maxTickets: 10, ticketPrices: { ADULT: 3000 } });
+
+      expect(config.maxTickets).toBe(10);
+      expect(config.ticketPrices).toEqual({ INFANT: 0, CHILD: 1500, ADULT: 3000 });
+      expect(base.maxTickets).toBe(25);
+    });
+
+    test('should name invalid settings by key path', () => {
+      const error = captureError(() => base.withOverrides({
+        maxTickets: '10',
+        enforceInfantAdultRatio: 'yes',
+        colour: 'red',
+        httpPort: 8080,
+      }, 'venues.leeds'));
+
+      expect(error.errors).toEqual([
+        'venues.leeds.httpPort applies to the whole process and cannot be overridden',
+        'venues.leeds.colour is not a known setting',
+        'venues.leeds.maxTickets must be a positive integer',
+        'venues.leeds.enforceInfantAdultRatio must be true or false',
+      ]);
+    });
+
+    test('should validate settings given directly', () => {
+      expect(() => new Config({ ...base.toObject(), thirdPartyRetries: -1 }))
+        .toThrow('thirdPartyRetries must be a non-negative integer');
+    });
+  });
+
+  describe('Venue profiles', () => {
+    test('should build a config per venue', () => {
+      const venues = VenueProfiles.fromDefinitions({
+        leeds: { maxTickets: 20, ticketPrices: { ADULT: 22 } },
+        london: { cancellationCutoffMinutes: 120 },
+      }, base);
+
+      expect(venues.ids()).toEqual(['leeds', 'london']);
+      expect(venues.get('leeds').maxTickets).toBe(20);
+      expect(venues.get('leeds').ticketPrices.ADULT).toBe(22);
+      expect(venues.get('london').cancellationCutoffMinutes).toBe(120);
+      expect(venues.get('york')).toBeNull();
+    });
+
+    test('should report the errors of every venue together', () => {
+      const error = captureError(() => VenueProfiles.fromDefinitions({
+        leeds: { maxTickets: 0 },
+        london: { ticketTypes: ['ADULT', 'STUDENT'] },
+        york: 'cheap',
+      }, base));
+
+      expect(error.errors).toEqual([
+        'venues.leeds.maxTickets must be a positive integer',
+        'venues.london.ticketTypes: STUDENT must also be enabled in TICKET_TYPES',
+        'venues.london.ticketPrices.STUDENT must be set for ticket type STUDENT',
+        'venues.london.taxRates.STUDENT must be set for ticket type STUDENT',
+        'venues.york must be an object of settings',
+      ]);
+    });
+
+    test('should have no venues without a venues file', () => {
+      expect(VenueProfiles.fromConfig(base).ids()).toEqual([]);
+    });
+
+    test('should construct a TicketService with a venue profile', () => {
+      const venues = VenueProfiles.fromDefinitions({
+        leeds: { maxTickets: 3, ticketTypes: ['ADULT', 'INFANT'], ticketPrices: { ADULT: 22 } },
+      }, base);
+      const ticketService = new TicketService({ makePayment: jest.fn() }, { reserveSeat: jest.fn() }, {
+        config: venues.get('leeds'),
+      });
+
+      expect(ticketService.quote(1, new TicketTypeRequest('ADULT', 2)).totalAmount).toBe(44);
+      expect(captureError(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 4))).code)
+        .toBe(ErrorCode.MAX_TICKETS_EXCEEDED);
+      expect(captureError(() => ticketService.quote(1, new TicketTypeRequest('CHILD', 1))).code)
+        .toBe(ErrorCode.UNKNOWN_TICKET_TYPE);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import Currency from '../src/pairtest/lib/money/Currency.js';
+import { describe, test, expect } from '@jest/globals';
+
+describe('Currency', () => {
+  const pounds = new Currency();
+
+  test('should default to pounds sterling', () => {
+    expect(pounds.code).toBe('GBP');
+    expect(pounds.locale).toBe('en-GB');
+    expect(pounds.minorUnitDigits).toBe(2);
+  });
+
+  test('should parse amounts in major units into minor units', () => {
+    expect(pounds.toMinorUnits('12.50')).toBe(1250);
+    expect(pounds.toMinorUnits('12.5')).toBe(1250);
+    expect(pounds.toMinorUnits('25')).toBe(2500);
+    expect(pounds.toMinorUnits(0)).toBe(0);
+  });
+
+  test('should reject amounts that are negative, malformed or too precise', () => {
+    for (const amount of ['-1', '12.505', '£12', '1e3', '']) {
+      expect(() => pounds.toMinorUnits(amount)).toThrow(RangeError);
+    }
+  });
+
+  test('should follow the minor unit of each currency', () => {
+    const yen = new Currency({ code: 'JPY' });
+
+    expect(yen.minorUnitDigits).toBe(0);
+    expect(yen.toMinorUnits('1800')).toBe(1800);
+    expect(() => yen.toMinorUnits('18.50')).toThrow(RangeError);
+    expect(new Currency({ code: 'KWD' }).toMinorUnits('1.5')).toBe(1500);
+  });
+
+  test('should format minor units for the locale', () => {
+    expect(pounds.format(1250)).toBe('£12.50');
+    expect(new Currency({ code: 'EUR', locale: 'de-DE' }).format(1250)).toBe('12,50 €');
+  });
+
+  test('should reject unknown currencies and locales', () => {
+    expect(() => new Currency({ code: 'XYZ' })).toThrow('Unsupported currency XYZ');
+    expect(() => new Currency({ locale: 'xx-YY' })).toThrow('Unsupported locale xx-YY');
+  });
+
+  test('should build from config', () => {
+    expect(Currency.fromConfig({ currency: 'USD', locale: 'en-US' }).format(999)).toBe('$9.99');
+  });
+});
@@ -0,0 +1,248 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import Config from '../src/pairtest/lib/config/Config.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import GroupBookingService from '../src/pairtest/lib/groups/GroupBookingService.js';
+import GroupBookingStatus from '../src/pairtest/lib/groups/GroupBookingStatus.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('GroupBookingService', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let groupBookings;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+  const children = (count) => new TicketTypeRequest('CHILD', count);
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => new TicketService(mockPaymentService, mockSeatReservationService, {
+    groupBookings,
+    now: () => new Date('2026-03-13T12:00:00.000Z'),
+    generateOrderId: () => 'order-1',
+    resilience: { execute: (operation) => operation() },
+    ...options,
+  });
+
+  beforeEach(() => {
+    let bookingCounter = 0;
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    groupBookings = new GroupBookingService({
+      rules: GroupBookingService.defaultRules(),
+      pricingTiers: [{ minTickets: 20, discountPercent: 10 }, { minTickets: 100, discountPercent: 20 }],
+      generateBookingId: () => `group-${++bookingCounter}`,
+    });
+    ticketService = createService();
+  });
+
+  describe('Requesting', () => {
+    test('should queue a booking larger than MAX_TICKETS without charging or reserving', () => {
+      expect(captureError(() => ticketService.purchaseTickets(1, adults(4), children(36))).code).toBe(ErrorCode.MAX_TICKETS_EXCEEDED);
+
+      const booking = ticketService.requestGroupBooking(1, adults(4), children(36));
+
+      expect(booking).toMatchObject({
+        bookingId: 'group-1',
+        accountId: 1,
+        status: GroupBookingStatus.PENDING_APPROVAL,
+        tickets: [{ ticketType: 'ADULT', quantity: 4 }, { ticketType: 'CHILD', quantity: 36 }],
+        requestedAt: '2026-03-13T12:00:00.000Z',
+        orderId: null,
+      });
+      expect(booking.quote.totalAmount).toBe(57600);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+      expect(mockSeatReservationService.reserveSeat).not.toHaveBeenCalled();
+    });
+
+    test('should price the booking with the highest group rate it reaches', () => {
+      const { quote } = ticketService.requestGroupBooking(1, adults(10), children(90));
+
+      expect(quote.discounts).toEqual([{
+        code: 'GROUP', type: 'groupRate', description: 'Group rate for 100+ tickets: 20% off', amount: 32000,
+      }]);
+      expect(quote.totalAmount).toBe(128000);
+    });
+
+    test('should check the booking against the group rules', () => {
+      expect(captureError(() => ticketService.requestGroupBooking(1, adults(5))).code).toBe(ErrorCode.MIN_TICKETS_NOT_MET);
+      expect(captureError(() => ticketService.requestGroupBooking(1, adults(301))).code).toBe(ErrorCode.MAX_TICKETS_EXCEEDED);
+
+      const error = captureError(() => ticketService.requestGroupBooking(1, adults(2), children(21)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.SUPERVISION_RATIO);
+      expect(error.message).toBe('Each Adult ticket can accompany at most 10 CHILD tickets');
+      expect(ticketService.findGroupBookings()).toEqual([]);
+    });
+
+    test('should not use up a booking ID on a rejected request', () => {
+      captureError(() => ticketService.requestGroupBooking(1, adults(5)));
+
+      expect(ticketService.requestGroupBooking(1, adults(4), children(36)).bookingId).toBe('group-1');
+    });
+  });
+
+  describe('Approving', () => {
+    test('should charge and reserve seats in batches only once approved', () => {
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(11), children(109));
+
+      const order = ticketService.approveGroupBooking(bookingId, { approvedBy: 'manager-1' });
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(7, 152800);
+      expect(mockSeatReservationService.reserveSeat.mock.calls).toEqual([[7, 50], [7, 50], [7, 20]]);
+      expect(order).toMatchObject({ orderId: 'order-1', groupBookingId: bookingId, totalSeats: 120, totalAmount: 152800 });
+      expect(ticketService.getGroupBooking(bookingId)).toMatchObject({
+        status: GroupBookingStatus.APPROVED,
+        decidedBy: 'manager-1',
+        decidedAt: '2026-03-13T12:00:00.000Z',
+        orderId: 'order-1',
+      });
+      expect(ticketService.findGroupBookings({ status: GroupBookingStatus.PENDING_APPROVAL })).toEqual([]);
+    });
+
+    test('should approve through the asynchronous adapters', async () => {
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(3), children(27));
+
+      const order = await ticketService.approveGroupBookingAsync(bookingId);
+
+      expect(order.totalSeats).toBe(30);
+      expect(ticketService.getGroupBooking(bookingId).status).toBe(GroupBookingStatus.APPROVED);
+    });
+
+    test('should not approve a booking twice at once', async () => {
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(3), children(27));
+
+      const first = ticketService.approveGroupBookingAsync(bookingId);
+      const error = captureError(() => ticketService.approveGroupBooking(bookingId));
+      await first;
+
+      expect(error.code).toBe(ErrorCode.GROUP_BOOKING_NOT_PENDING);
+      expect(error.details).toEqual({ bookingId, status: 'APPROVING' });
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep the booking pending when it can no longer be bought', () => {
+      ticketService = createService({
+        showings: ShowingCatalogue.fromDefinitions({
+          auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 12 }] }],
+          showings: [{ id: 'matinee', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-14T10:00:00Z' }],
+        }),
+      });
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(2), children(10), new PurchaseOptions({ showingId: 'matinee' }));
+      ticketService.purchaseTickets(8, adults(1), new PurchaseOptions({ showingId: 'matinee' }));
+
+      const error = captureError(() => ticketService.approveGroupBooking(bookingId));
+
+      expect(error.code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+      expect(ticketService.getGroupBooking(bookingId).status).toBe(GroupBookingStatus.PENDING_APPROVAL);
+      expect(ticketService.rejectGroupBooking(bookingId, { reason: 'Sold out' }).status).toBe(GroupBookingStatus.REJECTED);
+    });
+
+    test('should release the seats already reserved and refund when a batch fails', () => {
+      mockSeatReservationService.reserveSeat
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => { throw new Error('booking system down'); });
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(10), children(90));
+
+      const error = captureError(() => ticketService.approveGroupBooking(bookingId, { approvedBy: 'manager-1' }));
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(7, 50);
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(7, 128000);
+      expect(ticketService.getGroupBooking(bookingId)).toMatchObject({
+        status: GroupBookingStatus.FAILED,
+        decidedBy: 'manager-1',
+        reason: 'Seat reservation failed; payment has been refunded',
+        orderId: null,
+      });
+    });
+
+    test('should report seats that could not be released after a failed batch', () => {
+      mockSeatReservationService.reserveSeat
+        .mockImplementationOnce(() => {})
+        .mockImplementationOnce(() => { throw new Error('booking system down'); });
+      mockSeatReservationService.releaseSeat.mockImplementation(() => { throw new Error('release refused'); });
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(10), children(90));
+
+      const error = captureError(() => ticketService.approveGroupBooking(bookingId));
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.cause).toBeInstanceOf(AggregateError);
+      expect(error.cause.errors.map(({ message }) => message)).toEqual(['booking system down', 'release refused']);
+    });
+
+    test('should refuse to decide a booking that is not pending', () => {
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(3), children(27));
+      ticketService.rejectGroupBooking(bookingId, { rejectedBy: 'manager-1', reason: 'Screen closed' });
+
+      expect(captureError(() => ticketService.approveGroupBooking(bookingId)).code).toBe(ErrorCode.GROUP_BOOKING_NOT_PENDING);
+      expect(captureError(() => ticketService.rejectGroupBooking('missing')).code).toBe(ErrorCode.GROUP_BOOKING_NOT_FOUND);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Refunds', () => {
+    test('should check what is left of a group order against the group rules', () => {
+      const { bookingId } = ticketService.requestGroupBooking(7, adults(3), children(27));
+      const order = ticketService.approveGroupBooking(bookingId);
+
+      expect(ticketService.refundTickets(order.orderId, children(1)).totalSeats).toBe(29);
+      expect(captureError(() => ticketService.refundTickets(order.orderId, children(20))).code).toBe(ErrorCode.MIN_TICKETS_NOT_MET);
+    });
+  });
+
+  describe('Policy', () => {
+    test('should split seats into reservation batches', () => {
+      groupBookings = new GroupBookingService({ seatsPerReservation: 40 });
+
+      expect(groupBookings.seatBatches(100)).toEqual([40, 40, 20]);
+      expect(groupBookings.seatBatches(40)).toEqual([40]);
+      expect(groupBookings.seatBatches(0)).toEqual([]);
+    });
+
+    test('should reject invalid pricing tiers and batch sizes', () => {
+      expect(() => new GroupBookingService({ pricingTiers: [{ minTickets: 20, discountPercent: 120 }] }))
+        .toThrow('Group pricing tier for 20+ tickets: discountPercent must be between 0 and 100');
+      expect(() => new GroupBookingService({ seatsPerReservation: 0 })).toThrow(TypeError);
+    });
+
+    test('should load the policy from config', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'group-bookings-'));
+      const groupBookingsFile = join(dir, 'group-bookings.json');
+      writeFileSync(groupBookingsFile, JSON.stringify({
+        rules: [{ type: 'minTickets', limit: 30 }],
+        pricingTiers: [{ minTickets: 30, discountPercent: 5 }],
+        seatsPerReservation: 25,
+      }));
+
+      try {
+        groupBookings = GroupBookingService.fromConfig(Config.fromEnv({ GROUP_BOOKINGS_FILE: groupBookingsFile }));
+
+        expect(groupBookings.getRules().names()).toEqual(['minTickets']);
+        expect(groupBookings.seatBatches(30)).toEqual([25, 5]);
+        expect(GroupBookingService.fromConfig(Config.fromEnv({ ENFORCE_INFANT_ADULT_RATIO: 'false' })).getRules().names())
+          .toEqual(['minTickets', 'maxTickets', 'adultRequired', 'supervisionRatio']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import IdempotencyService from '../src/pairtest/lib/idempotency/IdempotencyService.js';
+import InMemoryIdempotencyStore from '../src/pairtest/lib/idempotency/InMemoryIdempotencyStore.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('IdempotencyService', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let currentTime;
+  let orderCounter;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+  const withKey = (idempotencyKey, options = {}) => new PurchaseOptions({ idempotencyKey, ...options });
+
+  const advanceSeconds = (seconds) => {
+    currentTime = new Date(currentTime.getTime() + seconds * 1000);
+  };
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    currentTime = new Date('2026-03-13T18:00:00.000Z');
+    orderCounter = 0;
+    ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+      now: () => currentTime,
+      generateOrderId: () => `order-${++orderCounter}`,
+      idempotency: new IdempotencyService({ ttlSeconds: 3600, now: () => currentTime }),
+    });
+  });
+
+  describe('Repeated purchases', () => {
+    test('should return the original order without paying or reserving again', () => {
+      const first = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+      const second = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+
+      expect(second).toBe(first);
+      expect(second.orderId).toBe('order-1');
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+      expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledTimes(1);
+    });
+
+    test('should purchase again when no key is given', () => {
+      ticketService.purchaseTickets(1, adults(2));
+      ticketService.purchaseTickets(1, adults(2));
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+
+    test('should treat different keys as separate purchases', () => {
+      const first = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+      const second = ticketService.purchaseTickets(1, adults(2), withKey('key-2'));
+
+      expect(second.orderId).not.toBe(first.orderId);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+
+    test('should replay purchases made with purchaseTicketsAsync', async () => {
+      const first = await ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1'));
+      const second = await ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1'));
+
+      expect(second).toBe(first);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Conflicts', () => {
+    test.each([
+      ['account', () => [2, adults(2), withKey('key-1')]],
+      ['tickets', () => [1, adults(3), withKey('key-1')]],
+      ['options', () => [1, adults(2), withKey('key-1', { promoCodes: ['SPRING10'] })]],
+    ])('should reject the same key with a different %s', (_, args) => {
+      ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+
+      const error = captureError(() => ticketService.purchaseTickets(...args()));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.IDEMPOTENCY_KEY_CONFLICT);
+      expect(error.details).toEqual({ idempotencyKey: 'key-1' });
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a repeat while the first purchase is still in flight', async () => {
+      let resolvePayment;
+      mockPaymentService.makePayment.mockReturnValueOnce(new Promise((resolve) => { resolvePayment = resolve; }));
+
+      const first = ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1'));
+      const second = ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1'));
+
+      await expect(second).rejects.toMatchObject({ code: ErrorCode.IDEMPOTENCY_KEY_IN_USE });
+
+      resolvePayment();
+      await expect(first).resolves.toMatchObject({ orderId: 'order-1' });
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Failures and expiry', () => {
+    test('should release the key when validation fails', () => {
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('CHILD', 1), withKey('key-1')))
+        .toThrow(InvalidPurchaseException);
+
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('CHILD', 1), withKey('key-1')))
+        .toThrow(InvalidPurchaseException);
+    });
+
+    test('should allow a retry after payment fails', () => {
+      mockPaymentService.makePayment.mockImplementationOnce(() => {
+        throw new Error('card declined');
+      });
+
+      expect(() => ticketService.purchaseTickets(1, adults(2), withKey('key-1'))).toThrow(PurchaseFailedException);
+
+      const order = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+
+      expect(order.orderId).toBe('order-1');
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+
+    test('should allow a retry after an async purchase fails', async () => {
+      mockPaymentService.makePayment.mockRejectedValueOnce(new Error('card declined'));
+
+      await expect(ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1')))
+        .rejects.toBeInstanceOf(PurchaseFailedException);
+      await expect(ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1')))
+        .resolves.toMatchObject({ orderId: 'order-1' });
+    });
+
+    test('should replay the failure of a purchase that failed after payment', () => {
+      mockSeatReservationService.reserveSeat.mockImplementationOnce(() => {
+        throw new Error('no seats');
+      });
+
+      const first = captureError(() => ticketService.purchaseTickets(1, adults(2), withKey('key-1')));
+      const second = captureError(() => ticketService.purchaseTickets(1, adults(2), withKey('key-1')));
+
+      expect(first.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(second).toBe(first);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replay an async failure when the refund failed', async () => {
+      mockSeatReservationService.reserveSeat.mockRejectedValueOnce(new Error('no seats'));
+      mockPaymentService.refundPayment.mockRejectedValueOnce(new Error('gateway down'));
+
+      const first = await ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1')).catch((error) => error);
+
+      expect(first.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      await expect(ticketService.purchaseTicketsAsync(1, adults(2), withKey('key-1'))).rejects.toBe(first);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should forget keys once the window has passed', () => {
+      const first = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+
+      advanceSeconds(3599);
+      expect(ticketService.purchaseTickets(1, adults(2), withKey('key-1'))).toBe(first);
+
+      advanceSeconds(1);
+      const second = ticketService.purchaseTickets(1, adults(3), withKey('key-1'));
+
+      expect(second.orderId).toBe('order-2');
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Stores', () => {
+    test('should keep records in the given store', () => {
+      const store = new InMemoryIdempotencyStore();
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+        now: () => currentTime,
+        idempotency: new IdempotencyService({ store, ttlSeconds: 60, now: () => currentTime }),
+      });
+
+      const order = ticketService.purchaseTickets(1, adults(2), withKey('key-1'));
+
+      expect(store.get('key-1')).toMatchObject({
+        key: 'key-1',
+        status: 'COMPLETED',
+        result: order,
+        expiresAt: '2026-03-13T18:01:00.000Z',
+      });
+    });
+
+    test('should reject an invalid TTL', () => {
+      expect(() => new IdempotencyService({ ttlSeconds: 0 })).toThrow(TypeError);
+    });
+
+    test('should reject an empty idempotency key', () => {
+      expect(() => new PurchaseOptions({ idempotencyKey: '' })).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import Config from '../src/pairtest/lib/config/Config.js';
+import PromotionCatalogue from '../src/pairtest/lib/promotions/PromotionCatalogue.js';
+import MembershipScheme from '../src/pairtest/lib/loyalty/MembershipScheme.js';
+import OrderSerializer from '../src/pairtest/lib/OrderSerializer.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('MembershipScheme', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let memberships;
+  let clock;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+  const children = (count) => new TicketTypeRequest('CHILD', count);
+  const redeeming = (redeemPoints) => new PurchaseOptions({ redeemPoints });
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => new TicketService(mockPaymentService, mockSeatReservationService, {
+    memberships,
+    now: () => clock,
+    ...options,
+  });
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    clock = new Date('2026-03-13T12:00:00.000Z');
+    memberships = new MembershipScheme({
+      tiers: [
+        { id: 'SILVER', discountPercent: 10, pointsPerUnit: 1 },
+        { id: 'GOLD', prices: { ADULT: 2000 }, discountPercent: 20, freeTicketsPerMonth: { CHILD: 1 }, pointsPerUnit: 2 },
+      ],
+      members: [
+        { accountId: 1, tier: 'SILVER', points: 1000 },
+        { accountId: 2, tier: 'GOLD' },
+      ],
+    });
+    ticketService = createService();
+  });
+
+  describe('Member prices', () => {
+    test('should take the tier percentage off every price', () => {
+      const order = ticketService.purchaseTickets(1, adults(2), children(1));
+
+      expect(order.lineItems.map(({ unitPrice }) => unitPrice)).toEqual([2250, 1350]);
+      expect(order.totalAmount).toBe(5850);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 5850);
+    });
+
+    test('should use the tier price where one is set', () => {
+      const quote = ticketService.quote(2, adults(1), children(1));
+
+      expect(quote.lineItems.map(({ unitPrice }) => unitPrice)).toEqual([2000, 1200]);
+      expect(quote.membershipTier).toBe('GOLD');
+    });
+
+    test('should never charge a member more than the normal price', () => {
+      memberships = new MembershipScheme({ tiers: [{ id: 'BASIC', prices: { ADULT: 9900 } }], members: [{ accountId: 3, tier: 'BASIC' }] });
+      ticketService = createService();
+
+      expect(ticketService.quote(3, adults(1)).totalAmount).toBe(2500);
+    });
+
+    test('should charge non-members the normal price', () => {
+      const quote = ticketService.quote(9, adults(1));
+
+      expect(quote.totalAmount).toBe(2500);
+      expect(quote.membershipTier).toBeNull();
+      expect(quote.pointsEarned).toBe(0);
+    });
+  });
+
+  describe('Free tickets', () => {
+    test('should give the monthly free tickets once per month', () => {
+      const first = ticketService.purchaseTickets(2, adults(1), children(2));
+
+      expect(first.discounts).toEqual([{
+        code: 'GOLD', type: 'memberFreeTickets', description: '1 CHILD free this month', amount: 1200, tickets: { CHILD: 1 },
+      }]);
+      expect(first.totalAmount).toBe(3200);
+
+      expect(ticketService.purchaseTickets(2, adults(1), children(1)).discounts).toEqual([]);
+
+      clock = new Date('2026-04-01T00:00:00.000Z');
+      expect(ticketService.purchaseTickets(2, adults(1), children(1)).totalAmount).toBe(2000);
+    });
+
+    test('should not use the allowance for a quote or a failed purchase', () => {
+      mockPaymentService.makePayment.mockImplementationOnce(() => { throw new Error('declined'); });
+
+      ticketService.quote(2, adults(1), children(1));
+      captureError(() => ticketService.purchaseTickets(2, adults(1), children(1)));
+
+      expect(ticketService.purchaseTickets(2, adults(1), children(1)).totalAmount).toBe(2000);
+    });
+
+    test('should apply promo codes to what is left after free tickets', () => {
+      ticketService = createService({ promotions: new PromotionCatalogue([{ code: 'HALF', type: 'percentage', percent: 50 }]) });
+
+      const order = ticketService.purchaseTickets(2, adults(1), children(1), new PurchaseOptions({ promoCodes: ['HALF'] }));
+
+      expect(order.discounts.map(({ code, amount }) => [code, amount])).toEqual([['GOLD', 1200], ['HALF', 1000]]);
+      expect(order.totalAmount).toBe(1000);
+    });
+  });
+
+  describe('Earning points', () => {
+    test('should award points on the amount charged', () => {
+      const order = ticketService.purchaseTickets(2, adults(1), children(1));
+
+      expect(order.pointsEarned).toBe(40);
+      expect(memberships.pointsBalance(2)).toBe(40);
+    });
+
+    test('should not award points for a quote or a failed purchase', () => {
+      mockSeatReservationService.reserveSeat.mockImplementationOnce(() => { throw new Error('booking system down'); });
+
+      ticketService.quote(1, adults(1));
+      captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(memberships.pointsBalance(1)).toBe(1000);
+    });
+
+    test('should show the points earned on the receipt', () => {
+      const order = ticketService.purchaseTickets(1, adults(1));
+
+      expect(OrderSerializer.toReceipt(order)).toContain('Points earned (SILVER)');
+    });
+  });
+
+  describe('Redeeming points', () => {
+    test('should pay for part of a purchase with points', () => {
+      const order = ticketService.purchaseTickets(1, adults(1), redeeming(250));
+
+      expect(order.discounts).toEqual([{ code: 'POINTS', type: 'loyaltyPoints', description: '250 points', amount: 250, points: 250 }]);
+      expect(order.totalAmount).toBe(2000);
+      expect(order.pointsRedeemed).toBe(250);
+      expect(order.pointsEarned).toBe(20);
+      expect(memberships.pointsBalance(1)).toBe(770);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 2000);
+    });
+
+    test('should reject redemption by a non-member', () => {
+      const error = captureError(() => ticketService.purchaseTickets(9, adults(1), redeeming(10)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.NOT_A_MEMBER);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should reject more points than the member has', () => {
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1), redeeming(1001)));
+
+      expect(error.code).toBe(ErrorCode.INSUFFICIENT_POINTS);
+      expect(error.details).toEqual({ points: 1001, balance: 1000 });
+    });
+
+    test('should reject points worth more than is left to pay', () => {
+      memberships.recordPurchase({ accountId: 1, discounts: [], pointsEarned: 5000, pointsRedeemed: 0, now: clock });
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1), redeeming(2251)));
+
+      expect(error.code).toBe(ErrorCode.POINTS_EXCEED_TOTAL);
+      expect(error.message).toBe('2251 points are worth more than the £22.50 left to pay');
+      expect(error.details).toEqual({ points: 2251, maxPoints: 2250 });
+    });
+
+    test('should let points pay for the whole purchase', () => {
+      memberships.enrol(4, 'SILVER', { points: 2250 });
+
+      const order = ticketService.purchaseTickets(4, adults(1), redeeming(2250));
+
+      expect(order.totalAmount).toBe(0);
+      expect(order.pointsEarned).toBe(0);
+      expect(memberships.pointsBalance(4)).toBe(0);
+    });
+  });
+
+  describe('Refunds', () => {
+    test('should take back earned points and return redeemed points for refunded tickets', () => {
+      const order = ticketService.purchaseTickets(1, adults(2), redeeming(500));
+      expect(memberships.pointsBalance(1)).toBe(540);
+
+      const refunded = ticketService.refundTickets(order.orderId, adults(1));
+
+      expect(refunded.refunds[0]).toMatchObject({ amount: 2000, pointsReversed: 20, pointsReturned: 250 });
+      expect(refunded.pointsEarned).toBe(20);
+      expect(refunded.pointsRedeemed).toBe(250);
+      expect(memberships.pointsBalance(1)).toBe(770);
+    });
+
+    test('should reverse everything when the order is cancelled', () => {
+      const order = ticketService.purchaseTickets(1, adults(1), children(1), redeeming(300));
+
+      ticketService.cancelOrder(order.orderId);
+
+      expect(memberships.pointsBalance(1)).toBe(1000);
+    });
+
+    test('should give back free tickets once the order no longer holds them', () => {
+      const order = ticketService.purchaseTickets(2, adults(1), children(2));
+
+      ticketService.refundTickets(order.orderId, children(1));
+      expect(ticketService.quote(2, adults(1), children(1)).discounts).toEqual([]);
+
+      ticketService.refundTickets(order.orderId, children(1));
+      expect(ticketService.quote(2, adults(1), children(1)).totalAmount).toBe(2000);
+    });
+
+    test('should give back free tickets to the month they were bought in', () => {
+      const order = ticketService.purchaseTickets(2, adults(1), children(1));
+      ticketService.purchaseTickets(2, adults(1), children(1));
+
+      clock = new Date('2026-04-01T00:00:00.000Z');
+      ticketService.purchaseTickets(2, adults(1), children(1));
+      ticketService.cancelOrder(order.orderId);
+
+      expect(ticketService.quote(2, adults(1), children(1)).discounts).toEqual([]);
+    });
+  });
+
+  describe('Scheme', () => {
+    test('should reject invalid tiers and members', () => {
+      expect(() => new MembershipScheme({ tiers: [{ id: 'X', discountPercent: 120 }] }))
+        .toThrow('Tier X: discountPercent must be between 0 and 100');
+      expect(() => new MembershipScheme({ tiers: [{ id: 'X' }], members: [{ accountId: 1, tier: 'Y' }] }))
+        .toThrow('Member 1: unknown tier Y');
+      expect(() => new MembershipScheme({ pointValue: 0 })).toThrow(TypeError);
+      expect(() => new PurchaseOptions({ redeemPoints: 1.5 })).toThrow('redeemPoints must be a non-negative integer');
+    });
+
+    test('should keep the points balance when a member changes tier', () => {
+      memberships.enrol(1, 'GOLD');
+
+      expect(memberships.tierFor(1).id).toBe('GOLD');
+      expect(memberships.pointsBalance(1)).toBe(1000);
+    });
+
+    test('should load the scheme from config', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'memberships-'));
+      const membershipsFile = join(dir, 'memberships.json');
+      writeFileSync(membershipsFile, JSON.stringify({ pointValue: 2, tiers: [{ id: 'BASIC' }], members: [{ accountId: 5, tier: 'BASIC', points: 10 }] }));
+
+      try {
+        memberships = MembershipScheme.fromConfig(Config.fromEnv({ MEMBERSHIPS_FILE: membershipsFile }));
+
+        expect(memberships.tierFor(5).id).toBe('BASIC');
+        expect(memberships.pointsBalance(5)).toBe(10);
+        expect(MembershipScheme.fromConfig(Config.fromEnv({})).tierFor(5)).toBeNull();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import MetricsRegistry from '../src/pairtest/lib/observability/MetricsRegistry.js';
+import { describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('MetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new MetricsRegistry();
+  });
+
+  describe('Counters', () => {
+    test('should count per set of label values', () => {
+      const counter = registry.counter('requests_total', 'Requests', ['code']);
+
+      counter.inc({ code: 'A' });
+      counter.inc({ code: 'A' }, 2);
+      counter.inc({ code: 'B' });
+
+      expect(counter.get({ code: 'A' })).toBe(3);
+      expect(counter.get({ code: 'B' })).toBe(1);
+      expect(counter.get({ code: 'C' })).toBe(0);
+    });
+
+    test('should only go up', () => {
+      const counter = registry.counter('requests_total', 'Requests');
+
+      expect(() => counter.inc({}, -1)).toThrow(RangeError);
+    });
+
+    test('should require every label', () => {
+      const counter = registry.counter('requests_total', 'Requests', ['code']);
+
+      expect(() => counter.inc({})).toThrow('Metric requests_total needs a code label');
+    });
+  });
+
+  describe('Histograms', () => {
+    test('should count observations into cumulative buckets', () => {
+      const histogram = registry.histogram('basket_size', 'Basket size', { buckets: [1, 5, 10] });
+
+      [1, 3, 5, 12].forEach((value) => histogram.observe({}, value));
+
+      expect(histogram.get()).toEqual({ count: 4, sum: 21, buckets: [1, 3, 3] });
+    });
+
+    test('should reject buckets that do not increase', () => {
+      expect(() => registry.histogram('basket_size', 'Basket size', { buckets: [5, 1] })).toThrow(TypeError);
+    });
+  });
+
+  describe('Prometheus text format', () => {
+    test('should write help, type and samples for each metric', () => {
+      registry.counter('requests_total', 'Requests by code', ['code']).inc({ code: 'A' }, 2);
+      registry.histogram('latency_seconds', 'Latency', { labelNames: ['operation'], buckets: [0.1, 1] })
+        .observe({ operation: 'pay' }, 0.25);
+
+      expect(registry.toPrometheus()).toBe([
+        '# HELP requests_total Requests by code',
+        '# TYPE requests_total counter',
+        'requests_total{code="A"} 2',
+        '# HELP latency_seconds Latency',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{operation="pay",le="0.1"} 0',
+        'latency_seconds_bucket{operation="pay",le="1"} 1',
+        'latency_seconds_bucket{operation="pay",le="+Inf"} 1',
+        'latency_seconds_sum{operation="pay"} 0.25',
+        'latency_seconds_count{operation="pay"} 1',
+        '',
+      ].join('\n'));
+    });
+
+    test('should escape label values', () => {
+      registry.counter('requests_total', 'Requests', ['code']).inc({ code: 'say "hi"\\\n' });
+
+      expect(registry.toPrometheus()).toContain('requests_total{code="say \\"hi\\"\\\\\\n"} 1');
+    });
+
+    test('should write a metric with no samples yet', () => {
+      registry.counter('requests_total', 'Requests');
+
+      expect(registry.toPrometheus()).toBe('# HELP requests_total Requests\n# TYPE requests_total counter\n');
+    });
+  });
+
+  test('should reject invalid and duplicate names', () => {
+    registry.counter('requests_total', 'Requests');
+
+    expect(() => registry.counter('requests_total', 'Again')).toThrow('Metric requests_total is already registered');
+    expect(() => registry.counter('requests-total', 'Requests')).toThrow('Invalid metric name requests-total');
+    expect(() => registry.histogram('latency', 'Latency', { labelNames: ['le'] })).toThrow('Invalid label name le for latency');
+  });
+});
@@ -0,0 +1,258 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import OrderStatus from '../src/pairtest/lib/orders/OrderStatus.js';
+import CancellationPolicy from '../src/pairtest/lib/orders/CancellationPolicy.js';
+import PromotionCatalogue from '../src/pairtest/lib/promotions/PromotionCatalogue.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('Refunds and cancellations', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let showings;
+  let currentTime;
+  let ticketService;
+  let familyOrder;
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => new TicketService(mockPaymentService, mockSeatReservationService, {
+    showings,
+    now: () => currentTime,
+    generateOrderId: () => 'order-1',
+    cancellationPolicy: new CancellationPolicy({ cutoffMinutes: 60 }),
+    ...options,
+  });
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    showings = ShowingCatalogue.fromDefinitions({
+      auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 6 }] }],
+      showings: [{ id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z' }],
+    });
+    currentTime = new Date('2026-03-13T12:00:00.000Z');
+    ticketService = createService();
+    familyOrder = ticketService.purchaseTickets(
+      1,
+      new TicketTypeRequest('ADULT', 2),
+      new TicketTypeRequest('CHILD', 2),
+      new TicketTypeRequest('INFANT', 1),
+      new PurchaseOptions({ showingId: 'evening' }),
+    );
+  });
+
+  describe('Cancelling orders', () => {
+    test('should refund the whole order and release its seats', () => {
+      const cancelled = ticketService.cancelOrder('order-1');
+
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(1, 8000);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(1, 4);
+      expect(showings.get('evening').countAvailable()).toBe(6);
+      expect(cancelled.status).toBe(OrderStatus.CANCELLED);
+      expect(cancelled.totalAmount).toBe(0);
+      expect(cancelled.taxes).toEqual([]);
+      expect(cancelled.lineItems).toEqual([]);
+      expect(cancelled.seats).toEqual([]);
+      expect(cancelled.refunds).toEqual([{
+        lineItems: [
+          { ticketType: 'ADULT', quantity: 2 },
+          { ticketType: 'CHILD', quantity: 2 },
+          { ticketType: 'INFANT', quantity: 1 },
+        ],
+        amount: 8000,
+        taxAmount: 1333,
+        pointsReversed: 0,
+        pointsReturned: 0,
+        seats: ['A1', 'A2', 'A3', 'A4'],
+        timestamp: '2026-03-13T12:00:00.000Z',
+      }]);
+      expect(ticketService.getOrder('order-1')).toBe(cancelled);
+    });
+
+    test('should keep the original order unchanged', () => {
+      ticketService.cancelOrder('order-1');
+
+      expect(familyOrder.status).toBe(OrderStatus.CONFIRMED);
+      expect(familyOrder.totalAmount).toBe(8000);
+    });
+
+    test('should reject an unknown order', () => {
+      const error = captureError(() => ticketService.cancelOrder('missing'));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.ORDER_NOT_FOUND);
+    });
+
+    test('should reject cancelling twice', () => {
+      ticketService.cancelOrder('order-1');
+
+      const error = captureError(() => ticketService.cancelOrder('order-1'));
+
+      expect(error.code).toBe(ErrorCode.ORDER_CANCELLED);
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Partial refunds', () => {
+    test('should refund one child ticket from a family booking', () => {
+      const refunded = ticketService.refundTickets('order-1', new TicketTypeRequest('CHILD', 1));
+
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(1, 1500);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(1, 1);
+      expect(refunded.status).toBe(OrderStatus.PARTIALLY_REFUNDED);
+      expect(refunded.lineItems).toEqual([
+        { ticketType: 'ADULT', quantity: 2, unitPrice: 2500, subtotal: 5000, taxRate: 20 },
+        { ticketType: 'CHILD', quantity: 1, unitPrice: 1500, subtotal: 1500, taxRate: 20 },
+        { ticketType: 'INFANT', quantity: 1, unitPrice: 0, subtotal: 0, taxRate: 20 },
+      ]);
+      expect(refunded.totalAmount).toBe(6500);
+      expect(refunded.taxAmount).toBe(1083);
+      expect(refunded.refunds[0].taxAmount).toBe(250);
+      expect(refunded.totalSeats).toBe(3);
+      expect(refunded.seats).toEqual(['A1', 'A2', 'A3']);
+      expect(showings.get('evening').isAvailable('A4')).toBe(true);
+    });
+
+    test('should not release seats for lap-seated tickets', () => {
+      const refunded = ticketService.refundTickets('order-1', new TicketTypeRequest('INFANT', 1));
+
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+      expect(mockSeatReservationService.releaseSeat).not.toHaveBeenCalled();
+      expect(refunded.infantCount).toBe(0);
+      expect(refunded.seats).toHaveLength(4);
+    });
+
+    test('should cancel the order when the last tickets are returned', () => {
+      ticketService.refundTickets('order-1', new TicketTypeRequest('CHILD', 2), new TicketTypeRequest('INFANT', 1));
+      const refunded = ticketService.refundTickets('order-1', new TicketTypeRequest('ADULT', 2));
+
+      expect(refunded.status).toBe(OrderStatus.CANCELLED);
+      expect(refunded.refunds.map(({ amount }) => amount)).toEqual([3000, 5000]);
+    });
+
+    test('should not leave children without an adult', () => {
+      const error = captureError(() => ticketService.refundTickets('order-1', new TicketTypeRequest('ADULT', 2)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.ADULT_REQUIRED);
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    test('should reject returning more tickets than the order holds', () => {
+      const error = captureError(() => ticketService.refundTickets('order-1', new TicketTypeRequest('CHILD', 3)));
+
+      expect(error.code).toBe(ErrorCode.REFUND_EXCEEDS_ORDER);
+      expect(error.details).toEqual({ orderId: 'order-1', ticketType: 'CHILD', requested: 3, held: 2 });
+    });
+
+    test('should require at least one ticket to return', () => {
+      expect(captureError(() => ticketService.refundTickets('order-1')).code).toBe(ErrorCode.NO_REQUESTS);
+    });
+
+    test('should share discounts across the returned tickets', () => {
+      const promotions = new PromotionCatalogue([{ code: 'HALF', type: 'percentage', percent: 50 }]);
+      ticketService = createService({ promotions, generateOrderId: () => 'order-2' });
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 3), new PurchaseOptions({ promoCodes: ['HALF'] }));
+
+      const refunded = ticketService.refundTickets('order-2', new TicketTypeRequest('ADULT', 1));
+
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(1, 1250);
+      expect(refunded.totalAmount).toBe(2500);
+      expect(ticketService.cancelOrder('order-2').refunds[1].amount).toBe(2500);
+    });
+
+    test('should give back a promo code use only when the order is cancelled', () => {
+      const promotions = new PromotionCatalogue([{ code: 'ONCE', type: 'percentage', percent: 50, maxUsesPerAccount: 1 }]);
+      ticketService = createService({ promotions, generateOrderId: () => 'order-2' });
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), new PurchaseOptions({ promoCodes: ['ONCE'] }));
+      const usingPromo = () => ticketService.quote(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ promoCodes: ['ONCE'] }));
+
+      ticketService.refundTickets('order-2', new TicketTypeRequest('ADULT', 1));
+      expect(captureError(usingPromo).code).toBe(ErrorCode.PROMO_CODE_USAGE_LIMIT);
+
+      ticketService.cancelOrder('order-2');
+      expect(usingPromo().discounts.map(({ code }) => code)).toEqual(['ONCE']);
+    });
+  });
+
+  describe('Cancellation policy', () => {
+    test('should refuse refunds within the cutoff before the showing', () => {
+      currentTime = new Date('2026-03-13T18:30:00.000Z');
+
+      const error = captureError(() => ticketService.cancelOrder('order-1'));
+
+      expect(error.code).toBe(ErrorCode.REFUND_NOT_ALLOWED);
+      expect(error.details).toEqual({ orderId: 'order-1', deadline: '2026-03-13T18:30:00.000Z' });
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    test('should allow refunds until the showing starts when the cutoff is zero', () => {
+      ticketService = createService({ cancellationPolicy: new CancellationPolicy({ cutoffMinutes: 0 }) });
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ showingId: 'evening' }));
+
+      currentTime = new Date('2026-03-13T19:30:00.000Z');
+      expect(() => ticketService.cancelOrder('order-1')).toThrow('Orders cannot be refunded once the showing has started');
+
+      currentTime = new Date('2026-03-13T19:29:00.000Z');
+      expect(ticketService.cancelOrder('order-1').status).toBe(OrderStatus.CANCELLED);
+    });
+
+    test('should always allow refunds of orders without a booked showing', () => {
+      ticketService = createService({ generateOrderId: () => 'order-2' });
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+      currentTime = new Date('2026-03-13T19:45:00.000Z');
+
+      expect(ticketService.cancelOrder('order-2').status).toBe(OrderStatus.CANCELLED);
+    });
+
+    test('should reject a negative cutoff', () => {
+      expect(() => new CancellationPolicy({ cutoffMinutes: -1 })).toThrow(TypeError);
+    });
+  });
+
+  describe('Refund failures', () => {
+    test('should leave the order unchanged when the refund payment fails', () => {
+      mockPaymentService.refundPayment.mockImplementation(() => {
+        throw new Error('gateway down');
+      });
+
+      const error = captureError(() => ticketService.cancelOrder('order-1'));
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      expect(error.totalAmount).toBe(8000);
+      expect(ticketService.getOrder('order-1')).toBe(familyOrder);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(1, 4);
+      expect(mockSeatReservationService.reserveSeat).toHaveBeenLastCalledWith(1, 4);
+      expect(showings.get('evening').countAvailable()).toBe(2);
+    });
+
+    test('should leave the order unchanged and not refund when the seats cannot be released', () => {
+      mockSeatReservationService.releaseSeat.mockImplementation(() => {
+        throw new Error('booking system down');
+      });
+
+      const error = captureError(() => ticketService.cancelOrder('order-1'));
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      expect(error.message).toBe('Seats could not be released; the order has not been changed');
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+      expect(ticketService.getOrder('order-1')).toBe(familyOrder);
+      expect(showings.get('evening').countAvailable()).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,217 @@
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import PurchaseOrder from '../src/pairtest/lib/PurchaseOrder.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import CancellationPolicy from '../src/pairtest/lib/orders/CancellationPolicy.js';
+import InMemoryOrderRepository from '../src/pairtest/lib/orders/InMemoryOrderRepository.js';
+import JsonLinesOrderRepository from '../src/pairtest/lib/orders/JsonLinesOrderRepository.js';
+import LedgerEntryType from '../src/pairtest/lib/orders/LedgerEntryType.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+
+describe('Order ledger', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let showings;
+  let currentTime;
+  let orderCounter;
+  let orders;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+
+  const createService = () => new TicketService(mockPaymentService, mockSeatReservationService, {
+    showings,
+    orders,
+    now: () => currentTime,
+    generateOrderId: () => `order-${++orderCounter}`,
+    cancellationPolicy: new CancellationPolicy({ cutoffMinutes: 0 }),
+  });
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    showings = ShowingCatalogue.fromDefinitions({
+      auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 10 }] }],
+      showings: [
+        { id: 'matinee', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-20T14:00:00Z' },
+        { id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-20T19:30:00Z' },
+      ],
+    });
+    currentTime = new Date('2026-03-13T12:00:00.000Z');
+    orderCounter = 0;
+    orders = new InMemoryOrderRepository();
+    ticketService = createService();
+  });
+
+  describe('Recording events', () => {
+    test('should record a purchase with its full breakdown', () => {
+      const order = ticketService.purchaseTickets(1, adults(2), new PurchaseOptions({ showingId: 'evening' }));
+
+      expect(ticketService.findLedgerEntries()).toEqual([{
+        sequence: 1,
+        type: LedgerEntryType.PURCHASE,
+        timestamp: '2026-03-13T12:00:00.000Z',
+        accountId: 1,
+        orderId: 'order-1',
+        showingId: 'evening',
+        amount: 5000,
+        order,
+        refund: null,
+        failure: null,
+      }]);
+    });
+
+    test('should record failed purchases with the quote being paid for', () => {
+      mockPaymentService.makePayment.mockImplementation(() => {
+        throw new Error('card declined');
+      });
+
+      expect(() => ticketService.purchaseTickets(1, adults(2))).toThrow('Payment failed');
+
+      const [entry] = ticketService.findLedgerEntries();
+
+      expect(entry).toMatchObject({
+        type: LedgerEntryType.PURCHASE_FAILED,
+        accountId: 1,
+        orderId: null,
+        amount: 5000,
+        order: null,
+        failure: { outcome: PurchaseOutcome.FAILED_BEFORE_PAYMENT, message: 'Payment failed' },
+      });
+      expect(entry.failure.quote.lineItems).toEqual([{ ticketType: 'ADULT', quantity: 2, unitPrice: 2500, subtotal: 5000, taxRate: 20 }]);
+    });
+
+    test('should record failed async purchases', async () => {
+      mockSeatReservationService.reserveSeat.mockRejectedValue(new Error('no seats'));
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+        orders,
+        now: () => currentTime,
+        resilience: { execute: (operation) => operation() },
+      });
+
+      await expect(ticketService.purchaseTicketsAsync(1, adults(1))).rejects.toThrow('Seat reservation failed');
+
+      expect(ticketService.findLedgerEntries({ type: LedgerEntryType.PURCHASE_FAILED })[0].failure.outcome)
+        .toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+    });
+
+    test('should record refunds and cancellations', () => {
+      ticketService.purchaseTickets(1, adults(3));
+      const refunded = ticketService.refundTickets('order-1', adults(1));
+      const cancelled = ticketService.cancelOrder('order-1');
+
+      expect(ticketService.findLedgerEntries({ orderId: 'order-1' }).map(({ type, amount }) => [type, amount])).toEqual([
+        [LedgerEntryType.PURCHASE, 7500],
+        [LedgerEntryType.REFUND, 2500],
+        [LedgerEntryType.CANCELLATION, 5000],
+      ]);
+      expect(ticketService.findLedgerEntries({ type: LedgerEntryType.REFUND })[0]).toMatchObject({
+        order: refunded,
+        refund: refunded.refunds[0],
+      });
+      expect(ticketService.getOrder('order-1')).toBe(cancelled);
+    });
+
+    test('should record refunds that could not be paid back', () => {
+      ticketService.purchaseTickets(1, adults(2));
+      mockPaymentService.refundPayment.mockImplementation(() => {
+        throw new Error('gateway down');
+      });
+
+      expect(() => ticketService.cancelOrder('order-1')).toThrow('Refund failed');
+
+      expect(ticketService.findLedgerEntries({ type: LedgerEntryType.REFUND_FAILED })[0]).toMatchObject({
+        orderId: 'order-1',
+        amount: 5000,
+        failure: { message: 'gateway down', lineItems: [{ ticketType: 'ADULT', quantity: 2 }] },
+      });
+    });
+  });
+
+  describe('Queries', () => {
+    beforeEach(() => {
+      ticketService.purchaseTickets(1, adults(1), new PurchaseOptions({ showingId: 'matinee' }));
+      currentTime = new Date('2026-03-14T12:00:00.000Z');
+      ticketService.purchaseTickets(2, adults(1), new PurchaseOptions({ showingId: 'evening' }));
+      currentTime = new Date('2026-03-15T12:00:00.000Z');
+      ticketService.purchaseTickets(1, adults(1), new PurchaseOptions({ showingId: 'evening' }));
+    });
+
+    const orderIds = (entries) => entries.map(({ orderId }) => orderId);
+
+    test('should find entries by account', () => {
+      expect(orderIds(ticketService.findLedgerEntries({ accountId: 1 }))).toEqual(['order-1', 'order-3']);
+    });
+
+    test('should find entries by showing', () => {
+      expect(orderIds(ticketService.findLedgerEntries({ showingId: 'evening' }))).toEqual(['order-2', 'order-3']);
+    });
+
+    test('should find entries in a date range including the start and excluding the end', () => {
+      expect(orderIds(ticketService.findLedgerEntries({
+        from: '2026-03-14T12:00:00.000Z',
+        to: new Date('2026-03-15T12:00:00.000Z'),
+      }))).toEqual(['order-2']);
+    });
+
+    test('should combine criteria', () => {
+      expect(orderIds(ticketService.findLedgerEntries({ accountId: 1, showingId: 'evening' }))).toEqual(['order-3']);
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => orders.find({ from: 'yesterday' })).toThrow(TypeError);
+    });
+  });
+
+  describe('JSON lines file', () => {
+    let directory;
+    let path;
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), 'ledger-'));
+      path = join(directory, 'orders.jsonl');
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should append one JSON entry per line', () => {
+      orders = new JsonLinesOrderRepository({ path });
+      ticketService = createService();
+
+      ticketService.purchaseTickets(1, adults(2));
+      ticketService.refundTickets('order-1', adults(1));
+
+      const lines = readFileSync(path, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+      expect(lines.map(({ type }) => type)).toEqual([LedgerEntryType.PURCHASE, LedgerEntryType.REFUND]);
+      expect(lines[1].order).toMatchObject({ orderId: 'order-1', totalAmount: 2500, status: 'PARTIALLY_REFUNDED' });
+    });
+
+    test('should reload the history and current orders from the file', () => {
+      orders = new JsonLinesOrderRepository({ path });
+      ticketService = createService();
+      ticketService.purchaseTickets(1, adults(2), new PurchaseOptions({ showingId: 'evening' }));
+
+      orders = new JsonLinesOrderRepository({ path });
+      ticketService = createService();
+
+      expect(ticketService.getOrder('order-1')).toBeInstanceOf(PurchaseOrder);
+      expect(ticketService.getOrder('order-1').seats).toEqual(['A1', 'A2']);
+      expect(ticketService.findLedgerEntries({ showingId: 'evening' })).toHaveLength(1);
+      expect(ticketService.findLedgerEntries()[0].sequence).toBe(1);
+    });
+
+    test('should report the line of a corrupt entry', () => {
+      writeFileSync(path, '{"type":"PURCHASE"}\nnot json\n');
+
+      expect(() => new JsonLinesOrderRepository({ path })).toThrow(`${path}:2: invalid ledger entry`);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import OrderSerializer from '../src/pairtest/lib/OrderSerializer.js';
+import PurchaseOrder from '../src/pairtest/lib/PurchaseOrder.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import OrderStatus from '../src/pairtest/lib/orders/OrderStatus.js';
+import { describe, test, expect } from '@jest/globals';
+
+describe('OrderSerializer', () => {
+  const order = new PurchaseOrder({
+    orderId: 'order-1',
+    accountId: 42,
+    lineItems: [
+      { ticketType: 'ADULT', quantity: 2, unitPrice: 2500, subtotal: 5000, taxRate: 20 },
+      { ticketType: 'INFANT', quantity: 1, unitPrice: 0, subtotal: 0, taxRate: 20 },
+    ],
+    discounts: [{ code: 'SPRING10', type: 'percentage', description: '10% off', amount: 500 }],
+    totalAmount: 4500,
+    netAmount: 3750,
+    taxAmount: 750,
+    taxes: [{ rate: 20, net: 3750, tax: 750, gross: 4500 }],
+    totalSeats: 2,
+    infantCount: 1,
+    timestamp: '2026-01-02T19:30:00.000Z',
+    outcome: PurchaseOutcome.SUCCEEDED,
+  });
+
+  test('should serialize an order to JSON', () => {
+    expect(JSON.parse(OrderSerializer.toJSON(order))).toEqual(order.toJSON());
+  });
+
+  test('should render a printable text receipt', () => {
+    const receipt = OrderSerializer.toReceipt(order);
+
+    expect(receipt).toContain('Order:   order-1');
+    expect(receipt).toContain('Account: 42');
+    expect(receipt).toMatch(/ADULT 2 x £25\.00 +£50\.00/);
+    expect(receipt).toMatch(/INFANT 1 x £0\.00 +£0\.00/);
+    expect(receipt).toMatch(/SPRING10 10% off +-£5\.00/);
+    expect(receipt).toMatch(/TOTAL +£45\.00/);
+    expect(receipt).toMatch(/Net +£37\.50/);
+    expect(receipt).toMatch(/VAT 20% +£7\.50/);
+    expect(receipt).toMatch(/Seats allocated +2/);
+    expect(receipt).toMatch(/Infants \(on adult lap\) +1/);
+  });
+
+  test('should show the status and refunds of a refunded order', () => {
+    const refunded = new PurchaseOrder({
+      ...order.toJSON(),
+      status: OrderStatus.PARTIALLY_REFUNDED,
+      refunds: [{ lineItems: [{ ticketType: 'ADULT', quantity: 1 }], amount: 2200, taxAmount: 367, seats: [], timestamp: '2026-01-03T10:00:00.000Z' }],
+    });
+
+    const receipt = OrderSerializer.toReceipt(refunded);
+
+    expect(receipt).toContain('Status:  PARTIALLY_REFUNDED');
+    expect(receipt).toMatch(/Refunded 1 ADULT 2026-01-03 +£22\.00/);
+    expect(OrderSerializer.toReceipt(order)).not.toContain('Status:');
+  });
+
+  test('should format amounts in the order currency and the given locale', () => {
+    const euros = new PurchaseOrder({ ...order.toJSON(), currency: 'EUR' });
+
+    expect(OrderSerializer.toReceipt(euros, { locale: 'de-DE' })).toMatch(/TOTAL +45,00\s€/);
+  });
+
+  test('should reject anything other than a PurchaseOrder', () => {
+    expect(() => OrderSerializer.toJSON({ orderId: 'x' })).toThrow(TypeError);
+    expect(() => OrderSerializer.toReceipt(null)).toThrow(TypeError);
+  });
+});
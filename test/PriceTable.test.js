@@ -0,0 +1,156 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import PriceTable from '../src/pairtest/lib/pricing/PriceTable.js';
+import ticketTypes from '../src/pairtest/lib/ticketTypes.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('PriceTable', () => {
+  // 2026-03-10 is a Tuesday, 2026-03-13 a Friday; March is GMT in London
+  const TUESDAY_EVENING = new Date('2026-03-10T19:30:00.000Z');
+  const FRIDAY_AFTERNOON = new Date('2026-03-13T14:00:00.000Z');
+  const FRIDAY_EVENING = new Date('2026-03-13T20:00:00.000Z');
+
+  const table = new PriceTable({
+    adjustments: [
+      { name: 'matinee', when: { before: '17:00' }, multiplier: 0.8 },
+      { name: 'cheapTuesday', when: { daysOfWeek: ['TUE'] }, price: 500 },
+      { name: 'imaxSurcharge', when: { formats: ['IMAX'] }, surcharge: 400 },
+      { name: 'premiere', when: { films: ['film-42'] }, surcharge: { ADULT: 1000 } },
+    ],
+  });
+
+  const unitPrices = (showing) => Object.fromEntries(
+    Object.entries(table.pricesFor(ticketTypes, showing)).map(([type, { unitPrice }]) => [type, unitPrice]),
+  );
+
+  describe('Pricing', () => {
+    test('should use the registry prices when no adjustment matches', () => {
+      expect(unitPrices({ startsAt: FRIDAY_EVENING })).toEqual({ ADULT: 2500, CHILD: 1500, INFANT: 0 });
+    });
+
+    test('should apply an off-peak multiplier', () => {
+      expect(unitPrices({ startsAt: FRIDAY_AFTERNOON })).toEqual({ ADULT: 2000, CHILD: 1200, INFANT: 0 });
+    });
+
+    test('should apply a day-of-week price without charging free tickets', () => {
+      expect(unitPrices({ startsAt: TUESDAY_EVENING })).toEqual({ ADULT: 500, CHILD: 500, INFANT: 0 });
+    });
+
+    test('should add a screen format surcharge', () => {
+      expect(unitPrices({ startsAt: FRIDAY_EVENING, format: 'IMAX' })).toEqual({ ADULT: 2900, CHILD: 1900, INFANT: 0 });
+    });
+
+    test('should apply film-specific prices to the listed ticket types only', () => {
+      expect(unitPrices({ startsAt: FRIDAY_EVENING, filmId: 'film-42' })).toEqual({ ADULT: 3500, CHILD: 1500, INFANT: 0 });
+    });
+
+    test('should apply matching adjustments in order and name them', () => {
+      const prices = table.pricesFor(ticketTypes, { startsAt: FRIDAY_AFTERNOON, format: 'IMAX' });
+
+      expect(prices.ADULT).toEqual({ unitPrice: 2400, adjustments: ['matinee', 'imaxSurcharge'] });
+      expect(prices.INFANT).toEqual({ unitPrice: 0, adjustments: [] });
+    });
+
+    test('should read day and time in the table time zone', () => {
+      // 16:30 UTC in July is 17:30 in London, so not a matinee
+      const summerEvening = new Date('2026-07-03T16:30:00.000Z');
+
+      expect(unitPrices({ startsAt: summerEvening }).ADULT).toBe(2500);
+    });
+
+    test('should prefer the table base prices over the registry', () => {
+      const own = new PriceTable({ basePrices: { ADULT: 3000 } });
+
+      expect(own.pricesFor(ticketTypes, { startsAt: FRIDAY_EVENING }).ADULT.unitPrice).toBe(3000);
+    });
+  });
+
+  describe('Loading', () => {
+    test('should load a price table from a JSON file', () => {
+      const directory = mkdtempSync(join(tmpdir(), 'prices-'));
+      const path = join(directory, 'prices.json');
+      writeFileSync(path, JSON.stringify({
+        adjustments: [{ name: 'cheapTuesday', when: { daysOfWeek: ['TUE'] }, price: 500 }],
+      }));
+
+      try {
+        const loaded = PriceTable.fromConfig({ priceTableFile: path });
+        expect(loaded.pricesFor(ticketTypes, { startsAt: TUESDAY_EVENING }).ADULT.unitPrice).toBe(500);
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should reject invalid adjustments', () => {
+      expect(() => new PriceTable({ adjustments: [{ when: {}, price: 5 }] })).toThrow('must have a name');
+      expect(() => new PriceTable({ adjustments: [{ name: 'x' }] })).toThrow('must set price, multiplier or surcharge');
+      expect(() => new PriceTable({ adjustments: [{ name: 'x', price: 5.5 }] })).toThrow('price must be');
+      expect(() => new PriceTable({ adjustments: [{ name: 'x', price: 5, when: { daysOfWeek: ['Tuesday'] } }] }))
+        .toThrow('daysOfWeek');
+      expect(() => new PriceTable({ adjustments: [{ name: 'x', price: 5, when: { before: '5pm' } }] }))
+        .toThrow('before must be a HH:MM time');
+      expect(() => new PriceTable({ timeZone: 'Nowhere/Special' })).toThrow(RangeError);
+    });
+  });
+
+  describe('TicketService with a price table', () => {
+    let mockPaymentService;
+    let mockSeatReservationService;
+    let ticketService;
+
+    beforeEach(() => {
+      mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+      mockSeatReservationService = { reserveSeat: jest.fn() };
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+        priceTable: table,
+        now: () => FRIDAY_AFTERNOON,
+      });
+    });
+
+    test('should charge the price for the showing', () => {
+      ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 1),
+        new PurchaseOptions({ showing: { startsAt: TUESDAY_EVENING.toISOString() } }),
+      );
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 1500);
+    });
+
+    test('should price a purchase with no showing time using the injected clock', () => {
+      const quote = ticketService.quote(1, new TicketTypeRequest('ADULT', 1), new TicketTypeRequest('CHILD', 1));
+
+      expect(quote.lineItems.map(({ unitPrice }) => unitPrice)).toEqual([2000, 1200]);
+      expect(quote.totalAmount).toBe(3200);
+    });
+
+    test('should reject an invalid showing time', () => {
+      let error;
+      try {
+        ticketService.quote(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ showing: { startsAt: 'soon' } }));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe(ErrorCode.INVALID_SHOWING);
+    });
+
+    test.each([null, 0, 1773430200000, {}])('should reject a showing time of %p that is not a date or ISO string', (startsAt) => {
+      let error;
+      try {
+        ticketService.quote(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ showing: { startsAt } }));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe(ErrorCode.INVALID_SHOWING);
+      expect(error.details).toEqual({ startsAt });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import PromotionCatalogue from '../src/pairtest/lib/promotions/PromotionCatalogue.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('PromotionCatalogue', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let ticketService;
+  let currentTime;
+
+  const promoCodes = [
+    { code: 'SPRING10', type: 'percentage', percent: 10, validFrom: '2026-03-01T00:00:00Z', validUntil: '2026-05-31T23:59:59Z', stackable: true },
+    { code: 'FIVEOFF', type: 'fixedAmount', amount: 500, maxUsesPerAccount: 1, stackable: true },
+    { code: 'KIDSGOFREE', type: 'buyNGetOneFree', ticketType: 'CHILD', buy: 2 },
+    { code: 'FAMILY', type: 'bundle', tickets: { ADULT: 2, CHILD: 2 }, price: 6000 },
+    { code: 'BIGVOUCHER', type: 'fixedAmount', amount: 50000 },
+  ];
+
+  const withCodes = (...codes) => new PurchaseOptions({ promoCodes: codes });
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    currentTime = new Date('2026-04-01T12:00:00.000Z');
+    ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+      promotions: new PromotionCatalogue(promoCodes),
+      now: () => currentTime,
+    });
+  });
+
+  describe('Discount types', () => {
+    test('should take a percentage off the total', () => {
+      const quote = ticketService.quote(1, new TicketTypeRequest('ADULT', 2), withCodes('spring10'));
+
+      expect(quote.discounts).toEqual([
+        { code: 'SPRING10', type: 'percentage', description: '10% off', amount: 500 },
+      ]);
+      expect(quote.totalAmount).toBe(4500);
+    });
+
+    test('should take a fixed amount off the total', () => {
+      expect(ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF')).totalAmount).toBe(2000);
+    });
+
+    test('should make every Nth+1 ticket of a type free', () => {
+      const quote = ticketService.quote(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('CHILD', 6),
+        withCodes('KIDSGOFREE'),
+      );
+
+      expect(quote.discounts[0]).toEqual({
+        code: 'KIDSGOFREE',
+        type: 'buyNGetOneFree',
+        description: 'Buy 2 CHILD get 1 free (2 free)',
+        amount: 3000,
+      });
+      expect(quote.totalAmount).toBe(8500);
+    });
+
+    test('should price family bundles at a fixed price', () => {
+      const quote = ticketService.quote(
+        1,
+        new TicketTypeRequest('ADULT', 3),
+        new TicketTypeRequest('CHILD', 2),
+        withCodes('FAMILY'),
+      );
+
+      expect(quote.discounts[0]).toEqual({
+        code: 'FAMILY',
+        type: 'bundle',
+        description: '2 ADULT + 2 CHILD for £60.00 (x1)',
+        amount: 2000,
+      });
+      expect(quote.totalAmount).toBe(8500);
+    });
+
+    test('should never discount below zero', () => {
+      expect(ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes('BIGVOUCHER')).totalAmount).toBe(0);
+    });
+
+    test('should apply stackable codes in order against the remaining amount', () => {
+      const quote = ticketService.quote(1, new TicketTypeRequest('ADULT', 2), withCodes('FIVEOFF', 'SPRING10'));
+
+      expect(quote.discounts.map(({ amount }) => amount)).toEqual([500, 450]);
+      expect(quote.totalAmount).toBe(4050);
+    });
+  });
+
+  describe('Payment', () => {
+    test('should charge the discounted amount and list discounts on the order', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), withCodes('SPRING10'));
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 4500);
+      expect(order.totalAmount).toBe(4500);
+      expect(order.discounts).toHaveLength(1);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject unknown codes', () => {
+      const error = captureError(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes('NOPE')));
+
+      expect(error.code).toBe(ErrorCode.INVALID_PROMO_CODE);
+      expect(error.details).toEqual({ code: 'NOPE', index: 0 });
+    });
+
+    test('should reject blank codes', () => {
+      const error = captureError(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes(' ')));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.INVALID_PROMO_CODE);
+      expect(error.details).toEqual({ code: ' ', index: 0 });
+    });
+
+    test('should reject codes outside their validity window', () => {
+      currentTime = new Date('2026-06-01T00:00:00.000Z');
+
+      const error = captureError(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes('SPRING10')));
+
+      expect(error.code).toBe(ErrorCode.PROMO_CODE_EXPIRED);
+      expect(error.details.validUntil).toBe('2026-05-31T23:59:59.000Z');
+    });
+
+    test('should enforce per-account usage limits after a successful purchase', () => {
+      ticketService.quote(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF'));
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF'));
+
+      const error = captureError(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF')));
+      expect(error.code).toBe(ErrorCode.PROMO_CODE_USAGE_LIMIT);
+      expect(error.details).toEqual({ code: 'FIVEOFF', limit: 1, used: 1 });
+
+      expect(() => ticketService.purchaseTickets(2, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF'))).not.toThrow();
+    });
+
+    test('should not count failed purchases towards usage limits', () => {
+      mockPaymentService.makePayment.mockImplementationOnce(() => {
+        throw new Error('Card declined');
+      });
+
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF'))).toThrow('Payment failed');
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), withCodes('FIVEOFF'))).not.toThrow();
+    });
+
+    test('should not combine a non-stackable code with others', () => {
+      const error = captureError(() => ticketService.quote(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 2),
+        withCodes('SPRING10', 'FAMILY'),
+      ));
+
+      expect(error.code).toBe(ErrorCode.PROMO_CODE_NOT_STACKABLE);
+      expect(error.details).toEqual({ code: 'FAMILY' });
+    });
+
+    test('should not apply the same code twice', () => {
+      const error = captureError(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 2), withCodes('SPRING10', 'spring10')));
+
+      expect(error.code).toBe(ErrorCode.PROMO_CODE_NOT_STACKABLE);
+    });
+
+    test('should reject invalid code definitions', () => {
+      expect(() => new PromotionCatalogue([{ code: 'X', type: 'mystery' }])).toThrow('unknown type mystery');
+      expect(() => new PromotionCatalogue([{ code: 'X', type: 'percentage', percent: 150 }])).toThrow('invalid options');
+      expect(() => new PurchaseOptions({ promoCodes: 'SPRING10' })).toThrow(TypeError);
+    });
+  });
+});
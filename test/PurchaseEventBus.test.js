@@ -0,0 +1,220 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import PurchaseEventBus from '../src/pairtest/lib/events/PurchaseEventBus.js';
+import PurchaseEventType from '../src/pairtest/lib/events/PurchaseEventType.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('PurchaseEventBus', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let onListenerError;
+  let events;
+  let ticketService;
+  let emitted;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => new TicketService(mockPaymentService, mockSeatReservationService, {
+    events,
+    generateOrderId: () => 'order-1',
+    ...options,
+  });
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    onListenerError = jest.fn();
+    events = new PurchaseEventBus({ onListenerError });
+    emitted = [];
+    for (const type of Object.values(PurchaseEventType)) {
+      events.on(type, (payload) => emitted.push([type, payload]));
+    }
+    ticketService = createService();
+  });
+
+  describe('Lifecycle events', () => {
+    test('should announce each step of a successful purchase', () => {
+      const order = ticketService.purchaseTickets(1, adults(2));
+
+      expect(emitted.map(([type]) => type)).toEqual([
+        PurchaseEventType.PURCHASE_REQUESTED,
+        PurchaseEventType.PURCHASE_VALIDATED,
+        PurchaseEventType.PAYMENT_COMPLETED,
+        PurchaseEventType.SEATS_RESERVED,
+        PurchaseEventType.PURCHASE_COMPLETED,
+      ]);
+      expect(emitted[0][1]).toMatchObject({ accountId: 1, tickets: [{ ticketType: 'ADULT', quantity: 2 }] });
+      expect(emitted[0][1].options).toBeInstanceOf(PurchaseOptions);
+      expect(emitted[1][1].quote.totalAmount).toBe(5000);
+      expect(emitted[2][1]).toEqual({ accountId: 1, amount: 5000, currency: 'GBP' });
+      expect(emitted[3][1]).toEqual({ accountId: 1, totalSeats: 2, showingId: null, seats: [] });
+      expect(emitted[4][1]).toEqual({ order });
+      expect(Object.isFrozen(emitted[2][1])).toBe(true);
+    });
+
+    test('should announce the same steps for asynchronous purchases', async () => {
+      await ticketService.purchaseTicketsAsync(1, adults(1));
+
+      expect(emitted.map(([type]) => type)).toEqual([
+        PurchaseEventType.PURCHASE_REQUESTED,
+        PurchaseEventType.PURCHASE_VALIDATED,
+        PurchaseEventType.PAYMENT_COMPLETED,
+        PurchaseEventType.SEATS_RESERVED,
+        PurchaseEventType.PURCHASE_COMPLETED,
+      ]);
+    });
+
+    test('should announce a purchase that fails validation', () => {
+      const error = captureError(() => ticketService.purchaseTickets(1, new TicketTypeRequest('CHILD', 1)));
+
+      expect(emitted.map(([type]) => type)).toEqual([PurchaseEventType.PURCHASE_REQUESTED, PurchaseEventType.PURCHASE_FAILED]);
+      expect(emitted[1][1]).toEqual({ accountId: 1, quote: null, error });
+    });
+
+    test('should announce a purchase that fails at payment', () => {
+      mockPaymentService.makePayment.mockImplementation(() => {
+        throw new Error('card declined');
+      });
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(emitted.map(([type]) => type)).toEqual([
+        PurchaseEventType.PURCHASE_REQUESTED,
+        PurchaseEventType.PURCHASE_VALIDATED,
+        PurchaseEventType.PURCHASE_FAILED,
+      ]);
+      expect(emitted[2][1]).toMatchObject({ accountId: 1, quote: { totalAmount: 2500 }, error });
+    });
+
+    test('should announce refunds and cancellations', () => {
+      ticketService.purchaseTickets(1, adults(2));
+      emitted = [];
+
+      const refunded = ticketService.refundTickets('order-1', adults(1));
+      const cancelled = ticketService.cancelOrder('order-1');
+
+      expect(emitted).toEqual([
+        [PurchaseEventType.PURCHASE_REFUNDED, { order: refunded, refund: refunded.refunds[0] }],
+        [PurchaseEventType.PURCHASE_REFUNDED, { order: cancelled, refund: cancelled.refunds[1] }],
+      ]);
+    });
+
+    test('should not announce quotes or replayed idempotent purchases', () => {
+      const options = new PurchaseOptions({ idempotencyKey: 'key-1' });
+      ticketService.quote(1, adults(1));
+      ticketService.purchaseTickets(1, adults(1), options);
+      emitted = [];
+
+      ticketService.purchaseTickets(1, adults(1), options);
+
+      expect(emitted).toEqual([]);
+    });
+
+    test('should stop telling a listener once it is removed', () => {
+      const listener = jest.fn();
+      const off = events.on(PurchaseEventType.PURCHASE_COMPLETED, listener);
+
+      ticketService.purchaseTickets(1, adults(1));
+      off();
+      ticketService.purchaseTickets(1, adults(1));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Listener errors', () => {
+    test('should report listener errors without affecting the purchase', async () => {
+      const failure = new Error('mail server down');
+      const rejection = new Error('analytics offline');
+      events.on(PurchaseEventType.PURCHASE_COMPLETED, () => {
+        throw failure;
+      });
+      events.on(PurchaseEventType.PAYMENT_COMPLETED, () => Promise.reject(rejection));
+
+      expect(ticketService.purchaseTickets(1, adults(1)).orderId).toBe('order-1');
+      await Promise.resolve();
+
+      expect(onListenerError).toHaveBeenCalledWith(failure, PurchaseEventType.PURCHASE_COMPLETED);
+      expect(onListenerError).toHaveBeenCalledWith(rejection, PurchaseEventType.PAYMENT_COMPLETED);
+    });
+  });
+
+  describe('Vetoes', () => {
+    test('should let a before hook veto a requested purchase', () => {
+      events.before(PurchaseEventType.PURCHASE_REQUESTED, ({ accountId }, veto) => {
+        if (accountId === 13) {
+          veto('Account 13 is blocked', { accountId });
+        }
+      });
+
+      const error = captureError(() => ticketService.purchaseTickets(13, adults(1)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.PURCHASE_VETOED);
+      expect(error.message).toBe('Account 13 is blocked');
+      expect(error.details).toEqual({ event: PurchaseEventType.PURCHASE_REQUESTED, accountId: 13 });
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+      expect(emitted.map(([type]) => type)).toEqual([PurchaseEventType.PURCHASE_FAILED]);
+      expect(ticketService.purchaseTickets(1, adults(1)).orderId).toBe('order-1');
+    });
+
+    test('should let a before hook veto a priced purchase', () => {
+      events.before(PurchaseEventType.PURCHASE_VALIDATED, ({ quote }, veto) => {
+        if (quote.totalAmount > 10000) {
+          veto('Large orders need a fraud review', { totalAmount: quote.totalAmount });
+        }
+      });
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(5)));
+
+      expect(error.code).toBe(ErrorCode.PURCHASE_VETOED);
+      expect(error.details).toEqual({ event: PurchaseEventType.PURCHASE_VALIDATED, totalAmount: 12500 });
+      expect(emitted[emitted.length - 1][1].quote.totalAmount).toBe(12500);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should report every veto when collecting all violations', () => {
+      ticketService = createService({ collectAllViolations: true });
+      events.before(PurchaseEventType.PURCHASE_REQUESTED, (payload, veto) => veto('First reason'));
+      events.before(PurchaseEventType.PURCHASE_REQUESTED, (payload, veto) => veto('Second reason'));
+
+      const error = captureError(() => ticketService.purchaseTickets(1, adults(1)));
+
+      expect(error.violations.map(({ message }) => message)).toEqual(['First reason', 'Second reason']);
+    });
+
+    test('should await asynchronous hooks in purchaseTicketsAsync only', async () => {
+      events.before(PurchaseEventType.PURCHASE_VALIDATED, async (payload, veto) => {
+        await Promise.resolve();
+        veto('Fraud service says no');
+      });
+
+      await expect(ticketService.purchaseTicketsAsync(1, adults(1))).rejects.toMatchObject({
+        code: ErrorCode.PURCHASE_VETOED,
+        message: 'Fraud service says no',
+      });
+      expect(() => ticketService.purchaseTickets(1, adults(1))).toThrow('needs purchaseTicketsAsync');
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should only allow hooks before vetoable events', () => {
+      expect(() => events.before(PurchaseEventType.PAYMENT_COMPLETED, () => {})).toThrow('cannot be vetoed');
+      expect(() => events.on('purchase.teleported', () => {})).toThrow('Unknown purchase event');
+      expect(() => events.on(PurchaseEventType.PURCHASE_COMPLETED, 'listener')).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import PromotionCatalogue from '../src/pairtest/lib/promotions/PromotionCatalogue.js';
+import PurchaseMetrics from '../src/pairtest/lib/observability/PurchaseMetrics.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('PurchaseMetrics', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let metrics;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+  const children = (count) => new TicketTypeRequest('CHILD', count);
+
+  const attempt = (fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      return error;
+    }
+  };
+
+  const sample = (line) => {
+    const found = metrics.toPrometheus().split('\n').find((candidate) => candidate.startsWith(`${line} `));
+    return found === undefined ? undefined : Number(found.slice(line.length + 1));
+  };
+
+  beforeEach(() => {
+    let elapsedMs = 0;
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    metrics = new PurchaseMetrics({ clock: () => { elapsedMs += 250; return elapsedMs; } });
+    ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+      metrics,
+      promotions: new PromotionCatalogue([{ code: 'FIVEOFF', type: 'fixedAmount', amount: 500 }]),
+      resilience: { execute: (operation) => operation() },
+    });
+  });
+
+  test('should count rejections by violation code', () => {
+    attempt(() => ticketService.purchaseTickets(1, children(1)));
+    attempt(() => ticketService.purchaseTickets(1, children(2)));
+    attempt(() => ticketService.purchaseTickets(0, adults(1)));
+
+    expect(sample('cinema_purchase_rejections_total{code="ADULT_REQUIRED"}')).toBe(2);
+    expect(sample('cinema_purchase_rejections_total{code="INVALID_ACCOUNT"}')).toBe(1);
+  });
+
+  test('should record the basket size of completed purchases', () => {
+    ticketService.purchaseTickets(1, adults(2), children(1));
+    ticketService.purchaseTickets(2, adults(1));
+
+    expect(sample('cinema_basket_size_tickets_bucket{le="1"}')).toBe(1);
+    expect(sample('cinema_basket_size_tickets_bucket{le="3"}')).toBe(2);
+    expect(sample('cinema_basket_size_tickets_sum')).toBe(4);
+    expect(sample('cinema_basket_size_tickets_count')).toBe(2);
+  });
+
+  test('should share discounts across ticket types when recording revenue', () => {
+    ticketService.purchaseTickets(1, adults(2), children(1), new PurchaseOptions({ promoCodes: ['FIVEOFF'] }));
+
+    expect(sample('cinema_revenue_minor_units_total{ticket_type="ADULT",currency="GBP"}')).toBe(4616);
+    expect(sample('cinema_revenue_minor_units_total{ticket_type="CHILD",currency="GBP"}')).toBe(1384);
+  });
+
+  test('should not count a replayed idempotent purchase again', () => {
+    const options = new PurchaseOptions({ idempotencyKey: 'key-1' });
+
+    ticketService.purchaseTickets(1, adults(1), options);
+    ticketService.purchaseTickets(1, adults(1), options);
+
+    expect(sample('cinema_basket_size_tickets_count')).toBe(1);
+    expect(sample('cinema_revenue_minor_units_total{ticket_type="ADULT",currency="GBP"}')).toBe(2500);
+  });
+
+  test('should time each third-party call', () => {
+    ticketService.purchaseTickets(1, adults(1));
+
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="makePayment",outcome="success"}')).toBe(1);
+    expect(sample('cinema_third_party_call_duration_seconds_sum{operation="makePayment",outcome="success"}')).toBe(0.25);
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="reserveSeat",outcome="success"}')).toBe(1);
+  });
+
+  test('should time failed calls and count failed purchases by outcome', () => {
+    mockSeatReservationService.reserveSeat.mockImplementation(() => { throw new Error('booking system down'); });
+
+    attempt(() => ticketService.purchaseTickets(1, adults(1)));
+
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="reserveSeat",outcome="error"}')).toBe(1);
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="refundPayment",outcome="success"}')).toBe(1);
+    expect(sample(`cinema_purchase_failures_total{outcome="${PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE}"}`)).toBe(1);
+  });
+
+  test('should time asynchronous calls once they settle', async () => {
+    mockPaymentService.makePayment.mockRejectedValueOnce(new Error('declined'));
+
+    await expect(ticketService.purchaseTicketsAsync(1, adults(1))).rejects.toThrow('Payment failed');
+    await ticketService.purchaseTicketsAsync(1, adults(1));
+
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="makePayment",outcome="error"}')).toBe(1);
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="makePayment",outcome="success"}')).toBe(1);
+    expect(sample(`cinema_purchase_failures_total{outcome="${PurchaseOutcome.FAILED_BEFORE_PAYMENT}"}`)).toBe(1);
+  });
+
+  test('should time refunds of cancelled orders', () => {
+    const order = ticketService.purchaseTickets(1, adults(1));
+
+    ticketService.cancelOrder(order.orderId);
+
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="refundPayment",outcome="success"}')).toBe(1);
+    expect(sample('cinema_third_party_call_duration_seconds_count{operation="releaseSeat",outcome="success"}')).toBe(1);
+  });
+});
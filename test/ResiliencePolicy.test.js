@@ -0,0 +1,204 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import PurchaseOrder from '../src/pairtest/lib/PurchaseOrder.js';
+import ResiliencePolicy from '../src/pairtest/lib/resilience/ResiliencePolicy.js';
+import TransientError from '../src/pairtest/lib/resilience/TransientError.js';
+import TimeoutError from '../src/pairtest/lib/resilience/TimeoutError.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('ResiliencePolicy', () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = jest.fn(() => Promise.resolve());
+  });
+
+  describe('Retries and timeouts', () => {
+    test('should return the result of a synchronous or asynchronous call', async () => {
+      const policy = new ResiliencePolicy({ sleep });
+
+      await expect(policy.execute(() => 'done')).resolves.toBe('done');
+      await expect(policy.execute(() => Promise.resolve('done'))).resolves.toBe('done');
+    });
+
+    test('should retry transient failures with exponential backoff', async () => {
+      const policy = new ResiliencePolicy({ retries: 3, baseDelayMs: 100, maxDelayMs: 250, sleep });
+      const operation = jest.fn()
+        .mockRejectedValueOnce(new TransientError('busy'))
+        .mockRejectedValueOnce(new TransientError('busy'))
+        .mockRejectedValueOnce(new TransientError('busy'))
+        .mockResolvedValueOnce('done');
+
+      await expect(policy.execute(operation)).resolves.toBe('done');
+      expect(operation).toHaveBeenCalledTimes(4);
+      expect(sleep.mock.calls).toEqual([[100], [200], [250]]);
+    });
+
+    test('should give up after the configured number of retries', async () => {
+      const policy = new ResiliencePolicy({ retries: 1, sleep });
+      const operation = jest.fn(() => Promise.reject(new TransientError('busy')));
+
+      await expect(policy.execute(operation)).rejects.toThrow('busy');
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry permanent failures', async () => {
+      const policy = new ResiliencePolicy({ retries: 3, sleep });
+      const operation = jest.fn(() => {
+        throw new Error('Card declined');
+      });
+
+      await expect(policy.execute(operation)).rejects.toThrow('Card declined');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('should treat any error flagged transient as retryable', () => {
+      expect(ResiliencePolicy.isTransient(Object.assign(new Error('503'), { transient: true }))).toBe(true);
+      expect(ResiliencePolicy.isTransient(new Error('400'))).toBe(false);
+    });
+
+    test('should time out calls that do not settle and retry them', async () => {
+      const policy = new ResiliencePolicy({ timeoutMs: 10, retries: 1, sleep });
+      const operation = jest.fn()
+        .mockReturnValueOnce(new Promise(() => {}))
+        .mockResolvedValueOnce('done');
+
+      await expect(policy.execute(operation, 'makePayment')).resolves.toBe('done');
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report a timeout once retries run out', async () => {
+      const policy = new ResiliencePolicy({ timeoutMs: 10, retries: 0, sleep });
+
+      const error = await policy.execute(() => new Promise(() => {}), 'makePayment').catch((e) => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.message).toBe('makePayment timed out after 10ms');
+    });
+
+    test('should not retry a call that is not idempotent after it timed out', async () => {
+      const policy = new ResiliencePolicy({ timeoutMs: 10, retries: 2, sleep });
+      const operation = jest.fn()
+        .mockRejectedValueOnce(new TransientError('busy'))
+        .mockReturnValueOnce(new Promise(() => {}))
+        .mockResolvedValueOnce('done');
+
+      const error = await policy.execute(operation, 'makePayment', { idempotent: false }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(ResiliencePolicy.isTimeout(Object.assign(new Error('504'), { transient: true, timedOut: true }))).toBe(true);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => new ResiliencePolicy({ retries: -1 })).toThrow(TypeError);
+    });
+  });
+
+  describe('TicketService#purchaseTicketsAsync', () => {
+    let paymentService;
+    let seatReservationService;
+    let ticketService;
+
+    beforeEach(() => {
+      paymentService = {
+        makePayment: jest.fn(() => Promise.resolve()),
+        refundPayment: jest.fn(() => Promise.resolve()),
+      };
+      seatReservationService = { reserveSeat: jest.fn(() => Promise.resolve()) };
+      ticketService = new TicketService(paymentService, seatReservationService, {
+        resilience: new ResiliencePolicy({ timeoutMs: 50, retries: 2, sleep }),
+      });
+    });
+
+    test('should await the adapters and return the order', async () => {
+      const order = await ticketService.purchaseTicketsAsync(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 1),
+      );
+
+      expect(order).toBeInstanceOf(PurchaseOrder);
+      expect(order.totalAmount).toBe(6500);
+      expect(paymentService.makePayment).toHaveBeenCalledWith(1, 6500);
+      expect(seatReservationService.reserveSeat).toHaveBeenCalledWith(1, 3);
+    });
+
+    test('should reject invalid requests before calling the adapters', async () => {
+      await expect(ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('CHILD', 1)))
+        .rejects.toThrow(InvalidPurchaseException);
+      expect(paymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should retry a transient payment failure', async () => {
+      paymentService.makePayment.mockRejectedValueOnce(new TransientError('Gateway busy'));
+
+      await expect(ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1))).resolves.toBeInstanceOf(PurchaseOrder);
+      expect(paymentService.makePayment).toHaveBeenCalledTimes(2);
+    });
+
+    test('should fail without retrying a declined payment', async () => {
+      paymentService.makePayment.mockRejectedValueOnce(new Error('Card declined'));
+
+      const error = await ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1)).catch((e) => e);
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.FAILED_BEFORE_PAYMENT);
+      expect(paymentService.makePayment).toHaveBeenCalledTimes(1);
+      expect(seatReservationService.reserveSeat).not.toHaveBeenCalled();
+    });
+
+    test('should report a payment that timed out as unconfirmed without retrying it', async () => {
+      paymentService.makePayment.mockImplementation(() => new Promise(() => {}));
+
+      const error = await ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1)).catch((e) => e);
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.PAYMENT_UNCONFIRMED);
+      expect(error.cause).toBeInstanceOf(TimeoutError);
+      expect(paymentService.makePayment).toHaveBeenCalledTimes(1);
+      expect(seatReservationService.reserveSeat).not.toHaveBeenCalled();
+    });
+
+    test('should refund without retrying when the reservation times out', async () => {
+      seatReservationService.reserveSeat.mockImplementation(() => new Promise(() => {}));
+
+      const error = await ticketService.purchaseTicketsAsync(7, new TicketTypeRequest('ADULT', 2)).catch((e) => e);
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.cause).toBeInstanceOf(TimeoutError);
+      expect(seatReservationService.reserveSeat).toHaveBeenCalledTimes(1);
+      expect(paymentService.refundPayment).toHaveBeenCalledWith(7, 5000);
+    });
+
+    test('should report a refund that fails after retries', async () => {
+      seatReservationService.reserveSeat.mockRejectedValue(new Error('No seats'));
+      paymentService.refundPayment.mockRejectedValue(new TransientError('Gateway busy'));
+
+      const error = await ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1)).catch((e) => e);
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      expect(paymentService.refundPayment).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry a refund that timed out', async () => {
+      seatReservationService.reserveSeat.mockRejectedValue(new Error('No seats'));
+      paymentService.refundPayment.mockImplementation(() => new Promise(() => {}));
+
+      const error = await ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1)).catch((e) => e);
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      expect(paymentService.refundPayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should work with the synchronous default adapters', async () => {
+      const service = new TicketService();
+
+      await expect(service.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1))).resolves.toBeInstanceOf(PurchaseOrder);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import RuleEngine from '../src/pairtest/lib/rules/RuleEngine.js';
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+
+describe('RuleEngine', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let currentTime;
+
+  const serviceWithRules = (definitions, options = {}) => new TicketService(
+    mockPaymentService,
+    mockSeatReservationService,
+    { rules: RuleEngine.fromDefinitions(definitions), now: () => currentTime, ...options },
+  );
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    currentTime = new Date('2026-03-10T12:00:00.000Z');
+  });
+
+  describe('Loading rules', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), 'rules-'));
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should build the built-in rules from config', () => {
+      const engine = RuleEngine.fromConfig({ maxTickets: 25, enforceInfantAdultRatio: true });
+
+      expect(engine.names()).toEqual(['maxTickets', 'adultRequired', 'infantRatio']);
+    });
+
+    test('should leave out the infant ratio rule when it is not enforced', () => {
+      const engine = RuleEngine.fromConfig({ maxTickets: 25, enforceInfantAdultRatio: false });
+
+      expect(engine.names()).toEqual(['maxTickets', 'adultRequired']);
+    });
+
+    test('should load rules from a JSON file and skip disabled ones', () => {
+      const path = join(directory, 'rules.json');
+      writeFileSync(path, JSON.stringify({
+        rules: [
+          { type: 'maxTickets', limit: 10 },
+          { type: 'infantRatio', enabled: false },
+          { type: 'supervisionRatio', name: 'oneAdultPerFourChildren', ticketType: 'CHILD', perSupervisor: 4 },
+        ],
+      }));
+
+      const engine = RuleEngine.fromConfig({ rulesFile: path, maxTickets: 25, enforceInfantAdultRatio: true });
+
+      expect(engine.names()).toEqual(['maxTickets', 'oneAdultPerFourChildren']);
+    });
+
+    test('should reject unknown rule types', () => {
+      expect(() => RuleEngine.fromDefinitions([{ type: 'noSuchRule' }]))
+        .toThrow('Unknown rule type: noSuchRule');
+    });
+
+    test('should reject invalid rule options', () => {
+      expect(() => RuleEngine.fromDefinitions([{ type: 'maxTickets', limit: 0 }]))
+        .toThrow('Rule maxTickets: limit must be a positive integer');
+      expect(() => RuleEngine.fromDefinitions([{ type: 'supervisionRatio', ticketType: 'CHILD' }]))
+        .toThrow('perSupervisor must be a positive integer');
+    });
+  });
+
+  describe('Rules', () => {
+    test('should apply a configured max tickets limit', () => {
+      const service = serviceWithRules([{ type: 'maxTickets', limit: 4 }]);
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 5)))
+        .toThrow('Cannot purchase more than 4 tickets at a time');
+    });
+
+    test('should allow everything the enabled rules allow', () => {
+      const service = serviceWithRules([]);
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('CHILD', 30))).not.toThrow();
+    });
+
+    test('should enforce per-type maximums', () => {
+      const service = serviceWithRules([{ type: 'maxPerType', limits: { CHILD: 3 } }]);
+
+      const error = captureError(() => service.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 5),
+        new TicketTypeRequest('CHILD', 4),
+      ));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.PER_TYPE_MAX_EXCEEDED);
+      expect(error.details).toEqual({ rule: 'maxPerType', ticketType: 'CHILD', limit: 3, requested: 4 });
+    });
+
+    test('should enforce one adult per four children', () => {
+      const service = serviceWithRules([
+        { type: 'supervisionRatio', name: 'oneAdultPerFourChildren', ticketType: 'CHILD', perSupervisor: 4 },
+      ]);
+
+      expect(() => service.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 8),
+      )).not.toThrow();
+
+      const error = captureError(() => service.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 9),
+      ));
+
+      expect(error.code).toBe(ErrorCode.SUPERVISION_RATIO);
+      expect(error.details).toEqual({
+        rule: 'oneAdultPerFourChildren',
+        ticketType: 'CHILD',
+        limit: 8,
+        requested: 9,
+        supervisors: 2,
+      });
+    });
+
+    test('should enforce a per-account daily cap across purchases', () => {
+      const service = serviceWithRules([{ type: 'accountDailyCap', limit: 5 }]);
+
+      service.purchaseTickets(1, new TicketTypeRequest('ADULT', 3));
+
+      const error = captureError(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 3)));
+      expect(error.code).toBe(ErrorCode.DAILY_CAP_EXCEEDED);
+      expect(error.details).toEqual({ rule: 'accountDailyCap', limit: 5, requested: 3, alreadyPurchased: 3 });
+
+      expect(() => service.purchaseTickets(2, new TicketTypeRequest('ADULT', 3))).not.toThrow();
+
+      currentTime = new Date('2026-03-11T00:00:00.000Z');
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 3))).not.toThrow();
+    });
+
+    test('should take refunded tickets off the daily cap of the day they were bought', () => {
+      const service = serviceWithRules([{ type: 'accountDailyCap', limit: 5 }]);
+      const order = service.purchaseTickets(1, new TicketTypeRequest('ADULT', 5));
+
+      service.refundTickets(order.orderId, new TicketTypeRequest('ADULT', 2));
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 2))).not.toThrow();
+      expect(captureError(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1))).code)
+        .toBe(ErrorCode.DAILY_CAP_EXCEEDED);
+    });
+
+    test('should not count quotes or failed purchases towards the daily cap', () => {
+      const service = serviceWithRules([{ type: 'accountDailyCap', limit: 5 }]);
+      mockPaymentService.makePayment.mockImplementationOnce(() => {
+        throw new Error('Card declined');
+      });
+
+      service.quote(1, new TicketTypeRequest('ADULT', 5));
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 5))).toThrow('Payment failed');
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 5))).not.toThrow();
+    });
+
+    test('should report every violated rule when collecting', () => {
+      const service = serviceWithRules([
+        { type: 'maxTickets', limit: 5 },
+        { type: 'maxPerType', limits: { CHILD: 2 } },
+        { type: 'supervisionRatio', ticketType: 'CHILD', perSupervisor: 2 },
+      ], { collectAllViolations: true });
+
+      const error = captureError(() => service.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('CHILD', 5),
+      ));
+
+      expect(error.violations.map((violation) => violation.code)).toEqual([
+        ErrorCode.MAX_TICKETS_EXCEEDED,
+        ErrorCode.PER_TYPE_MAX_EXCEEDED,
+        ErrorCode.SUPERVISION_RATIO,
+      ]);
+    });
+
+    test('should accept custom rule objects', () => {
+      const closedOnTuesdays = {
+        name: 'closedOnTuesdays',
+        evaluate: ({ now }, violations) => {
+          if (now.getUTCDay() === 2) {
+            violations.add('CLOSED', 'Box office is closed on Tuesdays');
+          }
+        },
+      };
+      const service = new TicketService(mockPaymentService, mockSeatReservationService, {
+        rules: new RuleEngine([closedOnTuesdays]),
+        now: () => currentTime,
+      });
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1)))
+        .toThrow('Box office is closed on Tuesdays');
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import SeatHoldService from '../src/pairtest/lib/holds/SeatHoldService.js';
+import InMemoryHoldStore from '../src/pairtest/lib/holds/InMemoryHoldStore.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('SeatHoldService', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let showings;
+  let currentTime;
+  let holdCounter;
+  let seatHolds;
+  let ticketService;
+
+  const advanceSeconds = (seconds) => {
+    currentTime = new Date(currentTime.getTime() + seconds * 1000);
+  };
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    showings = ShowingCatalogue.fromDefinitions({
+      auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 4 }, { row: 'B', seats: 4 }] }],
+      showings: [{ id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z' }],
+    });
+    currentTime = new Date('2026-03-13T18:00:00.000Z');
+    holdCounter = 0;
+    seatHolds = new SeatHoldService({
+      showings,
+      ttlSeconds: 300,
+      now: () => currentTime,
+      generateHoldId: () => `hold-${++holdCounter}`,
+    });
+    ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+      showings,
+      seatHolds,
+      now: () => currentTime,
+    });
+  });
+
+  describe('Holding seats', () => {
+    test('should hold auto-allocated seats until the TTL runs out', () => {
+      const hold = ticketService.holdSeats(1, 'evening', { count: 2 });
+
+      expect(hold).toEqual({
+        holdId: 'hold-1',
+        accountId: 1,
+        showingId: 'evening',
+        seats: ['A1', 'A2'],
+        expiresAt: '2026-03-13T18:05:00.000Z',
+      });
+      expect(showings.get('evening').isAvailable('A1')).toBe(false);
+    });
+
+    test('should hold explicitly selected seats', () => {
+      expect(ticketService.holdSeats(1, 'evening', { seats: ['B3', 'B4'] }).seats).toEqual(['B3', 'B4']);
+    });
+
+    test('should give concurrent holds different seats', () => {
+      const first = ticketService.holdSeats(1, 'evening', { count: 2 });
+      const second = ticketService.holdSeats(2, 'evening', { count: 2 });
+
+      expect(first.seats).toEqual(['A1', 'A2']);
+      expect(second.seats).toEqual(['A3', 'A4']);
+    });
+
+    test('should not let a second account hold seats that are already held', () => {
+      ticketService.holdSeats(1, 'evening', { seats: ['A1', 'A2'] });
+
+      const error = captureError(() => ticketService.holdSeats(2, 'evening', { seats: ['A2', 'A3'] }));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.SEAT_UNAVAILABLE);
+      expect(error.details).toEqual({ showingId: 'evening', seats: ['A2'] });
+      expect(showings.get('evening').isAvailable('A3')).toBe(true);
+    });
+
+    test('should reject holds that cannot be met', () => {
+      expect(captureError(() => ticketService.holdSeats(1, 'matinee', { count: 1 })).code).toBe(ErrorCode.UNKNOWN_SHOWING);
+      expect(captureError(() => ticketService.holdSeats(1, 'evening', { count: 0 })).code).toBe(ErrorCode.INVALID_TICKET_COUNT);
+      expect(captureError(() => ticketService.holdSeats(1, 'evening', { count: 9 })).code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+      expect(captureError(() => ticketService.holdSeats(0, 'evening', { count: 1 })).code).toBe(ErrorCode.INVALID_ACCOUNT);
+    });
+  });
+
+  describe('Releasing holds', () => {
+    test('should return seats to sale when a hold is cancelled', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 2 });
+
+      expect(ticketService.releaseHold(holdId)).toBe(true);
+      expect(ticketService.releaseHold(holdId)).toBe(false);
+      expect(ticketService.holdSeats(2, 'evening', { count: 2 }).seats).toEqual(['A1', 'A2']);
+    });
+
+    test('should release seats once the hold expires', () => {
+      ticketService.holdSeats(1, 'evening', { count: 4 });
+
+      advanceSeconds(299);
+      expect(ticketService.holdSeats(2, 'evening', { count: 4 }).seats).toEqual(['B1', 'B2', 'B3', 'B4']);
+      expect(captureError(() => ticketService.holdSeats(3, 'evening', { count: 1 })).code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+
+      advanceSeconds(1);
+      expect(ticketService.holdSeats(3, 'evening', { count: 1 }).seats).toEqual(['A1']);
+    });
+
+    test('should report which holds expired', () => {
+      seatHolds.hold(1, 'evening', { count: 1 });
+      advanceSeconds(100);
+      seatHolds.hold(2, 'evening', { count: 1 });
+      advanceSeconds(200);
+
+      expect(seatHolds.releaseExpired().map(({ holdId }) => holdId)).toEqual(['hold-1']);
+      expect(seatHolds.get('hold-2')).not.toBeNull();
+    });
+
+    test('should keep holds in a pluggable store', () => {
+      const store = new InMemoryHoldStore();
+      const service = new SeatHoldService({ showings, store, now: () => currentTime, generateHoldId: () => 'h' });
+
+      service.hold(1, 'evening', { count: 1 });
+
+      expect(store.list().map(({ holdId }) => holdId)).toEqual(['h']);
+    });
+  });
+
+  describe('Confirming holds', () => {
+    test('should book the held seats through purchaseTickets', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 2 });
+
+      const order = ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('CHILD', 1),
+        new PurchaseOptions({ holdId }),
+      );
+
+      expect(order.showingId).toBe('evening');
+      expect(order.seats).toEqual(['A1', 'A2']);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 4000);
+      expect(seatHolds.get(holdId)).toBeNull();
+
+      advanceSeconds(600);
+      expect(showings.get('evening').isAvailable('A1')).toBe(false);
+    });
+
+    test('should refund an async purchase whose hold expired while it was paying', async () => {
+      let finishPayment;
+      mockSeatReservationService.releaseSeat = jest.fn();
+      mockPaymentService.makePayment.mockImplementationOnce(() => new Promise((resolve) => {
+        finishPayment = resolve;
+      }));
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 2 });
+
+      const pending = ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 2), new PurchaseOptions({ holdId }));
+      await new Promise((resolve) => { setImmediate(resolve); });
+      advanceSeconds(300);
+      const other = ticketService.purchaseTickets(2, new TicketTypeRequest('ADULT', 2), new PurchaseOptions({ showingId: 'evening' }));
+      finishPayment();
+
+      const error = await pending.catch((caught) => caught);
+
+      expect(other.seats).toEqual(['A1', 'A2']);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.cause.message).toBe(`Seat hold ${holdId} expired before the purchase completed`);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(1, 2);
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(1, 5000);
+    });
+
+    test('should reject an expired hold', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 1 });
+      advanceSeconds(300);
+
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new PurchaseOptions({ holdId }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.HOLD_NOT_FOUND);
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should reject a hold made for another account', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 1 });
+
+      const error = captureError(() => ticketService.purchaseTickets(
+        2,
+        new TicketTypeRequest('ADULT', 1),
+        new PurchaseOptions({ holdId }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.HOLD_ACCOUNT_MISMATCH);
+    });
+
+    test('should require the tickets to fill the held seats', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 2 });
+
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 3),
+        new PurchaseOptions({ holdId }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.SEAT_COUNT_MISMATCH);
+    });
+
+    test('should keep the hold when the purchase fails so the customer can retry', () => {
+      const { holdId } = ticketService.holdSeats(1, 'evening', { count: 1 });
+      mockPaymentService.makePayment.mockImplementationOnce(() => {
+        throw new Error('Card declined');
+      });
+
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ holdId })))
+        .toThrow('Payment failed');
+
+      expect(ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), new PurchaseOptions({ holdId })).seats)
+        .toEqual(['A1']);
+    });
+  });
+});
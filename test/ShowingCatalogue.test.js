@@ -0,0 +1,238 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import Auditorium from '../src/pairtest/lib/showings/Auditorium.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import PriceTable from '../src/pairtest/lib/pricing/PriceTable.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('ShowingCatalogue', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let showings;
+  let ticketService;
+
+  const definitions = {
+    auditoriums: [{
+      id: 'screen-1',
+      rows: [
+        { row: 'A', seats: 4, wheelchair: [1, 2] },
+        { row: 'B', seats: 5, blocked: [3] },
+        { row: 'C', seats: 5 },
+      ],
+    }],
+    showings: [
+      { id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z', format: 'IMAX' },
+    ],
+  };
+
+  const forShowing = (options = {}) => new PurchaseOptions({ showingId: 'evening', ...options });
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    showings = ShowingCatalogue.fromDefinitions(definitions);
+    ticketService = new TicketService(mockPaymentService, mockSeatReservationService, { showings });
+  });
+
+  describe('Seat maps', () => {
+    test('should name seats by row and number', () => {
+      const auditorium = showings.get('evening').getAuditorium();
+
+      expect(auditorium.getRows()[0]).toEqual(['A1', 'A2', 'A3', 'A4']);
+      expect(auditorium.isWheelchairSpace('A2')).toBe(true);
+      expect(auditorium.isBlocked('B3')).toBe(true);
+      expect(auditorium.hasSeat('D1')).toBe(false);
+    });
+
+    test('should reject seat numbers outside the row', () => {
+      expect(() => new Auditorium({ id: 'x', rows: [{ row: 'A', seats: 3, blocked: [4] }] }))
+        .toThrow('seat A4 does not exist');
+    });
+
+    test('should reject showings in unknown auditoriums', () => {
+      expect(() => ShowingCatalogue.fromDefinitions({
+        auditoriums: [],
+        showings: [{ id: 's', auditoriumId: 'nowhere', startsAt: '2026-01-01T00:00:00Z' }],
+      })).toThrow('unknown auditorium nowhere');
+    });
+  });
+
+  describe('Auto-allocation', () => {
+    test('should allocate adjacent seats, skipping wheelchair spaces and blocked seats', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), forShowing());
+
+      expect(order.showingId).toBe('evening');
+      expect(order.seats).toEqual(['A3', 'A4']);
+      expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(1, 2);
+    });
+
+    test('should move to the next row with enough adjacent seats', () => {
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), forShowing());
+
+      const order = ticketService.purchaseTickets(
+        2,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 1),
+        forShowing(),
+      );
+
+      expect(order.seats).toEqual(['C1', 'C2', 'C3']);
+    });
+
+    test('should not allocate seats for infants', () => {
+      const order = ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('INFANT', 1),
+        forShowing(),
+      );
+
+      expect(order.seats).toEqual(['A3']);
+    });
+
+    test('should split the party when no row has enough adjacent seats', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 6), forShowing());
+
+      expect(order.seats).toEqual(['A3', 'A4', 'B1', 'B2', 'B4', 'B5']);
+    });
+
+    test('should reject purchases for a sold-out showing', () => {
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 11), forShowing());
+
+      const error = captureError(() => ticketService.purchaseTickets(2, new TicketTypeRequest('ADULT', 1), forShowing()));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+      expect(error.details).toEqual({ showingId: 'evening', requested: 1, available: 2 });
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+
+    test('should propose seats in a quote without taking them', () => {
+      const quote = ticketService.quote(1, new TicketTypeRequest('ADULT', 2), forShowing());
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), forShowing());
+
+      expect(quote.seats).toEqual(['A3', 'A4']);
+      expect(order.seats).toEqual(['A3', 'A4']);
+    });
+  });
+
+  describe('Explicit seat selection', () => {
+    test('should book the selected seats, including wheelchair spaces', () => {
+      const order = ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        forShowing({ seats: ['A1', 'A2'] }),
+      );
+
+      expect(order.seats).toEqual(['A1', 'A2']);
+    });
+
+    test('should reject seats that are already taken or blocked', () => {
+      ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), forShowing({ seats: ['C5'] }));
+
+      const error = captureError(() => ticketService.purchaseTickets(
+        2,
+        new TicketTypeRequest('ADULT', 2),
+        forShowing({ seats: ['C5', 'B3'] }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.SEAT_UNAVAILABLE);
+      expect(error.details).toEqual({ showingId: 'evening', seats: ['C5', 'B3'] });
+    });
+
+    test('should release the reserved seats when they are taken while the reservation is in flight', async () => {
+      let finishReservation;
+      mockSeatReservationService.releaseSeat = jest.fn();
+      mockSeatReservationService.reserveSeat.mockImplementationOnce(() => new Promise((resolve) => {
+        finishReservation = resolve;
+      }));
+
+      const pending = ticketService.purchaseTicketsAsync(1, new TicketTypeRequest('ADULT', 1), forShowing({ seats: ['C1'] }));
+      await new Promise((resolve) => { setImmediate(resolve); });
+      ticketService.purchaseTickets(2, new TicketTypeRequest('ADULT', 1), forShowing({ seats: ['C1'] }));
+      finishReservation();
+
+      const error = await pending.catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(mockSeatReservationService.releaseSeat).toHaveBeenCalledWith(1, 1);
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(1, 2500);
+      expect(showings.get('evening').isAvailable('C1')).toBe(false);
+    });
+
+    test('should reject seats that do not exist', () => {
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        forShowing({ seats: ['Z9'] }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.INVALID_SEAT);
+    });
+
+    test('should require one seat per seated ticket', () => {
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        forShowing({ seats: ['C1'] }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.SEAT_COUNT_MISMATCH);
+      expect(error.details).toEqual({ showingId: 'evening', requested: 2, selected: 1 });
+    });
+  });
+
+  describe('Showings', () => {
+    test('should reject unknown showings', () => {
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new PurchaseOptions({ showingId: 'matinee' }),
+      ));
+
+      expect(error.code).toBe(ErrorCode.UNKNOWN_SHOWING);
+    });
+
+    test('should price tickets for the booked showing', () => {
+      const service = new TicketService(mockPaymentService, mockSeatReservationService, {
+        showings,
+        priceTable: new PriceTable({ adjustments: [{ name: 'imax', when: { formats: ['IMAX'] }, surcharge: 500 }] }),
+      });
+
+      service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), forShowing());
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 3000);
+    });
+
+    test('should leave seats free when the reservation fails', () => {
+      mockSeatReservationService.reserveSeat.mockImplementationOnce(() => {
+        throw new Error('Booking system down');
+      });
+
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2), forShowing()))
+        .toThrow(PurchaseFailedException);
+
+      expect(ticketService.quote(1, new TicketTypeRequest('ADULT', 2), forShowing()).seats).toEqual(['A3', 'A4']);
+    });
+
+    test('should only accept seats together with a showing', () => {
+      expect(() => new PurchaseOptions({ seats: ['A1'] })).toThrow(TypeError);
+      expect(() => new PurchaseOptions({ showingId: 'evening', showing: {} })).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ResiliencePolicy from '../src/pairtest/lib/resilience/ResiliencePolicy.js';
+import TimeoutError from '../src/pairtest/lib/resilience/TimeoutError.js';
+import GroupBookingService from '../src/pairtest/lib/groups/GroupBookingService.js';
+import SimulatedFault from '../src/pairtest/lib/simulation/SimulatedFault.js';
+import SimulatedFailure from '../src/pairtest/lib/simulation/SimulatedFailure.js';
+import SimulatedPaymentService from '../src/pairtest/lib/simulation/SimulatedPaymentService.js';
+import SimulatedSeatReservationService from '../src/pairtest/lib/simulation/SimulatedSeatReservationService.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('Simulation', () => {
+  const now = () => new Date('2026-03-13T12:00:00.000Z');
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  describe('SimulatedPaymentService', () => {
+    test('should log every call and track what each account has paid', () => {
+      const payments = new SimulatedPaymentService({ now });
+
+      payments.makePayment(1, 5000);
+      payments.refundPayment(1, 2000);
+
+      expect(payments.chargedTo(1)).toBe(3000);
+      expect(payments.transactions()).toEqual([
+        { sequence: 1, operation: 'makePayment', accountId: 1, amount: 5000, fault: 'NONE', applied: true, latencyMs: 0, timestamp: '2026-03-13T12:00:00.000Z' },
+        { sequence: 2, operation: 'refundPayment', accountId: 1, amount: 2000, fault: 'NONE', applied: true, latencyMs: 0, timestamp: '2026-03-13T12:00:00.000Z' },
+      ]);
+    });
+
+    test('should check arguments like the real gateway', () => {
+      const payments = new SimulatedPaymentService();
+
+      expect(() => payments.makePayment('1', 100)).toThrow('accountId must be an integer');
+      expect(() => payments.refundPayment(1, 1.5)).toThrow('totalAmountToRefund must be an integer');
+      expect(payments.transactions()).toEqual([]);
+    });
+
+    test('should fail calls as scripted, then let them through', () => {
+      const payments = new SimulatedPaymentService({ script: { makePayment: ['DECLINED', 'NONE', 'UNAVAILABLE'] } });
+
+      const declined = captureError(() => payments.makePayment(1, 100));
+      payments.makePayment(1, 100);
+      const unavailable = captureError(() => payments.makePayment(1, 100));
+      payments.makePayment(1, 100);
+
+      expect(declined).toBeInstanceOf(SimulatedFailure);
+      expect(declined).toMatchObject({ message: 'makePayment declined', operation: 'makePayment', fault: 'DECLINED', transient: false });
+      expect(unavailable.transient).toBe(true);
+      expect(payments.chargedTo(1)).toBe(200);
+      expect(payments.transactions().map(({ fault, applied }) => [fault, applied])).toEqual([
+        ['DECLINED', false], ['NONE', true], ['UNAVAILABLE', false], ['NONE', true],
+      ]);
+    });
+
+    test('should charge for a call whose response is lost', () => {
+      const payments = new SimulatedPaymentService();
+      payments.script('makePayment', SimulatedFault.LOST_RESPONSE);
+
+      const error = captureError(() => payments.makePayment(1, 2500));
+
+      expect(error).toMatchObject({ fault: 'LOST_RESPONSE', transient: true, timedOut: true });
+      expect(payments.chargedTo(1)).toBe(2500);
+    });
+
+    test('should decline a refund of more than the account has paid', () => {
+      const payments = new SimulatedPaymentService();
+      payments.makePayment(1, 1000);
+
+      expect(captureError(() => payments.refundPayment(1, 1001)).fault).toBe(SimulatedFault.DECLINED);
+      expect(payments.chargedTo(1)).toBe(1000);
+    });
+
+    test('should inject the same random faults for the same seed', () => {
+      const outcomes = (seed) => {
+        const payments = new SimulatedPaymentService({ seed, faultRate: 0.5 });
+        for (let call = 0; call < 20; call += 1) {
+          captureError(() => { payments.makePayment(1, 100); throw new Error('succeeded'); });
+        }
+        return payments.transactions().map(({ fault }) => fault);
+      };
+
+      expect(outcomes(42)).toEqual(outcomes(42));
+      expect(outcomes(42)).not.toEqual(outcomes(43));
+      expect(new Set(outcomes(42))).toEqual(new Set(['NONE', 'UNAVAILABLE', 'TIMEOUT', 'DECLINED']));
+      expect(outcomes(42).filter((fault) => fault !== 'NONE').length).toBeGreaterThan(4);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => new SimulatedPaymentService({ faultRate: 2 })).toThrow('faultRate must be between 0 and 1');
+      expect(() => new SimulatedPaymentService({ latencyMs: 50 })).toThrow('latencyMs and jitterMs need async: true');
+      expect(() => new SimulatedPaymentService({ script: { makePayment: ['LATE'] } })).toThrow('Unknown fault LATE');
+      expect(() => new SimulatedPaymentService().script('reserveSeat', 'NONE')).toThrow('Unknown operation reserveSeat');
+    });
+
+    test('should load its section of a simulation file', async () => {
+      const payments = SimulatedPaymentService.fromFile('simulation.example.json');
+
+      await payments.makePayment(1, 100).catch(() => {});
+      await expect(payments.makePayment(1, 100)).rejects.toMatchObject({ fault: 'DECLINED' });
+      expect(payments.transactions()[0]).toMatchObject({ fault: 'NONE', applied: true });
+      expect(SimulatedSeatReservationService.fromFile('simulation.example.json').available()).toBe(200);
+    }, 10000);
+  });
+
+  describe('SimulatedSeatReservationService', () => {
+    test('should run out of seats and get them back when released', () => {
+      const seats = new SimulatedSeatReservationService({ capacity: 5 });
+
+      seats.reserveSeat(1, 3);
+      const soldOut = captureError(() => seats.reserveSeat(2, 3));
+      seats.releaseSeat(1, 2);
+      seats.reserveSeat(2, 3);
+
+      expect(soldOut).toMatchObject({ fault: 'SOLD_OUT', transient: false });
+      expect(seats.reservedFor(1)).toBe(1);
+      expect(seats.reservedFor(2)).toBe(3);
+      expect(seats.available()).toBe(1);
+      expect(seats.transactions({ accountId: 2 }).map(({ fault }) => fault)).toEqual(['SOLD_OUT', 'NONE']);
+    });
+
+    test('should have unlimited seats without a capacity', () => {
+      const seats = new SimulatedSeatReservationService();
+
+      seats.reserveSeat(1, 1000);
+
+      expect(seats.available()).toBe(Infinity);
+      expect(() => new SimulatedSeatReservationService({ capacity: -1 })).toThrow('capacity must be a non-negative integer');
+    });
+  });
+
+  describe('Latency', () => {
+    test('should settle asynchronous calls after the simulated latency', async () => {
+      const sleep = jest.fn(() => Promise.resolve());
+      const payments = new SimulatedPaymentService({ async: true, latencyMs: 100, jitterMs: 50, seed: 7, sleep });
+
+      const result = payments.makePayment(1, 100);
+
+      expect(result).toBeInstanceOf(Promise);
+      expect(payments.chargedTo(1)).toBe(0);
+      await result;
+
+      const [{ latencyMs }] = payments.transactions();
+      expect(sleep).toHaveBeenCalledWith(latencyMs);
+      expect(latencyMs).toBeGreaterThanOrEqual(100);
+      expect(latencyMs).toBeLessThanOrEqual(150);
+      expect(payments.chargedTo(1)).toBe(100);
+    });
+
+    test('should hang a timed-out call before failing it', async () => {
+      const sleep = jest.fn(() => Promise.resolve());
+      const seats = new SimulatedSeatReservationService({ async: true, hangMs: 5000, sleep, script: { reserveSeat: ['TIMEOUT'] } });
+
+      await expect(seats.reserveSeat(1, 2)).rejects.toMatchObject({ fault: 'TIMEOUT', transient: true, timedOut: true });
+      expect(sleep).toHaveBeenCalledWith(5000);
+      expect(seats.reservedFor(1)).toBe(0);
+    });
+  });
+
+  describe('TicketService', () => {
+    let payments;
+    let seats;
+    let ticketService;
+
+    const adults = (count) => new TicketTypeRequest('ADULT', count);
+
+    const createService = (options = {}) => new TicketService(payments, seats, {
+      now,
+      resilience: new ResiliencePolicy({ timeoutMs: 20, retries: 2, sleep: () => Promise.resolve() }),
+      ...options,
+    });
+
+    beforeEach(() => {
+      payments = new SimulatedPaymentService({ async: true, sleep: () => Promise.resolve() });
+      seats = new SimulatedSeatReservationService({ async: true, capacity: 10, sleep: () => Promise.resolve() });
+      ticketService = createService();
+    });
+
+    test('should retry transient failures until the purchase goes through', async () => {
+      payments.script('makePayment', 'UNAVAILABLE', 'UNAVAILABLE');
+      seats.script('reserveSeat', 'UNAVAILABLE', 'UNAVAILABLE');
+
+      const order = await ticketService.purchaseTicketsAsync(1, adults(2));
+
+      expect(order.outcome).toBe(PurchaseOutcome.SUCCEEDED);
+      expect(payments.transactions().map(({ fault }) => fault)).toEqual(['UNAVAILABLE', 'UNAVAILABLE', 'NONE']);
+      expect(payments.chargedTo(1)).toBe(5000);
+      expect(seats.reservedFor(1)).toBe(2);
+    });
+
+    test('should give up on a call that hangs past the timeout', async () => {
+      seats = new SimulatedSeatReservationService({
+        async: true,
+        script: { reserveSeat: ['TIMEOUT'] },
+        sleep: () => new Promise(() => {}),
+      });
+      ticketService = createService();
+
+      const error = await ticketService.purchaseTicketsAsync(1, adults(1)).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.cause).toBeInstanceOf(TimeoutError);
+      expect(payments.chargedTo(1)).toBe(0);
+    });
+
+    test('should not reserve again when a reservation that went through timed out', async () => {
+      seats.script('reserveSeat', 'LOST_RESPONSE');
+
+      const error = await ticketService.purchaseTicketsAsync(1, adults(2)).catch((caught) => caught);
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(seats.transactions({ operation: 'reserveSeat' })).toHaveLength(1);
+      expect(seats.reservedFor(1)).toBe(2);
+      expect(payments.chargedTo(1)).toBe(0);
+    });
+
+    test('should not charge for a declined payment', async () => {
+      payments.script('makePayment', 'DECLINED');
+
+      const error = await ticketService.purchaseTicketsAsync(1, adults(1)).catch((caught) => caught);
+
+      expect(error.outcome).toBe(PurchaseOutcome.FAILED_BEFORE_PAYMENT);
+      expect(payments.transactions()).toHaveLength(1);
+      expect(seats.transactions()).toEqual([]);
+    });
+
+    test('should refund the payment when the seats run out', async () => {
+      seats.reserveSeat(9, 9);
+
+      const error = await ticketService.purchaseTicketsAsync(1, adults(2)).catch((caught) => caught);
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.cause.fault).toBe(SimulatedFault.SOLD_OUT);
+      expect(payments.transactions({ accountId: 1 }).map(({ operation }) => operation)).toEqual(['makePayment', 'refundPayment']);
+      expect(payments.chargedTo(1)).toBe(0);
+    });
+
+    test('should not charge again when a payment that went through timed out', async () => {
+      payments.script('makePayment', 'LOST_RESPONSE');
+
+      const error = await ticketService.purchaseTicketsAsync(1, adults(1)).catch((caught) => caught);
+
+      expect(error.outcome).toBe(PurchaseOutcome.PAYMENT_UNCONFIRMED);
+      expect(payments.transactions()).toHaveLength(1);
+      expect(payments.chargedTo(1)).toBe(2500);
+      expect(seats.transactions()).toEqual([]);
+    });
+
+    test('should release the seats already reserved when a later batch fails', () => {
+      payments = new SimulatedPaymentService();
+      seats = new SimulatedSeatReservationService({ capacity: 15 });
+      ticketService = createService({ groupBookings: new GroupBookingService({ seatsPerReservation: 10 }) });
+      const { bookingId } = ticketService.requestGroupBooking(1, adults(20));
+
+      const error = captureError(() => ticketService.approveGroupBooking(bookingId));
+
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(seats.transactions().map(({ operation, seats: count, fault }) => [operation, count, fault])).toEqual([
+        ['reserveSeat', 10, 'NONE'],
+        ['reserveSeat', 10, 'SOLD_OUT'],
+        ['releaseSeat', 10, 'NONE'],
+      ]);
+      expect(seats.available()).toBe(15);
+      expect(payments.chargedTo(1)).toBe(0);
+    });
+  });
+});
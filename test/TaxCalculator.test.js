@@ -0,0 +1,117 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import TaxCalculator from '../src/pairtest/lib/pricing/TaxCalculator.js';
+import PromotionCatalogue from '../src/pairtest/lib/promotions/PromotionCatalogue.js';
+import Currency from '../src/pairtest/lib/money/Currency.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('TaxCalculator', () => {
+  const lineItem = (subtotal, taxRate) => ({ subtotal, taxRate });
+
+  describe('Rates', () => {
+    test('should fall back to the default rate', () => {
+      const taxes = new TaxCalculator({ rates: { CHILD: 0 }, defaultRate: 20 });
+
+      expect(taxes.rateFor('CHILD')).toBe(0);
+      expect(taxes.rateFor('ADULT')).toBe(20);
+    });
+
+    test('should reject rates outside 0 to 100 percent', () => {
+      expect(() => new TaxCalculator({ rates: { ADULT: 120 } })).toThrow(RangeError);
+      expect(() => new TaxCalculator({ defaultRate: -1 })).toThrow('between 0 and 100');
+    });
+  });
+
+  describe('Breakdown', () => {
+    test('should take VAT out of VAT-inclusive prices', () => {
+      expect(TaxCalculator.breakdown([lineItem(2500, 20), lineItem(1000, 0)], 3500)).toEqual({
+        netAmount: 3083,
+        taxAmount: 417,
+        taxes: [
+          { rate: 20, net: 2083, tax: 417, gross: 2500 },
+          { rate: 0, net: 1000, tax: 0, gross: 1000 },
+        ],
+      });
+    });
+
+    test('should share discounts across rates in proportion to their value', () => {
+      const { taxes } = TaxCalculator.breakdown([lineItem(2500, 20), lineItem(1000, 0)], 3150);
+
+      expect(taxes).toEqual([
+        { rate: 20, net: 1875, tax: 375, gross: 2250 },
+        { rate: 0, net: 900, tax: 0, gross: 900 },
+      ]);
+    });
+
+    test('should share a discount that does not divide evenly without losing a penny', () => {
+      const { taxes } = TaxCalculator.breakdown([lineItem(1000, 20), lineItem(1000, 5), lineItem(1000, 0)], 2900);
+
+      expect(taxes.map(({ gross }) => gross)).toEqual([966, 967, 967]);
+    });
+
+    test('should round tax half up to a whole minor unit', () => {
+      expect(TaxCalculator.breakdown([lineItem(3, 20)], 3).taxAmount).toBe(1);
+      expect(TaxCalculator.breakdown([lineItem(1250, 20)], 1250).taxAmount).toBe(208);
+    });
+
+    test('should always add net and tax up to the amount paid', () => {
+      const { netAmount, taxAmount } = TaxCalculator.breakdown([lineItem(1999, 20), lineItem(799, 5.5)], 2517);
+
+      expect(netAmount + taxAmount).toBe(2517);
+    });
+
+    test('should have nothing to break down for an empty basket', () => {
+      expect(TaxCalculator.breakdown([], 0)).toEqual({ netAmount: 0, taxAmount: 0, taxes: [] });
+    });
+  });
+
+  describe('TicketService with tax rates', () => {
+    let mockPaymentService;
+    let ticketService;
+
+    beforeEach(() => {
+      mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+      ticketService = new TicketService(mockPaymentService, { reserveSeat: jest.fn() }, {
+        taxes: new TaxCalculator({ rates: { CHILD: 0 }, defaultRate: 20 }),
+        promotions: new PromotionCatalogue([{ code: 'SPRING10', type: 'percentage', percent: 10 }]),
+      });
+    });
+
+    test('should show net, tax and gross amounts on the quote', () => {
+      const quote = ticketService.quote(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('CHILD', 1),
+        new PurchaseOptions({ promoCodes: ['SPRING10'] }),
+      );
+
+      expect(quote.lineItems.map(({ taxRate }) => taxRate)).toEqual([20, 0]);
+      expect(quote).toMatchObject({
+        currency: 'GBP',
+        totalAmount: 3600,
+        netAmount: 3225,
+        taxAmount: 375,
+        taxes: [
+          { rate: 20, net: 1875, tax: 375, gross: 2250 },
+          { rate: 0, net: 1350, tax: 0, gross: 1350 },
+        ],
+      });
+    });
+
+    test('should charge the payment service in minor units', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 2500);
+      expect(order).toMatchObject({ currency: 'GBP', netAmount: 2083, taxAmount: 417 });
+    });
+
+    test('should quote in the configured currency', () => {
+      const service = new TicketService(mockPaymentService, { reserveSeat: jest.fn() }, {
+        currency: new Currency({ code: 'EUR', locale: 'de-DE' }),
+      });
+
+      expect(service.quote(1, new TicketTypeRequest('ADULT', 1)).currency).toBe('EUR');
+    });
+  });
+});
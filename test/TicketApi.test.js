@@ -0,0 +1,396 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketApi from '../src/pairtest/http/TicketApi.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import PurchaseMetrics from '../src/pairtest/lib/observability/PurchaseMetrics.js';
+import AuditLogger from '../src/pairtest/lib/observability/AuditLogger.js';
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+
+describe('TicketApi', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let api;
+  let metrics;
+  let auditLines;
+
+  const post = (path, body, headers = {}) => api.handle({ method: 'POST', path, body, headers });
+  const get = (path, query = '') => api.handle({ method: 'GET', path, query: new URLSearchParams(query) });
+
+  const family = {
+    accountId: 1,
+    tickets: [{ type: 'ADULT', quantity: 2 }, { type: 'CHILD', quantity: 1 }],
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    let orderCounter = 0;
+    metrics = new PurchaseMetrics({ clock: () => 0 });
+    auditLines = [];
+    const ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+      now: () => new Date('2026-03-13T12:00:00.000Z'),
+      generateOrderId: () => `order-${++orderCounter}`,
+      resilience: { execute: (operation) => operation() },
+      metrics,
+      audit: new AuditLogger({ write: (line) => auditLines.push(JSON.parse(line)) }),
+      showings: ShowingCatalogue.fromDefinitions({
+        auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 4 }] }],
+        showings: [{ id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z' }],
+      }),
+    });
+    api = new TicketApi({
+      ticketService,
+      config: { toObject: () => ({ maxTickets: 25 }) },
+      metrics,
+      generateCorrelationId: () => 'generated-id',
+    });
+  });
+
+  describe('Quotes and purchases', () => {
+    test('should quote a basket', async () => {
+      const response = await post('/quotes', family);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ accountId: 1, totalAmount: 6500, totalSeats: 3 });
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should purchase tickets and return the order', async () => {
+      const response = await post('/purchases', { ...family, options: { showingId: 'evening' } });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        orderId: 'order-1',
+        totalAmount: 6500,
+        showingId: 'evening',
+        seats: ['A1', 'A2', 'A3'],
+        outcome: PurchaseOutcome.SUCCEEDED,
+      });
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 6500);
+    });
+
+    test('should pass the Idempotency-Key header to the purchase', async () => {
+      const first = await post('/purchases', family, { 'idempotency-key': 'key-1' });
+      const second = await post('/purchases', family, { 'idempotency-key': 'key-1' });
+
+      expect(second.body).toEqual(first.body);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Lookups', () => {
+    test('should return an order by ID', async () => {
+      await post('/purchases', family);
+
+      const response = await get('/orders/order-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.orderId).toBe('order-1');
+    });
+
+    test('should return 404 for an unknown order', async () => {
+      const response = await get('/orders/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe(ErrorCode.ORDER_NOT_FOUND);
+    });
+
+    test('should filter ledger entries by query parameters', async () => {
+      await post('/purchases', family);
+      await post('/purchases', { ...family, accountId: 2 });
+
+      const response = await get('/ledger', 'accountId=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.entries.map(({ orderId }) => orderId)).toEqual(['order-2']);
+    });
+
+    test('should reject an invalid ledger query', async () => {
+      expect((await get('/ledger', 'accountId=abc')).status).toBe(400);
+      expect((await get('/ledger', 'from=yesterday')).status).toBe(400);
+    });
+
+    test('should show the configuration and health', async () => {
+      expect(await get('/config')).toEqual({ status: 200, body: { maxTickets: 25 } });
+      expect(await get('/health')).toEqual({ status: 200, body: { status: 'ok' } });
+    });
+  });
+
+  describe('Errors', () => {
+    test.each([
+      ['a missing body', null, 'Request body must be a JSON object'],
+      ['missing tickets', { accountId: 1 }, 'tickets must be an array of { type, quantity }'],
+      ['an unknown ticket type', { accountId: 1, tickets: [{ type: 'VIP', quantity: 1 }] }, 'tickets[0]: type must be'],
+      ['a fractional quantity', { accountId: 1, tickets: [{ type: 'ADULT', quantity: 1.5 }] }, 'noOfTickets must be an integer'],
+      ['invalid options', { ...family, options: { seats: 'A1' } }, 'options:'],
+    ])('should return 400 for %s', async (_, body, message) => {
+      const response = await post('/purchases', body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(ErrorCode.INVALID_REQUEST);
+      expect(response.body.error.message).toContain(message);
+    });
+
+    test('should map business rule violations to 422 with the violations', async () => {
+      const response = await post('/purchases', { accountId: 1, tickets: [{ type: 'CHILD', quantity: 1 }] });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toMatchObject({
+        code: ErrorCode.ADULT_REQUIRED,
+        violations: [expect.objectContaining({ code: ErrorCode.ADULT_REQUIRED })],
+      });
+    });
+
+    test('should map conflicts to 409', async () => {
+      await post('/purchases', family, { 'idempotency-key': 'key-1' });
+
+      const response = await post('/purchases', { ...family, accountId: 2 }, { 'idempotency-key': 'key-1' });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should map account rejections to 402, 403 and 429', async () => {
+      const statusFor = async (code) => {
+        api = new TicketApi({
+          ticketService: { purchaseTicketsAsync: async () => { throw new InvalidPurchaseException('Rejected', { code }); } },
+          config: { toObject: () => ({}) },
+        });
+        return (await post('/purchases', family)).status;
+      };
+
+      expect(await statusFor(ErrorCode.INSUFFICIENT_FUNDS)).toBe(402);
+      expect(await statusFor(ErrorCode.ACCOUNT_SUSPENDED)).toBe(403);
+      expect(await statusFor(ErrorCode.ACCOUNT_NOT_FOUND)).toBe(404);
+      expect(await statusFor(ErrorCode.PURCHASE_RATE_EXCEEDED)).toBe(429);
+      expect(await statusFor(ErrorCode.SPENDING_RATE_EXCEEDED)).toBe(429);
+    });
+
+    test('should map third-party failures to 502', async () => {
+      mockPaymentService.makePayment.mockRejectedValue(new Error('gateway down'));
+
+      const response = await post('/purchases', family, { 'x-correlation-id': 'request-7' });
+
+      expect(response).toEqual({
+        status: 502,
+        body: { error: { code: 'PURCHASE_FAILED', message: 'Payment failed', outcome: PurchaseOutcome.FAILED_BEFORE_PAYMENT } },
+        headers: { 'X-Correlation-ID': 'request-7' },
+      });
+    });
+
+    test('should hide unexpected errors behind a 500 and report them', async () => {
+      const onError = jest.fn();
+      api = new TicketApi({
+        ticketService: { getOrder: () => { throw new Error('disk full'); } },
+        config: { toObject: () => ({}) },
+        onError,
+      });
+
+      expect(await get('/orders/order-1')).toEqual({
+        status: 500,
+        body: { error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } },
+      });
+      expect(onError).toHaveBeenCalledWith(new Error('disk full'));
+    });
+
+    test('should return 400 for a path that is not correctly encoded', async () => {
+      expect(await get('/orders/%E0%A4%A')).toEqual({
+        status: 400,
+        body: { error: { code: 'BAD_REQUEST', message: 'Request path is not correctly encoded' } },
+      });
+    });
+
+    test('should return 404 for unknown routes and 405 for unsupported methods', async () => {
+      expect((await get('/tickets')).status).toBe(404);
+      expect((await get('/purchases')).status).toBe(405);
+    });
+  });
+
+  describe('Group bookings', () => {
+    const schoolTrip = {
+      accountId: 1,
+      tickets: [{ type: 'ADULT', quantity: 3 }, { type: 'CHILD', quantity: 27 }],
+    };
+
+    test('should queue a group booking and buy it once approved', async () => {
+      const requested = await post('/group-bookings', schoolTrip);
+
+      expect(requested.status).toBe(202);
+      expect(requested.body).toMatchObject({ accountId: 1, status: 'PENDING_APPROVAL', quote: { totalSeats: 30 } });
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+
+      const { bookingId } = requested.body;
+      expect((await get('/group-bookings', 'status=PENDING_APPROVAL')).body.bookings).toHaveLength(1);
+
+      const approved = await post(`/group-bookings/${bookingId}/approve`, { approvedBy: 'manager-1' });
+
+      expect(approved.status).toBe(201);
+      expect(approved.body.booking).toMatchObject({ status: 'APPROVED', decidedBy: 'manager-1', orderId: 'order-1' });
+      expect(approved.body.order).toMatchObject({ orderId: 'order-1', groupBookingId: bookingId, totalSeats: 30 });
+      expect((await get(`/group-bookings/${bookingId}`)).body.status).toBe('APPROVED');
+    });
+
+    test('should reject a group booking and refuse to decide it again', async () => {
+      const { bookingId } = (await post('/group-bookings', schoolTrip)).body;
+
+      const rejected = await post(`/group-bookings/${bookingId}/reject`, { rejectedBy: 'manager-1', reason: 'Screen closed' });
+      const again = await post(`/group-bookings/${bookingId}/approve`, null);
+
+      expect(rejected.body).toMatchObject({ status: 'REJECTED', reason: 'Screen closed' });
+      expect(again.status).toBe(409);
+      expect(again.body.error.code).toBe(ErrorCode.GROUP_BOOKING_NOT_PENDING);
+    });
+
+    test('should return 404 for an unknown group booking', async () => {
+      expect((await get('/group-bookings/missing')).status).toBe(404);
+      expect((await post('/group-bookings/missing/approve', {})).body.error.code).toBe(ErrorCode.GROUP_BOOKING_NOT_FOUND);
+    });
+
+    test('should reject a decision with a malformed body', async () => {
+      const { bookingId } = (await post('/group-bookings', schoolTrip)).body;
+
+      const response = await post(`/group-bookings/${bookingId}/reject`, { reason: 42 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toBe('reason must be a string');
+    });
+  });
+
+  describe('Waitlist', () => {
+    const waiting = { accountId: 2, tickets: [{ type: 'ADULT', quantity: 2 }], options: { showingId: 'evening' } };
+
+    test('should join, look up and leave the waitlist for a sold-out showing', async () => {
+      expect((await post('/waitlist', waiting)).body.error.code).toBe(ErrorCode.SEATS_AVAILABLE);
+      await post('/purchases', { accountId: 1, tickets: [{ type: 'ADULT', quantity: 4 }], options: { showingId: 'evening' } });
+
+      const joined = await post('/waitlist', waiting);
+
+      expect(joined.status).toBe(201);
+      expect(joined.body).toMatchObject({ accountId: 2, showingId: 'evening', totalSeats: 2, status: 'WAITING' });
+      expect((await post('/waitlist', waiting)).status).toBe(409);
+
+      const { entryId } = joined.body;
+      expect((await get('/waitlist', 'showingId=evening&accountId=2')).body.entries).toEqual([joined.body]);
+      expect((await get(`/waitlist/${entryId}`)).body).toEqual(joined.body);
+
+      const left = await post(`/waitlist/${entryId}/leave`, null);
+
+      expect(left.status).toBe(200);
+      expect(left.body.status).toBe('LEFT');
+      expect((await post(`/waitlist/${entryId}/leave`, null)).body.error.code).toBe(ErrorCode.WAITLIST_ENTRY_CLOSED);
+    });
+
+    test('should return 404 for an unknown waitlist entry', async () => {
+      expect((await get('/waitlist/missing')).status).toBe(404);
+      expect((await post('/waitlist/missing/leave', null)).body.error.code).toBe(ErrorCode.WAITLIST_ENTRY_NOT_FOUND);
+    });
+  });
+
+  describe('Observability', () => {
+    test('should audit a purchase under the X-Correlation-ID header and echo it back', async () => {
+      const response = await post('/purchases', family, { 'x-correlation-id': 'request-1' });
+
+      expect(response.headers).toEqual({ 'X-Correlation-ID': 'request-1' });
+      expect(auditLines.map(({ event, correlationId }) => [event, correlationId])).toEqual([
+        ['purchase.requested', 'request-1'],
+        ['purchase.completed', 'request-1'],
+      ]);
+    });
+
+    test('should generate a correlation ID when the request has none', async () => {
+      const response = await post('/purchases', { accountId: 0, tickets: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.headers).toEqual({ 'X-Correlation-ID': 'generated-id' });
+      expect(auditLines[1]).toMatchObject({ event: 'purchase.rejected', correlationId: 'generated-id' });
+    });
+
+    test('should serve metrics in the Prometheus text format', async () => {
+      await post('/purchases', family);
+      await post('/purchases', { accountId: 1, tickets: [{ type: 'CHILD', quantity: 1 }] });
+
+      const response = await get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(response.body).toContain('cinema_purchase_rejections_total{code="ADULT_REQUIRED"} 1');
+      expect(response.body).toContain('cinema_revenue_minor_units_total{ticket_type="ADULT",currency="GBP"} 5000');
+      expect(response.body).toContain('cinema_basket_size_tickets_count 1');
+    });
+
+    test('should have no metrics route without metrics', async () => {
+      api = new TicketApi({ ticketService: {}, config: { toObject: () => ({}) } });
+
+      expect((await get('/metrics')).status).toBe(404);
+    });
+  });
+
+  describe('HTTP server', () => {
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+      server = api.createServer();
+      await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => { server.close(resolve); });
+    });
+
+    test('should serve JSON requests', async () => {
+      const response = await fetch(`${baseUrl}/purchases`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(family),
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect((await response.json()).orderId).toBe('order-1');
+    });
+
+    test('should serve metrics as plain text and the correlation ID as a header', async () => {
+      const purchase = await fetch(`${baseUrl}/purchases`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': 'request-9' },
+        body: JSON.stringify(family),
+      });
+      const response = await fetch(`${baseUrl}/metrics`);
+
+      expect(purchase.headers.get('x-correlation-id')).toBe('request-9');
+      expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(await response.text()).toContain('# TYPE cinema_basket_size_tickets histogram');
+    });
+
+    test('should answer a request whose body cannot be read with a 500 and report it', async () => {
+      const onError = jest.fn();
+      api = new TicketApi({ ticketService: {}, config: { toObject: () => ({}) }, onError });
+      const req = {
+        url: '/quotes',
+        method: 'POST',
+        headers: {},
+        async* [Symbol.asyncIterator]() {
+          throw new Error('aborted');
+        },
+      };
+      const res = { writeHead: jest.fn() };
+      const ended = new Promise((resolve) => { res.end = resolve; });
+
+      api.createServer().emit('request', req, res);
+
+      expect(JSON.parse(await ended)).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+      expect(res.writeHead).toHaveBeenCalledWith(500, { 'Content-Type': 'application/json' });
+      expect(onError).toHaveBeenCalledWith(new Error('aborted'));
+    });
+
+    test('should reject malformed JSON', async () => {
+      const response = await fetch(`${baseUrl}/quotes`, { method: 'POST', body: '{"accountId":' });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe('INVALID_JSON');
+    });
+  });
+});
@@ -1,6 +1,11 @@
 import TicketService from '../src/pairtest/TicketService.js';
 import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
 import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import PurchaseFailedException from '../src/pairtest/lib/PurchaseFailedException.js';
+import PurchaseOutcome from '../src/pairtest/lib/PurchaseOutcome.js';
+import PurchaseOrder from '../src/pairtest/lib/PurchaseOrder.js';
+import OrderStatus from '../src/pairtest/lib/orders/OrderStatus.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
 import { jest, describe, test, beforeEach, expect } from '@jest/globals';
 
 describe('TicketService', () => {
@@ -11,6 +16,7 @@ describe('TicketService', () => {
   beforeEach(() => {
     mockPaymentService = {
       makePayment: jest.fn(),
+      refundPayment: jest.fn(),
     };
     mockSeatReservationService = {
       reserveSeat: jest.fn(),
@@ -26,7 +32,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 75);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 7500);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 3);
     });
 
@@ -37,7 +43,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, childTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 95);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 9500);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 5);
     });
 
@@ -49,7 +55,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, childTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 80);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 8000);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 4);
     });
 
@@ -60,7 +66,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 50);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 5000);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 2);
     });
 
@@ -70,7 +76,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 625);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 62500);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 25);
     });
 
@@ -82,7 +88,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, childTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 400);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 40000);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 20);
     });
 
@@ -94,7 +100,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets1, adultTickets2, childTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 140);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 14000);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 6);
     });
   });
@@ -275,7 +281,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, childTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 105);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 10500);
       expect(mockPaymentService.makePayment).toHaveBeenCalledTimes(1);
     });
 
@@ -308,7 +314,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 25);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 2500);
     });
   });
 
@@ -319,7 +325,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 25);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 2500);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 1);
     });
 
@@ -331,7 +337,7 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets, childTickets, infantTickets);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 430);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 43000);
 
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 20);
     });
@@ -344,11 +350,296 @@ describe('TicketService', () => {
 
       ticketService.purchaseTickets(accountId, adultTickets1, adultTickets2, adultTickets3);
 
-      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 75);
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(accountId, 7500);
       expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(accountId, 3);
     });
   });
 
+  describe('Compensating Rollback', () => {
+    test('should report a successful outcome', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2));
+
+      expect(order.outcome).toBe(PurchaseOutcome.SUCCEEDED);
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    test('should not reserve seats or refund when payment fails', () => {
+      mockPaymentService.makePayment.mockImplementation(() => {
+        throw new Error('Card declined');
+      });
+
+      let error;
+      try {
+        ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 2));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.FAILED_BEFORE_PAYMENT);
+      expect(error.cause.message).toBe('Card declined');
+      expect(mockSeatReservationService.reserveSeat).not.toHaveBeenCalled();
+      expect(mockPaymentService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    test('should refund the payment when seat reservation fails', () => {
+      mockSeatReservationService.reserveSeat.mockImplementation(() => {
+        throw new Error('No seats available');
+      });
+
+      let error;
+      try {
+        ticketService.purchaseTickets(7, new TicketTypeRequest('ADULT', 2), new TicketTypeRequest('CHILD', 1));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUNDED_AFTER_RESERVATION_FAILURE);
+      expect(error.totalAmount).toBe(6500);
+      expect(error.cause.message).toBe('No seats available');
+      expect(mockPaymentService.refundPayment).toHaveBeenCalledWith(7, 6500);
+    });
+
+    test('should report when the refund itself fails', () => {
+      mockSeatReservationService.reserveSeat.mockImplementation(() => {
+        throw new Error('No seats available');
+      });
+      mockPaymentService.refundPayment.mockImplementation(() => {
+        throw new Error('Gateway unavailable');
+      });
+
+      let error;
+      try {
+        ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(PurchaseFailedException);
+      expect(error.outcome).toBe(PurchaseOutcome.REFUND_FAILED);
+      expect(error.cause.errors.map((e) => e.message)).toEqual(['No seats available', 'Gateway unavailable']);
+    });
+  });
+
+  describe('Purchase Orders', () => {
+    beforeEach(() => {
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService, {
+        now: () => new Date('2026-01-02T19:30:00.000Z'),
+        generateOrderId: () => 'order-1',
+      });
+    });
+
+    test('should return an order with line items, totals and seats', () => {
+      const order = ticketService.purchaseTickets(
+        42,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 1),
+        new TicketTypeRequest('INFANT', 1),
+      );
+
+      expect(order).toBeInstanceOf(PurchaseOrder);
+      expect(order.toJSON()).toEqual({
+        orderId: 'order-1',
+        accountId: 42,
+        currency: 'GBP',
+        lineItems: [
+          { ticketType: 'ADULT', quantity: 2, unitPrice: 2500, subtotal: 5000, taxRate: 20 },
+          { ticketType: 'CHILD', quantity: 1, unitPrice: 1500, subtotal: 1500, taxRate: 20 },
+          { ticketType: 'INFANT', quantity: 1, unitPrice: 0, subtotal: 0, taxRate: 20 },
+        ],
+        discounts: [],
+        totalAmount: 6500,
+        netAmount: 5417,
+        taxAmount: 1083,
+        taxes: [{ rate: 20, net: 5417, tax: 1083, gross: 6500 }],
+        membershipTier: null,
+        pointsEarned: 0,
+        pointsRedeemed: 0,
+        totalSeats: 3,
+        infantCount: 1,
+        showingId: null,
+        seats: [],
+        groupBookingId: null,
+        timestamp: '2026-01-02T19:30:00.000Z',
+        outcome: PurchaseOutcome.SUCCEEDED,
+        status: OrderStatus.CONFIRMED,
+        refunds: [],
+      });
+    });
+
+    test('should omit line items for ticket types not purchased', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+
+      expect(order.lineItems.map((lineItem) => lineItem.ticketType)).toEqual(['ADULT']);
+    });
+
+    test('should return an immutable order', () => {
+      const order = ticketService.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+
+      expect(Object.isFrozen(order)).toBe(true);
+      expect(Object.isFrozen(order.lineItems)).toBe(true);
+      expect(Object.isFrozen(order.lineItems[0])).toBe(true);
+    });
+
+    test('should generate a unique order ID by default', () => {
+      const service = new TicketService(mockPaymentService, mockSeatReservationService);
+
+      const first = service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+      const second = service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1));
+
+      expect(first.orderId).not.toBe(second.orderId);
+    });
+  });
+
+  describe('Quotes', () => {
+    test('should return the price breakdown and seat count', () => {
+      const quote = ticketService.quote(
+        1,
+        new TicketTypeRequest('ADULT', 2),
+        new TicketTypeRequest('CHILD', 3),
+        new TicketTypeRequest('INFANT', 1),
+      );
+
+      expect(quote).toEqual({
+        accountId: 1,
+        currency: 'GBP',
+        lineItems: [
+          { ticketType: 'ADULT', quantity: 2, unitPrice: 2500, subtotal: 5000, taxRate: 20 },
+          { ticketType: 'CHILD', quantity: 3, unitPrice: 1500, subtotal: 4500, taxRate: 20 },
+          { ticketType: 'INFANT', quantity: 1, unitPrice: 0, subtotal: 0, taxRate: 20 },
+        ],
+        discounts: [],
+        totalAmount: 9500,
+        netAmount: 7917,
+        taxAmount: 1583,
+        taxes: [{ rate: 20, net: 7917, tax: 1583, gross: 9500 }],
+        membershipTier: null,
+        pointsEarned: 0,
+        pointsRedeemed: 0,
+        totalSeats: 5,
+        infantCount: 1,
+        showingId: null,
+        seats: [],
+      });
+      expect(Object.isFrozen(quote)).toBe(true);
+    });
+
+    test('should not call the payment or seat reservation services', () => {
+      ticketService.quote(1, new TicketTypeRequest('ADULT', 2));
+
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+      expect(mockSeatReservationService.reserveSeat).not.toHaveBeenCalled();
+    });
+
+    test('should apply the same validation as purchaseTickets', () => {
+      expect(() => ticketService.quote(0, new TicketTypeRequest('ADULT', 1)))
+        .toThrow('Account ID must be a positive integer');
+      expect(() => ticketService.quote(1))
+        .toThrow('At least one ticket type request must be provided');
+      expect(() => ticketService.quote(1, new TicketTypeRequest('ADULT', 26)))
+        .toThrow('Cannot purchase more than 25 tickets at a time');
+      expect(() => ticketService.quote(1, new TicketTypeRequest('CHILD', 1)))
+        .toThrow(InvalidPurchaseException);
+    });
+
+    test('should match the amount charged by purchaseTickets', () => {
+      const requests = [new TicketTypeRequest('ADULT', 3), new TicketTypeRequest('CHILD', 2)];
+
+      const quote = ticketService.quote(9, ...requests);
+      const order = ticketService.purchaseTickets(9, ...requests);
+
+      expect(order.totalAmount).toBe(quote.totalAmount);
+      expect(order.lineItems).toEqual(quote.lineItems);
+    });
+  });
+
+  describe('Structured Validation Errors', () => {
+    const captureError = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected function to throw');
+    };
+
+    test.each([
+      ['an invalid account', () => [0, new TicketTypeRequest('ADULT', 1)], ErrorCode.INVALID_ACCOUNT],
+      ['no requests', () => [1], ErrorCode.NO_REQUESTS],
+      ['a non-TicketTypeRequest', () => [1, {}], ErrorCode.INVALID_REQUEST],
+      ['a zero ticket count', () => [1, new TicketTypeRequest('ADULT', 0)], ErrorCode.INVALID_TICKET_COUNT],
+      ['too many tickets', () => [1, new TicketTypeRequest('ADULT', 26)], ErrorCode.MAX_TICKETS_EXCEEDED],
+      ['no adult', () => [1, new TicketTypeRequest('CHILD', 1)], ErrorCode.ADULT_REQUIRED],
+      ['too many infants', () => [1, new TicketTypeRequest('ADULT', 1), new TicketTypeRequest('INFANT', 2)], ErrorCode.INFANT_RATIO],
+    ])('should use a stable code for %s', (_, args, code) => {
+      const error = captureError(() => ticketService.purchaseTickets(...args()));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(code);
+      expect(error.violations).toHaveLength(1);
+    });
+
+    test('should include the limit and requested count when too many tickets are requested', () => {
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 20),
+        new TicketTypeRequest('CHILD', 6),
+      ));
+
+      expect(error.details).toEqual({
+        rule: 'maxTickets',
+        limit: 25,
+        requested: 26,
+        counts: { ADULT: 20, CHILD: 6, INFANT: 0 },
+      });
+    });
+
+    test('should include the offending request index', () => {
+      const error = captureError(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('ADULT', 1),
+        new TicketTypeRequest('CHILD', -1),
+      ));
+
+      expect(error.details).toEqual({ index: 1, ticketType: 'CHILD', requested: -1 });
+    });
+
+    test('should collect every violation when configured to', () => {
+      const service = new TicketService(mockPaymentService, mockSeatReservationService, {
+        collectAllViolations: true,
+      });
+
+      const error = captureError(() => service.purchaseTickets(
+        -1,
+        'not a request',
+        new TicketTypeRequest('CHILD', 20),
+        new TicketTypeRequest('INFANT', 6),
+      ));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.INVALID_ACCOUNT);
+      expect(error.violations.map((violation) => violation.code)).toEqual([
+        ErrorCode.INVALID_ACCOUNT,
+        ErrorCode.INVALID_REQUEST,
+        ErrorCode.MAX_TICKETS_EXCEEDED,
+        ErrorCode.ADULT_REQUIRED,
+        ErrorCode.INFANT_RATIO,
+      ]);
+      expect(error.violations[1].details).toEqual({ index: 0 });
+      expect(mockPaymentService.makePayment).not.toHaveBeenCalled();
+    });
+
+    test('should keep the single-violation message when collecting', () => {
+      const service = new TicketService(mockPaymentService, mockSeatReservationService, {
+        collectAllViolations: true,
+      });
+
+      expect(() => service.purchaseTickets(1, new TicketTypeRequest('ADULT', 26)))
+        .toThrow('Cannot purchase more than 25 tickets at a time');
+    });
+  });
+
   describe('Service Instantiation', () => {
     test('should use default services when none provided', () => {
       const service = new TicketService();
@@ -360,14 +651,14 @@ describe('TicketService', () => {
     });
 
     test('should use provided custom services', () => {
-      const customPayment = { makePayment: jest.fn() };
+      const customPayment = { makePayment: jest.fn(), refundPayment: jest.fn() };
       const customSeat = { reserveSeat: jest.fn() };
       const service = new TicketService(customPayment, customSeat);
       const adultTickets = new TicketTypeRequest('ADULT', 2);
 
       service.purchaseTickets(1, adultTickets);
 
-      expect(customPayment.makePayment).toHaveBeenCalledWith(1, 50);
+      expect(customPayment.makePayment).toHaveBeenCalledWith(1, 5000);
       expect(customSeat.reserveSeat).toHaveBeenCalledWith(1, 2);
     });
   });
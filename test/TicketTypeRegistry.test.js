@@ -0,0 +1,141 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import TicketTypeRegistry from '../src/pairtest/lib/TicketTypeRegistry.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import ticketTypes from '../src/pairtest/lib/ticketTypes.js';
+import { jest, describe, test, beforeAll, beforeEach, expect } from '@jest/globals';
+
+describe('TicketTypeRegistry', () => {
+  describe('Registry', () => {
+    test('should build the default ADULT, CHILD and INFANT types from config', () => {
+      const registry = TicketTypeRegistry.fromConfig({
+        ticketTypes: ['ADULT', 'CHILD', 'INFANT'],
+        ticketPrices: { ADULT: 25, CHILD: 15, INFANT: 0 },
+      });
+
+      expect(registry.names()).toEqual(['ADULT', 'CHILD', 'INFANT']);
+      expect(registry.get('INFANT')).toEqual({
+        name: 'INFANT',
+        price: 0,
+        occupiesSeat: false,
+        requiresAdult: true,
+        countsAsAdult: false,
+        sitsOnLap: true,
+      });
+    });
+
+    test('should reject ticket types that are not built in', () => {
+      expect(() => TicketTypeRegistry.fromConfig({
+        ticketTypes: ['ADULT', 'VIP'],
+        ticketPrices: { ADULT: 25, VIP: 50 },
+      })).toThrow('Unknown ticket type VIP');
+    });
+
+    test('should register custom ticket types with defaults', () => {
+      const registry = new TicketTypeRegistry().register({ name: 'VIP', price: 40 });
+
+      expect(registry.get('VIP')).toEqual({
+        name: 'VIP',
+        price: 40,
+        occupiesSeat: true,
+        requiresAdult: false,
+        countsAsAdult: false,
+        sitsOnLap: false,
+      });
+    });
+
+    test('should reject invalid definitions', () => {
+      const registry = new TicketTypeRegistry();
+
+      expect(() => registry.register({ name: 'vip', price: 10 })).toThrow(TypeError);
+      expect(() => registry.register({ name: 'VIP', price: -1 })).toThrow(TypeError);
+      expect(() => registry.register({ name: 'VIP', price: 1.5 })).toThrow(TypeError);
+    });
+
+    test('should return frozen definitions', () => {
+      const registry = new TicketTypeRegistry([{ name: 'ADULT', price: 25, countsAsAdult: true }]);
+
+      expect(Object.isFrozen(registry.get('ADULT'))).toBe(true);
+    });
+  });
+
+  describe('TicketService with extended ticket types', () => {
+    let ticketService;
+    let mockPaymentService;
+    let mockSeatReservationService;
+
+    beforeAll(() => {
+      for (const name of ['STUDENT', 'SENIOR', 'CARER']) {
+        ticketTypes.register({ name, price: { STUDENT: 2000, SENIOR: 1800, CARER: 0 }[name], ...TicketTypeRegistry.BUILT_IN_TYPES[name] });
+      }
+    });
+
+    beforeEach(() => {
+      mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+      mockSeatReservationService = { reserveSeat: jest.fn() };
+      ticketService = new TicketService(mockPaymentService, mockSeatReservationService);
+    });
+
+    test('should accept registered types in TicketTypeRequest', () => {
+      expect(new TicketTypeRequest('STUDENT', 1).getTicketType()).toBe('STUDENT');
+    });
+
+    test('should price and seat every registered type', () => {
+      ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('STUDENT', 2),
+        new TicketTypeRequest('SENIOR', 1),
+        new TicketTypeRequest('CARER', 1),
+      );
+
+      expect(mockPaymentService.makePayment).toHaveBeenCalledWith(1, 5800);
+      expect(mockSeatReservationService.reserveSeat).toHaveBeenCalledWith(1, 4);
+    });
+
+    test('should let students and seniors supervise children and infants', () => {
+      const quote = ticketService.quote(
+        1,
+        new TicketTypeRequest('SENIOR', 1),
+        new TicketTypeRequest('CHILD', 2),
+        new TicketTypeRequest('INFANT', 1),
+      );
+
+      expect(quote.totalAmount).toBe(4800);
+      expect(quote.totalSeats).toBe(3);
+      expect(quote.infantCount).toBe(1);
+    });
+
+    test('should require an adult supervisor for carers', () => {
+      expect(() => ticketService.purchaseTickets(1, new TicketTypeRequest('CARER', 1)))
+        .toThrow('Child, Infant and Carer tickets cannot be purchased without at least one Adult ticket');
+    });
+
+    test('should limit infants to the number of supervisors', () => {
+      expect(() => ticketService.purchaseTickets(
+        1,
+        new TicketTypeRequest('STUDENT', 1),
+        new TicketTypeRequest('INFANT', 2),
+      )).toThrow(InvalidPurchaseException);
+    });
+
+    test('should reject types the service registry does not offer', () => {
+      const service = new TicketService(mockPaymentService, mockSeatReservationService, {
+        ticketTypes: TicketTypeRegistry.fromConfig({
+          ticketTypes: ['ADULT', 'CHILD', 'INFANT'],
+          ticketPrices: { ADULT: 25, CHILD: 15, INFANT: 0 },
+        }),
+      });
+
+      let error;
+      try {
+        service.purchaseTickets(1, new TicketTypeRequest('ADULT', 1), new TicketTypeRequest('STUDENT', 1));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe(ErrorCode.UNKNOWN_TICKET_TYPE);
+      expect(error.details).toEqual({ index: 1, ticketType: 'STUDENT' });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import VenueServices from '../src/pairtest/VenueServices.js';
+import Config from '../src/pairtest/lib/config/Config.js';
+import ConfigValidationError from '../src/pairtest/lib/config/ConfigValidationError.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import { jest, describe, test, beforeEach, afterEach, expect } from '@jest/globals';
+
+describe('VenueServices', () => {
+  let directory;
+  let venuesFile;
+  let showingsFile;
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let onReload;
+  let onError;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+
+  const writeVenues = (venues) => writeFileSync(venuesFile, JSON.stringify({ venues }));
+
+  const createVenues = (options = {}) => new VenueServices({
+    venuesFile,
+    baseConfig: Config.fromEnv({}),
+    paymentService: mockPaymentService,
+    seatReservationService: mockSeatReservationService,
+    now: () => new Date('2026-03-13T12:00:00.000Z'),
+    onReload,
+    onError,
+    ...options,
+  });
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'venues-'));
+    venuesFile = join(directory, 'venues.json');
+    showingsFile = join(directory, 'showings.json');
+    writeFileSync(showingsFile, JSON.stringify({
+      auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 4 }] }],
+      showings: [{ id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z' }],
+    }));
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn() };
+    onReload = jest.fn();
+    onError = jest.fn();
+    writeVenues({
+      leeds: { ticketPrices: { ADULT: 22 }, showingsFile },
+      london: { ticketPrices: { ADULT: 30 } },
+    });
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should build a TicketService per venue', () => {
+    const venues = createVenues();
+
+    expect(venues.venueIds()).toEqual(['leeds', 'london']);
+    expect(venues.get('leeds').quote(1, adults(1)).totalAmount).toBe(22);
+    expect(venues.get('london').quote(1, adults(1)).totalAmount).toBe(30);
+    expect(venues.get('york')).toBeNull();
+  });
+
+  test('should refuse to start with an invalid venues file', () => {
+    writeVenues({ leeds: { maxTickets: -1 } });
+
+    expect(() => createVenues()).toThrow(ConfigValidationError);
+  });
+
+  describe('Reloading', () => {
+    test('should apply changed settings to new calls', () => {
+      const venues = createVenues();
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: 24 }, showingsFile }, york: { maxTickets: 10 } });
+
+      expect(venues.reload()).toBe(true);
+      expect(venues.get('leeds').quote(1, adults(1)).totalAmount).toBe(24);
+      expect(venues.getConfig('york').maxTickets).toBe(10);
+      expect(venues.get('london')).toBeNull();
+      expect(onReload).toHaveBeenCalledWith(['leeds', 'york']);
+    });
+
+    test('should keep the running configuration when the new file is invalid', () => {
+      const venues = createVenues();
+      const leeds = venues.get('leeds');
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: -5 } }, london: { colour: 'red' } });
+
+      expect(venues.reload()).toBe(false);
+      expect(onError.mock.calls[0][0].errors).toEqual([
+        'venues.leeds.ticketPrices.ADULT must be a non-negative integer',
+        'venues.london.colour is not a known setting',
+      ]);
+      expect(venues.get('leeds')).toBe(leeds);
+      expect(venues.get('leeds').quote(1, adults(1)).totalAmount).toBe(22);
+    });
+
+    test('should keep the running configuration when the file cannot be parsed', () => {
+      const venues = createVenues();
+      writeFileSync(venuesFile, '{"venues": {');
+
+      expect(venues.reload()).toBe(false);
+      expect(onError.mock.calls[0][0]).toBeInstanceOf(SyntaxError);
+      expect(venues.venueIds()).toEqual(['leeds', 'london']);
+    });
+
+    test('should keep services whose settings did not change', () => {
+      const venues = createVenues();
+      const london = venues.get('london');
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: 24 }, showingsFile }, london: { ticketPrices: { ADULT: 30 } } });
+      venues.reload();
+
+      expect(venues.get('london')).toBe(london);
+    });
+
+    test('should carry seat maps, orders and idempotency keys over to the new service', () => {
+      const venues = createVenues();
+      const options = new PurchaseOptions({ showingId: 'evening', idempotencyKey: 'key-1' });
+      const order = venues.get('leeds').purchaseTickets(1, adults(2), options);
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: 24 }, showingsFile } });
+      venues.reload();
+
+      const leeds = venues.get('leeds');
+      expect(leeds.getOrder(order.orderId)).toBe(order);
+      expect(leeds.purchaseTickets(1, adults(2), options)).toBe(order);
+      expect(leeds.quote(1, adults(2), new PurchaseOptions({ showingId: 'evening' })).seats).toEqual(['A3', 'A4']);
+    });
+
+    test('should let purchases in flight finish with the settings they started with', async () => {
+      const venues = createVenues();
+      let resolvePayment;
+      mockPaymentService.makePayment.mockReturnValueOnce(new Promise((resolve) => { resolvePayment = resolve; }));
+
+      const inFlight = venues.get('leeds').purchaseTicketsAsync(1, adults(1));
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: 24 }, showingsFile } });
+      venues.reload();
+      resolvePayment();
+
+      expect((await inFlight).totalAmount).toBe(22);
+      expect((await venues.get('leeds').purchaseTicketsAsync(1, adults(1))).totalAmount).toBe(24);
+    });
+  });
+
+  describe('Watching the file', () => {
+    test('should reload when the file changes', () => {
+      const watchFile = jest.fn();
+      const unwatchFile = jest.fn();
+      const venues = createVenues({ watchFile, unwatchFile });
+
+      venues.watch({ intervalMs: 50 });
+      const [path, options, listener] = watchFile.mock.calls[0];
+
+      expect(path).toBe(venuesFile);
+      expect(options).toEqual({ interval: 50, persistent: false });
+
+      writeVenues({ leeds: { ticketPrices: { ADULT: 26 } } });
+      listener({ mtimeMs: 1 }, { mtimeMs: 1 });
+      expect(onReload).not.toHaveBeenCalled();
+
+      listener({ mtimeMs: 2 }, { mtimeMs: 1 });
+      expect(venues.get('leeds').quote(1, adults(1)).totalAmount).toBe(26);
+
+      venues.close();
+      expect(unwatchFile).toHaveBeenCalledWith(venuesFile, listener);
+    });
+  });
+});
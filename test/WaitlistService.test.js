@@ -0,0 +1,273 @@
+import TicketService from '../src/pairtest/TicketService.js';
+import TicketTypeRequest from '../src/pairtest/lib/TicketTypeRequest.js';
+import PurchaseOptions from '../src/pairtest/lib/PurchaseOptions.js';
+import InvalidPurchaseException from '../src/pairtest/lib/InvalidPurchaseException.js';
+import ErrorCode from '../src/pairtest/lib/ErrorCode.js';
+import Config from '../src/pairtest/lib/config/Config.js';
+import RuleEngine from '../src/pairtest/lib/rules/RuleEngine.js';
+import ShowingCatalogue from '../src/pairtest/lib/showings/ShowingCatalogue.js';
+import SeatHoldService from '../src/pairtest/lib/holds/SeatHoldService.js';
+import PurchaseEventBus from '../src/pairtest/lib/events/PurchaseEventBus.js';
+import PurchaseEventType from '../src/pairtest/lib/events/PurchaseEventType.js';
+import WaitlistService from '../src/pairtest/lib/waitlist/WaitlistService.js';
+import WaitlistStatus from '../src/pairtest/lib/waitlist/WaitlistStatus.js';
+import { jest, describe, test, beforeEach, expect } from '@jest/globals';
+
+describe('WaitlistService', () => {
+  let mockPaymentService;
+  let mockSeatReservationService;
+  let showings;
+  let currentTime;
+  let offers;
+  let ticketService;
+
+  const adults = (count) => new TicketTypeRequest('ADULT', count);
+  const children = (count) => new TicketTypeRequest('CHILD', count);
+  const evening = (options = {}) => new PurchaseOptions({ showingId: 'evening', ...options });
+
+  const advanceSeconds = (seconds) => {
+    currentTime = new Date(currentTime.getTime() + seconds * 1000);
+  };
+
+  const captureError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected function to throw');
+  };
+
+  const createService = (options = {}) => {
+    let orderCounter = 0;
+    let holdCounter = 0;
+    let entryCounter = 0;
+    const events = new PurchaseEventBus();
+    events.on(PurchaseEventType.WAITLIST_OFFERED, ({ entry }) => offers.push(entry));
+
+    return new TicketService(mockPaymentService, mockSeatReservationService, {
+      showings,
+      seatHolds: new SeatHoldService({ showings, ttlSeconds: 300, now: () => currentTime, generateHoldId: () => `hold-${++holdCounter}` }),
+      waitlist: new WaitlistService({ offerTtlSeconds: 600, generateEntryId: () => `entry-${++entryCounter}` }),
+      events,
+      now: () => currentTime,
+      generateOrderId: () => `order-${++orderCounter}`,
+      ...options,
+    });
+  };
+
+  beforeEach(() => {
+    mockPaymentService = { makePayment: jest.fn(), refundPayment: jest.fn() };
+    mockSeatReservationService = { reserveSeat: jest.fn(), releaseSeat: jest.fn() };
+    showings = ShowingCatalogue.fromDefinitions({
+      auditoriums: [{ id: 'screen-1', rows: [{ row: 'A', seats: 4 }] }],
+      showings: [
+        { id: 'evening', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T19:30:00Z' },
+        { id: 'late', filmId: 'film-1', auditoriumId: 'screen-1', startsAt: '2026-03-13T22:00:00Z' },
+      ],
+    });
+    currentTime = new Date('2026-03-13T18:00:00.000Z');
+    offers = [];
+    ticketService = createService();
+  });
+
+  describe('Joining', () => {
+    test('should put an account on the waitlist for a sold-out showing', () => {
+      ticketService.purchaseTickets(9, adults(4), evening());
+      expect(captureError(() => ticketService.purchaseTickets(1, adults(1), children(1), evening())).code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+
+      const entry = ticketService.joinWaitlist(1, 'evening', adults(1), children(1));
+
+      expect(entry).toEqual({
+        entryId: 'entry-1',
+        accountId: 1,
+        showingId: 'evening',
+        tickets: [{ ticketType: 'ADULT', quantity: 1 }, { ticketType: 'CHILD', quantity: 1 }],
+        totalSeats: 2,
+        status: WaitlistStatus.WAITING,
+        joinedAt: '2026-03-13T18:00:00.000Z',
+        offer: null,
+        closedAt: null,
+        orderId: null,
+      });
+      expect(ticketService.findWaitlistEntries({ showingId: 'evening' })).toEqual([entry]);
+    });
+
+    test('should check the tickets against the purchase rules', () => {
+      ticketService.purchaseTickets(9, adults(4), evening());
+
+      const error = captureError(() => ticketService.joinWaitlist(1, 'evening', children(2)));
+
+      expect(error).toBeInstanceOf(InvalidPurchaseException);
+      expect(error.code).toBe(ErrorCode.ADULT_REQUIRED);
+      expect(captureError(() => ticketService.joinWaitlist(1, 'evening', adults(26))).code).toBe(ErrorCode.MAX_TICKETS_EXCEEDED);
+      expect(captureError(() => ticketService.joinWaitlist(1, 'matinee', adults(1))).code).toBe(ErrorCode.UNKNOWN_SHOWING);
+      expect(ticketService.findWaitlistEntries()).toEqual([]);
+    });
+
+    test('should turn the account away while the showing still has the seats', () => {
+      ticketService.purchaseTickets(9, adults(3), evening());
+
+      const error = captureError(() => ticketService.joinWaitlist(1, 'evening', adults(1)));
+
+      expect(error.code).toBe(ErrorCode.SEATS_AVAILABLE);
+      expect(error.details).toEqual({ showingId: 'evening', requested: 1, available: 1 });
+      expect(ticketService.joinWaitlist(1, 'evening', adults(2)).status).toBe(WaitlistStatus.WAITING);
+    });
+
+    test('should not let an account wait twice for the same showing', () => {
+      ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(1));
+
+      const error = captureError(() => ticketService.joinWaitlist(1, 'evening', adults(2)));
+
+      expect(error.code).toBe(ErrorCode.ALREADY_ON_WAITLIST);
+      expect(error.details).toEqual({ showingId: 'evening', entryId: 'entry-1' });
+    });
+  });
+
+  describe('Offers', () => {
+    test('should hold seats from a cancellation for the first entry, which can buy them', () => {
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(1), children(1));
+      ticketService.joinWaitlist(2, 'evening', adults(2));
+
+      ticketService.refundTickets(sold.orderId, adults(1));
+      expect(offers).toEqual([]);
+
+      ticketService.refundTickets(sold.orderId, adults(1));
+
+      expect(offers).toHaveLength(1);
+      expect(offers[0]).toMatchObject({
+        entryId: 'entry-1',
+        status: WaitlistStatus.OFFERED,
+        offer: { holdId: 'hold-1', seats: ['A3', 'A4'], offeredAt: '2026-03-13T18:00:00.000Z', expiresAt: '2026-03-13T18:10:00.000Z' },
+      });
+      expect(captureError(() => ticketService.purchaseTickets(3, adults(1), evening())).code).toBe(ErrorCode.SHOWING_SOLD_OUT);
+
+      const order = ticketService.purchaseTickets(1, adults(1), children(1), new PurchaseOptions({ holdId: 'hold-1' }));
+
+      expect(order.seats).toEqual(['A3', 'A4']);
+      expect(ticketService.getWaitlistEntry('entry-1')).toMatchObject({
+        status: WaitlistStatus.PURCHASED,
+        orderId: order.orderId,
+        closedAt: '2026-03-13T18:00:00.000Z',
+      });
+      expect(ticketService.getWaitlistEntry('entry-2').status).toBe(WaitlistStatus.WAITING);
+    });
+
+    test('should skip entries whose tickets do not fit the seats released', () => {
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(3));
+      ticketService.joinWaitlist(2, 'evening', adults(1));
+
+      ticketService.refundTickets(sold.orderId, adults(1));
+
+      expect(offers.map(({ entryId }) => entryId)).toEqual(['entry-2']);
+      expect(ticketService.getWaitlistEntry('entry-1').status).toBe(WaitlistStatus.WAITING);
+
+      ticketService.cancelOrder(sold.orderId);
+
+      expect(offers.map(({ entryId }) => entryId)).toEqual(['entry-2', 'entry-1']);
+      expect(ticketService.getWaitlistEntry('entry-1').offer.seats).toEqual(['A1', 'A2', 'A3']);
+    });
+
+    test('should skip entries the business rules no longer allow', () => {
+      ticketService = createService({
+        rules: RuleEngine.fromDefinitions([{ type: 'adultRequired' }, { type: 'accountDailyCap', limit: 4 }]),
+      });
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(2));
+      ticketService.joinWaitlist(2, 'evening', adults(2));
+      ticketService.purchaseTickets(1, adults(3), new PurchaseOptions({ showingId: 'late' }));
+
+      ticketService.refundTickets(sold.orderId, adults(2));
+
+      expect(offers.map(({ entryId }) => entryId)).toEqual(['entry-2']);
+      expect(ticketService.getWaitlistEntry('entry-1').status).toBe(WaitlistStatus.WAITING);
+    });
+
+    test('should pass an offer that runs out to the next entry', () => {
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(2));
+      ticketService.joinWaitlist(2, 'evening', adults(2));
+      ticketService.refundTickets(sold.orderId, adults(2));
+
+      advanceSeconds(599);
+      expect(ticketService.getWaitlistEntry('entry-1').status).toBe(WaitlistStatus.OFFERED);
+
+      advanceSeconds(1);
+
+      expect(ticketService.getWaitlistEntry('entry-1')).toMatchObject({ status: WaitlistStatus.EXPIRED, closedAt: '2026-03-13T18:10:00.000Z' });
+      expect(ticketService.getWaitlistEntry('entry-2').offer).toMatchObject({ holdId: 'hold-2', seats: ['A3', 'A4'] });
+      expect(captureError(() => ticketService.purchaseTickets(1, adults(2), new PurchaseOptions({ holdId: 'hold-1' }))).code)
+        .toBe(ErrorCode.HOLD_NOT_FOUND);
+    });
+
+    test('should offer the seats of an expired seat hold', () => {
+      ticketService.holdSeats(9, 'evening', { count: 4 });
+      ticketService.joinWaitlist(1, 'evening', adults(4));
+
+      advanceSeconds(300);
+
+      expect(ticketService.getWaitlistEntry('entry-1').offer.seats).toEqual(['A1', 'A2', 'A3', 'A4']);
+    });
+
+    test('should not release an expired seat hold or make offers when quoting', () => {
+      ticketService.holdSeats(9, 'evening', { count: 4 });
+      ticketService.joinWaitlist(1, 'evening', adults(4));
+
+      advanceSeconds(300);
+      const error = captureError(() => ticketService.quote(9, adults(4), new PurchaseOptions({ holdId: 'hold-1' })));
+
+      expect(error.code).toBe(ErrorCode.HOLD_NOT_FOUND);
+      expect(showings.get('evening').countAvailable()).toBe(0);
+      expect(offers).toEqual([]);
+    });
+
+    test('should pass on an offer that is declined', () => {
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(1));
+      ticketService.joinWaitlist(2, 'evening', adults(1));
+      ticketService.refundTickets(sold.orderId, adults(1));
+
+      expect(ticketService.releaseHold('hold-1')).toBe(true);
+
+      expect(ticketService.getWaitlistEntry('entry-1').status).toBe(WaitlistStatus.DECLINED);
+      expect(ticketService.getWaitlistEntry('entry-2').offer.holdId).toBe('hold-2');
+    });
+  });
+
+  describe('Leaving', () => {
+    test('should give seats offered to an entry that leaves to the next one', () => {
+      const sold = ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(1));
+      ticketService.joinWaitlist(2, 'evening', adults(1));
+      ticketService.refundTickets(sold.orderId, adults(1));
+
+      const left = ticketService.leaveWaitlist('entry-1');
+
+      expect(left).toMatchObject({ status: WaitlistStatus.LEFT, closedAt: '2026-03-13T18:00:00.000Z' });
+      expect(ticketService.getWaitlistEntry('entry-2').status).toBe(WaitlistStatus.OFFERED);
+    });
+
+    test('should reject leaving an unknown or closed entry', () => {
+      ticketService.purchaseTickets(9, adults(4), evening());
+      ticketService.joinWaitlist(1, 'evening', adults(1));
+      ticketService.leaveWaitlist('entry-1');
+
+      const closed = captureError(() => ticketService.leaveWaitlist('entry-1'));
+
+      expect(closed.code).toBe(ErrorCode.WAITLIST_ENTRY_CLOSED);
+      expect(closed.details).toEqual({ entryId: 'entry-1', status: WaitlistStatus.LEFT });
+      expect(captureError(() => ticketService.leaveWaitlist('entry-9')).code).toBe(ErrorCode.WAITLIST_ENTRY_NOT_FOUND);
+      expect(ticketService.joinWaitlist(1, 'evening', adults(1)).entryId).toBe('entry-2');
+    });
+  });
+
+  test('should take the offer time from config', () => {
+    expect(WaitlistService.fromConfig(Config.fromEnv({ WAITLIST_OFFER_TTL_SECONDS: '120' })).getOfferTtlSeconds()).toBe(120);
+    expect(WaitlistService.fromConfig(Config.fromEnv({})).getOfferTtlSeconds()).toBe(900);
+    expect(() => new WaitlistService({ offerTtlSeconds: 0 })).toThrow('offerTtlSeconds must be a positive integer');
+  });
+});
@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+import TicketService from './src/pairtest/TicketService.js';
+import BoxOfficeCli from './src/pairtest/cli/BoxOfficeCli.js';
+
+const cli = new BoxOfficeCli({ ticketService: new TicketService() });
+
+process.exitCode = cli.run(process.argv.slice(2));